@@ -66,5 +66,7 @@ module.exports = {
     __rootdir: true,
     __testdir: true,
     globalThis: true,
+    // Cloudflare Workers runtime
+    FixedLengthStream: 'readonly',
   },
 };
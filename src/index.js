@@ -10,12 +10,18 @@
  * governing permissions and limitations under the License.
  */
 
-import { errorResponse } from './utils/http.js';
+import { errorResponse, mediaType } from './utils/http.js';
 import Router, { nameSelector } from './utils/router/index.js';
 import { RequestInfo } from './utils/RequestInfo.js';
 import handlers from './routes/index.js';
 import logMetrics from './utils/metrics.js';
 import AuthInfo from './utils/AuthInfo.js';
+import { processJob } from './routes/catalog/jobs.js';
+import { MAX_SCHEDULED_PER_RUN, publishScheduledProducts } from './routes/catalog/schedule.js';
+import StorageClient from './utils/StorageClient.js';
+import { deliverWebhook, webhookRetryDelay } from './utils/webhooks.js';
+import { NDJSON_CONTENT_TYPE } from './utils/ndjson.js';
+import { CSV_CONTENT_TYPE } from './utils/csv.js';
 
 const router = new Router(nameSelector)
   .add('/:org/sites/:site/catalog/*', handlers.catalog)
@@ -31,7 +37,15 @@ const router = new Router(nameSelector)
   .add('/:org/sites/:site/index/*', handlers.indices)
   .add('/:org/sites/:site/config', handlers.config)
   .add('/:org/sites/:site/operations-log', handlers['operations-log'])
-  .add('/:org/sites/:site/emails', handlers.emails);
+  .add('/:org/sites/:site/emails', handlers.emails)
+  .add('/:org/sites/:site/webhooks/deliveries', handlers.webhooks)
+  .add('/:org/sites/:site/inventory/:sku', handlers.inventory)
+  .add('/:org/sites/:site/inventory', handlers.inventory);
+
+/**
+ * Uploads that are streamed by their route, their body is not read up front.
+ */
+const STREAMED_UPLOAD_PATTERN = /^\/[^/]+\/sites\/[^/]+\/catalog\/jobs\/import$/;
 
 /**
  * @param {import("@cloudflare/workers-types").Request} req
@@ -40,8 +54,16 @@ async function parseData(req) {
   if (['GET', 'HEAD', 'OPTIONS'].includes(req.method)) {
     return Object.fromEntries(new URL(req.url).searchParams.entries());
   }
+  if (req.method === 'POST' && STREAMED_UPLOAD_PATTERN.test(new URL(req.url).pathname)) {
+    return {};
+  }
   if (['POST', 'PUT', 'PATCH'].includes(req.method)) {
     const text = await req.text();
+    // NDJSON and CSV are parsed by the routes that accept them
+    const contentType = mediaType(req.headers.get('content-type'));
+    if (contentType === NDJSON_CONTENT_TYPE || contentType === CSV_CONTENT_TYPE) {
+      return text;
+    }
     if (text.trim().length) {
       try {
         return JSON.parse(text);
@@ -88,15 +110,115 @@ export async function makeContext(eCtx, req, env) {
   return ctx;
 }
 
+/**
+ * Context for work done outside of a request, as if `pathname` was requested.
+ *
+ * @param {import("@cloudflare/workers-types").ExecutionContext} eCtx
+ * @param {string} pathname
+ * @param {Env} env
+ * @returns {Promise<Context>}
+ */
+async function makeInternalContext(eCtx, pathname, env) {
+  // @ts-ignore
+  const request = new Request(`https://localhost${pathname}`);
+  const ctx = await makeContext(eCtx, request, env);
+  // @ts-ignore
+  ctx.requestInfo = RequestInfo.fromRouterMatch(request, router.match(ctx.url.pathname));
+  return ctx;
+}
+
+/**
+ * Context for processing a catalog job message, as if the job's
+ * status URL was requested. Messages that aren't part of a job use the catalog.
+ *
+ * @param {import("@cloudflare/workers-types").ExecutionContext} eCtx
+ * @param {CatalogJobMessage} message
+ * @param {Env} env
+ * @returns {Promise<Context>}
+ */
+export async function makeJobContext(eCtx, message, env) {
+  const { org, site, jobId } = message;
+  if (!jobId) {
+    return makeInternalContext(eCtx, `/${org}/sites/${site}/catalog/*`, env);
+  }
+  return makeInternalContext(eCtx, `/${org}/sites/${site}/catalog/jobs/${jobId}`, env);
+}
+
+/**
+ * Context for publishing the scheduled products of a site, as if a bulk POST was requested.
+ *
+ * @param {import("@cloudflare/workers-types").ExecutionContext} eCtx
+ * @param {string} org
+ * @param {string} site
+ * @param {Env} env
+ * @returns {Promise<Context>}
+ */
+export async function makeScheduleContext(eCtx, org, site, env) {
+  return makeInternalContext(eCtx, `/${org}/sites/${site}/catalog/*`, env);
+}
+
+/**
+ * Context for delivering a message of the webhooks queue,
+ * as if the delivery log of the site was requested.
+ *
+ * @param {import("@cloudflare/workers-types").ExecutionContext} eCtx
+ * @param {WebhookMessage} message
+ * @param {Env} env
+ * @returns {Promise<Context>}
+ */
+export async function makeWebhookContext(eCtx, message, env) {
+  const { org, site } = message;
+  return makeInternalContext(eCtx, `/${org}/sites/${site}/webhooks/deliveries`, env);
+}
+
+/**
+ * @param {import("@cloudflare/workers-types").Message<CatalogJobMessage>} message
+ * @param {Env} env
+ * @param {import("@cloudflare/workers-types").ExecutionContext} eCtx
+ */
+async function processJobMessage(message, env, eCtx) {
+  const ctx = await makeJobContext(eCtx, message.body, env);
+  try {
+    await processJob(ctx, message.body, message.attempts);
+    message.ack();
+  } catch (e) {
+    ctx.log.error(`failed to process catalog job message: ${e.message}`, e);
+    message.retry();
+  } finally {
+    logMetrics(ctx);
+  }
+}
+
+/**
+ * Failed deliveries are retried with an increasing delay.
+ *
+ * @param {import("@cloudflare/workers-types").Message<WebhookMessage>} message
+ * @param {Env} env
+ * @param {import("@cloudflare/workers-types").ExecutionContext} eCtx
+ */
+async function processWebhookMessage(message, env, eCtx) {
+  const ctx = await makeWebhookContext(eCtx, message.body, env);
+  try {
+    await deliverWebhook(ctx, message.body, message.attempts);
+    message.ack();
+  } catch (e) {
+    ctx.log.warn(e.message);
+    message.retry({ delaySeconds: webhookRetryDelay(message.attempts) });
+  } finally {
+    logMetrics(ctx);
+  }
+}
+
 /**
  * @param {Response} resp
  * @returns {Promise<Response>}
  */
 async function applyCORSHeaders(resp) {
   const origin = resp.headers.get('access-control-allow-origin') || '*';
-  const methods = resp.headers.get('access-control-allow-methods') || 'GET, POST, PUT, DELETE, OPTIONS';
+  const methods = resp.headers.get('access-control-allow-methods') || 'GET, POST, PUT, PATCH, DELETE, OPTIONS';
   const headers = resp.headers.get('access-control-allow-headers') || 'Content-Type';
-  return new Response(await resp.text(), {
+  // pass the body through as is, null body statuses (204, 304) must not get one
+  return new Response(resp.body, {
     status: resp.status,
     headers: {
       ...Object.fromEntries([...resp.headers.entries()].map(([k, v]) => [k.toLowerCase(), v])),
@@ -143,4 +265,61 @@ export default {
       logMetrics(ctx);
     }
   },
+
+  /**
+   * Consumer of the catalog jobs and webhooks queues.
+   * Failed messages are retried, see `MAX_JOB_ATTEMPTS` and `MAX_WEBHOOK_ATTEMPTS`.
+   *
+   * @param {import("@cloudflare/workers-types").MessageBatch<QueueMessage>} batch
+   * @param {Env} env
+   * @param {import("@cloudflare/workers-types").ExecutionContext} eCtx
+   */
+  async queue(batch, env, eCtx) {
+    for (const message of batch.messages) {
+      if (message.body.type === 'webhook') {
+        // eslint-disable-next-line no-await-in-loop
+        await processWebhookMessage(message, env, eCtx);
+      } else {
+        // eslint-disable-next-line no-await-in-loop
+        await processJobMessage(message, env, eCtx);
+      }
+    }
+  },
+
+  /**
+   * Cron trigger, publishes the scheduled products that are due.
+   *
+   * @param {import("@cloudflare/workers-types").ScheduledController} controller
+   * @param {Env} env
+   * @param {import("@cloudflare/workers-types").ExecutionContext} eCtx
+   */
+  async scheduled(controller, env, eCtx) {
+    const entries = await StorageClient.listDueScheduledProducts(
+      env,
+      new Date(controller.scheduledTime),
+      MAX_SCHEDULED_PER_RUN,
+    );
+
+    /** @type {Map<string, ScheduleIndexEntry[]>} */
+    const bySite = new Map();
+    for (const entry of entries) {
+      const key = `${entry.org}/${entry.site}`;
+      bySite.set(key, [...(bySite.get(key) ?? []), entry]);
+    }
+
+    for (const siteEntries of bySite.values()) {
+      const { org, site } = siteEntries[0];
+      // eslint-disable-next-line no-await-in-loop
+      const ctx = await makeScheduleContext(eCtx, org, site, env);
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        await publishScheduledProducts(ctx, siteEntries);
+      } catch (e) {
+        // the entries are kept, so the next run retries them
+        ctx.log.error(`failed to publish scheduled products of ${org}/${site}: ${e.message}`, e);
+      } finally {
+        logMetrics(ctx);
+      }
+    }
+  },
 };
@@ -44,13 +44,14 @@ const PURGE_CLIENTS = {
  *   ('fastly', 'cloudflare', 'akamai', 'managed')
  * @param {Object} params - Purge parameters
  * @param {Array<string>} [params.keys] - Surrogate keys (cache tags) to purge
+ * @returns {Promise<boolean>} whether the CDN was purged, false if purging was skipped
  * @throws {Error} If the CDN type is not supported
  */
 export async function purgeProductionCDN(ctx, cdnConfig, { keys }) {
   const { type } = cdnConfig;
 
   if ((!keys || !keys.length)) {
-    return;
+    return false;
   }
 
   const client = PURGE_CLIENTS[type];
@@ -63,10 +64,11 @@ export async function purgeProductionCDN(ctx, cdnConfig, { keys }) {
     // ignore the production purge since customers might have
     // deliberately configured their setup only partially
     ctx.log.warn(`ignoring production cdn purge config for type "${type}": ${e.message}`);
-    return;
+    return false;
   }
 
   await client.purge(ctx, cdnConfig, { keys });
+  return true;
 }
 
 /**
@@ -139,7 +141,7 @@ export async function purge(ctx, requestInfo, path) {
  * @param {Readonly<import('../../utils/RequestInfo.js').RequestInfo>} requestInfo
  * @param {Array<{path: string}>} products
  *   Array of product objects to purge. Each product must have a path.
- * @returns {Promise<void>}
+ * @returns {Promise<boolean>} whether the CDN was purged, false if purging was skipped
  *
  * @example
  * await purgeBatch(ctx, requestInfo, [
@@ -156,7 +158,7 @@ export async function purgeBatch(ctx, requestInfo, products) {
 
   if (!cdnConfig) {
     log.warn('No production CDN configuration found, skipping batch purge');
-    return;
+    return false;
   }
 
   // Collect all cache keys from all products
@@ -181,7 +183,7 @@ export async function purgeBatch(ctx, requestInfo, products) {
 
   if (!uniqueKeys.length) {
     log.warn('No keys to purge in batch, skipping purge');
-    return;
+    return false;
   }
 
   log.info(`Purging ${uniqueKeys.length} unique cache keys for ${products.length} products`);
@@ -189,5 +191,5 @@ export async function purgeBatch(ctx, requestInfo, products) {
   // Make a single CDN call with all keys
   // The CDN clients will automatically batch internally based on their limits
   // (Fastly: 256, Cloudflare: 30, Managed: 256, Akamai: unlimited)
-  await purgeProductionCDN(ctx, cdnConfig, { keys: uniqueKeys });
+  return purgeProductionCDN(ctx, cdnConfig, { keys: uniqueKeys });
 }
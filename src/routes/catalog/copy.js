@@ -0,0 +1,171 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import { errorResponse } from '../../utils/http.js';
+import StorageClient from '../../utils/StorageClient.js';
+import {
+  continueListingJob,
+  endListingJob,
+  getCatalogJobStatus,
+  publishCatalogJobs,
+  runCatalogJobChunk,
+  tallyChunkResults,
+} from '../../utils/jobs.js';
+import { MAX_PRODUCT_BULK, saveProducts } from './update.js';
+import { PREFIX_PATTERN } from './list.js';
+
+/**
+ * Number of source keys copied per queue message.
+ */
+export const COPY_CHUNK_SIZE = MAX_PRODUCT_BULK;
+
+const NAME_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+/**
+ * Copy the products of another site, or the ones under a path prefix, into this site.
+ * The products are copied in the background, progress is available at `/jobs/<id>`.
+ *
+ * POST /catalog/jobs/copy
+ * { "source": { "org": "acme", "site": "staging" }, "prefix": "/products/" }
+ *
+ * Requires an admin of the target site with access to the source site;
+ * copying between orgs requires a superuser.
+ *
+ * @type {RouteHandler}
+ */
+export default async function copyProducts(ctx) {
+  const { requestInfo, data } = ctx;
+  const { org, site } = requestInfo;
+  if (!ctx.authInfo.isAdmin()) {
+    return errorResponse(403, 'access denied');
+  }
+  ctx.authInfo.assertOrgSite(org, site);
+
+  const sourceOrg = data?.source?.org ?? org;
+  const sourceSite = data?.source?.site;
+  if (!NAME_PATTERN.test(sourceOrg) || typeof sourceSite !== 'string' || !NAME_PATTERN.test(sourceSite)) {
+    return errorResponse(400, 'invalid source');
+  }
+  if (sourceOrg === org && sourceSite === site) {
+    return errorResponse(400, 'source must be another site');
+  }
+  if (sourceOrg !== org && !ctx.authInfo.isSuperuser()) {
+    return errorResponse(403, 'access denied');
+  }
+  ctx.authInfo.assertOrgSite(sourceOrg, sourceSite);
+
+  const prefix = data.prefix || '/';
+  if (typeof prefix !== 'string' || !PREFIX_PATTERN.test(prefix)) {
+    return errorResponse(400, 'invalid prefix');
+  }
+
+  // the number of products is only known once the source has been listed
+  /** @type {CatalogJob} */
+  const job = {
+    id: crypto.randomUUID(),
+    type: 'copy',
+    createdAt: new Date().toISOString(),
+    source: { org: sourceOrg, site: sourceSite },
+    prefix,
+  };
+
+  const storage = StorageClient.fromContext(ctx);
+  await storage.saveCatalogJob(job);
+  await publishCatalogJobs(ctx, [{
+    type: 'copy',
+    org,
+    site,
+    jobId: job.id,
+    chunk: 0,
+    listed: 0,
+  }]);
+
+  ctx.log.info({
+    action: 'copy_products',
+    jobId: job.id,
+    source: `${sourceOrg}/${sourceSite}`,
+    prefix,
+    timestamp: new Date().toISOString(),
+  });
+
+  return new Response(JSON.stringify(await getCatalogJobStatus(ctx, job)), {
+    status: 202,
+    headers: {
+      'Content-Type': 'application/json',
+      Location: `/${org}/sites/${site}/catalog/jobs/${job.id}`,
+    },
+  });
+}
+
+/**
+ * Process one chunk of a copy job.
+ * Each chunk lists the next page of the source and queues the chunk after it,
+ * so the source is never listed up front. The products are saved like a bulk POST,
+ * which keeps their `internal` data, and indexes and purges them on the target site.
+ * If the chunk is given up before the next one was queued, the job ends with it.
+ *
+ * @param {Context} ctx
+ * @param {CatalogCopyMessage} message
+ * @param {number} [attempts] - delivery attempts of the message, including this one
+ */
+export async function processCopyChunk(ctx, message, attempts = 1) {
+  const { log } = ctx;
+  const {
+    jobId, chunk, cursor, listed,
+  } = message;
+  const storage = StorageClient.fromContext(ctx);
+
+  const job = await storage.getCatalogJob(jobId);
+  if (!job) {
+    log.warn(`copy job ${jobId} not found`);
+    return;
+  }
+
+  let count;
+  let continued = false;
+
+  await runCatalogJobChunk(ctx, message, attempts, async () => {
+    const page = await storage.fetchProductsByPrefix(
+      job.source.org,
+      job.source.site,
+      job.prefix,
+      { limit: COPY_CHUNK_SIZE, cursor },
+    );
+    const { products } = page;
+    count = products.length;
+
+    await continueListingJob(ctx, job, message, page.cursor, count);
+    continued = true;
+
+    const { results } = products.length > 0
+      ? await saveProducts(ctx, products)
+      : { results: [] };
+    return tallyChunkResults(chunk, results);
+  }, async (e) => {
+    if (!continued) {
+      // the rest of the source can't be listed, end the job with this chunk
+      await endListingJob(ctx, message, count ?? 0);
+    }
+    return {
+      chunk,
+      saved: 0,
+      unchanged: 0,
+      failed: count ?? 0,
+      errors: [{
+        status: 500,
+        message: continued
+          ? `failed to copy ${count} products: ${e.message}`
+          : `copy stopped after ${listed} products: ${e.message}`,
+      }],
+    };
+  });
+}
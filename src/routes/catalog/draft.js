@@ -0,0 +1,115 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import { errorResponse } from '../../utils/http.js';
+import StorageClient from '../../utils/StorageClient.js';
+import { getWriteConditions } from '../../utils/conditional.js';
+import { doUpdate } from './update.js';
+import { parseBulkPaths } from './remove.js';
+
+/**
+ * Publish the drafts of one product, or of up to `MAX_PRODUCT_BULK` products with
+ * POST /catalog/* { "action": "publish", "paths": [...] }
+ *
+ * Drafts are saved through the same pipeline as a PUT, so the live products
+ * are versioned, indexed and purged from the production CDN (see `purgeBatch`).
+ * Published drafts are removed, drafts that fail to publish are kept.
+ *
+ * POST /catalog/products/foo.json { "action": "publish" }
+ *
+ * @type {RouteHandler}
+ */
+export default async function publish(ctx) {
+  const { log, requestInfo, data } = ctx;
+  const { path, org, site } = requestInfo;
+
+  ctx.authInfo.assertPermissions('catalog:write');
+  ctx.authInfo.assertOrgSite(org, site);
+
+  const bulk = path === '/*';
+  const conditions = getWriteConditions(requestInfo);
+  let paths = [path];
+  if (bulk) {
+    if (conditions?.etagMatches && conditions.etagMatches !== '*') {
+      return errorResponse(400, 'If-Match with an entity tag is only supported for single products');
+    }
+    const parsed = parseBulkPaths(data?.paths);
+    if (parsed instanceof Response) {
+      return parsed;
+    }
+    paths = parsed;
+  }
+
+  const storage = StorageClient.fromContext(ctx);
+  const drafts = await Promise.all(paths.map((p) => storage.getDraftProductEntry(p)));
+
+  const products = [];
+  /** @type {Partial<BatchResult>[]} */
+  const rejected = [];
+  drafts.forEach((draft, i) => {
+    if (draft) {
+      products.push(draft.product);
+    } else {
+      rejected.push({ path: paths[i].replace(/\.json$/, ''), status: 404, message: 'Draft not found' });
+    }
+  });
+
+  if (!bulk && rejected.length) {
+    return errorResponse(404, 'Draft not found');
+  }
+
+  const resp = await doUpdate(ctx, products, conditions, rejected);
+  if (!resp.headers.get('content-type')?.includes('application/json')) {
+    return resp;
+  }
+
+  const { product, products: results = [product] } = await resp.clone().json();
+  const published = results.filter((r) => r.status === 200 || r.status === 201);
+  await Promise.all(published.map((r) => storage.deleteDraftProduct(r.path)));
+
+  log.info({
+    action: 'publish_drafts',
+    count: published.length,
+    timestamp: new Date().toISOString(),
+  });
+
+  return resp;
+}
+
+/**
+ * Discard the draft of a product, the live product is left as is.
+ *
+ * DELETE /catalog/products/foo.json?state=draft
+ *
+ * @type {RouteHandler}
+ */
+export async function discardDraft(ctx) {
+  const { requestInfo } = ctx;
+  const { path, org, site } = requestInfo;
+
+  ctx.authInfo.assertPermissions('catalog:write');
+  ctx.authInfo.assertOrgSite(org, site);
+
+  const storage = StorageClient.fromContext(ctx);
+  const draft = await storage.getDraftProductEntry(path);
+  if (!draft) {
+    return errorResponse(404, 'Draft not found');
+  }
+  await storage.deleteDraftProduct(path);
+
+  ctx.log.info({
+    action: 'discard_draft',
+    path,
+    timestamp: new Date().toISOString(),
+  });
+  return new Response(null, { status: 204 });
+}
@@ -0,0 +1,89 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import { errorResponse } from '../../utils/http.js';
+import StorageClient from '../../utils/StorageClient.js';
+import { NDJSON_CONTENT_TYPE } from '../../utils/ndjson.js';
+import { PREFIX_PATTERN } from './list.js';
+
+/**
+ * Export the catalog as NDJSON, one product per line.
+ *
+ * GET /catalog/export?prefix=/products/&since=2026-01-01T00:00:00Z
+ *
+ * The products are streamed while the catalog is listed, so the response
+ * works for catalogs of any size. `internal` data is left out, so an export
+ * can be imported again as is.
+ *
+ * @type {RouteHandler}
+ */
+export default async function exportProducts(ctx) {
+  const { requestInfo, data, log } = ctx;
+  const { org, site } = requestInfo;
+
+  ctx.authInfo.assertPermissions('catalog:read');
+  ctx.authInfo.assertOrgSite(org, site);
+
+  const prefix = data.prefix || '/';
+  if (!PREFIX_PATTERN.test(prefix)) {
+    return errorResponse(400, 'invalid prefix');
+  }
+
+  let modifiedSince;
+  if (data.since) {
+    modifiedSince = new Date(data.since);
+    if (Number.isNaN(modifiedSince.getTime())) {
+      return errorResponse(400, 'invalid since');
+    }
+  }
+
+  const storage = StorageClient.fromContext(ctx);
+  const products = storage.iterateProductsByPath(prefix, { modifiedSince });
+  const encoder = new TextEncoder();
+  let count = 0;
+
+  const stream = new ReadableStream({
+    async pull(controller) {
+      try {
+        const { value: product, done } = await products.next();
+        if (done) {
+          log.info({
+            action: 'export_products',
+            prefix,
+            count,
+            timestamp: new Date().toISOString(),
+          });
+          controller.close();
+          return;
+        }
+        delete product.internal;
+        count += 1;
+        controller.enqueue(encoder.encode(`${JSON.stringify(product)}\n`));
+      } catch (e) {
+        // the status has already been sent, the client sees a truncated response
+        log.error(`export of ${org}/${site} failed after ${count} products: ${e.message}`);
+        controller.error(e);
+      }
+    },
+    async cancel() {
+      await products.return(undefined);
+    },
+  });
+
+  return new Response(stream, {
+    headers: {
+      'Content-Type': NDJSON_CONTENT_TYPE,
+      'Content-Disposition': `attachment; filename="${org}-${site}-catalog.ndjson"`,
+      'Cache-Control': 'no-store',
+    },
+  });
+}
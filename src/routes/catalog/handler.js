@@ -15,6 +15,20 @@ import { PATH_PATTERN_WITH_JSON } from '../../utils/validation.js';
 import retrieve from './retrieve.js';
 import update from './update.js';
 import remove from './remove.js';
+import list from './list.js';
+import patch from './patch.js';
+import versions from './versions.js';
+import restore from './restore.js';
+import move from './move.js';
+import sku from './sku.js';
+import jobs from './jobs.js';
+import importProducts from './import.js';
+import exportProducts from './export.js';
+import copyProducts from './copy.js';
+import reindexProducts from './reindex.js';
+import scheduledProduct from './schedule.js';
+import publish, { discardDraft } from './draft.js';
+import jsonld from './jsonld.js';
 
 /**
  * @type {RouteHandler}
@@ -27,6 +41,47 @@ export default async function handler(ctx, request) {
     return errorResponse(404, 'path is required');
   }
 
+  // GET on a directory path (trailing slash) or the wildcard lists products
+  if (method === 'GET' && (path === '/*' || path.endsWith('/'))) {
+    return list(ctx, request);
+  }
+
+  // GET /sku/<sku> looks up a product by SKU
+  if (method === 'GET' && path.startsWith('/sku/') && !path.endsWith('.json')) {
+    return sku(ctx, request);
+  }
+
+  // GET <path>.jsonld serves the schema.org JSON-LD of a product
+  if (method === 'GET' && path.endsWith('.jsonld')) {
+    return jsonld(ctx, request);
+  }
+
+  // GET /export streams the catalog as NDJSON
+  if (method === 'GET' && path === '/export') {
+    return exportProducts(ctx, request);
+  }
+
+  // POST /jobs/import, /jobs/copy and /jobs/reindex start a job,
+  // GET /jobs/<id> reports its progress
+  if (method === 'POST' && path === '/jobs/import') {
+    return importProducts(ctx, request);
+  }
+  if (method === 'POST' && path === '/jobs/copy') {
+    return copyProducts(ctx, request);
+  }
+  if (method === 'POST' && path === '/jobs/reindex') {
+    return reindexProducts(ctx, request);
+  }
+  if (method === 'GET' && path.startsWith('/jobs/') && !path.endsWith('.json')) {
+    return jobs(ctx, request);
+  }
+
+  // ?state selects the live products (default) or their drafts
+  const state = ctx.url.searchParams.get('state');
+  if (state !== null && state !== 'live' && state !== 'draft') {
+    return errorResponse(400, 'invalid state');
+  }
+
   // Validate path format (skip validation for wildcard bulk operations)
   if (path !== '/*' && !PATH_PATTERN_WITH_JSON.test(path)) {
     return errorResponse(400, 'Invalid path format. Path must start with / and contain only lowercase letters, numbers, hyphens, and forward slashes');
@@ -34,15 +89,49 @@ export default async function handler(ctx, request) {
 
   switch (method) {
     case 'GET':
+      if (ctx.data?.versions !== undefined || ctx.data?.version !== undefined) {
+        return versions(ctx, request);
+      }
+      if (ctx.data?.scheduled !== undefined) {
+        return scheduledProduct(ctx, request);
+      }
       return retrieve(ctx, request);
     case 'POST':
-      if (path !== '/*') {
-        return errorResponse(400, 'POST only allowed for bulk operations at /*');
+      if (path === '/*') {
+        // bulk actions are sent as an object, bulk updates as an array
+        if (ctx.data?.action === 'delete') {
+          return remove(ctx, request);
+        }
+        if (ctx.data?.action === 'publish') {
+          return publish(ctx, request);
+        }
+        return update(ctx, request);
+      }
+      // POST to a single product path performs an action on it
+      switch (ctx.data?.action) {
+        case 'restore':
+          return restore(ctx, request);
+        case 'move':
+          return move(ctx, request);
+        case 'publish':
+          return publish(ctx, request);
+        default:
+          return errorResponse(400, 'POST only allowed for bulk operations at /* or with a supported action');
       }
-      return update(ctx, request);
     case 'PUT':
       return update(ctx, request);
+    case 'PATCH':
+      if (state === 'draft') {
+        return errorResponse(400, 'drafts can not be patched');
+      }
+      return patch(ctx, request);
     case 'DELETE':
+      if (path !== '/*' && ctx.url.searchParams.has('scheduled')) {
+        return scheduledProduct(ctx, request);
+      }
+      if (path !== '/*' && state === 'draft') {
+        return discardDraft(ctx, request);
+      }
       return remove(ctx, request);
     default:
       return errorResponse(405, 'method not allowed');
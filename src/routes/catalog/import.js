@@ -0,0 +1,241 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import { errorResponse } from '../../utils/http.js';
+import { validateProduct } from '../../utils/product.js';
+import { parseNdjson } from '../../utils/ndjson.js';
+import StorageClient from '../../utils/StorageClient.js';
+import {
+  getCatalogJobStatus,
+  publishCatalogJobs,
+  runCatalogJobChunk,
+  tallyChunkResults,
+} from '../../utils/jobs.js';
+import { MAX_PRODUCT_BULK, saveProducts } from './update.js';
+
+/**
+ * Number of records processed per queue message.
+ */
+export const IMPORT_CHUNK_SIZE = MAX_PRODUCT_BULK;
+
+const NEWLINE = 0x0a;
+
+/**
+ * Bytes that don't make a line a record: space, tab and carriage return.
+ */
+const BLANK_BYTES = new Set([0x20, 0x09, 0x0d]);
+
+/**
+ * Split NDJSON into chunks of at most `chunkSize` records, while it is streamed through.
+ * Blank lines are skipped, but still count for line numbers.
+ * The chunks are complete once the stream has been read to the end.
+ *
+ * @param {number} [chunkSize]
+ * @returns {{
+ *   stream: TransformStream<Uint8Array, Uint8Array>,
+ *   chunks: { firstLine: number, offset: number, length: number, count: number }[],
+ * }}
+ */
+export function splitRecords(chunkSize = IMPORT_CHUNK_SIZE) {
+  const chunks = [];
+  let current;
+  let line = 1;
+  let lineOffset = 0;
+  let isRecord = false;
+  let offset = 0;
+
+  const endLine = (end) => {
+    if (isRecord) {
+      if (!current || current.count === chunkSize) {
+        current = {
+          firstLine: line,
+          offset: lineOffset,
+          length: 0,
+          count: 0,
+        };
+        chunks.push(current);
+      }
+      current.length = end - current.offset;
+      current.count += 1;
+    }
+    line += 1;
+    lineOffset = end + 1;
+    isRecord = false;
+  };
+
+  const stream = new TransformStream({
+    transform(bytes, controller) {
+      for (let i = 0; i < bytes.length; i += 1) {
+        if (bytes[i] === NEWLINE) {
+          endLine(offset + i);
+        } else if (!BLANK_BYTES.has(bytes[i])) {
+          isRecord = true;
+        }
+      }
+      offset += bytes.length;
+      controller.enqueue(bytes);
+    },
+    flush() {
+      endLine(offset);
+    },
+  });
+
+  return { stream, chunks };
+}
+
+/**
+ * Import products from an NDJSON file, one `ProductBusEntry` per line.
+ * The file is streamed to storage, and the records are processed in the background;
+ * progress is available at `/jobs/<id>`.
+ *
+ * POST /catalog/jobs/import
+ *
+ * @type {RouteHandler}
+ */
+export default async function importProducts(ctx, request) {
+  const { requestInfo } = ctx;
+  const { org, site } = requestInfo;
+  ctx.authInfo.assertPermissions('catalog:write');
+  ctx.authInfo.assertOrgSite(org, site);
+
+  if (!request.body) {
+    return errorResponse(400, 'no products to import');
+  }
+  // storage needs the size of a streamed upload up front
+  const size = Number(request.headers.get('content-length'));
+  if (!Number.isInteger(size) || size <= 0) {
+    return errorResponse(411, 'content-length required');
+  }
+
+  const id = crypto.randomUUID();
+  const storage = StorageClient.fromContext(ctx);
+  const { stream, chunks } = splitRecords();
+  const source = new FixedLengthStream(size);
+  await Promise.all([
+    request.body.pipeThrough(stream).pipeTo(source.writable),
+    storage.saveCatalogJobSource(id, source.readable),
+  ]);
+
+  if (chunks.length === 0) {
+    await storage.deleteCatalogJobSource(id);
+    return errorResponse(400, 'no products to import');
+  }
+
+  /** @type {CatalogJob} */
+  const job = {
+    id,
+    type: 'import',
+    createdAt: new Date().toISOString(),
+    total: chunks.reduce((acc, chunk) => acc + chunk.count, 0),
+    chunks: chunks.length,
+  };
+
+  await storage.saveCatalogJob(job);
+  await publishCatalogJobs(ctx, chunks.map((chunk, i) => ({
+    type: 'import',
+    org,
+    site,
+    jobId: job.id,
+    chunk: i,
+    ...chunk,
+  })));
+
+  ctx.log.info({
+    action: 'import_products',
+    jobId: job.id,
+    total: job.total,
+    chunks: job.chunks,
+    timestamp: new Date().toISOString(),
+  });
+
+  return new Response(JSON.stringify(await getCatalogJobStatus(ctx, job)), {
+    status: 202,
+    headers: {
+      'Content-Type': 'application/json',
+      Location: `/${org}/sites/${site}/catalog/jobs/${job.id}`,
+    },
+  });
+}
+
+/**
+ * Process one chunk of an import job.
+ * Invalid records are reported with their line number, valid ones are saved.
+ * If the chunk is given up, all of its records are reported as failed.
+ * The source of the job is deleted once all of its chunks are processed.
+ *
+ * @param {Context} ctx
+ * @param {CatalogImportMessage} message
+ * @param {number} [attempts] - delivery attempts of the message, including this one
+ */
+export async function processImportChunk(ctx, message, attempts = 1) {
+  const {
+    jobId, chunk, firstLine, offset, length, count,
+  } = message;
+  const storage = StorageClient.fromContext(ctx);
+
+  await runCatalogJobChunk(ctx, message, attempts, async () => {
+    const text = await storage.getCatalogJobSource(jobId, { offset, length });
+    if (text === null) {
+      throw new Error(`source of job ${jobId} not found`);
+    }
+
+    /** @type {CatalogJobError[]} */
+    const errors = [];
+    const products = [];
+    const lineByPath = new Map();
+    parseNdjson(text, firstLine).forEach(({ line, value: product, error }) => {
+      if (error) {
+        errors.push({ line, status: 400, message: error });
+        return;
+      }
+      const validationErrors = validateProduct(product);
+      if (validationErrors) {
+        errors.push({
+          line,
+          sku: product?.sku,
+          path: product?.path,
+          status: 400,
+          message: 'Invalid product',
+          errors: validationErrors,
+        });
+        return;
+      }
+      if (!lineByPath.has(product.path)) {
+        lineByPath.set(product.path, line);
+      }
+      products.push(product);
+    });
+
+    const { results } = products.length > 0
+      ? await saveProducts(ctx, products)
+      : { results: [] };
+    return tallyChunkResults(chunk, results, errors, lineByPath);
+  }, async (e) => ({
+    chunk,
+    saved: 0,
+    unchanged: 0,
+    failed: count,
+    errors: [{
+      line: firstLine,
+      status: 500,
+      message: `failed to process ${count} records starting at line ${firstLine}: ${e.message}`,
+    }],
+  }));
+
+  // the uploaded file is not needed once every chunk has a result,
+  // the results are kept for the job status
+  const job = await storage.getCatalogJob(jobId);
+  const results = await storage.listCatalogJobChunkResults(jobId);
+  if (job && results.length >= job.chunks) {
+    await storage.deleteCatalogJobSource(jobId);
+  }
+}
@@ -0,0 +1,73 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import { errorResponse } from '../../utils/http.js';
+import StorageClient from '../../utils/StorageClient.js';
+import { JOB_ID_PATTERN, getCatalogJobStatus } from '../../utils/jobs.js';
+import { processImportChunk } from './import.js';
+import { processCopyChunk } from './copy.js';
+import { processReindexChunk } from './reindex.js';
+
+/**
+ * Process a message of the catalog jobs queue.
+ *
+ * @param {Context} ctx
+ * @param {CatalogJobMessage} message
+ * @param {number} [attempts] - delivery attempts of the message, including this one
+ */
+export async function processJob(ctx, message, attempts = 1) {
+  switch (message.type) {
+    case 'import':
+      return processImportChunk(ctx, message, attempts);
+    case 'copy':
+      return processCopyChunk(ctx, message, attempts);
+    case 'reindex':
+      return processReindexChunk(ctx, message, attempts);
+    case 'prune-versions':
+      return StorageClient.fromContext(ctx).pruneProductVersions(message.paths);
+    default:
+      ctx.log.warn(`unknown catalog job type: ${message.type}`);
+      return undefined;
+  }
+}
+
+/**
+ * Get the status of a catalog job.
+ *
+ * GET /catalog/jobs/<id>
+ *
+ * @type {RouteHandler}
+ */
+export default async function jobs(ctx) {
+  const { requestInfo } = ctx;
+  const { path, org, site } = requestInfo;
+  ctx.authInfo.assertPermissions('catalog:read');
+  ctx.authInfo.assertOrgSite(org, site);
+
+  const id = path.substring('/jobs/'.length);
+  if (!JOB_ID_PATTERN.test(id)) {
+    return errorResponse(400, 'invalid job id');
+  }
+
+  const storage = StorageClient.fromContext(ctx);
+  const job = await storage.getCatalogJob(id);
+  if (!job) {
+    return errorResponse(404, 'Job not found');
+  }
+
+  return new Response(JSON.stringify(await getCatalogJobStatus(ctx, job)), {
+    headers: {
+      'Content-Type': 'application/json',
+      'Cache-Control': 'no-store',
+    },
+  });
+}
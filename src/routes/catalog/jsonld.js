@@ -0,0 +1,96 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import { errorResponse } from '../../utils/http.js';
+import { PATH_PATTERN } from '../../utils/validation.js';
+import StorageClient from '../../utils/StorageClient.js';
+import {
+  etagNotModified,
+  withAvailability,
+  withLocale,
+  withPricePeriod,
+} from '../../utils/conditional.js';
+import { fetchProductBusConfig } from '../../utils/config.js';
+import { getPriceOptions, pricePeriod, resolvePrices } from '../../utils/pricing.js';
+import { getRequestedLocales, localizeForRequest } from '../../utils/locale.js';
+import { applyInventory } from '../../utils/inventory.js';
+import { JSON_LD_CONTENT_TYPE, mergeJsonLd, productJsonLd } from '../../utils/jsonld.js';
+
+/**
+ * Schema.org JSON-LD of a product.
+ *
+ * GET /catalog/<path>.jsonld
+ *
+ * The document is generated from the structured fields of the product, with prices
+ * texts and availability resolved like for product requests. A `jsonld` of the product is merged
+ * over the generated document.
+ *
+ * @type {RouteHandler}
+ */
+export default async function jsonld(ctx) {
+  const { requestInfo, log } = ctx;
+
+  const path = requestInfo.path.replace(/\.jsonld$/, '');
+  if (!PATH_PATTERN.test(path)) {
+    return errorResponse(400, 'invalid path');
+  }
+
+  const priceOptions = getPriceOptions(ctx.url.searchParams);
+  const requestedLocales = getRequestedLocales(ctx);
+  const storage = StorageClient.fromContext(ctx);
+  // the body is always read, as the document also changes with the price period and inventory
+  const { product, etag, lastModified } = await storage.getProductEntryByPath(`${path}.json`);
+
+  const now = Date.now();
+  const period = pricePeriod(product, now);
+  const availability = await applyInventory(ctx, product);
+  const { 'Content-Language': locale, ...localeHeaders } = await localizeForRequest(
+    ctx,
+    product,
+    requestedLocales,
+  );
+  const documentEtag = etag
+    ? withLocale(withAvailability(withPricePeriod(etag, period), availability), locale)
+    : undefined;
+  const config = await fetchProductBusConfig(ctx);
+  const headers = {
+    ...(documentEtag ? { ETag: documentEtag } : {}),
+    ...(lastModified && period === undefined && availability === undefined
+      ? { 'Last-Modified': lastModified.toUTCString() }
+      : {}),
+    ...(config?.catalogCacheControl ? { 'Cache-Control': config.catalogCacheControl } : {}),
+    ...localeHeaders,
+  };
+  if (documentEtag && etagNotModified(requestInfo, documentEtag)) {
+    return new Response(null, { status: 304, headers });
+  }
+
+  resolvePrices(product, priceOptions, now);
+
+  let document = productJsonLd(product);
+  if (product.jsonld) {
+    const merged = mergeJsonLd(document, product.jsonld);
+    if (merged) {
+      document = merged;
+    } else {
+      log.warn(`jsonld of product ${path} is not a JSON object, serving the generated document`);
+    }
+  }
+
+  return new Response(JSON.stringify(document), {
+    headers: {
+      'Content-Type': JSON_LD_CONTENT_TYPE,
+      ...headers,
+      ...(locale ? { 'Content-Language': locale } : {}),
+    },
+  });
+}
@@ -0,0 +1,55 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import { errorResponse } from '../../utils/http.js';
+import StorageClient from '../../utils/StorageClient.js';
+import { DIRECTORY_PATH_PATTERN } from '../../utils/validation.js';
+import { getPagingOptions } from '../../utils/paging.js';
+
+/**
+ * Prefix filter for wildcard listings, may end in a partial segment.
+ */
+export const PREFIX_PATTERN = /^\/([a-z0-9_-]+\/)*[a-z0-9_-]*$/;
+
+/**
+ * List products under a directory path.
+ *
+ * GET /catalog/products/ lists everything under `/products/`,
+ * GET /catalog/*?prefix=/products/bl lists by arbitrary path prefix.
+ * Paging is done with `limit` and the opaque `cursor` from the previous page.
+ *
+ * @type {RouteHandler}
+ */
+export default async function list(ctx) {
+  const { requestInfo, data } = ctx;
+  const { path, org, site } = requestInfo;
+
+  ctx.authInfo.assertPermissions('catalog:read');
+  ctx.authInfo.assertOrgSite(org, site);
+
+  let prefix = path;
+  if (path === '/*') {
+    prefix = data.prefix || '/';
+    if (!PREFIX_PATTERN.test(prefix)) {
+      return errorResponse(400, 'invalid prefix');
+    }
+  } else if (path !== '/' && !DIRECTORY_PATH_PATTERN.test(path.slice(0, -1))) {
+    return errorResponse(400, 'invalid path');
+  }
+
+  const storage = StorageClient.fromContext(ctx);
+  const { products, cursor } = await storage.listProductsByPath(prefix, getPagingOptions(data));
+
+  return new Response(JSON.stringify({ products, cursor }), {
+    headers: { 'Content-Type': 'application/json' },
+  });
+}
@@ -0,0 +1,111 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import { errorResponse } from '../../utils/http.js';
+import StorageClient from '../../utils/StorageClient.js';
+import { fetchHelixConfig } from '../../utils/config.js';
+import { publishIndexingJobs } from '../../utils/indexer.js';
+import { publishProductEvents } from '../../utils/webhooks.js';
+import { PATH_PATTERN_WITH_JSON } from '../../utils/validation.js';
+import { getWriteConditions, normalizeEtag, writeConditionsMet } from '../../utils/conditional.js';
+
+/**
+ * Move a product to a new path.
+ * The stored product is copied as is, including its `internal` state, the old path
+ * is deleted and a redirect record is written, so GET on the old path answers with a 301.
+ *
+ * POST /catalog/products/foo.json { "action": "move", "to": "/products/bar" }
+ *
+ * @type {RouteHandler}
+ */
+export default async function move(ctx) {
+  const { log, requestInfo, data } = ctx;
+  const { path, org, site } = requestInfo;
+
+  ctx.authInfo.assertPermissions('catalog:write');
+  ctx.authInfo.assertOrgSite(org, site);
+
+  if (typeof data.to !== 'string' || !PATH_PATTERN_WITH_JSON.test(data.to)) {
+    return errorResponse(400, 'invalid target path');
+  }
+
+  const from = path.replace(/\.json$/, '');
+  const to = data.to.replace(/\.json$/, '');
+  if (from === to) {
+    return errorResponse(400, 'target path must differ from the product path');
+  }
+
+  const storage = StorageClient.fromContext(ctx);
+  const { product, etag } = await storage.getProductEntryByPath(`${from}.json`);
+  const currentEtag = etag ? normalizeEtag(etag) : undefined;
+  if (!writeConditionsMet(currentEtag, getWriteConditions(requestInfo))) {
+    return errorResponse(412, 'Precondition failed');
+  }
+
+  try {
+    // used to purge both paths from the CDN
+    ctx.attributes.helixConfigCache = await fetchHelixConfig(ctx, org, site);
+  } catch (e) {
+    log.error(`Failed to load helix config, moved product is not purged: ${e.message}`);
+  }
+
+  product.path = to;
+  const [saved] = await storage.saveProductsByPath([product], true, { etagDoesNotMatch: '*' });
+  if (saved.status === 412) {
+    return errorResponse(409, `a product already exists at ${to}`);
+  }
+  if (saved.status !== 200) {
+    return errorResponse(500, `failed to move product: ${saved.message}`);
+  }
+
+  // only delete the old path if it was not changed in the meantime
+  const [deleted] = await storage.deleteProductsByPath(
+    [`${from}.json`],
+    currentEtag ? { etagMatches: currentEtag } : undefined,
+  );
+  if (deleted.status !== 200) {
+    log.error(`Product copied to ${to}, but deleting ${from} failed: ${deleted.message}`);
+    return errorResponse(500, `product copied to ${to}, but deleting ${from} failed`);
+  }
+
+  const redirect = await storage.saveProductRedirect(from, to);
+
+  await publishIndexingJobs(ctx, {
+    org,
+    site,
+    products: [
+      { path: to, action: 'update' },
+      { path: from, action: 'delete' },
+    ],
+    timestamp: Date.now(),
+  });
+
+  try {
+    await publishProductEvents(ctx, [
+      { type: 'create', path: to, sku: product.sku },
+      { type: 'delete', path: from, sku: product.sku },
+    ]);
+  } catch (e) {
+    log.error(`Failed to publish webhook events for moved product: ${e.message}`);
+  }
+
+  log.info({
+    action: 'move_product',
+    result: JSON.stringify({ saved, deleted }),
+    timestamp: new Date().toISOString(),
+  });
+
+  return new Response(JSON.stringify({ product: saved, redirect }), {
+    status: 201,
+    headers: { 'Content-Type': 'application/json' },
+  });
+}
@@ -0,0 +1,67 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import { errorResponse } from '../../utils/http.js';
+import StorageClient from '../../utils/StorageClient.js';
+import { assertValidProduct } from '../../utils/product.js';
+import { mergePatch } from '../../utils/object.js';
+import { getWriteConditions } from '../../utils/conditional.js';
+import { doUpdate } from './update.js';
+
+/**
+ * Partially update a product with a JSON Merge Patch (RFC 7386).
+ * The merged product goes through the same pipeline as a PUT.
+ *
+ * @type {RouteHandler}
+ */
+export default async function patch(ctx) {
+  const { requestInfo, data } = ctx;
+  const { path, org, site } = requestInfo;
+
+  ctx.authInfo.assertPermissions('catalog:write');
+  ctx.authInfo.assertOrgSite(org, site);
+
+  if (path === '/*') {
+    return errorResponse(400, 'PATCH not supported for bulk operations');
+  }
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return errorResponse(400, 'merge patch must be a JSON object');
+  }
+
+  const productPath = path.endsWith('.json') ? path.slice(0, -5) : path;
+  if (data.path !== undefined && data.path !== productPath) {
+    return errorResponse(400, `path in body (${data.path}) must match path in URL (${productPath})`);
+  }
+
+  const storage = StorageClient.fromContext(ctx);
+  const existing = await storage.fetchProductByPath(org, site, productPath, false);
+  if (!existing) {
+    return errorResponse(404, 'Product not found');
+  }
+
+  // internal state is owned by the API and can not be patched
+  const current = JSON.parse(JSON.stringify(existing));
+  const patchData = { ...data };
+  delete current.internal;
+  delete patchData.internal;
+
+  const product = mergePatch(current, patchData);
+  product.path = productPath;
+
+  const t0 = Date.now();
+  assertValidProduct(ctx, product);
+  const dt = Date.now() - t0;
+  if (ctx.metrics) ctx.metrics.payloadValidationMs.push(dt);
+
+  return doUpdate(ctx, [product], getWriteConditions(requestInfo));
+}
@@ -0,0 +1,155 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import { errorResponse } from '../../utils/http.js';
+import StorageClient from '../../utils/StorageClient.js';
+import {
+  continueListingJob,
+  endListingJob,
+  getCatalogJobStatus,
+  publishCatalogJobs,
+  runCatalogJobChunk,
+} from '../../utils/jobs.js';
+import { MAX_PRODUCT_BULK } from './update.js';
+
+/**
+ * Number of products indexed per queue message.
+ */
+export const REINDEX_CHUNK_SIZE = MAX_PRODUCT_BULK;
+
+/**
+ * Rebuild the SKU index entries of all products of the site,
+ * e.g. for products stored before the index existed.
+ * The products are indexed in the background, progress is available at `/jobs/<id>`.
+ *
+ * POST /catalog/jobs/reindex
+ *
+ * Requires an admin of the site.
+ *
+ * @type {RouteHandler}
+ */
+export default async function reindexProducts(ctx) {
+  const { requestInfo } = ctx;
+  const { org, site } = requestInfo;
+  if (!ctx.authInfo.isAdmin()) {
+    return errorResponse(403, 'access denied');
+  }
+  ctx.authInfo.assertOrgSite(org, site);
+
+  // the number of products is only known once the catalog has been listed
+  /** @type {CatalogJob} */
+  const job = {
+    id: crypto.randomUUID(),
+    type: 'reindex',
+    createdAt: new Date().toISOString(),
+  };
+
+  const storage = StorageClient.fromContext(ctx);
+  await storage.saveCatalogJob(job);
+  await publishCatalogJobs(ctx, [{
+    type: 'reindex',
+    org,
+    site,
+    jobId: job.id,
+    chunk: 0,
+    listed: 0,
+  }]);
+
+  ctx.log.info({
+    action: 'reindex_products',
+    jobId: job.id,
+    timestamp: new Date().toISOString(),
+  });
+
+  return new Response(JSON.stringify(await getCatalogJobStatus(ctx, job)), {
+    status: 202,
+    headers: {
+      'Content-Type': 'application/json',
+      Location: `/${org}/sites/${site}/catalog/jobs/${job.id}`,
+    },
+  });
+}
+
+/**
+ * Process one chunk of a reindex job.
+ * Each chunk lists the next page of the catalog and queues the chunk after it,
+ * then writes the index entries of the listed products. Indexed products are
+ * reported as saved.
+ *
+ * @param {Context} ctx
+ * @param {CatalogReindexMessage} message
+ * @param {number} [attempts] - delivery attempts of the message, including this one
+ */
+export async function processReindexChunk(ctx, message, attempts = 1) {
+  const { log, requestInfo: { org, site } } = ctx;
+  const {
+    jobId, chunk, cursor, listed,
+  } = message;
+  const storage = StorageClient.fromContext(ctx);
+
+  const job = await storage.getCatalogJob(jobId);
+  if (!job) {
+    log.warn(`reindex job ${jobId} not found`);
+    return;
+  }
+
+  let count;
+  let continued = false;
+
+  await runCatalogJobChunk(ctx, message, attempts, async () => {
+    const { products, cursor: next } = await storage.fetchProductsByPrefix(
+      org,
+      site,
+      '/',
+      { limit: REINDEX_CHUNK_SIZE, cursor },
+    );
+    count = products.length;
+
+    await continueListingJob(ctx, job, message, next, count);
+    continued = true;
+
+    /** @type {CatalogJobError[]} */
+    const errors = [];
+    const indexed = await Promise.all(
+      products.map((product) => storage.updateSkuIndex(product.path, product)),
+    );
+    indexed.forEach((ok, i) => {
+      if (!ok) {
+        const { sku, path } = products[i];
+        errors.push({
+          sku, path, status: 500, message: 'Failed to index product',
+        });
+      }
+    });
+
+    return {
+      chunk, saved: count - errors.length, unchanged: 0, failed: errors.length, errors,
+    };
+  }, async (e) => {
+    if (!continued) {
+      // the rest of the catalog can't be listed, end the job with this chunk
+      await endListingJob(ctx, message, count ?? 0);
+    }
+    return {
+      chunk,
+      saved: 0,
+      unchanged: 0,
+      failed: count ?? 0,
+      errors: [{
+        status: 500,
+        message: continued
+          ? `failed to index ${count} products: ${e.message}`
+          : `reindex stopped after ${listed} products: ${e.message}`,
+      }],
+    };
+  });
+}
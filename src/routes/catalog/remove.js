@@ -12,36 +12,101 @@
 
 import { errorResponse } from '../../utils/http.js';
 import StorageClient from '../../utils/StorageClient.js';
+import { fetchHelixConfig } from '../../utils/config.js';
 import { publishIndexingJobs } from '../../utils/indexer.js';
+import { publishProductEvents } from '../../utils/webhooks.js';
+import { getWriteConditions } from '../../utils/conditional.js';
+import { PATH_PATTERN_WITH_JSON } from '../../utils/validation.js';
+import { MAX_PRODUCT_BULK } from './update.js';
 
 /**
+ * Paths of a bulk action, normalized to include the .json extension.
+ *
+ * @param {any} paths
+ * @returns {string[]|Response} the paths, or an error response
+ */
+export function parseBulkPaths(paths) {
+  if (!Array.isArray(paths) || paths.length === 0) {
+    return errorResponse(400, 'paths must be a non-empty array');
+  }
+  if (paths.length > MAX_PRODUCT_BULK) {
+    return errorResponse(400, `paths must be an array of ${MAX_PRODUCT_BULK} or fewer paths`);
+  }
+  for (const path of paths) {
+    if (typeof path !== 'string' || !PATH_PATTERN_WITH_JSON.test(path)) {
+      return errorResponse(400, `invalid path: ${path}`);
+    }
+  }
+  return [...new Set(paths.map((path) => (path.endsWith('.json') ? path : `${path}.json`)))];
+}
+
+/**
+ * Delete a single product, or up to `MAX_PRODUCT_BULK` products with
+ * POST /catalog/* { "action": "delete", "paths": [...] }
+ *
  * @type {RouteHandler}
  */
 export default async function remove(ctx) {
-  const { log, requestInfo } = ctx;
-  const { path, org, site } = requestInfo;
+  const { log, requestInfo, data } = ctx;
+  const {
+    path, method, org, site,
+  } = requestInfo;
 
-  if (path === '/*') {
+  const bulk = path === '/*';
+  if (bulk && method !== 'POST') {
     return errorResponse(400, 'Wildcard path deletions not supported');
   }
 
   ctx.authInfo.assertPermissions('catalog:write');
   ctx.authInfo.assertOrgSite(org, site);
 
+  const conditions = getWriteConditions(requestInfo);
+  let paths = [path];
+  if (bulk) {
+    if (conditions?.etagMatches && conditions.etagMatches !== '*') {
+      return errorResponse(400, 'If-Match with an entity tag is only supported for single products');
+    }
+    const parsed = parseBulkPaths(data?.paths);
+    if (parsed instanceof Response) {
+      return parsed;
+    }
+    paths = parsed;
+  }
+
+  try {
+    // used to purge the deleted products from the CDN
+    ctx.attributes.helixConfigCache = await fetchHelixConfig(ctx, org, site);
+  } catch (e) {
+    log.error(`Failed to load helix config, deleted products are not purged: ${e.message}`);
+  }
+
   const storage = StorageClient.fromContext(ctx);
-  const deleteResults = await storage.deleteProductsByPath([path]);
-
-  const products = deleteResults.map((res) => ({
-    path: res.path,
-    action: 'delete',
-  }));
-
-  await publishIndexingJobs(ctx, {
-    org,
-    site,
-    products,
-    timestamp: Date.now(),
-  });
+  const deleteResults = await storage.deleteProductsByPath(paths, conditions);
+
+  // products that were not deleted because of a precondition or error stay indexed
+  const products = deleteResults
+    .filter((res) => res.status === 200 || res.status === 404)
+    .map((res) => ({
+      path: res.path,
+      action: 'delete',
+    }));
+
+  if (products.length > 0) {
+    await publishIndexingJobs(ctx, {
+      org,
+      site,
+      products,
+      timestamp: Date.now(),
+    });
+  }
+
+  try {
+    await publishProductEvents(ctx, deleteResults
+      .filter((res) => res.status === 200)
+      .map(({ sku, path: deletedPath }) => ({ type: 'delete', path: deletedPath, sku })));
+  } catch (e) {
+    log.error(`Failed to publish webhook events for deleted products: ${e.message}`);
+  }
 
   log.info({
     action: 'delete_products',
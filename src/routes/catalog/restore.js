@@ -0,0 +1,58 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import { applyImageLookup } from '@dylandepass/helix-product-shared';
+import { errorResponse } from '../../utils/http.js';
+import StorageClient from '../../utils/StorageClient.js';
+import { assertValidProduct } from '../../utils/product.js';
+import { getWriteConditions } from '../../utils/conditional.js';
+import { VERSION_ID_PATTERN } from './versions.js';
+import { doUpdate } from './update.js';
+
+/**
+ * Restore a previous version of a product.
+ * The version is saved through the same pipeline as a PUT,
+ * so it is indexed and purged like any other update.
+ *
+ * POST /catalog/products/foo.json { "action": "restore", "version": "<id>" }
+ *
+ * @type {RouteHandler}
+ */
+export default async function restore(ctx) {
+  const { requestInfo, data } = ctx;
+  const { path, org, site } = requestInfo;
+
+  ctx.authInfo.assertPermissions('catalog:write');
+  ctx.authInfo.assertOrgSite(org, site);
+
+  if (typeof data.version !== 'string' || !VERSION_ID_PATTERN.test(data.version)) {
+    return errorResponse(400, 'invalid version');
+  }
+
+  const storage = StorageClient.fromContext(ctx);
+  const product = await storage.getProductVersion(path, data.version);
+  if (!product) {
+    return errorResponse(404, 'Version not found');
+  }
+
+  // point images back to their source, the current lookup is applied on save
+  applyImageLookup(product);
+  delete product.internal;
+  product.path = path.replace(/\.json$/, '');
+
+  const t0 = Date.now();
+  assertValidProduct(ctx, product);
+  const dt = Date.now() - t0;
+  if (ctx.metrics) ctx.metrics.payloadValidationMs.push(dt);
+
+  return doUpdate(ctx, [product], getWriteConditions(requestInfo));
+}
@@ -11,17 +11,163 @@
  */
 
 import StorageClient from '../../utils/StorageClient.js';
+import {
+  etagNotModified,
+  getReadConditions,
+  withAvailability,
+  withLocale,
+  withPricePeriod,
+} from '../../utils/conditional.js';
+import { fetchProductBusConfig } from '../../utils/config.js';
+import { getPriceOptions, pricePeriod, resolvePrices } from '../../utils/pricing.js';
+import { getRequestedLocales, localizeForRequest } from '../../utils/locale.js';
+import { applyInventory } from '../../utils/inventory.js';
+import { expandRelationships, shouldExpandRelationships } from '../../utils/relationships.js';
 
 /**
+ * With `?state=draft`, the draft of the product is returned if there is one,
+ * otherwise the live product, so a preview shows the catalog as it would be published.
+ *
+ * The effective prices of the product and its variants are resolved into their `price`,
+ * at the time of the request, in the currency of `?currency` or of their `price`.
+ * Prices with validity windows add the price period to the ETag, see `pricePeriod`.
+ *
+ * On sites with `inventoryEnabled`, the availability of the product and its variants is derived
+ * from their inventory records, if they have any, which adds a digest of the availabilities
+ * to the ETag.
+ *
+ * Products with locale overrides are localized for `?locale`, otherwise for the
+ * Accept-Language header, which adds the applied locale to the ETag.
+ *
+ * With `?expand=related`, a summary of each linked product is inlined into the
+ * relationships. Such responses have no validators, as they change with the linked products.
+ *
  * @type {RouteHandler}
  */
 export default async function retrieve(ctx) {
-  const { path } = ctx.requestInfo;
+  const { requestInfo } = ctx;
 
+  const priceOptions = getPriceOptions(ctx.url.searchParams);
+  const requestedLocales = getRequestedLocales(ctx);
+  const expand = shouldExpandRelationships(ctx.url.searchParams);
   const storage = StorageClient.fromContext(ctx);
-  const product = await storage.getProductByPath(path);
+  const isDraft = ctx.url.searchParams.get('state') === 'draft';
+  if (isDraft) {
+    // drafts are not public
+    ctx.authInfo.assertPermissions('catalog:read');
+    ctx.authInfo.assertOrgSite(requestInfo.org, requestInfo.site);
+
+    const draft = await storage.getDraftProductEntry(requestInfo.path);
+    if (draft) {
+      const now = Date.now();
+      await applyInventory(ctx, draft.product);
+      resolvePrices(draft.product, priceOptions, now);
+      const localeHeaders = await localizeForRequest(ctx, draft.product, requestedLocales);
+      if (expand) {
+        await expandRelationships(ctx, draft.product, { priceOptions, requestedLocales, now });
+      }
+      return new Response(JSON.stringify(draft.product), {
+        headers: {
+          'Content-Type': 'application/json',
+          ...localeHeaders,
+          'Cache-Control': 'no-store',
+          'X-Product-State': 'draft',
+          ...(draft.etag ? { ETag: draft.etag } : {}),
+          ...(draft.lastModified ? { 'Last-Modified': draft.lastModified.toUTCString() } : {}),
+        },
+      });
+    }
+  }
+
+  const config = await fetchProductBusConfig(ctx);
+  // R2 evaluates read preconditions against the stored product, so a validator of a response
+  // without inventory records would match even after records were added for its SKUs
+  const conditions = expand || config?.inventoryEnabled
+    ? undefined
+    : getReadConditions(requestInfo);
+
+  let entry;
+  try {
+    entry = await storage.getProductEntryByPath(requestInfo.path, conditions);
+  } catch (e) {
+    if (e.response?.status !== 404) {
+      throw e;
+    }
+    // products that were moved are answered with a redirect to the new path
+    const redirect = await storage.getProductRedirect(requestInfo.path);
+    if (!redirect) {
+      throw e;
+    }
+    return new Response(null, {
+      status: 301,
+      headers: {
+        Location: `/${requestInfo.org}/sites/${requestInfo.site}/catalog${redirect.to}.json${ctx.url.search}`,
+      },
+    });
+  }
+
+  const {
+    product,
+    etag,
+    lastModified,
+    notModified,
+  } = entry;
+
+  const cacheHeaders = {
+    ...(config?.catalogCacheControl ? { 'Cache-Control': config.catalogCacheControl } : {}),
+    ...(isDraft ? { 'Cache-Control': 'no-store', 'X-Product-State': 'live' } : {}),
+  };
+
+  // the response depends on the Accept-Language header of products with locales,
+  // which is unknown without reading the product
+  const varyHeaders = requestedLocales.negotiated ? { Vary: 'Accept-Language' } : {};
+  if (notModified) {
+    return new Response(null, {
+      status: 304,
+      headers: {
+        ...(etag ? { ETag: etag } : {}),
+        ...(lastModified ? { 'Last-Modified': lastModified.toUTCString() } : {}),
+        ...cacheHeaders,
+        ...varyHeaders,
+      },
+    });
+  }
+
+  const now = Date.now();
+  const period = pricePeriod(product, now);
+  const availability = await applyInventory(ctx, product);
+  const { 'Content-Language': locale, ...localeHeaders } = await localizeForRequest(
+    ctx,
+    product,
+    requestedLocales,
+  );
+  // prices with validity windows and inventory change without the product being modified
+  const derived = period !== undefined || availability !== undefined;
+  const productEtag = etag && !expand
+    ? withLocale(withAvailability(withPricePeriod(etag, period), availability), locale)
+    : undefined;
+  const headers = {
+    ...(productEtag ? { ETag: productEtag } : {}),
+    ...(lastModified && !derived && !expand
+      ? { 'Last-Modified': lastModified.toUTCString() }
+      : {}),
+    ...cacheHeaders,
+    ...localeHeaders,
+  };
+  if (productEtag && etagNotModified(requestInfo, productEtag)) {
+    return new Response(null, { status: 304, headers });
+  }
+
+  resolvePrices(product, priceOptions, now);
+  if (expand) {
+    await expandRelationships(ctx, product, { priceOptions, requestedLocales, now });
+  }
 
   return new Response(JSON.stringify(product), {
-    headers: { 'Content-Type': 'application/json' },
+    headers: {
+      'Content-Type': 'application/json',
+      ...headers,
+      ...(locale ? { 'Content-Language': locale } : {}),
+    },
   });
 }
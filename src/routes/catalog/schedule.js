@@ -0,0 +1,137 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import { errorResponse } from '../../utils/http.js';
+import StorageClient from '../../utils/StorageClient.js';
+import { MAX_PRODUCT_BULK, doUpdate } from './update.js';
+
+/**
+ * Maximum number of scheduled products published per run of the scheduled worker.
+ * Products that are not published in a run are published by the next one.
+ */
+export const MAX_SCHEDULED_PER_RUN = 500;
+
+/**
+ * Publish the due scheduled products of a site, through the same path as a bulk POST.
+ * Products that fail with a server error are kept, so the next run retries them.
+ *
+ * @param {Context} ctx - context of the site
+ * @param {ScheduleIndexEntry[]} entries - due entries of the schedule index of the site
+ */
+export async function publishScheduledProducts(ctx, entries) {
+  const { log } = ctx;
+  const storage = StorageClient.fromContext(ctx);
+
+  /** @type {Map<string, ScheduledProduct>} path to the loaded change */
+  const due = new Map();
+  const products = [];
+  for (const { path, publishAt } of entries) {
+    // eslint-disable-next-line no-await-in-loop
+    const scheduled = await storage.getScheduledProduct(path);
+    if (!scheduled || scheduled.publishAt !== publishAt) {
+      // canceled or rescheduled since the entry was written
+      // eslint-disable-next-line no-await-in-loop
+      await storage.deleteScheduleIndexEntry(path, publishAt);
+    } else if (!due.has(scheduled.product.path)) {
+      due.set(scheduled.product.path, scheduled);
+      products.push(scheduled.product);
+    }
+  }
+
+  for (let i = 0; i < products.length; i += MAX_PRODUCT_BULK) {
+    const batch = products.slice(i, i + MAX_PRODUCT_BULK);
+    // eslint-disable-next-line no-await-in-loop
+    const resp = await doUpdate(ctx, batch);
+    if (!resp.headers.get('content-type')?.includes('application/json')) {
+      log.error(`failed to publish ${batch.length} scheduled products: ${resp.headers.get('x-error')}`);
+      // eslint-disable-next-line no-continue
+      continue;
+    }
+
+    // eslint-disable-next-line no-await-in-loop
+    const { product, products: results = [product] } = await resp.json();
+    /** @type {Partial<BatchResult>[]} */
+    const published = results.filter((r) => {
+      if (r.status >= 500) {
+        log.warn(`scheduled product at ${r.path} not published, retrying: ${r.message}`);
+        return false;
+      }
+      if (r.status >= 400) {
+        log.error(`dropping scheduled product at ${r.path}: ${r.message}`);
+      }
+      return true;
+    });
+    // changes that were replaced while they were published are kept for their own entry
+    // eslint-disable-next-line no-await-in-loop
+    await Promise.all(published.map(({ path }) => {
+      const { publishAt, etag } = due.get(path);
+      return storage.deleteScheduledProduct(path, publishAt, etag);
+    }));
+  }
+
+  log.info({
+    action: 'publish_scheduled_products',
+    count: products.length,
+    timestamp: new Date().toISOString(),
+  });
+}
+
+/**
+ * Scheduled change of a product.
+ *
+ * GET /catalog/products/foo.json?scheduled returns the change and when it is published,
+ * DELETE /catalog/products/foo.json?scheduled cancels it.
+ *
+ * @type {RouteHandler}
+ */
+export default async function scheduledProduct(ctx) {
+  const { requestInfo } = ctx;
+  const {
+    path, method, org, site,
+  } = requestInfo;
+
+  const storage = StorageClient.fromContext(ctx);
+
+  if (method === 'GET') {
+    ctx.authInfo.assertPermissions('catalog:read');
+    ctx.authInfo.assertOrgSite(org, site);
+
+    const entry = await storage.getScheduledProduct(path);
+    if (!entry) {
+      return errorResponse(404, 'Scheduled product not found');
+    }
+    const { publishAt, product } = entry;
+    return new Response(JSON.stringify({ publishAt, product }), {
+      headers: { 'Content-Type': 'application/json' },
+    });
+  }
+
+  if (method === 'DELETE') {
+    ctx.authInfo.assertPermissions('catalog:write');
+    ctx.authInfo.assertOrgSite(org, site);
+
+    const entry = await storage.getScheduledProduct(path);
+    if (!entry) {
+      return errorResponse(404, 'Scheduled product not found');
+    }
+    await storage.deleteScheduledProduct(path, entry.publishAt);
+    ctx.log.info({
+      action: 'cancel_scheduled_product',
+      path,
+      publishAt: entry.publishAt,
+      timestamp: new Date().toISOString(),
+    });
+    return new Response(null, { status: 204 });
+  }
+
+  return errorResponse(405, 'method not allowed');
+}
@@ -0,0 +1,70 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import { errorResponse } from '../../utils/http.js';
+import StorageClient from '../../utils/StorageClient.js';
+import { getPriceOptions, pricePeriod, resolvePrices } from '../../utils/pricing.js';
+import { withAvailability, withPricePeriod } from '../../utils/conditional.js';
+import { applyInventory } from '../../utils/inventory.js';
+
+/**
+ * Look up a product by SKU, or by the SKU of one of its variants.
+ *
+ * GET /catalog/sku/<sku>
+ *
+ * Responds with 409 and the paths of the products if several products use the SKU.
+ * Prices and availability are resolved like for product requests.
+ *
+ * @type {RouteHandler}
+ */
+export default async function sku(ctx) {
+  const { requestInfo } = ctx;
+  const { path, org, site } = requestInfo;
+
+  let value;
+  try {
+    value = decodeURIComponent(path.substring('/sku/'.length));
+  } catch {
+    return errorResponse(400, 'invalid sku');
+  }
+  if (!value) {
+    return errorResponse(400, 'sku is required');
+  }
+
+  const priceOptions = getPriceOptions(ctx.url.searchParams);
+  const storage = StorageClient.fromContext(ctx);
+  const entries = await storage.findProductPathsBySku(value);
+  if (entries.length === 0) {
+    return errorResponse(404, 'Product not found');
+  }
+  if (entries.length > 1) {
+    return errorResponse(409, 'sku is used by multiple products', {
+      sku: value,
+      paths: entries.map((entry) => entry.path),
+    });
+  }
+
+  const [{ path: productPath }] = entries;
+  const { product, etag } = await storage.getProductEntryByPath(`${productPath}.json`);
+  const now = Date.now();
+  const period = pricePeriod(product, now);
+  const availability = await applyInventory(ctx, product);
+  resolvePrices(product, priceOptions, now);
+
+  return new Response(JSON.stringify(product), {
+    headers: {
+      'Content-Type': 'application/json',
+      'Content-Location': `/${org}/sites/${site}/catalog${productPath}.json`,
+      ...(etag ? { ETag: withAvailability(withPricePeriod(etag, period), availability) } : {}),
+    },
+  });
+}
@@ -11,14 +11,19 @@
  */
 
 import { applyImageLookup, hasNewImages } from '@dylandepass/helix-product-shared';
-import { assertValidProduct } from '../../utils/product.js';
-import { errorResponse } from '../../utils/http.js';
+import { assertValidProduct, validateProduct } from '../../utils/product.js';
+import { errorResponse, mediaType } from '../../utils/http.js';
 import StorageClient from '../../utils/StorageClient.js';
 import { fetchHelixConfig } from '../../utils/config.js';
-import { deepEqual } from '../../utils/object.js';
+import { deepEqual, diff } from '../../utils/object.js';
 import { publishIndexingJobs } from '../../utils/indexer.js';
+import { publishProductEvents } from '../../utils/webhooks.js';
+import { findDanglingRelationships } from '../../utils/relationships.js';
+import { getWriteConditions } from '../../utils/conditional.js';
+import { NDJSON_CONTENT_TYPE, parseNdjson } from '../../utils/ndjson.js';
+import { CSV_CONTENT_TYPE, csvToProducts } from '../../utils/csv.js';
 
-const MAX_PRODUCT_BULK = 50;
+export const MAX_PRODUCT_BULK = 50;
 const MAX_IMAGES_PER_JOB = 500;
 
 /**
@@ -71,136 +76,449 @@ export async function publishImageCollectorJobs(ctx, products, payload) {
 }
 
 /**
- * Do update for a set of products.
+ * Compare an incoming product with the stored one.
+ * The `internal` state of the stored product is transferred to the incoming product.
+ *
+ * @param {SharedTypes.ProductBusEntry} product
+ * @param {SharedTypes.ProductBusEntry|null} existingProduct
+ * @returns {{ change: 'create'|'update'|'unchanged', newImages: boolean, diff?: ObjectDiff }}
+ */
+export function detectChanges(product, existingProduct) {
+  if (!existingProduct) {
+    return { change: 'create', newImages: hasNewImages(product) };
+  }
+
+  // Transfer internal property to incoming product for comparison
+  if (existingProduct.internal) {
+    product.internal = existingProduct.internal;
+  }
+
+  // Create a copy of the incoming product with imageLookup applied
+  const productWithLookup = JSON.parse(JSON.stringify(product));
+  applyImageLookup(productWithLookup);
+
+  // Check if there are new images
+  const newImages = hasNewImages(product);
+
+  // Remove internal property for comparison
+  const existingForComparison = JSON.parse(JSON.stringify(existingProduct));
+  delete existingForComparison.internal;
+  delete productWithLookup.internal;
+
+  // If no new images, compare the products
+  if (!newImages && deepEqual(productWithLookup, existingForComparison)) {
+    return { change: 'unchanged', newImages };
+  }
+  return { change: 'update', newImages, diff: diff(existingForComparison, productWithLookup) };
+}
+
+/**
+ * Warnings for relationships of products to products that don't exist.
+ * They are informational, so a failure to check them is logged and does not fail the save.
  *
  * @param {Context} ctx
  * @param {SharedTypes.ProductBusEntry[]} products
+ * @returns {Promise<Map<string, import('../../utils/validation.d.js').ValidationError[]>>}
+ */
+async function checkRelationships(ctx, products) {
+  try {
+    return await findDanglingRelationships(ctx, products);
+  } catch (e) {
+    ctx.log.warn(`failed to check relationships: ${e.message}`);
+    return new Map();
+  }
+}
+
+/**
+ * Report what an update would do, without writing anything.
+ *
+ * @param {Context} ctx
+ * @param {ParsedRecord[]} records - products as sent, not validated yet
  * @returns {Promise<Response>}
  */
-async function doUpdate(ctx, products) {
-  /** @type {Partial<BatchResult>[]} */
-  let results = [];
+async function dryRun(ctx, records) {
+  const { org, site } = ctx.requestInfo;
+  const storage = StorageClient.fromContext(ctx);
+
+  /** @type {DryRunResult[]} */
+  const results = [];
+  const valid = [];
+  for (const { line, value: product, error } of records) {
+    const { sku, path } = product ?? {};
+    const errors = error ? undefined : validateProduct(product);
+    if (error) {
+      results.push({ line, outcome: 'invalid', message: error });
+    } else if (errors) {
+      results.push({
+        sku, path, line, outcome: 'invalid', errors,
+      });
+    } else {
+      // eslint-disable-next-line no-await-in-loop
+      const existingProduct = await storage.fetchProductByPath(org, site, path, true);
+      const { change, newImages, diff: changes } = detectChanges(product, existingProduct);
+      valid.push(product);
+      results.push({
+        sku,
+        path,
+        line,
+        outcome: change === 'unchanged' ? 'unchanged' : `would-${change}`,
+        newImages,
+        diff: changes,
+      });
+    }
+  }
 
-  try {
-    const { log, requestInfo } = ctx;
-    const { org, site } = requestInfo;
+  const warnings = await checkRelationships(ctx, valid);
+  results.forEach((result) => {
+    if (result.outcome !== 'invalid' && warnings.has(result.path)) {
+      result.warnings = warnings.get(result.path);
+    }
+  });
+
+  return new Response(
+    JSON.stringify({
+      dryRun: true,
+      product: results.length === 1 ? results[0] : undefined,
+      products: results.length > 1 ? results : undefined,
+    }),
+    {
+      status: 200,
+      headers: {
+        'Content-Type': 'application/json',
+      },
+    },
+  );
+}
+
+/**
+ * Whether a per-product result counts as saved (or intentionally skipped).
+ *
+ * @param {Partial<BatchResult>} result
+ * @returns {boolean}
+ */
+function isSuccess(result) {
+  return result.status === 200 || result.status === 201;
+}
 
-    const helixConfig = await fetchHelixConfig(ctx, org, site);
-    ctx.attributes.helixConfigCache = helixConfig;
+/**
+ * Overall response status for a set of per-product results.
+ * - all succeeded: `201`, or `200` if nothing was written
+ * - some succeeded: `207`
+ * - none succeeded: the status shared by all failures, otherwise `500` if any failure
+ *   is a server error, so clients only retry batches that can succeed, and `400` if not
+ *
+ * @param {Partial<BatchResult>[]} results
+ * @param {number} written - number of products written to storage
+ * @returns {number}
+ */
+export function resultsStatus(results, written) {
+  const failed = results.filter((r) => !isSuccess(r));
+  if (failed.length === 0) {
+    return written > 0 ? 201 : 200;
+  }
+  if (failed.length < results.length) {
+    return 207;
+  }
+  const statuses = new Set(failed.map((r) => r.status));
+  if (statuses.size === 1) {
+    return failed[0].status;
+  }
+  return failed.some((r) => r.status >= 500) ? 500 : 400;
+}
 
-    const storage = StorageClient.fromContext(ctx);
+/**
+ * Save a set of valid products, skipping unchanged ones.
+ * Errors that affect the whole batch (e.g. config or storage outages) are thrown.
+ *
+ * @param {Context} ctx
+ * @param {SharedTypes.ProductBusEntry[]} products
+ * @param {WriteConditions} [conditions] - preconditions applied to each write
+ * @returns {Promise<{ results: Partial<BatchResult>[], written: number }>}
+ */
+export async function saveProducts(ctx, products, conditions = undefined) {
+  const { log, requestInfo } = ctx;
+  const { org, site } = requestInfo;
 
-    // Fetch existing products and check for changes
-    const productsToUpdate = [];
-    const skippedProducts = [];
+  const helixConfig = await fetchHelixConfig(ctx, org, site);
+  ctx.attributes.helixConfigCache = helixConfig;
 
-    for (const product of products) {
-      const { path } = product;
-      // eslint-disable-next-line no-await-in-loop
-      const existingProduct = await storage.fetchProductByPath(org, site, path, true);
+  const storage = StorageClient.fromContext(ctx);
 
-      if (existingProduct) {
-        // Transfer internal property to incoming product for comparison
-        if (existingProduct.internal) {
-          product.internal = existingProduct.internal;
-        }
-
-        // Create a copy of the incoming product with imageLookup applied
-        const productWithLookup = JSON.parse(JSON.stringify(product));
-        applyImageLookup(productWithLookup);
-
-        // Check if there are new images
-        const hasNewImageUrls = hasNewImages(product);
-
-        // Remove internal property for comparison
-        const existingForComparison = JSON.parse(JSON.stringify(existingProduct));
-        delete existingForComparison.internal;
-        delete productWithLookup.internal;
-
-        // If no new images, compare the products
-        if (!hasNewImageUrls && deepEqual(productWithLookup, existingForComparison)) {
-          log.info(`No changes detected for product at path: ${path}, skipping update`);
-          skippedProducts.push({
-            sku: product.sku,
-            path: product.path,
-            status: 200,
-            message: 'No changes detected',
-          });
-          // Skip to next product
-          productsToUpdate.push(null);
-        } else {
-          productsToUpdate.push(product);
-        }
-      } else {
-        productsToUpdate.push(product);
+  // Fetch existing products and check for changes
+  const productsToUpdate = [];
+  const skippedProducts = [];
+  /** @type {Map<string, 'create'|'update'>} path to change, for webhooks */
+  const changes = new Map();
+  /** @type {Map<string, ObjectDiff>} path to diff of updated products */
+  const diffs = new Map();
+
+  for (const product of products) {
+    const { path } = product;
+    // eslint-disable-next-line no-await-in-loop
+    const existingProduct = await storage.fetchProductByPath(org, site, path, true);
+
+    const { change, diff: productDiff } = detectChanges(product, existingProduct);
+    if (change === 'unchanged') {
+      log.info(`No changes detected for product at path: ${path}, skipping update`);
+      skippedProducts.push({
+        sku: product.sku,
+        path: product.path,
+        status: 200,
+        message: 'No changes detected',
+        change: 'unchanged',
+      });
+    } else {
+      productsToUpdate.push(product);
+      changes.set(path, change);
+      if (productDiff) {
+        diffs.set(path, productDiff);
       }
     }
+  }
 
-    // Filter out null entries from skipped products
-    const filteredProductsToUpdate = productsToUpdate.filter((p) => p !== null);
-
-    // If all products were skipped, return early
-    if (filteredProductsToUpdate.length === 0) {
-      return new Response(
-        JSON.stringify({
-          product: skippedProducts.length === 1 ? skippedProducts[0] : undefined,
-          products: skippedProducts.length > 1 ? skippedProducts : undefined,
-        }),
-        {
-          status: 200,
-          headers: {
-            'Content-Type': 'application/json',
-          },
-        },
-      );
-    }
+  if (productsToUpdate.length === 0) {
+    return { results: skippedProducts, written: 0 };
+  }
 
-    // images are fetched asynchronously if there are more than 10 products,
-    // of it there are more than 10 images total across all products
-    const asyncImages = shouldProcessImagesAsync(ctx, filteredProductsToUpdate);
-    results = await storage.saveProductsByPath(filteredProductsToUpdate, asyncImages);
-
-    // Merge skipped products into results
-    results = [...results, ...skippedProducts];
-
-    const payload = {
-      org,
-      site,
-      // @ts-ignore
-      products: results
-        .filter((r) => r.status === 200 || r.status === 201)
-        .map((r) => ({ path: r.path, action: 'update' })),
-      timestamp: Date.now(),
-    };
-
-    if (payload.products.length > 0) {
+  // images are fetched asynchronously if there are more than 10 products,
+  // of it there are more than 10 images total across all products
+  const asyncImages = shouldProcessImagesAsync(ctx, productsToUpdate);
+  const warnings = await checkRelationships(ctx, productsToUpdate);
+  const saved = (await storage.saveProductsByPath(productsToUpdate, asyncImages, conditions))
+    .map((r) => (isSuccess(r) ? {
+      ...r,
+      change: changes.get(r.path),
+      ...(diffs.has(r.path) ? { diff: diffs.get(r.path) } : {}),
+      ...(warnings.has(r.path) ? { warnings: warnings.get(r.path) } : {}),
+    } : r));
+
+  const payload = {
+    org,
+    site,
+    // @ts-ignore
+    products: saved
+      .filter(isSuccess)
+      .map((r) => ({ path: r.path, action: 'update' })),
+    timestamp: Date.now(),
+  };
+
+  if (payload.products.length > 0) {
+    // the products are stored at this point, so a failure to queue
+    // follow-up jobs is logged but does not fail the request
+    try {
       await publishIndexingJobs(ctx, payload);
 
       if (asyncImages) {
-        await publishImageCollectorJobs(ctx, filteredProductsToUpdate, payload);
+        await publishImageCollectorJobs(ctx, productsToUpdate, payload);
       }
+
+      await publishProductEvents(ctx, saved.filter(isSuccess).map(({ sku, path }) => ({
+        type: changes.get(path) ?? 'update',
+        path,
+        sku,
+      })));
+    } catch (e) {
+      log.error({
+        action: 'save_products',
+        message: 'failed to publish jobs',
+        error: e,
+        timestamp: new Date().toISOString(),
+      });
+    }
+  }
+
+  return { results: [...saved, ...skippedProducts], written: productsToUpdate.length };
+}
+
+/**
+ * Do update for a set of products.
+ *
+ * Responds with `201` if all products were saved, `207` if only some were,
+ * and an error status if none were.
+ *
+ * @param {Context} ctx
+ * @param {SharedTypes.ProductBusEntry[]} products - valid products to save
+ * @param {WriteConditions} [conditions] - preconditions applied to each write
+ * @param {Partial<BatchResult>[]} [rejected] - results for products rejected before saving
+ * @returns {Promise<Response>}
+ */
+export async function doUpdate(ctx, products, conditions = undefined, rejected = []) {
+  const { log } = ctx;
+
+  /** @type {Partial<BatchResult>[]} */
+  let results = [];
+  let written = 0;
+
+  if (products.length > 0) {
+    try {
+      ({ results, written } = await saveProducts(ctx, products, conditions));
+    } catch (e) {
+      log.error({
+        action: 'save_products',
+        error: e,
+        timestamp: new Date().toISOString(),
+      });
+      return e.response ?? errorResponse(500, 'failed to save products');
     }
+  }
+
+  results = [...results, ...rejected];
+  const status = resultsStatus(results, written);
+
+  log.info({
+    action: 'save_products',
+    status,
+    result: JSON.stringify(results),
+    timestamp: new Date().toISOString(),
+  });
+
+  return new Response(
+    JSON.stringify({
+      product: results.length === 1 ? results[0] : undefined,
+      products: results.length > 1 ? results : undefined,
+    }),
+    {
+      status,
+      headers: {
+        'Content-Type': 'application/json',
+      },
+    },
+  );
+}
 
-    log.info({
-      action: 'save_products',
-      result: JSON.stringify(results),
+/**
+ * Parse the `publishAt` query parameter of a scheduled update.
+ *
+ * @param {string} value
+ * @returns {Date|null} - null if the value is not a valid timestamp
+ */
+function parsePublishAt(value) {
+  const date = new Date(value);
+  // timestamps must have a fixed length, so the schedule index sorts by time
+  if (Number.isNaN(date.getTime()) || date.getUTCFullYear() > 9999) {
+    return null;
+  }
+  return date;
+}
+
+/**
+ * Store a set of valid products to be published at a later time.
+ * They are published by the scheduled worker, see `publishScheduledProducts`.
+ *
+ * Responds with `202` if all products were scheduled, `207` if some were rejected.
+ *
+ * @param {Context} ctx
+ * @param {SharedTypes.ProductBusEntry[]} products - valid products to schedule
+ * @param {Date} publishAt
+ * @param {Partial<BatchResult>[]} [rejected] - results for products rejected before scheduling
+ * @returns {Promise<Response>}
+ */
+async function scheduleUpdate(ctx, products, publishAt, rejected = []) {
+  const { log } = ctx;
+  const storage = StorageClient.fromContext(ctx);
+  const timestamp = publishAt.toISOString();
+
+  try {
+    await Promise.all(products.map((product) => storage.saveScheduledProduct(product, timestamp)));
+  } catch (e) {
+    log.error({
+      action: 'schedule_products',
+      error: e,
       timestamp: new Date().toISOString(),
     });
+    return e.response ?? errorResponse(500, 'failed to schedule products');
+  }
+
+  /** @type {Partial<BatchResult>[]} */
+  const results = [
+    ...products.map(({ sku, path }) => ({
+      sku, path, status: 202, message: 'Product scheduled', publishAt: timestamp,
+    })),
+    ...rejected,
+  ];
+  let status = 202;
+  if (products.length === 0) {
+    status = resultsStatus(results, 0);
+  } else if (rejected.length > 0) {
+    status = 207;
+  }
+
+  log.info({
+    action: 'schedule_products',
+    status,
+    publishAt: timestamp,
+    result: JSON.stringify(results),
+    timestamp: new Date().toISOString(),
+  });
+
+  return new Response(
+    JSON.stringify({
+      product: results.length === 1 ? results[0] : undefined,
+      products: results.length > 1 ? results : undefined,
+    }),
+    {
+      status,
+      headers: {
+        'Content-Type': 'application/json',
+      },
+    },
+  );
+}
+
+/**
+ * Store a set of valid products as drafts, leaving the live products untouched.
+ * Drafts are not indexed or purged, they go live with the `publish` action.
+ *
+ * Responds with `201` if all drafts were saved, `207` if some products were rejected.
+ *
+ * @param {Context} ctx
+ * @param {SharedTypes.ProductBusEntry[]} products - valid products to save as drafts
+ * @param {Partial<BatchResult>[]} [rejected] - results for products rejected before saving
+ * @returns {Promise<Response>}
+ */
+async function draftUpdate(ctx, products, rejected = []) {
+  const { log } = ctx;
+  const storage = StorageClient.fromContext(ctx);
+
+  let etags;
+  try {
+    etags = await Promise.all(products.map((product) => storage.saveDraftProduct(product)));
   } catch (e) {
-    ctx.log.error({
-      action: 'save_products',
+    log.error({
+      action: 'save_drafts',
       error: e,
       timestamp: new Date().toISOString(),
     });
+    return e.response ?? errorResponse(500, 'failed to save drafts');
   }
 
+  /** @type {Partial<BatchResult>[]} */
+  const results = [
+    ...products.map(({ sku, path }, i) => ({
+      sku,
+      path,
+      status: 201,
+      message: 'Draft saved',
+      ...(etags[i] ? { etag: etags[i] } : {}),
+    })),
+    ...rejected,
+  ];
+  const status = resultsStatus(results, products.length);
+
+  log.info({
+    action: 'save_drafts',
+    status,
+    result: JSON.stringify(results),
+    timestamp: new Date().toISOString(),
+  });
+
   return new Response(
     JSON.stringify({
       product: results.length === 1 ? results[0] : undefined,
       products: results.length > 1 ? results : undefined,
     }),
     {
-      status: 201,
+      status,
       headers: {
         'Content-Type': 'application/json',
       },
@@ -208,6 +526,30 @@ async function doUpdate(ctx, products) {
   );
 }
 
+/**
+ * Read the products of a bulk request: a JSON array, NDJSON or CSV.
+ *
+ * @param {Context} ctx
+ * @returns {ParsedRecord[]|null} - null if the body is not in a bulk format
+ */
+function parseBulkData(ctx) {
+  const { requestInfo, data } = ctx;
+  if (Array.isArray(data)) {
+    return data.map((value) => ({ value }));
+  }
+  if (typeof data === 'string') {
+    switch (mediaType(requestInfo.getHeader('content-type'))) {
+      case NDJSON_CONTENT_TYPE:
+        return parseNdjson(data);
+      case CSV_CONTENT_TYPE:
+        return csvToProducts(data);
+      default:
+        break;
+    }
+  }
+  return null;
+}
+
 /**
  * @type {RouteHandler}
  */
@@ -219,33 +561,87 @@ export default async function update(ctx) {
   ctx.authInfo.assertPermissions('catalog:write');
   ctx.authInfo.assertOrgSite(org, site);
 
+  const conditions = getWriteConditions(requestInfo);
+  const isDryRun = ctx.url.searchParams.get('dryRun') === 'true';
+
+  let publishAt;
+  if (ctx.url.searchParams.has('publishAt')) {
+    publishAt = parsePublishAt(ctx.url.searchParams.get('publishAt'));
+    if (!publishAt) {
+      return errorResponse(400, 'invalid publishAt');
+    }
+    if (publishAt.getTime() <= Date.now()) {
+      return errorResponse(400, 'publishAt must be in the future');
+    }
+    if (conditions) {
+      return errorResponse(400, 'conditional requests can not be scheduled');
+    }
+  }
+
+  const isDraft = ctx.url.searchParams.get('state') === 'draft';
+  if (isDraft && publishAt) {
+    return errorResponse(400, 'drafts can not be scheduled');
+  }
+  if (isDraft && conditions) {
+    return errorResponse(400, 'conditional requests are not supported for drafts');
+  }
+
   // Handle bulk operations (POST with literal "*")
   if (path === '/*') {
     if (method !== 'POST') {
       return errorResponse(405, 'method not allowed');
     }
 
-    if (!Array.isArray(data)) {
+    if (conditions?.etagMatches && conditions.etagMatches !== '*') {
+      return errorResponse(400, 'If-Match with an entity tag is only supported for single products');
+    }
+
+    const records = parseBulkData(ctx);
+    if (!records) {
       return errorResponse(400, 'data must be an array');
     }
 
-    if (data.length > MAX_PRODUCT_BULK) {
+    if (records.length > MAX_PRODUCT_BULK) {
       return errorResponse(400, `data must be an array of ${MAX_PRODUCT_BULK} or fewer products`);
     }
 
-    // Validate each product has a path field
-    for (const product of data) {
-      if (!product.path) {
-        return errorResponse(400, 'each product must have a path field for bulk operations');
-      }
+    if (isDryRun) {
+      return dryRun(ctx, records);
+    }
 
+    // Validate each product on its own: invalid products are reported, valid ones saved
+    const products = [];
+    const rejected = [];
+    for (const { line, value: product, error } of records) {
       const t0 = Date.now();
-      assertValidProduct(ctx, product);
+      const errors = error ? undefined : validateProduct(product);
       const dt = Date.now() - t0;
       if (ctx.metrics) ctx.metrics.payloadValidationMs.push(dt);
+
+      if (error) {
+        rejected.push({ line, status: 400, message: error });
+      } else if (errors) {
+        ctx.log.info('Invalid product', { errors });
+        rejected.push({
+          sku: product?.sku,
+          path: product?.path,
+          line,
+          status: 400,
+          message: 'Invalid product',
+          errors,
+        });
+      } else {
+        products.push(product);
+      }
     }
 
-    return doUpdate(ctx, data);
+    if (publishAt) {
+      return scheduleUpdate(ctx, products, publishAt, rejected);
+    }
+    if (isDraft) {
+      return draftUpdate(ctx, products, rejected);
+    }
+    return doUpdate(ctx, products, conditions, rejected);
   }
 
   // Handle single product operation
@@ -262,9 +658,19 @@ export default async function update(ctx) {
     data.path = productPath;
   }
 
+  if (isDryRun) {
+    return dryRun(ctx, [{ value: data }]);
+  }
+
   const t0 = Date.now();
   assertValidProduct(ctx, data);
   const dt = Date.now() - t0;
   if (ctx.metrics) ctx.metrics.payloadValidationMs.push(dt);
-  return doUpdate(ctx, [data]);
+  if (publishAt) {
+    return scheduleUpdate(ctx, [data], publishAt);
+  }
+  if (isDraft) {
+    return draftUpdate(ctx, [data]);
+  }
+  return doUpdate(ctx, [data], conditions);
 }
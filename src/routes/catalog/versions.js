@@ -0,0 +1,57 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import { errorResponse } from '../../utils/http.js';
+import StorageClient from '../../utils/StorageClient.js';
+
+/**
+ * Version ids are `<ISO timestamp>-<random>`, see `StorageClient.saveProductVersion`.
+ */
+export const VERSION_ID_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z-[0-9a-f]{8}$/;
+
+/**
+ * Previous versions of a product.
+ *
+ * GET /catalog/products/foo.json?versions lists the versions, newest first,
+ * GET /catalog/products/foo.json?version=<id> returns the product as it was.
+ *
+ * @type {RouteHandler}
+ */
+export default async function versions(ctx) {
+  const { requestInfo, data } = ctx;
+  const { path, org, site } = requestInfo;
+
+  ctx.authInfo.assertPermissions('catalog:read');
+  ctx.authInfo.assertOrgSite(org, site);
+
+  const storage = StorageClient.fromContext(ctx);
+
+  if (data.version === undefined) {
+    const list = await storage.listProductVersions(path);
+    return new Response(JSON.stringify({ versions: list }), {
+      headers: { 'Content-Type': 'application/json' },
+    });
+  }
+
+  if (!VERSION_ID_PATTERN.test(data.version)) {
+    return errorResponse(400, 'invalid version');
+  }
+
+  const product = await storage.getProductVersion(path, data.version);
+  if (!product) {
+    return errorResponse(404, 'Version not found');
+  }
+
+  return new Response(JSON.stringify(product), {
+    headers: { 'Content-Type': 'application/json' },
+  });
+}
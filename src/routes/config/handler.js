@@ -13,6 +13,24 @@
 import { errorResponse } from '@dylandepass/helix-product-shared';
 import { assertValidConfig } from '../../utils/config.js';
 
+/**
+ * Config as returned to clients. Webhook secrets are write-only,
+ * anyone who can read them could sign webhook requests.
+ *
+ * @param {ProductBusConfig} config
+ * @returns {ProductBusConfig}
+ */
+function redactConfig(config) {
+  if (!Array.isArray(config.webhooks)) {
+    return config;
+  }
+  return {
+    ...config,
+    // @ts-ignore secrets are omitted
+    webhooks: config.webhooks.map(({ secret: _, ...webhook }) => webhook),
+  };
+}
+
 /**
  * Update the config for an org/site
  *
@@ -38,7 +56,7 @@ async function update(ctx) {
     return errorResponse(500, 'Error updating config');
   }
 
-  return new Response(config, {
+  return new Response(JSON.stringify(redactConfig(data)), {
     status: 200,
     headers: {
       'Content-Type': 'application/json',
@@ -91,7 +109,7 @@ async function retrieve(ctx) {
     return errorResponse(404, 'Config not found');
   }
 
-  return new Response(JSON.stringify(await config.json()), {
+  return new Response(JSON.stringify(redactConfig(await config.json())), {
     status: 200,
     headers: {
       'Content-Type': 'application/json',
@@ -19,6 +19,8 @@ import cache from './cache/handler.js';
 import indices from './indices/handler.js';
 import config from './config/handler.js';
 import emails from './emails/handler.js';
+import webhooks from './webhooks/handler.js';
+import inventory from './inventory/handler.js';
 
 /**
  * @type {Record<string, RouteHandler>}
@@ -33,4 +35,6 @@ export default {
   indices,
   config,
   emails,
+  webhooks,
+  inventory,
 };
@@ -0,0 +1,47 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import { errorResponse } from '../../utils/http.js';
+import retrieve from './retrieve.js';
+import update from './update.js';
+
+/**
+ * @type {Record<string, RouteHandler>}
+ */
+const allHandlers = {
+  // POST ${org}/${site}/inventory
+  POST: update,
+};
+
+/**
+ * @type {Record<string, RouteHandler>}
+ */
+const oneHandlers = {
+  // GET ${org}/${site}/inventory/${sku}
+  GET: retrieve,
+};
+
+/**
+ * @type {RouteHandler}
+ */
+export default async function handler(ctx, request) {
+  const { requestInfo } = ctx;
+  const { method } = requestInfo;
+  const handlers = requestInfo.getVariable('sku') ? oneHandlers : allHandlers;
+
+  const fn = handlers[method];
+  if (!fn) {
+    return errorResponse(405, 'method not allowed');
+  }
+
+  return fn(ctx, request);
+}
@@ -0,0 +1,51 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import { errorResponse } from '../../utils/http.js';
+import StorageClient from '../../utils/StorageClient.js';
+import { deriveAvailability, lowStockThreshold } from '../../utils/inventory.js';
+
+/**
+ * Inventory record of a SKU, along with the availability derived from it.
+ *
+ * GET /inventory/<sku>
+ *
+ * @type {RouteHandler}
+ */
+export default async function retrieve(ctx) {
+  const { requestInfo } = ctx;
+  const { org, site } = requestInfo;
+
+  ctx.authInfo.assertPermissions('catalog:read');
+  ctx.authInfo.assertOrgSite(org, site);
+
+  let sku;
+  try {
+    sku = decodeURIComponent(requestInfo.getVariable('sku'));
+  } catch {
+    return errorResponse(400, 'invalid sku');
+  }
+
+  const storage = StorageClient.fromContext(ctx);
+  const record = await storage.getInventoryRecord(sku);
+  if (!record) {
+    return errorResponse(404, 'Inventory not found');
+  }
+
+  const availability = deriveAvailability(record, await lowStockThreshold(ctx));
+  return new Response(JSON.stringify({ ...record, availability }), {
+    headers: {
+      'Content-Type': 'application/json',
+      'Cache-Control': 'no-store',
+    },
+  });
+}
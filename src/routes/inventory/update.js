@@ -0,0 +1,168 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import { errorResponse } from '../../utils/http.js';
+import StorageClient from '../../utils/StorageClient.js';
+import { BatchProcessor } from '../../utils/batch.js';
+import { validate } from '../../utils/validation.js';
+import { fetchHelixConfig } from '../../utils/config.js';
+import { publishIndexingJobs } from '../../utils/indexer.js';
+import { publishProductEvents } from '../../utils/webhooks.js';
+import { deriveAvailability, inventoryEnabled, lowStockThreshold } from '../../utils/inventory.js';
+import { purgeBatch } from '../cache/purge.js';
+import { resultsStatus } from '../catalog/update.js';
+import InventorySchema from '../../schemas/Inventory.js';
+
+export const MAX_INVENTORY_BULK = 500;
+
+/**
+ * Refresh the products using a set of SKUs, whose availability is derived when they are served.
+ * The stored products are unchanged, they are purged from the production CDN,
+ * indexed and sent to webhooks.
+ *
+ * @param {Context} ctx
+ * @param {string[]} skus
+ * @returns {Promise<number>} number of refreshed products
+ */
+async function refreshProducts(ctx, skus) {
+  const { requestInfo } = ctx;
+  const { org, site } = requestInfo;
+  const storage = StorageClient.fromContext(ctx);
+
+  const entries = await Promise.all(skus.map((sku) => storage.findProductPathsBySku(sku)));
+  /** @type {Map<string, ProductEvent>} path to event */
+  const products = new Map();
+  for (const [i, found] of entries.entries()) {
+    for (const { path, variant } of found) {
+      // events have the SKU of the product, not of its variants
+      if (!variant) {
+        products.set(path, { type: 'update', path, sku: skus[i] });
+      } else if (!products.has(path)) {
+        products.set(path, { type: 'update', path });
+      }
+    }
+  }
+  if (products.size === 0) {
+    return 0;
+  }
+
+  const refreshed = [...products.values()];
+  ctx.attributes.helixConfigCache = await fetchHelixConfig(ctx, org, site);
+  await purgeBatch(ctx, requestInfo, refreshed);
+  await publishIndexingJobs(ctx, {
+    org,
+    site,
+    // @ts-ignore
+    products: refreshed.map(({ path }) => ({ path, action: 'update' })),
+    timestamp: Date.now(),
+  });
+  await publishProductEvents(ctx, refreshed);
+  return refreshed.length;
+}
+
+/**
+ * Update the inventory records of a set of SKUs, product or variant SKUs,
+ * on sites with `inventoryEnabled`. Only the records are written, so frequent updates
+ * are cheap: products are refreshed only when the availability derived from a record changes.
+ *
+ * POST /inventory
+ * Body: `[{ sku, quantity, reserved?, location? }]`
+ *
+ * @type {RouteHandler}
+ */
+export default async function update(ctx) {
+  const { requestInfo, data, log } = ctx;
+  const { org, site } = requestInfo;
+
+  ctx.authInfo.assertPermissions('catalog:write');
+  ctx.authInfo.assertOrgSite(org, site);
+
+  // records of sites without inventory would not be used when serving products
+  if (!(await inventoryEnabled(ctx))) {
+    return errorResponse(409, 'inventory is not enabled');
+  }
+  if (!Array.isArray(data)) {
+    return errorResponse(400, 'request body must be an array');
+  }
+  if (data.length === 0 || data.length > MAX_INVENTORY_BULK) {
+    return errorResponse(400, `request body must contain between 1 and ${MAX_INVENTORY_BULK} records`);
+  }
+
+  const storage = StorageClient.fromContext(ctx);
+  const threshold = await lowStockThreshold(ctx);
+  const updatedAt = new Date().toISOString();
+  const seen = new Set();
+  /** @type {string[]} SKUs whose derived availability changed */
+  const changed = [];
+
+  const processor = new BatchProcessor(ctx, (batch) => Promise.all(batch.map(async (item) => {
+    const errors = validate(item, InventorySchema);
+    if (errors) {
+      return {
+        sku: item?.sku, status: 400, message: 'Invalid inventory record', errors,
+      };
+    }
+    const { sku, quantity, reserved = 0 } = item;
+    if (seen.has(sku)) {
+      return { sku, status: 400, message: 'Duplicate sku' };
+    }
+    seen.add(sku);
+
+    try {
+      const previous = await storage.getInventoryRecord(sku);
+      await storage.saveInventoryRecord({
+        sku, quantity, reserved, location: item.location, updatedAt,
+      });
+      const availability = deriveAvailability({ quantity, reserved }, threshold);
+      if (!previous || deriveAvailability(previous, threshold) !== availability) {
+        changed.push(sku);
+      }
+      return { sku, status: 200, availability };
+    } catch (e) {
+      log.error(`Failed to update inventory of SKU: ${sku}: ${e.message}`);
+      return { sku, status: 500, message: `Error: ${e.message}` };
+    }
+  })));
+  const results = await processor.process(data);
+
+  // the records are stored at this point, so a failure to refresh
+  // the products is logged but does not fail the request
+  let refreshed = 0;
+  if (changed.length > 0) {
+    try {
+      refreshed = await refreshProducts(ctx, changed);
+    } catch (e) {
+      log.error({
+        action: 'update_inventory',
+        message: 'failed to refresh products',
+        error: e,
+        timestamp: new Date().toISOString(),
+      });
+    }
+  }
+
+  const status = resultsStatus(results, 0);
+  log.info({
+    action: 'update_inventory',
+    status,
+    refreshed,
+    result: JSON.stringify(results),
+    timestamp: new Date().toISOString(),
+  });
+
+  return new Response(JSON.stringify({ inventory: results }), {
+    status,
+    headers: {
+      'Content-Type': 'application/json',
+    },
+  });
+}
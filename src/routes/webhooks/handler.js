@@ -0,0 +1,46 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import { errorResponse } from '../../utils/http.js';
+import StorageClient from '../../utils/StorageClient.js';
+import { getPagingOptions } from '../../utils/paging.js';
+
+/**
+ * Delivery log of the webhooks of a site, latest attempts first.
+ * The webhooks themselves are configured in the site config.
+ *
+ * GET /webhooks/deliveries
+ * Paging is done with `limit` and the opaque `cursor` from the previous page.
+ *
+ * @type {RouteHandler}
+ */
+export default async function handler(ctx) {
+  const { requestInfo, data } = ctx;
+  const { method, org, site } = requestInfo;
+
+  if (method !== 'GET') {
+    return errorResponse(405, 'method not allowed');
+  }
+
+  ctx.authInfo.assertPermissions('config:read');
+  ctx.authInfo.assertOrgSite(org, site);
+
+  const storage = StorageClient.fromContext(ctx);
+  const { deliveries, cursor } = await storage.listWebhookDeliveries(getPagingOptions(data));
+
+  return new Response(JSON.stringify({ deliveries, cursor }), {
+    headers: {
+      'Content-Type': 'application/json',
+      'Cache-Control': 'no-store',
+    },
+  });
+}
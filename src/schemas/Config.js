@@ -11,6 +11,23 @@
  */
 
 import { EmailSchema } from './common.js';
+import { LOCALE_PATTERN } from './ProductBus.js';
+
+/** @type {import("../utils/validation.js").ObjectSchema} */
+const WebhookSchema = {
+  type: 'object',
+  properties: {
+    url: { type: 'string', pattern: /^https:\/\/[^\s]+$/, maxLength: 1024 },
+    secret: { type: 'string', minLength: 16, maxLength: 256 },
+    events: {
+      type: 'array',
+      items: { type: 'string', enum: ['create', 'update', 'delete'] },
+      minItems: 1,
+    },
+  },
+  required: ['url', 'secret'],
+  additionalProperties: false,
+};
 
 /** @type {import("../utils/validation.js").ObjectSchema} */
 const Config = {
@@ -21,6 +38,20 @@ const Config = {
     otpEmailSubject: { type: 'string', maxLength: 255 },
     otpEmailBodyTemplate: { type: 'string', maxLength: 1024 * 100 },
     otpEmailBodyUrl: { type: 'string', maxLength: 1024 },
+    catalogCacheControl: { type: 'string', maxLength: 255 },
+    webhooks: { type: 'array', items: WebhookSchema, maxItems: 10 },
+    inventoryEnabled: { type: 'boolean' },
+    inventoryLowStockThreshold: { type: 'integer', min: 0 },
+    localeFallbacks: {
+      type: 'object',
+      properties: {},
+      additionalProperties: {
+        type: 'array',
+        items: { type: 'string', pattern: LOCALE_PATTERN },
+        maxItems: 10,
+      },
+      maxProperties: 100,
+    },
   },
   required: [],
   additionalProperties: false,
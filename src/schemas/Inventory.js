@@ -0,0 +1,26 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/** @type {import("../utils/validation.js").ObjectSchema} */
+const InventoryRecord = {
+  type: 'object',
+  properties: {
+    sku: { type: 'string', minLength: 1, maxLength: 256 },
+    quantity: { type: 'integer' },
+    reserved: { type: 'integer', min: 0 },
+    location: { type: 'string', maxLength: 256 },
+  },
+  required: ['sku', 'quantity'],
+  additionalProperties: false,
+};
+
+export default InventoryRecord;
@@ -13,6 +13,25 @@
 import { PATH_PATTERN } from '../utils/validation.js';
 
 const MAX_JSON_LD_LENGTH = 128_000;
+const MAX_PRICES = 100;
+
+/** ISO 4217 currency code */
+export const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+
+/** Price list, e.g. a customer group */
+export const PRICE_LIST_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+/** Decimal amount, e.g. `19.99` */
+const DECIMAL_PATTERN = /^\d+(\.\d+)?$/;
+
+/** ISO 8601 timestamp with time zone, e.g. `2026-11-27T00:00:00Z` */
+const TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d{1,3})?)?(Z|[+-]\d{2}:\d{2})$/;
+const MAX_PRICE_TIERS = 20;
+
+/** Locale, language with optional script and region, e.g. `de-DE` or `zh-Hant-TW` */
+export const LOCALE_PATTERN = /^[a-z]{2,3}(-[A-Z][a-z]{3})?(-[A-Z]{2}|-\d{3})?$/;
+const MAX_LOCALES = 50;
+const MAX_RELATIONSHIPS = 100;
 
 /** @type {import("../utils/validation.js").ObjectSchema} */
 const CustomObject = {
@@ -61,6 +80,41 @@ export const ProductBusPrice = {
   },
 };
 
+/**
+ * Final price from a minimum quantity on.
+ * @type {import("../utils/validation.js").ObjectSchema}
+ */
+const ProductBusPriceTier = {
+  type: 'object',
+  properties: {
+    minQuantity: { type: 'integer', min: 2 },
+    final: { type: 'string', pattern: DECIMAL_PATTERN },
+  },
+  required: ['minQuantity', 'final'],
+};
+
+/**
+ * Price in a currency, optionally of a price list, a validity window and quantity tiers.
+ * @type {import("../utils/validation.js").ObjectSchema}
+ */
+export const ProductBusPriceEntry = {
+  type: 'object',
+  properties: {
+    currency: { type: 'string', pattern: CURRENCY_PATTERN },
+    priceList: { type: 'string', pattern: PRICE_LIST_PATTERN, maxLength: 64 },
+    regular: { type: 'string', pattern: DECIMAL_PATTERN },
+    final: { type: 'string', pattern: DECIMAL_PATTERN },
+    validFrom: { type: 'string', pattern: TIMESTAMP_PATTERN },
+    validUntil: { type: 'string', pattern: TIMESTAMP_PATTERN },
+    tiers: {
+      type: 'array',
+      items: ProductBusPriceTier,
+      maxItems: MAX_PRICE_TIERS,
+    },
+  },
+  required: ['currency', 'final'],
+};
+
 /** @type {import("../utils/validation.js").ObjectSchema} */
 const ProductBusMedia = {
   type: 'object',
@@ -99,6 +153,53 @@ const ProductBusOption = {
   required: ['label', 'values'],
 };
 
+/**
+ * Overrides of a locale. Options and images are overridden by position.
+ * @type {import("../utils/validation.js").ObjectSchema}
+ */
+const ProductBusLocale = {
+  type: 'object',
+  properties: {
+    name: { type: 'string' },
+    description: { type: 'string' },
+    metaTitle: { type: 'string' },
+    metaDescription: { type: 'string' },
+    options: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: { label: { type: 'string' } },
+      },
+    },
+    images: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: { label: { type: 'string' } },
+      },
+    },
+  },
+};
+
+/**
+ * Link to another product, by path or SKU.
+ * @type {import("../utils/validation.js").ObjectSchema}
+ */
+const ProductBusRelationship = {
+  type: 'object',
+  properties: {
+    type: {
+      type: 'string',
+      enum: ['related', 'crossSell', 'upSell', 'bundle'],
+    },
+    path: { type: 'string', pattern: PATH_PATTERN, maxLength: 900 },
+    sku: { type: 'string', minLength: 1, maxLength: 256 },
+    // for bundles, units of the linked product in the bundle
+    quantity: { type: 'integer', min: 1 },
+  },
+  required: ['type'],
+};
+
 /** @type {import("../utils/validation.js").ObjectSchema} */
 const ProductBusVariant = {
   type: 'object',
@@ -106,6 +207,11 @@ const ProductBusVariant = {
     sku: { type: 'string' },
     name: { type: 'string' },
     price: ProductBusPrice,
+    prices: {
+      type: 'array',
+      items: ProductBusPriceEntry,
+      maxItems: MAX_PRICES,
+    },
     url: { type: 'string' },
     images: {
       type: 'array',
@@ -192,7 +298,18 @@ const ProductBusEntry = {
     availability: SchemaOrgAvailability,
     availabilityDate: { type: 'string' },
     price: ProductBusPrice,
+    prices: {
+      type: 'array',
+      items: ProductBusPriceEntry,
+      maxItems: MAX_PRICES,
+    },
     itemCondition: SchemaOrgItemCondition,
+    locales: {
+      type: 'object',
+      properties: {},
+      additionalProperties: ProductBusLocale,
+      maxProperties: MAX_LOCALES,
+    },
     metadata: {
       type: 'object',
       properties: {},
@@ -220,6 +337,11 @@ const ProductBusEntry = {
       type: 'array',
       items: ProductBusVariant,
     },
+    relationships: {
+      type: 'array',
+      items: ProductBusRelationship,
+      maxItems: MAX_RELATIONSHIPS,
+    },
     jsonld: {
       type: 'string',
       maxLength: MAX_JSON_LD_LENGTH,
@@ -55,6 +55,8 @@ declare global {
     SUPERUSER_KEY: string;
     INDEXER_QUEUE: Queue<SharedTypes.IndexingJob>;
     IMAGE_COLLECTOR_QUEUE: Queue<SharedTypes.ImageCollectorJob>;
+    CATALOG_JOBS_QUEUE: Queue<CatalogJobMessage>;
+    WEBHOOKS_QUEUE: Queue<WebhookMessage>;
 
     // auth
     OTP_SECRET: string;
@@ -76,7 +78,7 @@ declare global {
     ORDERS_BUCKET: R2Bucket;
     CONFIGS_BUCKET: R2Bucket;
 
-    [key: string]: string | KVNamespace<string> | R2Bucket | Queue<SharedTypes.IndexingJob>;
+    [key: string]: string | KVNamespace<string> | R2Bucket | Queue<SharedTypes.IndexingJob> | Queue<CatalogJobMessage> | Queue<WebhookMessage>;
   }
 
   export interface Context {
@@ -108,8 +110,340 @@ declare global {
     path: string;
     status: number;
     message?: string;
+    etag?: string;
+    /** for deletions, whether the product was purged from the CDN */
+    purged?: boolean;
+    /** validation errors of invalid products */
+    errors?: import('./utils/validation.d.js').ValidationError[];
+    /** for NDJSON and CSV uploads, line of the product in the upload */
+    line?: number;
+    /** for scheduled updates, when the product is published */
+    publishAt?: string;
+    /** for saved products, whether the product was created, updated or left unchanged */
+    change?: 'create' | 'update' | 'unchanged';
+    /** for updated products, what changed compared to the stored product */
+    diff?: ObjectDiff;
+    /** for inventory updates, the availability derived from the record */
+    availability?: string;
+    /** for saved products, relationships to products that don't exist */
+    warnings?: import('./utils/validation.d.js').ValidationError[];
   };
 
+  export interface DryRunResult {
+    sku?: string;
+    path?: string;
+    outcome: 'would-create' | 'would-update' | 'unchanged' | 'invalid';
+    /** for NDJSON and CSV uploads, line of the product in the upload */
+    line?: number;
+    /** why a record of an upload could not be read */
+    message?: string;
+    /** whether saving would fetch new images */
+    newImages?: boolean;
+    /** for `would-update`, what would change compared to the stored product */
+    diff?: ObjectDiff;
+    /** validation errors of invalid products */
+    errors?: import('./utils/validation.d.js').ValidationError[];
+    /** relationships to products that don't exist */
+    warnings?: import('./utils/validation.d.js').ValidationError[];
+  }
+
+  /**
+   * JSON pointers of the members that differ between two values
+   */
+  export interface ObjectDiff {
+    added: string[];
+    removed: string[];
+    changed: string[];
+  }
+
+  /**
+   * Price of a product or variant in a currency, optionally of a price list
+   */
+  export interface PriceEntry {
+    /** ISO 4217 currency code */
+    currency: string;
+    priceList?: string;
+    regular?: string;
+    final: string;
+    /** ISO 8601, inclusive */
+    validFrom?: string;
+    /** ISO 8601, exclusive */
+    validUntil?: string;
+    tiers?: PriceTier[];
+  }
+
+  /**
+   * Final price from a minimum quantity on
+   */
+  export interface PriceTier {
+    minQuantity: number;
+    final: string;
+  }
+
+  /**
+   * Effective price of a product or variant at read time
+   */
+  export interface ResolvedPrice extends SharedTypes.ProductBusPrice {
+    /** end of the validity window of the price, ISO 8601 */
+    validUntil?: string;
+    /** quantity tiers, unless a quantity was requested */
+    tiers?: PriceTier[];
+  }
+
+  /**
+   * Price requested with `?currency`, `?priceList` and `?quantity`.
+   * Without a currency, prices are resolved in the currency of `price`.
+   */
+  export interface PriceOptions {
+    currency?: string;
+    priceList?: string;
+    quantity?: number;
+  }
+
+  /**
+   * Link of a product to another product, by path or SKU
+   */
+  export interface ProductRelationship {
+    type: 'related' | 'crossSell' | 'upSell' | 'bundle';
+    path?: string;
+    sku?: string;
+    /** for bundles, units of the linked product in the bundle */
+    quantity?: number;
+    /** summary of the linked product, with `?expand=related` */
+    product?: ProductSummary;
+  }
+
+  /**
+   * Summary of a linked product
+   */
+  export interface ProductSummary {
+    sku: string;
+    path: string;
+    name: string;
+    price?: SharedTypes.ProductBusPrice;
+    availability?: string;
+    /** URL of the first image */
+    image?: string;
+  }
+
+  /**
+   * Overrides of a product for a locale, options and images by position
+   */
+  export interface LocaleOverrides {
+    name?: string;
+    description?: string;
+    metaTitle?: string;
+    metaDescription?: string;
+    options?: { label?: string }[];
+    images?: { label?: string }[];
+  }
+
+  export interface RequestedLocales {
+    /** most preferred first */
+    locales: string[];
+    /** whether the locales come from the Accept-Language header */
+    negotiated: boolean;
+  }
+
+  /**
+   * Preconditions for catalog writes, parsed from If-Match / If-None-Match.
+   * Compatible with the `onlyIf` option of R2 writes.
+   */
+  export interface WriteConditions {
+    etagMatches?: string;
+    etagDoesNotMatch?: string;
+  }
+
+  export interface ProductEntry {
+    /** null if the read preconditions failed */
+    product: SharedTypes.ProductBusEntry | null;
+    etag: string;
+    lastModified: Date;
+    notModified?: boolean;
+  }
+
+  export interface ProductVersion {
+    id: string;
+    sku?: string;
+    name?: string;
+    /** when the version was replaced, ISO 8601 */
+    createdAt?: string;
+  }
+
+  export interface ProductSkuEntry {
+    /** product path, without .json */
+    path: string;
+    /** whether the SKU is the SKU of a variant of the product */
+    variant: boolean;
+  }
+
+  export interface ProductRedirect {
+    /** product path the redirect is answered for, without .json */
+    from: string;
+    /** product path the product moved to, without .json */
+    to: string;
+    createdAt: string;
+  }
+
+  export interface ScheduledProduct {
+    /** ISO timestamp the product is published at */
+    publishAt: string;
+    product: SharedTypes.ProductBusEntry;
+    /** etag of the stored change */
+    etag?: string;
+  }
+
+  export interface ScheduleIndexEntry {
+    publishAt: string;
+    org: string;
+    site: string;
+    /** product path, without .json */
+    path: string;
+  }
+
+  export type CatalogJobType = 'import' | 'copy' | 'reindex';
+
+  export interface CatalogJob {
+    id: string;
+    type: CatalogJobType;
+    createdAt: string;
+    /** number of records to process, set once the source of a copy has been listed */
+    total?: number;
+    /** number of chunks the records are processed in, set along with `total` */
+    chunks?: number;
+    /** site the products are copied from, copy jobs only */
+    source?: { org: string; site: string };
+    /** path prefix of the copied products, copy jobs only */
+    prefix?: string;
+    /** highest chunk that was queued, copy jobs only; chunk 0 is queued with the job */
+    lastQueuedChunk?: number;
+  }
+
+  interface CatalogJobMessageBase {
+    type: CatalogJobType;
+    org: string;
+    site: string;
+    jobId: string;
+    chunk: number;
+  }
+
+  /**
+   * Message of an import job, one per chunk of the uploaded file.
+   */
+  export interface CatalogImportMessage extends CatalogJobMessageBase {
+    type: 'import';
+    /** line number of the first record of the chunk, 1-based */
+    firstLine: number;
+    /** byte range of the chunk in the job source */
+    offset: number;
+    length: number;
+    /** number of records in the chunk */
+    count: number;
+  }
+
+  /**
+   * Message of a copy job, each chunk queues the next one.
+   */
+  export interface CatalogCopyMessage extends CatalogJobMessageBase {
+    type: 'copy';
+    /** listing cursor of the source, not set for the first chunk */
+    cursor?: string;
+    /** number of products listed by the previous chunks */
+    listed: number;
+  }
+
+  /**
+   * Message of a SKU index backfill, each chunk queues the next one.
+   */
+  export interface CatalogReindexMessage extends CatalogJobMessageBase {
+    type: 'reindex';
+    /** listing cursor of the catalog, not set for the first chunk */
+    cursor?: string;
+    /** number of products listed by the previous chunks */
+    listed: number;
+  }
+
+  /**
+   * Message of a job that lists its records page by page.
+   */
+  export type CatalogListingMessage = CatalogCopyMessage | CatalogReindexMessage;
+
+  /**
+   * Message to remove old versions of products, queued when products get a new version.
+   */
+  export interface ProductVersionsPruneMessage {
+    type: 'prune-versions';
+    org: string;
+    site: string;
+    /** product paths, with or without .json extension */
+    paths: string[];
+    jobId?: undefined;
+  }
+
+  /**
+   * Message on the catalog jobs queue.
+   */
+  export type CatalogJobMessage = CatalogImportMessage
+    | CatalogListingMessage
+    | ProductVersionsPruneMessage;
+
+  /**
+   * A record of an NDJSON or CSV upload.
+   * Either the parsed value, or why the record could not be read.
+   */
+  export interface ParsedRecord {
+    /** line of the record, 1-based; not set for JSON arrays */
+    line?: number;
+    value?: any;
+    error?: string;
+  }
+
+  export interface CatalogJobError {
+    /** line number in the uploaded file, 1-based; not set for copies */
+    line?: number;
+    sku?: string;
+    path?: string;
+    status: number;
+    message: string;
+    errors?: import('./utils/validation.d.js').ValidationError[];
+  }
+
+  export interface CatalogJobChunkResult {
+    chunk: number;
+    saved: number;
+    unchanged: number;
+    failed: number;
+    errors: CatalogJobError[];
+  }
+
+  export interface CatalogJobStatus extends CatalogJob {
+    status: 'queued' | 'running' | 'completed';
+    processed: number;
+    saved: number;
+    unchanged: number;
+    failed: number;
+    /** the first `MAX_JOB_ERRORS` errors */
+    errors: CatalogJobError[];
+    errorsTruncated?: boolean;
+  }
+
+  export interface InventoryRecord {
+    /** SKU of a product or variant */
+    sku: string;
+    quantity: number;
+    /** quantity set aside, e.g. for pending orders */
+    reserved: number;
+    location?: string;
+    /** ISO timestamp of the last update */
+    updatedAt: string;
+  }
+
+  export interface ProductListEntry {
+    sku?: string;
+    name?: string;
+    path: string;
+  }
+
   export interface OrderItem {
     name?: string;
     note?: string;
@@ -200,6 +534,61 @@ declare global {
     otpEmailBodyTemplate?: string;
     // OTP email body URL, fetched and used as template if defined
     otpEmailBodyUrl?: string;
+    // Cache-Control header for catalog product reads
+    catalogCacheControl?: string;
+    // Endpoints notified of product changes
+    webhooks?: WebhookConfig[];
+    // Whether availabilities are derived from inventory records
+    inventoryEnabled?: boolean;
+    // Available quantity at or below which stock is limited
+    inventoryLowStockThreshold?: number;
+    // Locales whose product overrides apply to a locale, before its language
+    localeFallbacks?: Record<string, string[]>;
+  }
+
+  export interface WebhookConfig {
+    /** https endpoint the events are POSTed to */
+    url: string;
+    /** key of the HMAC-SHA256 signature of the request body */
+    secret: string;
+    /** events the webhook subscribed to, all events if not set */
+    events?: ProductEvent['type'][];
+  }
+
+  export interface ProductEvent {
+    type: 'create' | 'update' | 'delete';
+    /** product path, without .json extension */
+    path: string;
+    sku?: string;
+  }
+
+  export interface WebhookMessage {
+    type: 'webhook';
+    /** id of the delivery, the same for all its attempts */
+    id: string;
+    org: string;
+    site: string;
+    url: string;
+    events: ProductEvent[];
+    /** ISO timestamp of the changes */
+    timestamp: string;
+  }
+
+  /** messages of the queues consumed by the worker */
+  export type QueueMessage = CatalogJobMessage | WebhookMessage;
+
+  export interface WebhookDelivery {
+    id: string;
+    url: string;
+    attempt: number;
+    /** ISO timestamp of the attempt */
+    timestamp: string;
+    outcome: 'delivered' | 'retrying' | 'failed';
+    /** number of events delivered */
+    events: number;
+    /** status of the response, not set if the request failed */
+    status?: number;
+    message?: string;
   }
 
   export interface AddressHashEntry {
@@ -16,8 +16,67 @@ import {
 } from '@dylandepass/helix-product-shared';
 import { BatchProcessor } from './batch.js';
 import { errorWithResponse } from './http.js';
+import { writeConditionsMet } from './conditional.js';
 import { purgeBatch } from '../routes/cache/purge.js';
 
+/**
+ * Number of previous versions kept per product.
+ */
+export const MAX_PRODUCT_VERSIONS = 10;
+
+/**
+ * Number of products loaded in parallel when iterating over the catalog.
+ */
+const PRODUCT_LOAD_CONCURRENCY = 10;
+
+/**
+ * Prefix of the index of scheduled products, shared by all sites.
+ * Keys are `<publishAt>/<org>/<site><path>`, so a listing returns them in publishing order.
+ * Org names (GitHub owners) can't contain `_`, so the index never collides with a catalog.
+ */
+export const SCHEDULE_INDEX_PREFIX = '_schedule/';
+
+/**
+ * Number of attempts to update a catalog job that is changed concurrently.
+ */
+const JOB_UPDATE_ATTEMPTS = 5;
+
+/**
+ * Latest time (in ms) of a webhook delivery that sorts correctly in the delivery log.
+ */
+const WEBHOOK_DELIVERY_TIME_MAX = 9999999999999;
+
+/**
+ * SKUs of a product, including the SKUs of its variants.
+ * @param {Partial<SharedTypes.ProductBusEntry>|null} product
+ * @returns {Map<string, boolean>} SKU to whether it is a variant SKU
+ */
+function collectSkus(product) {
+  /** @type {Map<string, boolean>} */
+  const skus = new Map();
+  (product?.variants || []).forEach(({ sku }) => {
+    if (sku && typeof sku === 'string') {
+      skus.set(sku, true);
+    }
+  });
+  if (product?.sku && typeof product.sku === 'string') {
+    skus.set(product.sku, false);
+  }
+  return skus;
+}
+
+/**
+ * @param {string} body
+ * @returns {any}
+ */
+function parseBody(body) {
+  try {
+    return JSON.parse(body);
+  } catch {
+    return null;
+  }
+}
+
 export default class StorageClient extends SharedStorageClient {
   /**
    * @param {Context} ctx
@@ -49,6 +108,19 @@ export default class StorageClient extends SharedStorageClient {
    * @returns {Promise<SharedTypes.ProductBusEntry>} - A promise that resolves to the product.
    */
   async getProductByPath(path) {
+    const { product } = await this.getProductEntryByPath(path);
+    return product;
+  }
+
+  /**
+   * Load product by path, along with the validators of the stored object.
+   * If read preconditions are given and the stored object has not changed,
+   * the product is not loaded and `notModified` is set.
+   * @param {string} path - The path to the product
+   * @param {import('@cloudflare/workers-types').R2Conditional} [conditions] - Read preconditions
+   * @returns {Promise<ProductEntry>}
+   */
+  async getProductEntryByPath(path, conditions = undefined) {
     const {
       env,
       requestInfo: { org, site },
@@ -60,13 +132,153 @@ export default class StorageClient extends SharedStorageClient {
     }
 
     const key = `${org}/${site}/catalog${path}`;
-    const obj = await env.CATALOG_BUCKET.get(key);
+    const obj = await env.CATALOG_BUCKET.get(key, conditions ? { onlyIf: conditions } : undefined);
     if (!obj) {
       throw errorWithResponse(404, 'Product not found');
     }
 
-    const data = await obj.json();
-    return data;
+    const entry = {
+      etag: obj.httpEtag,
+      lastModified: obj.uploaded,
+    };
+
+    // R2 returns the object without a body if the preconditions fail
+    if (!('json' in obj)) {
+      return { ...entry, product: null, notModified: true };
+    }
+
+    const product = await obj.json();
+    return { ...entry, product };
+  }
+
+  /**
+   * List products stored under a path prefix, one page at a time.
+   *
+   * @param {string} prefix - path prefix, starting with `/`
+   * @param {object} [opts]
+   * @param {number} [opts.limit] - maximum number of products in the page
+   * @param {string} [opts.cursor] - cursor returned by a previous call
+   * @returns {Promise<{ products: ProductListEntry[], cursor?: string }>}
+   */
+  async listProductsByPath(prefix, { limit, cursor } = {}) {
+    const {
+      env,
+      requestInfo: { org, site },
+    } = this.ctx;
+
+    const catalogPrefix = `${org}/${site}/catalog`;
+    const res = await env.CATALOG_BUCKET.list({
+      prefix: `${catalogPrefix}${prefix}`,
+      limit,
+      cursor,
+      // @ts-ignore not defined in types for some reason
+      include: ['customMetadata'],
+    });
+
+    const products = res.objects
+      .filter((obj) => obj.key.endsWith('.json'))
+      .map((obj) => {
+        const { sku, name, path } = obj.customMetadata ?? {};
+        return {
+          sku,
+          name,
+          path: (path ?? obj.key.substring(catalogPrefix.length)).replace(/\.json$/, ''),
+        };
+      });
+
+    return {
+      products,
+      cursor: res.truncated ? res.cursor : undefined,
+    };
+  }
+
+  /**
+   * Iterate over all products stored under a path prefix.
+   * Lists one page of keys at a time and loads the products of a page in small batches,
+   * so large catalogs are never held in memory.
+   *
+   * @param {string} prefix - path prefix, starting with `/`
+   * @param {{ modifiedSince?: Date }} [opts] - only products written after this date
+   * @returns {AsyncGenerator<SharedTypes.ProductBusEntry>}
+   */
+  async* iterateProductsByPath(prefix, { modifiedSince } = {}) {
+    const {
+      env,
+      requestInfo: { org, site },
+    } = this.ctx;
+
+    let cursor;
+    do {
+      // eslint-disable-next-line no-await-in-loop
+      const res = await env.CATALOG_BUCKET.list({
+        prefix: `${org}/${site}/catalog${prefix}`,
+        cursor,
+        limit: 1000,
+      });
+      const keys = res.objects
+        .filter((obj) => obj.key.endsWith('.json'))
+        .filter((obj) => !modifiedSince || obj.uploaded > modifiedSince)
+        .map((obj) => obj.key);
+
+      for (let i = 0; i < keys.length; i += PRODUCT_LOAD_CONCURRENCY) {
+        // eslint-disable-next-line no-await-in-loop
+        const objs = await Promise.all(keys
+          .slice(i, i + PRODUCT_LOAD_CONCURRENCY)
+          .map((key) => env.CATALOG_BUCKET.get(key)));
+        for (const obj of objs) {
+          // skip products deleted since the listing
+          if (obj) {
+            // eslint-disable-next-line no-await-in-loop
+            yield await obj.json();
+          }
+        }
+      }
+      cursor = res.truncated ? res.cursor : undefined;
+    } while (cursor);
+  }
+
+  /**
+   * Load one page of the products stored under a path prefix of any site,
+   * including their `internal` data.
+   *
+   * @param {string} org
+   * @param {string} site
+   * @param {string} prefix - path prefix, starting with `/`
+   * @param {object} [opts]
+   * @param {number} [opts.limit] - maximum number of keys listed
+   * @param {string} [opts.cursor] - cursor returned by a previous call
+   * @returns {Promise<{ products: SharedTypes.ProductBusEntry[], cursor?: string }>}
+   */
+  async fetchProductsByPrefix(org, site, prefix, { limit, cursor } = {}) {
+    const { env } = this.ctx;
+    const res = await env.CATALOG_BUCKET.list({
+      prefix: `${org}/${site}/catalog${prefix}`,
+      limit,
+      cursor,
+    });
+
+    const keys = res.objects
+      .filter((obj) => obj.key.endsWith('.json'))
+      .map((obj) => obj.key);
+    const products = [];
+    for (let i = 0; i < keys.length; i += PRODUCT_LOAD_CONCURRENCY) {
+      // eslint-disable-next-line no-await-in-loop
+      const objs = await Promise.all(keys
+        .slice(i, i + PRODUCT_LOAD_CONCURRENCY)
+        .map((key) => env.CATALOG_BUCKET.get(key)));
+      for (const obj of objs) {
+        // skip products deleted since the listing
+        if (obj) {
+          // eslint-disable-next-line no-await-in-loop
+          products.push(await obj.json());
+        }
+      }
+    }
+
+    return {
+      products,
+      cursor: res.truncated ? res.cursor : undefined,
+    };
   }
 
   /**
@@ -74,12 +286,13 @@ export default class StorageClient extends SharedStorageClient {
    *
    * @param {SharedTypes.ProductBusEntry[]} products - The products to save (with path field).
    * @param {boolean} [asyncImages=true] - Whether images should be fetched asynchronously.
+   * @param {WriteConditions} [conditions] - Preconditions applied to each write.
    * @returns {Promise<Partial<BatchResult>[]>}
    */
-  async saveProductsByPath(products, asyncImages = true) {
+  async saveProductsByPath(products, asyncImages = true, conditions = undefined) {
     const processor = new BatchProcessor(
       this.ctx,
-      async (batch) => this.storeProductsBatchByPath(batch, asyncImages),
+      async (batch) => this.storeProductsBatchByPath(batch, asyncImages, conditions),
     );
     const saveResults = await processor.process(products);
 
@@ -92,9 +305,10 @@ export default class StorageClient extends SharedStorageClient {
    * Handler function to process a batch of products using paths.
    * @param {SharedTypes.ProductBusEntry[]} batch - An array of products to save (with path field).
    * @param {boolean} [asyncImages=true] - Whether images should be fetched asynchronously.
+   * @param {WriteConditions} [conditions] - Preconditions applied to each write.
    * @returns {Promise<Partial<BatchResult>[]>}
    */
-  async storeProductsBatchByPath(batch, asyncImages = true) {
+  async storeProductsBatchByPath(batch, asyncImages = true, conditions = undefined) {
     const {
       env,
       log,
@@ -103,6 +317,7 @@ export default class StorageClient extends SharedStorageClient {
 
     // Track successfully saved products for batch cache purging
     const successfullySavedProducts = [];
+    const versionedPaths = [];
 
     const storePromises = batch.map(async (product) => {
       if (!asyncImages) {
@@ -153,14 +368,37 @@ export default class StorageClient extends SharedStorageClient {
           path,
         };
 
+        // Read the current body first, it's kept as a version once overwritten
+        const previous = await env.CATALOG_BUCKET.get(key);
+        const previousBody = previous ? await previous.text() : null;
+
         // Save the product at its path location
-        await env.CATALOG_BUCKET.put(key, body, {
+        const stored = await env.CATALOG_BUCKET.put(key, body, {
           httpMetadata: { contentType: 'application/json' },
           customMetadata,
+          ...(conditions ? { onlyIf: conditions } : {}),
         });
         const dt = Date.now() - t0;
         this.ctx.metrics?.productUploadsMs?.push(dt);
 
+        // R2 skips conditional writes whose preconditions fail
+        if (conditions && !stored) {
+          return {
+            sku,
+            path,
+            status: 412,
+            message: 'Precondition failed',
+          };
+        }
+
+        if (previousBody !== body) {
+          if (previousBody !== null) {
+            await this.saveProductVersion(path, previousBody, previous.customMetadata);
+            versionedPaths.push(path);
+          }
+          await this.updateSkuIndex(path, product, previousBody && parseBody(previousBody));
+        }
+
         // Track this product for batch cache purging
         successfullySavedProducts.push({
           sku,
@@ -176,6 +414,9 @@ export default class StorageClient extends SharedStorageClient {
           message: 'Product saved successfully.',
           status: 200,
         };
+        if (stored?.httpEtag) {
+          result.etag = stored.httpEtag;
+        }
 
         return result;
       } catch (error) {
@@ -190,6 +431,9 @@ export default class StorageClient extends SharedStorageClient {
     });
 
     const batchResults = await Promise.all(storePromises);
+    if (versionedPaths.length > 0) {
+      await this.queueVersionPruning(versionedPaths);
+    }
 
     // Purge cache for all successfully saved products in a single batch
     if (successfullySavedProducts.length > 0) {
@@ -209,14 +453,15 @@ export default class StorageClient extends SharedStorageClient {
   /**
    * Deletes multiple products by their paths in batches while tracking each deletion's response.
    * @param {string[]} paths - An array of paths of the products to delete.
+   * @param {WriteConditions} [conditions] - Preconditions applied to each deletion.
    * @returns {Promise<Partial<BatchResult>[]>} - Resolves with an array of deletion results.
    */
-  async deleteProductsByPath(paths) {
+  async deleteProductsByPath(paths, conditions = undefined) {
     const { log } = this.ctx;
 
     const processor = new BatchProcessor(
       this.ctx,
-      (batch) => this.deleteProductsBatchByPath(batch),
+      (batch) => this.deleteProductsBatchByPath(batch, conditions),
     );
     const deleteResults = await processor.process(paths);
 
@@ -227,16 +472,20 @@ export default class StorageClient extends SharedStorageClient {
 
   /**
    * Handler function to process a batch of paths for deletion.
+   * Deleted products are purged from the CDN, using the helix config in `ctx.attributes`.
    * @param {string[]} batch - An array of paths to delete.
+   * @param {WriteConditions} [conditions] - Preconditions applied to each deletion.
    * @returns {Promise<Partial<BatchResult>[]>} - Resolves with an array of deletion results.
    */
-  async deleteProductsBatchByPath(batch) {
+  async deleteProductsBatchByPath(batch, conditions = undefined) {
     const {
       log,
       env,
       requestInfo: { org, site },
     } = this.ctx;
 
+    const versionedPaths = [];
+
     const deletionPromises = batch.map(async (path) => {
       try {
         // Path should NOT have .json extension (we add it)
@@ -250,8 +499,8 @@ export default class StorageClient extends SharedStorageClient {
 
         const key = `${org}/${site}/catalog${path}`;
 
-        const productHead = await env.CATALOG_BUCKET.head(key);
-        if (!productHead) {
+        const product = await env.CATALOG_BUCKET.get(key);
+        if (!product) {
           log.warn(`Product at path: ${path} not found. Skipping deletion.`);
           return {
             path,
@@ -260,8 +509,29 @@ export default class StorageClient extends SharedStorageClient {
           };
         }
 
-        const { customMetadata } = productHead;
+        const { customMetadata } = product;
+        if (!writeConditionsMet(product.etag, conditions)) {
+          return {
+            sku: customMetadata?.sku,
+            path,
+            status: 412,
+            message: 'Precondition failed',
+          };
+        }
+
+        // the product is only deleted once it can be restored from its version
+        const body = await product.text();
+        if (!(await this.saveProductVersion(path, body, customMetadata))) {
+          return {
+            sku: customMetadata?.sku,
+            path,
+            status: 500,
+            message: 'Error: failed to save a version of the product',
+          };
+        }
+        versionedPaths.push(path);
         await env.CATALOG_BUCKET.delete(key);
+        await this.updateSkuIndex(path, null, parseBody(body));
 
         /**
          * @type {Partial<BatchResult>}
@@ -284,9 +554,729 @@ export default class StorageClient extends SharedStorageClient {
     });
 
     const batchResults = await Promise.all(deletionPromises);
+    if (versionedPaths.length > 0) {
+      await this.queueVersionPruning(versionedPaths);
+    }
+
+    // Purge cache for all deleted products in a single batch, and report the outcome
+    const deleted = batchResults.filter((result) => result.status === 200);
+    if (deleted.length > 0) {
+      let purged = false;
+      try {
+        purged = await purgeBatch(
+          this.ctx,
+          this.ctx.requestInfo,
+          deleted.map(({ sku, path }) => ({ sku, path: path.replace(/\.json$/, '') })),
+        );
+      } catch (purgeError) {
+        // The products are already deleted, a failed purge doesn't fail the deletion
+        log.error(`Failed to purge cache for deleted products: ${purgeError.message}`);
+      }
+      deleted.forEach((result) => {
+        result.purged = purged;
+      });
+    }
+
     return batchResults;
   }
 
+  /**
+   * Key prefix of the previous versions of a product.
+   * @param {string} path - The product path, with or without .json extension
+   * @returns {string}
+   */
+  productVersionsPrefix(path) {
+    return `${this.catalogKey}/catalog-versions${path.replace(/\.json$/, '')}/`;
+  }
+
+  /**
+   * Keep a previous body of a product as a version.
+   * Older versions are removed by `pruneProductVersions`, see `queueVersionPruning`.
+   * @param {string} path - The product path
+   * @param {string} body - The previous product JSON
+   * @param {Record<string, string>} [metadata] - Custom metadata of the previous object
+   * @returns {Promise<string|undefined>} - The version id
+   */
+  async saveProductVersion(path, body, metadata = {}) {
+    const { env, log } = this.ctx;
+    const prefix = this.productVersionsPrefix(path);
+
+    try {
+      const now = new Date().toISOString();
+      const id = `${now}-${crypto.randomUUID().split('-')[0]}`;
+      await env.CATALOG_BUCKET.put(`${prefix}${id}.json`, body, {
+        httpMetadata: { contentType: 'application/json' },
+        customMetadata: {
+          ...metadata,
+          id,
+          createdAt: now,
+        },
+      });
+      return id;
+    } catch (e) {
+      log.error(`Failed to save version of product at path: ${path}: ${e.message}`);
+      return undefined;
+    }
+  }
+
+  /**
+   * Queue the removal of old versions of products, off the write path.
+   * @param {string[]} paths - Paths of the products that got a new version
+   */
+  async queueVersionPruning(paths) {
+    const {
+      env,
+      log,
+      requestInfo: { org, site },
+    } = this.ctx;
+
+    try {
+      await env.CATALOG_JOBS_QUEUE.send({
+        type: 'prune-versions',
+        org,
+        site,
+        paths,
+      });
+    } catch (e) {
+      log.error(`Failed to queue version pruning of ${paths.length} products: ${e.message}`);
+    }
+  }
+
+  /**
+   * Remove the versions of products beyond the newest `MAX_PRODUCT_VERSIONS`.
+   * @param {string[]} paths - The product paths
+   */
+  async pruneProductVersions(paths) {
+    const { env } = this.ctx;
+
+    await Promise.all(paths.map(async (path) => {
+      const versions = await this.listProductVersions(path);
+      if (versions.length > MAX_PRODUCT_VERSIONS) {
+        const prefix = this.productVersionsPrefix(path);
+        const stale = versions.slice(MAX_PRODUCT_VERSIONS);
+        await env.CATALOG_BUCKET.delete(stale.map((v) => `${prefix}${v.id}.json`));
+      }
+    }));
+  }
+
+  /**
+   * List the previous versions of a product, newest first.
+   * @param {string} path - The product path
+   * @returns {Promise<ProductVersion[]>}
+   */
+  async listProductVersions(path) {
+    const { env } = this.ctx;
+    const prefix = this.productVersionsPrefix(path);
+    const res = await env.CATALOG_BUCKET.list({
+      prefix,
+      limit: 1000,
+      // @ts-ignore not defined in types for some reason
+      include: ['customMetadata'],
+    });
+    return res.objects
+      .map((obj) => ({
+        id: obj.key.substring(prefix.length).replace(/\.json$/, ''),
+        sku: obj.customMetadata?.sku,
+        name: obj.customMetadata?.name,
+        createdAt: obj.customMetadata?.createdAt,
+      }))
+      .sort((a, b) => b.id.localeCompare(a.id));
+  }
+
+  /**
+   * Load a previous version of a product.
+   * @param {string} path - The product path
+   * @param {string} id - The version id
+   * @returns {Promise<SharedTypes.ProductBusEntry|null>}
+   */
+  async getProductVersion(path, id) {
+    const { env } = this.ctx;
+    const obj = await env.CATALOG_BUCKET.get(`${this.productVersionsPrefix(path)}${id}.json`);
+    if (!obj) {
+      return null;
+    }
+    return obj.json();
+  }
+
+  /**
+   * Key prefix of the SKU index entries of a SKU.
+   * Each entry is an empty object keyed by the encoded product path.
+   * @param {string} sku
+   * @returns {string}
+   */
+  skuIndexPrefix(sku) {
+    return `${this.catalogKey}/catalog-skus/${encodeURIComponent(sku)}/`;
+  }
+
+  /**
+   * Update the SKU index for a product path.
+   * Only SKUs that are new to the product are written, SKUs of the previous product
+   * that are no longer used are removed from the index.
+   * @param {string} path - The product path
+   * @param {Partial<SharedTypes.ProductBusEntry>|null} product - The new product, null if deleted
+   * @param {Partial<SharedTypes.ProductBusEntry>|null} [previous] - The previous product
+   * @returns {Promise<boolean>} whether the index was updated
+   */
+  async updateSkuIndex(path, product, previous = null) {
+    const { env, log } = this.ctx;
+    const productPath = path.replace(/\.json$/, '');
+    const encodedPath = encodeURIComponent(productPath);
+    const skus = collectSkus(product);
+    const previousSkus = collectSkus(previous);
+    const stale = [...previousSkus.keys()]
+      .filter((sku) => !skus.has(sku))
+      .map((sku) => `${this.skuIndexPrefix(sku)}${encodedPath}`);
+    const added = [...skus.entries()]
+      .filter(([sku, variant]) => previousSkus.get(sku) !== variant);
+
+    try {
+      await Promise.all(added.map(
+        ([sku, variant]) => env.CATALOG_BUCKET.put(`${this.skuIndexPrefix(sku)}${encodedPath}`, '', {
+          customMetadata: { sku, path: productPath, variant: String(variant) },
+        }),
+      ));
+      if (stale.length > 0) {
+        await env.CATALOG_BUCKET.delete(stale);
+      }
+      return true;
+    } catch (e) {
+      log.error(`Failed to update SKU index for product at path: ${path}: ${e.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Find the paths of the products using a SKU, as product or variant SKU.
+   * @param {string} sku
+   * @returns {Promise<ProductSkuEntry[]>}
+   */
+  async findProductPathsBySku(sku) {
+    const { env } = this.ctx;
+    const prefix = this.skuIndexPrefix(sku);
+    const res = await env.CATALOG_BUCKET.list({
+      prefix,
+      limit: 1000,
+      // @ts-ignore not defined in types for some reason
+      include: ['customMetadata'],
+    });
+    return res.objects.map((obj) => ({
+      path: decodeURIComponent(obj.key.substring(prefix.length)),
+      variant: obj.customMetadata?.variant === 'true',
+    }));
+  }
+
+  /**
+   * Whether a product is stored at a path.
+   * @param {string} path - The product path, without .json extension
+   * @returns {Promise<boolean>}
+   */
+  async productExists(path) {
+    const { env } = this.ctx;
+    const obj = await env.CATALOG_BUCKET.head(`${this.catalogKey}/catalog${path}.json`);
+    return obj !== null;
+  }
+
+  /**
+   * Key of the redirect record for a product path.
+   * @param {string} path - The product path, with or without .json extension
+   * @returns {string}
+   */
+  productRedirectKey(path) {
+    return `${this.catalogKey}/catalog-redirects${path.replace(/\.json$/, '')}.json`;
+  }
+
+  /**
+   * Record that a product moved from one path to another.
+   * @param {string} from - The previous product path
+   * @param {string} to - The new product path
+   * @returns {Promise<ProductRedirect>}
+   */
+  async saveProductRedirect(from, to) {
+    const { env } = this.ctx;
+    /** @type {ProductRedirect} */
+    const redirect = {
+      from: from.replace(/\.json$/, ''),
+      to: to.replace(/\.json$/, ''),
+      createdAt: new Date().toISOString(),
+    };
+    await env.CATALOG_BUCKET.put(this.productRedirectKey(from), JSON.stringify(redirect), {
+      httpMetadata: { contentType: 'application/json' },
+    });
+    return redirect;
+  }
+
+  /**
+   * Load the redirect record for a product path.
+   * @param {string} path - The product path
+   * @returns {Promise<ProductRedirect|null>}
+   */
+  async getProductRedirect(path) {
+    const { env } = this.ctx;
+    const obj = await env.CATALOG_BUCKET.get(this.productRedirectKey(path));
+    if (!obj) {
+      return null;
+    }
+    return obj.json();
+  }
+
+  /**
+   * Key of the inventory record of a SKU.
+   * Records are kept per SKU, so they are independent of the path of the product.
+   * @param {string} sku
+   * @returns {string}
+   */
+  inventoryKey(sku) {
+    return `${this.catalogKey}/catalog-inventory/${encodeURIComponent(sku)}`;
+  }
+
+  /**
+   * Store the inventory record of a SKU, replacing the previous record.
+   * The record is kept in the custom metadata, so reading it doesn't need to load the object.
+   * @param {InventoryRecord} record
+   */
+  async saveInventoryRecord(record) {
+    const { env } = this.ctx;
+    await env.CATALOG_BUCKET.put(this.inventoryKey(record.sku), '', {
+      customMetadata: Object.fromEntries(
+        Object.entries(record)
+          .filter(([, value]) => value !== undefined)
+          .map(([name, value]) => [name, String(value)]),
+      ),
+    });
+  }
+
+  /**
+   * Load the inventory record of a SKU.
+   * @param {string} sku
+   * @returns {Promise<InventoryRecord|null>}
+   */
+  async getInventoryRecord(sku) {
+    const { env } = this.ctx;
+    const obj = await env.CATALOG_BUCKET.head(this.inventoryKey(sku));
+    if (!obj) {
+      return null;
+    }
+    const { customMetadata: meta = {} } = obj;
+    return {
+      sku: meta.sku,
+      quantity: Number(meta.quantity),
+      reserved: Number(meta.reserved ?? 0),
+      ...(meta.location ? { location: meta.location } : {}),
+      updatedAt: meta.updatedAt,
+    };
+  }
+
+  /**
+   * Load the inventory records of a set of SKUs.
+   * @param {string[]} skus
+   * @returns {Promise<Map<string, InventoryRecord>>} SKU to record, without SKUs that have none
+   */
+  async getInventoryRecords(skus) {
+    const records = await Promise.all(skus.map((sku) => this.getInventoryRecord(sku)));
+    return new Map(records.filter(Boolean).map((record) => [record.sku, record]));
+  }
+
+  /**
+   * Key prefix of a catalog job.
+   * @param {string} id - The job id
+   * @returns {string}
+   */
+  catalogJobPrefix(id) {
+    return `${this.catalogKey}/catalog-jobs/${id}/`;
+  }
+
+  /**
+   * Store a catalog job.
+   * @param {CatalogJob} job
+   */
+  async saveCatalogJob(job) {
+    const { env } = this.ctx;
+    await env.CATALOG_BUCKET.put(`${this.catalogJobPrefix(job.id)}job.json`, JSON.stringify(job), {
+      httpMetadata: { contentType: 'application/json' },
+    });
+  }
+
+  /**
+   * Load a catalog job.
+   * @param {string} id - The job id
+   * @returns {Promise<CatalogJob|null>}
+   */
+  async getCatalogJob(id) {
+    const { env } = this.ctx;
+    const obj = await env.CATALOG_BUCKET.get(`${this.catalogJobPrefix(id)}job.json`);
+    if (!obj) {
+      return null;
+    }
+    return obj.json();
+  }
+
+  /**
+   * Update a stored catalog job, retrying if it is changed concurrently.
+   * @param {string} id - The job id
+   * @param {(job: CatalogJob) => CatalogJob} update - returns the updated job
+   * @returns {Promise<CatalogJob|null>} the updated job, null if the job doesn't exist
+   */
+  async updateCatalogJob(id, update) {
+    const { env } = this.ctx;
+    const key = `${this.catalogJobPrefix(id)}job.json`;
+
+    for (let attempt = 0; attempt < JOB_UPDATE_ATTEMPTS; attempt += 1) {
+      // eslint-disable-next-line no-await-in-loop
+      const obj = await env.CATALOG_BUCKET.get(key);
+      if (!obj) {
+        return null;
+      }
+      // eslint-disable-next-line no-await-in-loop
+      const job = update(await obj.json());
+      // eslint-disable-next-line no-await-in-loop
+      const stored = await env.CATALOG_BUCKET.put(key, JSON.stringify(job), {
+        httpMetadata: { contentType: 'application/json' },
+        onlyIf: { etagMatches: obj.etag },
+      });
+      if (stored) {
+        return job;
+      }
+    }
+    throw new Error(`job ${id} was changed concurrently`);
+  }
+
+  /**
+   * Store the source data of a catalog job, e.g. the NDJSON of an import.
+   * @param {string} id - The job id
+   * @param {ReadableStream|string} source - Streams must have a known length
+   */
+  async saveCatalogJobSource(id, source) {
+    const { env } = this.ctx;
+    await env.CATALOG_BUCKET.put(`${this.catalogJobPrefix(id)}source`, source);
+  }
+
+  /**
+   * Remove the source data of a catalog job.
+   * @param {string} id - The job id
+   */
+  async deleteCatalogJobSource(id) {
+    const { env } = this.ctx;
+    await env.CATALOG_BUCKET.delete(`${this.catalogJobPrefix(id)}source`);
+  }
+
+  /**
+   * Load a byte range of the source data of a catalog job.
+   * @param {string} id - The job id
+   * @param {{ offset: number, length: number }} range
+   * @returns {Promise<string|null>}
+   */
+  async getCatalogJobSource(id, range) {
+    const { env } = this.ctx;
+    const obj = await env.CATALOG_BUCKET.get(`${this.catalogJobPrefix(id)}source`, { range });
+    if (!obj) {
+      return null;
+    }
+    return obj.text();
+  }
+
+  /**
+   * Store the result of a processed chunk of a catalog job.
+   * The counts are kept as metadata, so job progress can be computed from a listing.
+   * @param {string} id - The job id
+   * @param {CatalogJobChunkResult} result
+   */
+  async saveCatalogJobChunkResult(id, result) {
+    const { env } = this.ctx;
+    await env.CATALOG_BUCKET.put(
+      `${this.catalogJobPrefix(id)}results/${result.chunk}.json`,
+      JSON.stringify(result),
+      {
+        httpMetadata: { contentType: 'application/json' },
+        customMetadata: {
+          chunk: String(result.chunk),
+          saved: String(result.saved),
+          unchanged: String(result.unchanged),
+          failed: String(result.failed),
+        },
+      },
+    );
+  }
+
+  /**
+   * Load the result of a processed chunk of a catalog job.
+   * @param {string} id - The job id
+   * @param {number} chunk - The chunk index
+   * @returns {Promise<CatalogJobChunkResult|null>}
+   */
+  async getCatalogJobChunkResult(id, chunk) {
+    const { env } = this.ctx;
+    const obj = await env.CATALOG_BUCKET.get(`${this.catalogJobPrefix(id)}results/${chunk}.json`);
+    if (!obj) {
+      return null;
+    }
+    return obj.json();
+  }
+
+  /**
+   * List the counts of all processed chunks of a catalog job, ordered by chunk.
+   * @param {string} id - The job id
+   * @returns {Promise<Omit<CatalogJobChunkResult, 'errors'>[]>}
+   */
+  async listCatalogJobChunkResults(id) {
+    const { env } = this.ctx;
+    const prefix = `${this.catalogJobPrefix(id)}results/`;
+    const results = [];
+    let cursor;
+    do {
+      // eslint-disable-next-line no-await-in-loop
+      const res = await env.CATALOG_BUCKET.list({
+        prefix,
+        cursor,
+        limit: 1000,
+        // @ts-ignore not defined in types for some reason
+        include: ['customMetadata'],
+      });
+      results.push(...res.objects.map((obj) => ({
+        chunk: Number(obj.customMetadata?.chunk),
+        saved: Number(obj.customMetadata?.saved ?? 0),
+        unchanged: Number(obj.customMetadata?.unchanged ?? 0),
+        failed: Number(obj.customMetadata?.failed ?? 0),
+      })));
+      cursor = res.truncated ? res.cursor : undefined;
+    } while (cursor);
+    return results.sort((a, b) => a.chunk - b.chunk);
+  }
+
+  /**
+   * Record a delivery attempt of a webhook.
+   * Keys sort by inverted time, so a listing returns the latest attempts first.
+   * The attempt is kept in the custom metadata, so listing doesn't need to load the objects.
+   * @param {WebhookDelivery} delivery
+   */
+  async saveWebhookDelivery(delivery) {
+    const { env } = this.ctx;
+    const inverted = String(WEBHOOK_DELIVERY_TIME_MAX - Date.parse(delivery.timestamp)).padStart(13, '0');
+    const key = `${this.catalogKey}/catalog-webhook-deliveries/${inverted}-${delivery.id}-${delivery.attempt}`;
+    await env.CATALOG_BUCKET.put(key, '', {
+      customMetadata: Object.fromEntries(
+        Object.entries(delivery)
+          .filter(([, value]) => value !== undefined)
+          .map(([name, value]) => [name, String(value)]),
+      ),
+    });
+  }
+
+  /**
+   * List the delivery attempts of the webhooks of the site, latest first.
+   * @param {object} [opts]
+   * @param {number} [opts.limit] - maximum number of attempts in the page
+   * @param {string} [opts.cursor] - cursor returned by a previous call
+   * @returns {Promise<{ deliveries: WebhookDelivery[], cursor?: string }>}
+   */
+  async listWebhookDeliveries({ limit, cursor } = {}) {
+    const { env } = this.ctx;
+    const res = await env.CATALOG_BUCKET.list({
+      prefix: `${this.catalogKey}/catalog-webhook-deliveries/`,
+      limit,
+      cursor,
+      // @ts-ignore not defined in types for some reason
+      include: ['customMetadata'],
+    });
+
+    const deliveries = res.objects.map(({ customMetadata: meta = {} }) => ({
+      id: meta.id,
+      url: meta.url,
+      attempt: Number(meta.attempt),
+      timestamp: meta.timestamp,
+      outcome: /** @type {WebhookDelivery['outcome']} */ (meta.outcome),
+      events: Number(meta.events),
+      ...(meta.status ? { status: Number(meta.status) } : {}),
+      ...(meta.message ? { message: meta.message } : {}),
+    }));
+
+    return {
+      deliveries,
+      cursor: res.truncated ? res.cursor : undefined,
+    };
+  }
+
+  /**
+   * Key of the draft of a product, kept apart from the live product.
+   * @param {string} path - The product path, with or without .json extension
+   * @returns {string}
+   */
+  draftProductKey(path) {
+    return `${this.catalogKey}/catalog-drafts${path.replace(/\.json$/, '')}.json`;
+  }
+
+  /**
+   * Store the draft of a product, replacing a previous draft.
+   * @param {SharedTypes.ProductBusEntry} product
+   * @returns {Promise<string|undefined>} - the entity tag of the stored draft
+   */
+  async saveDraftProduct(product) {
+    const { env } = this.ctx;
+    const { sku, name, path } = product;
+    const key = this.draftProductKey(path);
+    const stored = await env.CATALOG_BUCKET.put(key, JSON.stringify(product), {
+      httpMetadata: { contentType: 'application/json' },
+      customMetadata: { sku, name, path },
+    });
+    return stored?.httpEtag;
+  }
+
+  /**
+   * Load the draft of a product, along with the validators of the stored object.
+   * @param {string} path - The product path
+   * @returns {Promise<ProductEntry|null>}
+   */
+  async getDraftProductEntry(path) {
+    const { env } = this.ctx;
+    const obj = await env.CATALOG_BUCKET.get(this.draftProductKey(path));
+    if (!obj) {
+      return null;
+    }
+    return {
+      etag: obj.httpEtag,
+      lastModified: obj.uploaded,
+      product: await obj.json(),
+    };
+  }
+
+  /**
+   * Remove the draft of a product.
+   * @param {string} path - The product path
+   */
+  async deleteDraftProduct(path) {
+    const { env } = this.ctx;
+    await env.CATALOG_BUCKET.delete(this.draftProductKey(path));
+  }
+
+  /**
+   * Key of the scheduled change of a product.
+   * @param {string} path - The product path, with or without .json extension
+   * @returns {string}
+   */
+  scheduledProductKey(path) {
+    return `${this.catalogKey}/catalog-scheduled${path.replace(/\.json$/, '')}.json`;
+  }
+
+  /**
+   * Key of a scheduled product in the schedule index.
+   * @param {string} path - The product path, with or without .json extension
+   * @param {string} publishAt - ISO timestamp
+   * @returns {string}
+   */
+  scheduleIndexKey(path, publishAt) {
+    return `${SCHEDULE_INDEX_PREFIX}${publishAt}/${this.catalogKey}${path.replace(/\.json$/, '')}`;
+  }
+
+  /**
+   * Store a product to be published at a later time.
+   * A product has at most one scheduled change, a previous one is replaced.
+   * @param {SharedTypes.ProductBusEntry} product
+   * @param {string} publishAt - ISO timestamp
+   */
+  async saveScheduledProduct(product, publishAt) {
+    const { env } = this.ctx;
+    const { sku, path } = product;
+    const key = this.scheduledProductKey(path);
+
+    const previous = await env.CATALOG_BUCKET.head(key);
+    const previousPublishAt = previous?.customMetadata?.publishAt;
+    await env.CATALOG_BUCKET.put(key, JSON.stringify(product), {
+      httpMetadata: { contentType: 'application/json' },
+      customMetadata: { sku, path, publishAt },
+    });
+    await env.CATALOG_BUCKET.put(this.scheduleIndexKey(path, publishAt), '');
+    if (previousPublishAt && previousPublishAt !== publishAt) {
+      await env.CATALOG_BUCKET.delete(this.scheduleIndexKey(path, previousPublishAt));
+    }
+  }
+
+  /**
+   * Load the scheduled change of a product.
+   * @param {string} path - The product path
+   * @returns {Promise<ScheduledProduct|null>}
+   */
+  async getScheduledProduct(path) {
+    const { env } = this.ctx;
+    const obj = await env.CATALOG_BUCKET.get(this.scheduledProductKey(path));
+    if (!obj) {
+      return null;
+    }
+    return {
+      publishAt: obj.customMetadata?.publishAt,
+      product: await obj.json(),
+      etag: obj.etag,
+    };
+  }
+
+  /**
+   * Remove the scheduled change of a product, along with its index entry.
+   * With the etag of the change that was loaded, a change that has been replaced since,
+   * e.g. rescheduled while it was published, is kept and only the stale index entry is removed.
+   * @param {string} path - The product path
+   * @param {string} publishAt - ISO timestamp the change was scheduled for
+   * @param {string} [etag] - etag of the change, see `getScheduledProduct`
+   * @returns {Promise<boolean>} whether the change was removed
+   */
+  async deleteScheduledProduct(path, publishAt, etag = undefined) {
+    const { env } = this.ctx;
+    const key = this.scheduledProductKey(path);
+    if (etag) {
+      const current = await env.CATALOG_BUCKET.head(key);
+      if (current && current.etag !== etag) {
+        // a change rescheduled for the same time shares the index entry
+        if (current.customMetadata?.publishAt !== publishAt) {
+          await this.deleteScheduleIndexEntry(path, publishAt);
+        }
+        return false;
+      }
+    }
+    await env.CATALOG_BUCKET.delete([key, this.scheduleIndexKey(path, publishAt)]);
+    return true;
+  }
+
+  /**
+   * Remove an entry of the schedule index, e.g. one whose change has been rescheduled.
+   * @param {string} path - The product path
+   * @param {string} publishAt - ISO timestamp of the entry
+   */
+  async deleteScheduleIndexEntry(path, publishAt) {
+    const { env } = this.ctx;
+    await env.CATALOG_BUCKET.delete(this.scheduleIndexKey(path, publishAt));
+  }
+
+  /**
+   * List the entries of the schedule index that are due, of all sites, oldest first.
+   * @param {Env} env
+   * @param {Date} now
+   * @param {number} [limit] - maximum number of entries
+   * @returns {Promise<ScheduleIndexEntry[]>}
+   */
+  static async listDueScheduledProducts(env, now, limit = 1000) {
+    const due = now.toISOString();
+    const entries = [];
+    let cursor;
+    do {
+      // eslint-disable-next-line no-await-in-loop
+      const res = await env.CATALOG_BUCKET.list({
+        prefix: SCHEDULE_INDEX_PREFIX,
+        cursor,
+        limit: Math.min(limit - entries.length, 1000),
+      });
+      for (const { key } of res.objects) {
+        const [publishAt, org, site, ...segments] = key
+          .substring(SCHEDULE_INDEX_PREFIX.length)
+          .split('/');
+        if (publishAt > due) {
+          return entries;
+        }
+        entries.push({
+          publishAt, org, site, path: `/${segments.join('/')}`,
+        });
+      }
+      cursor = res.truncated ? res.cursor : undefined;
+    } while (cursor && entries.length < limit);
+    return entries;
+  }
+
   /**
    * @param {Order} data
    * @param {string} [platformType]
@@ -0,0 +1,174 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import { errorWithResponse } from './http.js';
+
+/**
+ * Strip the weak prefix and surrounding quotes from an entity tag,
+ * so it can be compared with the (unquoted) etag of an R2 object.
+ *
+ * @param {string} etag
+ * @returns {string}
+ */
+export function normalizeEtag(etag) {
+  return etag.trim().replace(/^W\//, '').replace(/^"(.*)"$/, '$1');
+}
+
+/**
+ * Suffixes of the entity tags of products served with data that is not stored with them,
+ * see `withPricePeriod`, `withAvailability` and `withLocale`.
+ * R2 etags are hex digests, optionally followed by `-<parts>` for multipart uploads.
+ */
+const DERIVED_SUFFIXES = /(-[a-z]\w*)+$/i;
+
+/**
+ * Entity tag of a product whose effective prices change over time, see `pricePeriod`,
+ * so cached responses are revalidated when a price window starts or ends.
+ *
+ * @param {string} etag - quoted etag of the stored object
+ * @param {number|undefined} period - undefined if the prices do not change over time
+ * @returns {string}
+ */
+export function withPricePeriod(etag, period) {
+  if (period === undefined) {
+    return etag;
+  }
+  return `"${normalizeEtag(etag)}-p${period}"`;
+}
+
+/**
+ * Entity tag of a product whose availability is derived from inventory records,
+ * see `applyInventory`, so cached responses are revalidated when the inventory changes.
+ *
+ * @param {string} etag - quoted etag of the stored object, or of `withPricePeriod`
+ * @param {string|undefined} digest - undefined if the product has no inventory records
+ * @returns {string}
+ */
+export function withAvailability(etag, digest) {
+  if (digest === undefined) {
+    return etag;
+  }
+  return `"${normalizeEtag(etag)}-a${digest}"`;
+}
+
+/**
+ * Entity tag of a product localized for a request, see `localizeForRequest`,
+ * so the representations of different locales have different entity tags.
+ *
+ * @param {string} etag - quoted etag of the stored object, or of `withAvailability`
+ * @param {string|undefined} locale - the applied locale, undefined if none was applied
+ * @returns {string}
+ */
+export function withLocale(etag, locale) {
+  if (locale === undefined) {
+    return etag;
+  }
+  return `"${normalizeEtag(etag)}-l${locale}"`;
+}
+
+/**
+ * Whether the If-None-Match header of a request matches an entity tag.
+ * Used for entity tags R2 can not evaluate, see `withPricePeriod`, `withAvailability`
+ * and `withLocale`.
+ *
+ * @param {Readonly<RequestInfo>} requestInfo
+ * @param {string} etag
+ * @returns {boolean}
+ */
+export function etagNotModified(requestInfo, etag) {
+  const ifNoneMatch = requestInfo.getHeader('if-none-match');
+  return Boolean(ifNoneMatch)
+    && ifNoneMatch.split(',').map(normalizeEtag).includes(normalizeEtag(etag));
+}
+
+/**
+ * @param {string} name
+ * @param {string|undefined} value
+ * @returns {string|undefined}
+ */
+function parseSingleEtag(name, value) {
+  if (!value) {
+    return undefined;
+  }
+  const etags = value.split(',').map(normalizeEtag).filter(Boolean);
+  if (etags.length > 1) {
+    throw errorWithResponse(400, `${name} with multiple entity tags is not supported`);
+  }
+  // writes are conditional on the stored object, not on what a read derived from it
+  return etags[0]?.replace(DERIVED_SUFFIXES, '');
+}
+
+/**
+ * Build write preconditions from the If-Match and If-None-Match headers.
+ * The result can be passed as `onlyIf` to R2 writes.
+ *
+ * @param {Readonly<RequestInfo>} requestInfo
+ * @returns {WriteConditions|undefined}
+ */
+export function getWriteConditions(requestInfo) {
+  const etagMatches = parseSingleEtag('If-Match', requestInfo.getHeader('if-match'));
+  const etagDoesNotMatch = parseSingleEtag('If-None-Match', requestInfo.getHeader('if-none-match'));
+  if (!etagMatches && !etagDoesNotMatch) {
+    return undefined;
+  }
+  return {
+    ...(etagMatches ? { etagMatches } : {}),
+    ...(etagDoesNotMatch ? { etagDoesNotMatch } : {}),
+  };
+}
+
+/**
+ * Evaluate write preconditions against the current etag of an object.
+ *
+ * @param {string|undefined} etag - current etag, undefined if the object does not exist
+ * @param {WriteConditions} [conditions]
+ * @returns {boolean} whether the write may proceed
+ */
+export function writeConditionsMet(etag, conditions) {
+  if (!conditions) {
+    return true;
+  }
+  const { etagMatches, etagDoesNotMatch } = conditions;
+  if (etagMatches && (!etag || (etagMatches !== '*' && etagMatches !== etag))) {
+    return false;
+  }
+  if (etagDoesNotMatch && etag && (etagDoesNotMatch === '*' || etagDoesNotMatch === etag)) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Build read preconditions from the If-None-Match and If-Modified-Since headers.
+ * The result can be passed as `onlyIf` to R2 reads, which then omit the body
+ * if the stored object has not changed.
+ *
+ * @param {Readonly<RequestInfo>} requestInfo
+ * @returns {import('@cloudflare/workers-types').R2Conditional|undefined}
+ */
+export function getReadConditions(requestInfo) {
+  const ifNoneMatch = requestInfo.getHeader('if-none-match');
+  if (ifNoneMatch) {
+    // R2 compares a single etag, a list can not be evaluated and is ignored
+    const etags = ifNoneMatch.split(',').map(normalizeEtag).filter(Boolean);
+    return etags.length === 1 ? { etagDoesNotMatch: etags[0] } : undefined;
+  }
+
+  // If-Modified-Since is ignored when If-None-Match is present (RFC 9110, 13.1.3)
+  const ifModifiedSince = requestInfo.getHeader('if-modified-since');
+  const since = ifModifiedSince ? Date.parse(ifModifiedSince) : NaN;
+  if (Number.isNaN(since)) {
+    return undefined;
+  }
+  // HTTP dates have second precision, R2 upload times have milliseconds
+  return { uploadedAfter: new Date(since + 999) };
+}
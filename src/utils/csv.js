@@ -0,0 +1,166 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import { errorWithResponse } from './http.js';
+
+export const CSV_CONTENT_TYPE = 'text/csv';
+
+/**
+ * Separator of the URLs in an `images` column.
+ */
+export const CSV_LIST_SEPARATOR = '|';
+
+const FORBIDDEN_SEGMENTS = ['__proto__', 'constructor', 'prototype'];
+
+/**
+ * Parse CSV (RFC 4180) into rows.
+ * Quoted fields may contain commas, newlines and escaped quotes (`""`).
+ *
+ * @param {string} text
+ * @returns {{ line: number, cells: string[] }[]} - rows with the line they start at, 1-based
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let cells = [];
+  let cell = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endRow = () => {
+    cells.push(cell);
+    // skip blank lines
+    if (cells.length > 1 || cells[0].trim()) {
+      rows.push({ line: rowLine, cells });
+    }
+    cells = [];
+    cell = '';
+  };
+
+  // strip the byte order mark added by spreadsheet applications
+  const input = text.startsWith('\uFEFF') ? text.slice(1) : text;
+  for (let i = 0; i < input.length; i += 1) {
+    const c = input[i];
+    if (quoted) {
+      if (c === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        if (c === '\n') {
+          line += 1;
+        }
+        cell += c;
+      }
+    } else if (c === '"' && cell === '') {
+      quoted = true;
+    } else if (c === ',') {
+      cells.push(cell);
+      cell = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && input[i + 1] === '\n') {
+        i += 1;
+      }
+      endRow();
+      line += 1;
+      rowLine = line;
+    } else {
+      cell += c;
+    }
+  }
+
+  if (quoted) {
+    throw errorWithResponse(400, `invalid CSV: unterminated quoted field in line ${rowLine}`);
+  }
+  if (cell !== '' || cells.length > 0) {
+    endRow();
+  }
+  return rows;
+}
+
+/**
+ * Set a value in an object by a dotted path, e.g. `price.final` or `images.0.url`.
+ * Numeric segments create arrays.
+ *
+ * @param {Record<string, any>} obj
+ * @param {string[]} segments
+ * @param {any} value
+ */
+function setPath(obj, segments, value) {
+  let target = obj;
+  segments.forEach((segment, i) => {
+    if (i === segments.length - 1) {
+      target[segment] = value;
+      return;
+    }
+    if (target[segment] === undefined) {
+      target[segment] = /^\d+$/.test(segments[i + 1]) ? [] : {};
+    }
+    target = target[segment];
+  });
+}
+
+/**
+ * Convert CSV into products.
+ *
+ * The first row names the `ProductBusEntry` field of each column.
+ * Nested fields use dotted names (`price.final`, `metadata.color`, `images.0.label`),
+ * an `images` column holds a `|` separated list of image URLs.
+ * Empty cells are left out of the product.
+ *
+ * @param {string} text
+ * @returns {ParsedRecord[]}
+ */
+export function csvToProducts(text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) {
+    return [];
+  }
+
+  const names = header.cells.map((name) => name.trim());
+  names.forEach((name, i) => {
+    const segments = name.split('.');
+    if (segments.some((s) => !s || FORBIDDEN_SEGMENTS.includes(s))) {
+      throw errorWithResponse(400, `invalid CSV: invalid column name: ${name}`);
+    }
+    // a column can't be set both as a value and as a parent of another column
+    const conflict = names.find((other, j) => j !== i
+      && (other === name || other.startsWith(`${name}.`)));
+    if (conflict) {
+      throw errorWithResponse(400, `invalid CSV: conflicting columns: ${name}, ${conflict}`);
+    }
+  });
+  const columns = names.map((name) => name.split('.'));
+
+  return rows.map(({ line, cells }) => {
+    if (cells.length > columns.length) {
+      return { line, error: 'row has more columns than the header' };
+    }
+    const product = {};
+    cells.forEach((cell, i) => {
+      if (cell === '') {
+        return;
+      }
+      const segments = columns[i];
+      if (segments.length === 1 && segments[0] === 'images') {
+        setPath(product, segments, cell.split(CSV_LIST_SEPARATOR)
+          .map((url) => url.trim())
+          .filter((url) => url)
+          .map((url) => ({ url })));
+      } else {
+        setPath(product, segments, cell);
+      }
+    });
+    return { line, value: product };
+  });
+}
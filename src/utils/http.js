@@ -73,3 +73,12 @@ export function errorWithResponse(status, xError, body = '') {
   const error = new ResponseError(xError, response);
   return error;
 }
+
+/**
+ * Media type of a Content-Type header, without parameters.
+ * @param {string|null|undefined} contentType - The Content-Type header value.
+ * @returns {string|undefined} - The lower-cased media type, e.g. `text/csv`.
+ */
+export function mediaType(contentType) {
+  return contentType?.split(';')[0].trim().toLowerCase() || undefined;
+}
@@ -0,0 +1,118 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import StorageClient from './StorageClient.js';
+import { fetchProductBusConfig } from './config.js';
+
+/**
+ * Available quantity at or below which stock is limited, unless configured for the site.
+ */
+export const DEFAULT_LOW_STOCK_THRESHOLD = 5;
+
+/**
+ * Availabilities derived from inventory, best first.
+ * Other availabilities, e.g. `PreOrder` or `Discontinued`, are set by the merchant and kept.
+ */
+const STOCK_AVAILABILITIES = ['InStock', 'LimitedAvailability', 'OutOfStock'];
+
+/**
+ * @param {string|undefined} availability
+ * @returns {boolean}
+ */
+function isStockAvailability(availability) {
+  return !availability || STOCK_AVAILABILITIES.includes(availability);
+}
+
+/**
+ * Low stock threshold of the site.
+ *
+ * @param {Context} ctx
+ * @returns {Promise<number>}
+ */
+export async function lowStockThreshold(ctx) {
+  const config = await fetchProductBusConfig(ctx);
+  return config?.inventoryLowStockThreshold ?? DEFAULT_LOW_STOCK_THRESHOLD;
+}
+
+/**
+ * Whether availabilities are derived from inventory records on the site.
+ * Sites that don't use inventory don't look up records when products are served.
+ *
+ * @param {Context} ctx
+ * @returns {Promise<boolean>}
+ */
+export async function inventoryEnabled(ctx) {
+  const config = await fetchProductBusConfig(ctx);
+  return Boolean(config?.inventoryEnabled);
+}
+
+/**
+ * Availability of a SKU according to its inventory record.
+ *
+ * @param {Pick<InventoryRecord, 'quantity'|'reserved'>} record
+ * @param {number} [threshold] - available quantity at or below which stock is limited
+ * @returns {'InStock'|'LimitedAvailability'|'OutOfStock'}
+ */
+export function deriveAvailability(
+  { quantity, reserved = 0 },
+  threshold = DEFAULT_LOW_STOCK_THRESHOLD,
+) {
+  const available = quantity - reserved;
+  if (available <= 0) {
+    return 'OutOfStock';
+  }
+  return available <= threshold ? 'LimitedAvailability' : 'InStock';
+}
+
+/**
+ * Set the availability of a product and its variants from their inventory records.
+ * A product without a record of its own gets the best availability of its variants.
+ * Used when serving products, the stored product keeps the availability of the merchant.
+ *
+ * @param {Context} ctx
+ * @param {SharedTypes.ProductBusEntry} product - modified in place
+ * @returns {Promise<string|undefined>} digest of the derived availabilities for entity tags,
+ *   see `withAvailability`, undefined if the product has no inventory records
+ *   or inventory is not enabled on the site
+ */
+export async function applyInventory(ctx, product) {
+  if (!(await inventoryEnabled(ctx))) {
+    return undefined;
+  }
+  const variants = product.variants ?? [];
+  const skus = [product.sku, ...variants.map(({ sku }) => sku)].filter(Boolean);
+  const records = await StorageClient.fromContext(ctx).getInventoryRecords(skus);
+  if (records.size === 0) {
+    return undefined;
+  }
+
+  const threshold = await lowStockThreshold(ctx);
+  for (const item of [...variants, product]) {
+    const record = records.get(item.sku);
+    if (record && isStockAvailability(item.availability)) {
+      item.availability = deriveAvailability(record, threshold);
+    }
+  }
+
+  if (!records.has(product.sku) && isStockAvailability(product.availability)) {
+    const availabilities = variants.filter(({ sku }) => records.has(sku))
+      .map(({ availability }) => availability);
+    const best = STOCK_AVAILABILITIES.find((a) => availabilities.includes(a));
+    if (best) {
+      product.availability = best;
+    }
+  }
+
+  const derived = [product, ...variants].map(({ availability }) => availability ?? '').join(',');
+  const hash = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(derived));
+  return [...new Uint8Array(hash).slice(0, 4)].map((b) => b.toString(16).padStart(2, '0')).join('');
+}
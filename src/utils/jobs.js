@@ -0,0 +1,220 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import StorageClient from './StorageClient.js';
+
+export const JOB_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+/**
+ * Maximum number of errors reported in a job status.
+ */
+export const MAX_JOB_ERRORS = 100;
+
+/**
+ * Number of delivery attempts of a job message before its chunk is given up.
+ * Must match `max_retries` + 1 of the queue consumer.
+ */
+export const MAX_JOB_ATTEMPTS = 4;
+
+/**
+ * Publish the messages of a catalog job to the catalog jobs queue.
+ * Sent in batches of at most 100 messages.
+ *
+ * @param {Context} ctx
+ * @param {CatalogJobMessage[]} messages
+ */
+export async function publishCatalogJobs(ctx, messages) {
+  const {
+    env: {
+      CATALOG_JOBS_QUEUE: jobsQueue,
+    },
+  } = ctx;
+  const batchSize = 100;
+
+  for (let i = 0; i < messages.length; i += batchSize) {
+    // eslint-disable-next-line no-await-in-loop
+    await jobsQueue.sendBatch(
+      messages.slice(i, i + batchSize).map((body) => ({ body })),
+    );
+  }
+}
+
+/**
+ * Process one chunk of a catalog job and store its result.
+ * Messages are delivered at least once, chunks that already have a result are skipped.
+ * Errors that affect the whole chunk are thrown, so the message is retried;
+ * on the last attempt `giveUp` reports the chunk as failed instead.
+ *
+ * @param {Context} ctx
+ * @param {CatalogImportMessage|CatalogListingMessage} message
+ * @param {number} attempts - delivery attempts of the message, including this one
+ * @param {() => Promise<CatalogJobChunkResult>} process
+ * @param {(e: Error) => Promise<CatalogJobChunkResult>} giveUp
+ */
+export async function runCatalogJobChunk(ctx, message, attempts, process, giveUp) {
+  const { log } = ctx;
+  const { jobId, chunk } = message;
+  const storage = StorageClient.fromContext(ctx);
+
+  if (await storage.getCatalogJobChunkResult(jobId, chunk)) {
+    log.info(`chunk ${chunk} of job ${jobId} was already processed`);
+    return;
+  }
+
+  /** @type {CatalogJobChunkResult} */
+  let result;
+  try {
+    result = await process();
+  } catch (e) {
+    if (attempts < MAX_JOB_ATTEMPTS) {
+      throw e;
+    }
+    log.error(`giving up chunk ${chunk} of job ${jobId}: ${e.message}`);
+    result = await giveUp(e);
+  }
+
+  await storage.saveCatalogJobChunkResult(jobId, result);
+}
+
+/**
+ * Complete a job that lists its records page by page with the chunk of `message`.
+ *
+ * @param {Context} ctx
+ * @param {CatalogListingMessage} message
+ * @param {number} count - number of records listed by the chunk
+ */
+export async function endListingJob(ctx, message, count) {
+  const { jobId, chunk, listed } = message;
+  await StorageClient.fromContext(ctx).updateCatalogJob(jobId, (j) => ({
+    ...j, total: listed + count, chunks: chunk + 1,
+  }));
+}
+
+/**
+ * Continue a job that lists its records page by page, once a chunk has listed its page.
+ * Queues the chunk for the next page, unless an earlier attempt of the chunk already did,
+ * or completes the job with the last page.
+ *
+ * @param {Context} ctx
+ * @param {CatalogJob} job
+ * @param {CatalogListingMessage} message
+ * @param {string|undefined} cursor - listing cursor of the next page
+ * @param {number} count - number of records listed by the chunk
+ */
+export async function continueListingJob(ctx, job, message, cursor, count) {
+  const { jobId, chunk, listed } = message;
+  if (!cursor) {
+    await endListingJob(ctx, message, count);
+    return;
+  }
+  if ((job.lastQueuedChunk ?? 0) > chunk) {
+    return;
+  }
+
+  await publishCatalogJobs(ctx, [{
+    ...message,
+    chunk: chunk + 1,
+    cursor,
+    listed: listed + count,
+  }]);
+  await StorageClient.fromContext(ctx).updateCatalogJob(jobId, (j) => ({
+    ...j, lastQueuedChunk: Math.max(j.lastQueuedChunk ?? 0, chunk + 1),
+  }));
+}
+
+/**
+ * Count the saved, unchanged and failed products of a chunk.
+ *
+ * @param {number} chunk
+ * @param {Partial<BatchResult>[]} results - results of `saveProducts`
+ * @param {CatalogJobError[]} [errors] - records that failed before they were saved
+ * @param {Map<string, number>} [lineByPath] - line of each product in the upload;
+ *   if set, errors are reported with their line and sorted by it
+ * @returns {CatalogJobChunkResult}
+ */
+export function tallyChunkResults(chunk, results, errors = [], lineByPath = undefined) {
+  let saved = 0;
+  let unchanged = 0;
+  const failed = [...errors];
+  results.forEach((r) => {
+    if (r.change === 'unchanged') {
+      unchanged += 1;
+    } else if (r.status === 200 || r.status === 201) {
+      saved += 1;
+    } else {
+      failed.push({
+        ...(lineByPath ? { line: lineByPath.get(r.path) } : {}),
+        sku: r.sku,
+        path: r.path,
+        status: r.status,
+        message: r.message,
+      });
+    }
+  });
+  if (lineByPath) {
+    failed.sort((a, b) => a.line - b.line);
+  }
+
+  return {
+    chunk, saved, unchanged, failed: failed.length, errors: failed,
+  };
+}
+
+/**
+ * Compute the status of a catalog job from the results of its processed chunks.
+ *
+ * @param {Context} ctx
+ * @param {CatalogJob} job
+ * @returns {Promise<CatalogJobStatus>}
+ */
+export async function getCatalogJobStatus(ctx, job) {
+  const storage = StorageClient.fromContext(ctx);
+  const results = await storage.listCatalogJobChunkResults(job.id);
+
+  const totals = results.reduce((acc, result) => {
+    acc.saved += result.saved;
+    acc.unchanged += result.unchanged;
+    acc.failed += result.failed;
+    return acc;
+  }, { saved: 0, unchanged: 0, failed: 0 });
+
+  // load the errors of failed chunks, in order, until enough are collected
+  /** @type {CatalogJobError[]} */
+  const errors = [];
+  let errorsTruncated = false;
+  for (const { chunk } of results.filter((r) => r.failed > 0)) {
+    if (errors.length >= MAX_JOB_ERRORS) {
+      errorsTruncated = true;
+      break;
+    }
+    // eslint-disable-next-line no-await-in-loop
+    const result = await storage.getCatalogJobChunkResult(job.id, chunk);
+    errors.push(...(result?.errors ?? []));
+  }
+
+  let status = 'running';
+  if (results.length === 0) {
+    status = 'queued';
+  } else if (results.length >= job.chunks) {
+    status = 'completed';
+  }
+
+  return {
+    ...job,
+    // @ts-ignore
+    status,
+    processed: totals.saved + totals.unchanged + totals.failed,
+    ...totals,
+    errors: errors.slice(0, MAX_JOB_ERRORS),
+    errorsTruncated: errorsTruncated || errors.length > MAX_JOB_ERRORS || undefined,
+  };
+}
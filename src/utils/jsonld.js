@@ -0,0 +1,203 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+export const JSON_LD_CONTENT_TYPE = 'application/ld+json';
+
+const SCHEMA_ORG = 'https://schema.org';
+
+/**
+ * Drop the properties without value, so they are omitted from the document.
+ *
+ * @param {Record<string, any>} obj
+ * @returns {Record<string, any>}
+ */
+function compact(obj) {
+  return Object.fromEntries(Object.entries(obj).filter(([, value]) => (
+    value !== undefined && value !== '' && !(Array.isArray(value) && value.length === 0)
+  )));
+}
+
+/**
+ * @param {string} url
+ * @param {string} [base] - URL of the product, relative media URLs are resolved against it
+ * @returns {string}
+ */
+function absoluteUrl(url, base) {
+  try {
+    return new URL(url, base).href;
+  } catch {
+    return url;
+  }
+}
+
+/**
+ * @param {string|undefined} html - descriptions may be HTML
+ * @returns {string|undefined}
+ */
+function plainText(html) {
+  return html?.replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * @param {{ price?: ResolvedPrice, availability?: string, url?: string }} item
+ * @param {string} [itemCondition]
+ * @returns {Record<string, any>|undefined} undefined if the item has no price
+ */
+function offer({ price, availability, url }, itemCondition) {
+  if (!price?.final || !price.currency) {
+    return undefined;
+  }
+  const { currency: priceCurrency } = price;
+  return compact({
+    '@type': 'Offer',
+    price: price.final,
+    priceCurrency,
+    priceValidUntil: price.validUntil
+      ? new Date(price.validUntil).toISOString().substring(0, 10)
+      : undefined,
+    availability: availability ? `${SCHEMA_ORG}/${availability}` : undefined,
+    itemCondition: itemCondition ? `${SCHEMA_ORG}/${itemCondition}` : undefined,
+    url,
+    priceSpecification: [
+      ...(price.regular && price.regular !== price.final ? [{
+        '@type': 'UnitPriceSpecification',
+        priceType: `${SCHEMA_ORG}/StrikethroughPrice`,
+        price: price.regular,
+        priceCurrency,
+      }] : []),
+      ...(price.tiers ?? []).map(({ minQuantity, final }) => ({
+        '@type': 'UnitPriceSpecification',
+        price: final,
+        priceCurrency,
+        eligibleQuantity: { '@type': 'QuantitativeValue', minValue: minQuantity },
+      })),
+    ],
+  });
+}
+
+/**
+ * @param {SharedTypes.ProductBusEntry['aggregateRating']} rating
+ * @returns {Record<string, any>|undefined}
+ */
+function aggregateRating(rating) {
+  if (!rating?.ratingValue) {
+    return undefined;
+  }
+  return compact({
+    '@type': 'AggregateRating',
+    ratingValue: rating.ratingValue,
+    reviewCount: rating.reviewCount ? Number(rating.reviewCount) : undefined,
+    bestRating: rating.bestRating,
+    worstRating: rating.worstRating,
+  });
+}
+
+/**
+ * Schema.org JSON-LD of a product, from its structured fields:
+ * a `Product` with an offer, or a `ProductGroup` with a `Product` per variant.
+ * Prices are expected to be resolved, see `resolvePrices`.
+ *
+ * @param {SharedTypes.ProductBusEntry} product
+ * @returns {Record<string, any>}
+ */
+export function productJsonLd(product) {
+  const {
+    sku, name, url, gtin, brand, itemCondition, images, variants,
+  } = product;
+  const common = {
+    '@context': SCHEMA_ORG,
+    name,
+    description: plainText(product.metaDescription ?? product.description),
+    url,
+    image: (images ?? []).map((image) => absoluteUrl(image.url, url)),
+    brand: brand ? { '@type': 'Brand', name: brand } : undefined,
+    aggregateRating: aggregateRating(product.aggregateRating),
+  };
+
+  if (!variants?.length) {
+    return compact({
+      ...common,
+      '@type': 'Product',
+      sku,
+      gtin,
+      itemCondition: itemCondition ? `${SCHEMA_ORG}/${itemCondition}` : undefined,
+      offers: offer(product, itemCondition),
+    });
+  }
+
+  return compact({
+    ...common,
+    '@type': 'ProductGroup',
+    productGroupID: sku,
+    hasVariant: variants.map((variant) => compact({
+      '@type': 'Product',
+      sku: variant.sku,
+      name: variant.name,
+      description: plainText(variant.description),
+      gtin: variant.gtin,
+      url: variant.url,
+      image: (variant.images ?? []).map((image) => absoluteUrl(image.url, variant.url ?? url)),
+      itemCondition: (variant.itemCondition ?? itemCondition)
+        ? `${SCHEMA_ORG}/${variant.itemCondition ?? itemCondition}`
+        : undefined,
+      offers: offer(variant, variant.itemCondition ?? itemCondition),
+    })),
+  });
+}
+
+/**
+ * Properties of the generated offer resolved for the request, see `resolvePrices`.
+ */
+const RESOLVED_OFFER_PROPERTIES = ['price', 'priceCurrency', 'priceValidUntil', 'priceSpecification'];
+
+/**
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Merge the `jsonld` of a product over its generated document, its properties win.
+ * Except for the prices of the generated offer, which are resolved for the request:
+ * they replace those of a supplied offer, and supplied offers that are not an object.
+ *
+ * @param {Record<string, any>} document - generated document
+ * @param {string} jsonld - supplied JSON-LD
+ * @returns {Record<string, any>|undefined} undefined if the supplied JSON-LD is not an object
+ */
+export function mergeJsonLd(document, jsonld) {
+  let supplied;
+  try {
+    supplied = JSON.parse(jsonld);
+  } catch {
+    return undefined;
+  }
+  if (!isObject(supplied)) {
+    return undefined;
+  }
+
+  const merged = { ...document, ...supplied };
+  if (document.offers && supplied.offers !== undefined) {
+    if (isObject(supplied.offers)) {
+      merged.offers = { ...supplied.offers };
+      for (const name of RESOLVED_OFFER_PROPERTIES) {
+        merged.offers[name] = document.offers[name];
+      }
+      merged.offers = compact(merged.offers);
+    } else {
+      merged.offers = document.offers;
+    }
+  }
+  return merged;
+}
@@ -0,0 +1,150 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import { errorWithResponse } from './http.js';
+import { fetchProductBusConfig } from './config.js';
+import { LOCALE_PATTERN } from '../schemas/ProductBus.js';
+
+const LOCALIZED_FIELDS = ['name', 'description', 'metaTitle', 'metaDescription'];
+
+/**
+ * Normalize the case of a locale, e.g. `de-de` to `de-DE`.
+ *
+ * @param {string} tag
+ * @returns {string|undefined} undefined if it is not a supported locale
+ */
+export function normalizeLocale(tag) {
+  const locale = tag.trim().split(/[-_]/).map((part, i) => {
+    if (i === 0) {
+      return part.toLowerCase();
+    }
+    return part.length === 4
+      ? `${part[0].toUpperCase()}${part.substring(1).toLowerCase()}`
+      : part.toUpperCase();
+  }).join('-');
+  return LOCALE_PATTERN.test(locale) ? locale : undefined;
+}
+
+/**
+ * Locales requested with `?locale`, otherwise with the Accept-Language header,
+ * most preferred first. Unsupported languages of the header are ignored.
+ *
+ * @param {Context} ctx
+ * @returns {RequestedLocales}
+ */
+export function getRequestedLocales(ctx) {
+  const param = ctx.url.searchParams.get('locale');
+  if (param !== null) {
+    const locale = normalizeLocale(param);
+    if (!locale) {
+      throw errorWithResponse(400, 'invalid locale');
+    }
+    return { locales: [locale], negotiated: false };
+  }
+
+  const header = ctx.requestInfo.getHeader('accept-language') ?? '';
+  const locales = header.split(',')
+    .map((range) => {
+      const [tag, ...params] = range.split(';');
+      const q = params.map((p) => p.trim()).find((p) => p.startsWith('q='));
+      return { locale: normalizeLocale(tag), q: q ? Number(q.substring(2)) : 1 };
+    })
+    .filter(({ locale, q }) => locale && q > 0)
+    .sort((a, b) => b.q - a.q)
+    .map(({ locale }) => locale);
+  return { locales, negotiated: true };
+}
+
+/**
+ * Locales whose overrides apply to a locale, most specific first:
+ * the locale, its configured fallbacks, then its language.
+ *
+ * @param {string} locale
+ * @param {Record<string, string[]>} [fallbacks]
+ * @returns {string[]}
+ */
+export function localeChain(locale, fallbacks = {}) {
+  const [language] = locale.split('-');
+  return [...new Set([locale, ...(fallbacks[locale] ?? []), language])];
+}
+
+/**
+ * @param {SharedTypes.ProductBusEntry} product
+ * @param {LocaleOverrides} overrides
+ */
+function applyOverrides(product, overrides) {
+  for (const field of LOCALIZED_FIELDS) {
+    if (overrides[field] !== undefined) {
+      product[field] = overrides[field];
+    }
+  }
+  overrides.options?.forEach(({ label }, i) => {
+    if (label !== undefined && product.options?.[i]) {
+      product.options[i].label = label;
+    }
+  });
+  overrides.images?.forEach(({ label }, i) => {
+    if (label !== undefined && product.images?.[i]) {
+      product.images[i].label = label;
+    }
+  });
+}
+
+/**
+ * Localize a product for the first requested locale it has overrides for.
+ * Each field falls back along the chain of the locale, then to the product itself.
+ * The overrides of all locales are removed from the product.
+ *
+ * @param {SharedTypes.ProductBusEntry & { locales?: Record<string, LocaleOverrides> }} product
+ *   modified in place
+ * @param {string[]} locales - requested locales, most preferred first
+ * @param {Record<string, string[]>} [fallbacks] - configured fallbacks of the site
+ * @returns {string|undefined} the requested locale that was applied
+ */
+export function localizeProduct(product, locales, fallbacks = {}) {
+  const overrides = product.locales ?? {};
+  delete product.locales;
+
+  for (const locale of locales) {
+    const chain = localeChain(locale, fallbacks).filter((l) => overrides[l]);
+    if (chain.length > 0) {
+      // least specific first, so the more specific overrides win
+      chain.reverse().forEach((l) => applyOverrides(product, overrides[l]));
+      return locale;
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Localize a product for a request.
+ *
+ * @param {Context} ctx
+ * @param {SharedTypes.ProductBusEntry & { locales?: Record<string, LocaleOverrides> }} product
+ *   modified in place
+ * @param {RequestedLocales} requested
+ * @returns {Promise<Record<string, string>>} response headers describing the localization
+ */
+export async function localizeForRequest(ctx, product, requested) {
+  if (!product.locales) {
+    return {};
+  }
+  // the response depends on the Accept-Language header, even if it is not set
+  const headers = requested.negotiated ? { Vary: 'Accept-Language' } : {};
+  if (requested.locales.length === 0) {
+    return headers;
+  }
+
+  const config = await fetchProductBusConfig(ctx);
+  const locale = localizeProduct(product, requested.locales, config?.localeFallbacks);
+  return locale ? { ...headers, 'Content-Language': locale } : headers;
+}
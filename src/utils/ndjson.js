@@ -0,0 +1,38 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+export const NDJSON_CONTENT_TYPE = 'application/x-ndjson';
+
+/**
+ * Parse NDJSON, one JSON value per line.
+ * Blank lines are skipped, but still count for line numbers.
+ *
+ * @param {string} text
+ * @param {number} [firstLine=1] - line number of the first line of `text`
+ * @returns {ParsedRecord[]}
+ */
+export function parseNdjson(text, firstLine = 1) {
+  /** @type {ParsedRecord[]} */
+  const records = [];
+  text.split('\n').forEach((raw, i) => {
+    if (!raw.trim()) {
+      return;
+    }
+    const line = firstLine + i;
+    try {
+      records.push({ line, value: JSON.parse(raw) });
+    } catch {
+      records.push({ line, error: 'Invalid JSON' });
+    }
+  });
+  return records;
+}
@@ -34,3 +34,89 @@ export function deepEqual(obj1, obj2) {
 
   return true;
 }
+
+/**
+ * Whether a value is a plain (non-array) object
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Apply a JSON Merge Patch (RFC 7386) to a target value.
+ * The target is not modified, a new value is returned.
+ *
+ * @param {any} target
+ * @param {any} patch
+ * @returns {any}
+ */
+export function mergePatch(target, patch) {
+  if (!isPlainObject(patch)) {
+    return patch;
+  }
+
+  const result = isPlainObject(target) ? { ...target } : {};
+  for (const [key, value] of Object.entries(patch)) {
+    if (value === null) {
+      delete result[key];
+    } else {
+      result[key] = mergePatch(result[key], value);
+    }
+  }
+  return result;
+}
+
+/**
+ * Escape a key for use in a JSON pointer (RFC 6901)
+ * @param {string} key
+ * @returns {string}
+ */
+function escapePointer(key) {
+  return key.replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Structured difference between two values, as JSON pointers (RFC 6901).
+ * Objects and arrays are compared member by member, anything else is
+ * reported as changed at the pointer of the value.
+ *
+ * @param {any} before
+ * @param {any} after
+ * @param {string} [pointer] - pointer of the compared values
+ * @returns {ObjectDiff}
+ */
+export function diff(before, after, pointer = '') {
+  /** @type {ObjectDiff} */
+  const result = { added: [], removed: [], changed: [] };
+  if (deepEqual(before, after)) {
+    return result;
+  }
+
+  const comparable = before !== null && after !== null
+    && typeof before === 'object' && typeof after === 'object'
+    && Array.isArray(before) === Array.isArray(after);
+  if (!comparable) {
+    result.changed.push(pointer);
+    return result;
+  }
+
+  for (const key of Object.keys(before)) {
+    const keyPointer = `${pointer}/${escapePointer(key)}`;
+    if (!Object.prototype.hasOwnProperty.call(after, key)) {
+      result.removed.push(keyPointer);
+    } else {
+      const nested = diff(before[key], after[key], keyPointer);
+      result.added.push(...nested.added);
+      result.removed.push(...nested.removed);
+      result.changed.push(...nested.changed);
+    }
+  }
+  for (const key of Object.keys(after)) {
+    if (!Object.prototype.hasOwnProperty.call(before, key)) {
+      result.added.push(`${pointer}/${escapePointer(key)}`);
+    }
+  }
+  return result;
+}
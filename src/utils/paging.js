@@ -0,0 +1,36 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import { errorWithResponse } from './http.js';
+
+export const DEFAULT_LIST_LIMIT = 100;
+export const MAX_LIST_LIMIT = 1000;
+
+/**
+ * Paging options of a listing, from `?limit` and the opaque `?cursor` of the previous page.
+ *
+ * @param {Record<string, string>} data - the query params
+ * @returns {{ limit: number, cursor?: string }}
+ */
+export function getPagingOptions(data) {
+  let limit = DEFAULT_LIST_LIMIT;
+  if (data.limit !== undefined) {
+    limit = Number(data.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIST_LIMIT) {
+      throw errorWithResponse(400, `limit must be an integer between 1 and ${MAX_LIST_LIMIT}`);
+    }
+  }
+  return {
+    limit,
+    cursor: data.cursor || undefined,
+  };
+}
@@ -0,0 +1,228 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import { errorWithResponse } from './http.js';
+import { CURRENCY_PATTERN, PRICE_LIST_PATTERN } from '../schemas/ProductBus.js';
+
+/**
+ * Pricing options of a request, from `?currency`, `?priceList` and `?quantity`.
+ *
+ * @param {URLSearchParams} searchParams
+ * @returns {PriceOptions|undefined} undefined if no option is requested
+ */
+export function getPriceOptions(searchParams) {
+  const currency = searchParams.get('currency');
+  const priceList = searchParams.get('priceList');
+  const quantity = searchParams.get('quantity');
+  if (currency === null && priceList !== null) {
+    throw errorWithResponse(400, 'priceList requires currency');
+  }
+  if (currency !== null && !CURRENCY_PATTERN.test(currency)) {
+    throw errorWithResponse(400, 'invalid currency');
+  }
+  if (priceList !== null && !PRICE_LIST_PATTERN.test(priceList)) {
+    throw errorWithResponse(400, 'invalid priceList');
+  }
+  if (quantity !== null && !/^[1-9]\d{0,8}$/.test(quantity)) {
+    throw errorWithResponse(400, 'invalid quantity');
+  }
+  if (currency === null && quantity === null) {
+    return undefined;
+  }
+  return {
+    ...(currency ? { currency } : {}),
+    ...(priceList ? { priceList } : {}),
+    ...(quantity ? { quantity: Number(quantity) } : {}),
+  };
+}
+
+/**
+ * @param {PriceEntry} entry
+ * @returns {boolean}
+ */
+function hasWindow({ validFrom, validUntil }) {
+  return Boolean(validFrom || validUntil);
+}
+
+/**
+ * @param {PriceEntry} entry
+ * @param {number} now - milliseconds since the epoch
+ * @returns {boolean}
+ */
+function isValidAt({ validFrom, validUntil }, now) {
+  return (!validFrom || Date.parse(validFrom) <= now)
+    && (!validUntil || now < Date.parse(validUntil));
+}
+
+/**
+ * @param {PriceEntry} entry
+ * @param {number} [quantity]
+ * @returns {ResolvedPrice}
+ */
+function toResolvedPrice({
+  currency, regular, final, validUntil, tiers,
+}, quantity) {
+  let effective = final;
+  if (quantity) {
+    const tier = (tiers ?? [])
+      .filter(({ minQuantity }) => minQuantity <= quantity)
+      .sort((a, b) => b.minQuantity - a.minQuantity)[0];
+    effective = tier?.final ?? final;
+  }
+  return {
+    currency,
+    ...(regular !== undefined ? { regular } : {}),
+    final: effective,
+    ...(validUntil ? { validUntil } : {}),
+    ...(tiers && !quantity ? { tiers } : {}),
+  };
+}
+
+/**
+ * Effective price of a product or variant at a time.
+ * The entry of the price list is preferred over the entry of the currency without
+ * price list, which is preferred over `price` if it is in the currency.
+ * Entries outside their validity window are ignored, and an entry with a window,
+ * e.g. a sale, is preferred over one without.
+ *
+ * @param {{ price?: SharedTypes.ProductBusPrice, prices?: PriceEntry[] }} item
+ * @param {PriceOptions} options - without a currency, the currency of `price` is used
+ * @param {number} [now] - milliseconds since the epoch
+ * @returns {ResolvedPrice|undefined}
+ */
+export function findPrice(item, options, now = Date.now()) {
+  const { currency = item.price?.currency, priceList, quantity } = options;
+  const valid = (item.prices ?? []).filter((p) => p.currency === currency && isValidAt(p, now));
+  /** @param {PriceEntry[]} entries */
+  const pick = (entries) => entries.find(hasWindow) ?? entries[0];
+  const entry = (priceList && pick(valid.filter((p) => p.priceList === priceList)))
+    || pick(valid.filter((p) => !p.priceList));
+  if (entry) {
+    return toResolvedPrice(entry, quantity);
+  }
+  return item.price?.currency === currency ? item.price : undefined;
+}
+
+/**
+ * Resolve the effective prices of a product and its variants into their `price`.
+ * Products and variants without a price in the currency get none.
+ *
+ * @param {SharedTypes.ProductBusEntry} product - modified in place
+ * @param {PriceOptions} [options]
+ * @param {number} [now] - milliseconds since the epoch
+ */
+export function resolvePrices(product, options = {}, now = Date.now()) {
+  for (const item of [product, ...(product.variants ?? [])]) {
+    const price = findPrice(item, options, now);
+    if (price) {
+      item.price = price;
+    } else {
+      delete item.price;
+    }
+  }
+}
+
+/**
+ * Number of validity window boundaries of the prices of a product that have passed.
+ * It changes whenever the effective prices may change without the product changing,
+ * so it is part of the entity tag of the product.
+ *
+ * @param {SharedTypes.ProductBusEntry} product
+ * @param {number} [now] - milliseconds since the epoch
+ * @returns {number|undefined} undefined if the prices have no validity windows
+ */
+export function pricePeriod(product, now = Date.now()) {
+  const boundaries = [product, ...(product.variants ?? [])]
+    .flatMap((item) => item.prices ?? [])
+    .flatMap(({ validFrom, validUntil }) => [validFrom, validUntil])
+    .filter(Boolean)
+    .map((timestamp) => Date.parse(timestamp));
+  if (boundaries.length === 0) {
+    return undefined;
+  }
+  return boundaries.filter((boundary) => boundary <= now).length;
+}
+
+/**
+ * @param {PriceEntry} entry
+ * @returns {[number, number]} start and end of the validity window
+ */
+function validityWindow({ validFrom, validUntil }) {
+  return [
+    validFrom ? Date.parse(validFrom) : -Infinity,
+    validUntil ? Date.parse(validUntil) : Infinity,
+  ];
+}
+
+/**
+ * Validation errors of price entries not expressed by the schema:
+ * - one entry without validity window per currency and price list
+ * - entries with validity windows of a currency and price list must not overlap
+ * - windows must end after they start
+ * - quantity tiers must have distinct minimum quantities
+ *
+ * @param {PriceEntry[]|undefined} prices
+ * @param {string} path - path of the entries in the product
+ * @returns {import('./validation.d.js').ValidationError[]}
+ */
+export function validatePriceEntries(prices, path) {
+  /** @type {Map<string, PriceEntry[]>} */
+  const seen = new Map();
+  const errors = [];
+  (prices ?? []).forEach((entry, i) => {
+    const { currency, priceList, tiers } = entry;
+    const [start, end] = validityWindow(entry);
+    if (Number.isNaN(start) || Number.isNaN(end)) {
+      errors.push({
+        path: `${path}[${i}]`,
+        message: 'invalid validity window',
+        details: 'validFrom and validUntil must be valid timestamps',
+      });
+      return;
+    }
+    if (start >= end) {
+      errors.push({
+        path: `${path}[${i}]`,
+        message: 'invalid validity window',
+        details: 'validUntil must be after validFrom',
+      });
+      return;
+    }
+
+    const minQuantities = (tiers ?? []).map(({ minQuantity }) => minQuantity);
+    if (new Set(minQuantities).size < minQuantities.length) {
+      errors.push({
+        path: `${path}[${i}].tiers`,
+        message: 'duplicate tier',
+        details: 'each tier must have a different minQuantity',
+      });
+    }
+
+    const key = `${currency}/${priceList ?? ''}`;
+    const conflict = (seen.get(key) ?? []).some((other) => {
+      if (hasWindow(entry) !== hasWindow(other)) {
+        return false;
+      }
+      const [otherStart, otherEnd] = validityWindow(other);
+      return start < otherEnd && otherStart < end;
+    });
+    if (conflict) {
+      errors.push({
+        path: `${path}[${i}]`,
+        message: 'duplicate price',
+        details: `currency ${currency}${priceList ? ` and price list ${priceList}` : ''} already has a price${hasWindow(entry) ? ' in this validity window' : ''}`,
+      });
+    }
+    seen.set(key, [...(seen.get(key) ?? []), entry]);
+  });
+  return errors;
+}
@@ -10,10 +10,11 @@
  * governing permissions and limitations under the License.
  */
 
-import ProductBusEntry from '../schemas/ProductBus.js';
+import ProductBusEntry, { LOCALE_PATTERN } from '../schemas/ProductBus.js';
 import { errorWithResponse } from './http.js';
 // import { errorWithResponse } from './http.js';
 import { validate } from './validation.js';
+import { validatePriceEntries } from './pricing.js';
 
 /**
  * This function removes all undefined values from an object.
@@ -33,6 +34,45 @@ export function pruneUndefined(obj, pruneNullish = false) {
   );
 }
 
+/**
+ * @param {any} product
+ * @returns {import("./validation.d.js").ValidationError[]|undefined}
+ */
+export function validateProduct(product) {
+  const errors = validate(product, ProductBusEntry);
+  if (errors) {
+    return errors;
+  }
+
+  // not expressed by the schema: one price per currency and price list, locale keys,
+  // relationships by either path or SKU
+  const moreErrors = [
+    ...validatePriceEntries(product.prices, '$.prices'),
+    ...(product.variants ?? []).flatMap(
+      (variant, i) => validatePriceEntries(variant.prices, `$.variants[${i}].prices`),
+    ),
+  ];
+  Object.keys(product.locales ?? {}).forEach((locale) => {
+    if (!LOCALE_PATTERN.test(locale)) {
+      moreErrors.push({
+        path: '$.locales',
+        message: 'invalid locale',
+        details: `'${locale}' is not a locale like 'de' or 'de-DE'`,
+      });
+    }
+  });
+  (product.relationships ?? []).forEach(({ path, sku }, i) => {
+    if (!path === !sku) {
+      moreErrors.push({
+        path: `$.relationships[${i}]`,
+        message: 'invalid relationship',
+        details: 'relationships must have either a path or a sku',
+      });
+    }
+  });
+  return moreErrors.length ? moreErrors : undefined;
+}
+
 /**
  * @param {Context} ctx
  * @param {any} product
@@ -40,7 +80,7 @@ export function pruneUndefined(obj, pruneNullish = false) {
  */
 export function assertValidProduct(ctx, product) {
   const { log } = ctx;
-  const errors = validate(product, ProductBusEntry);
+  const errors = validateProduct(product);
   if (errors) {
     log.info('Invalid product', { errors });
     throw errorWithResponse(400, 'Invalid product', { errors });
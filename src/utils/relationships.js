@@ -0,0 +1,164 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import processQueue from '@adobe/helix-shared-process-queue';
+import { errorWithResponse } from './http.js';
+import StorageClient from './StorageClient.js';
+import { resolvePrices } from './pricing.js';
+import { localizeForRequest } from './locale.js';
+import { applyInventory } from './inventory.js';
+
+/**
+ * Linked products read at the same time when expanding relationships.
+ */
+const MAX_CONCURRENT_READS = 10;
+
+/**
+ * Whether the linked products of relationships are requested with `?expand=related`.
+ *
+ * @param {URLSearchParams} searchParams
+ * @returns {boolean}
+ */
+export function shouldExpandRelationships(searchParams) {
+  const expand = searchParams.get('expand');
+  if (expand === null) {
+    return false;
+  }
+  if (expand !== 'related') {
+    throw errorWithResponse(400, 'invalid expand, only related is supported');
+  }
+  return true;
+}
+
+/**
+ * Resolve a relationship to the path of the product it links to.
+ *
+ * @param {StorageClient} storage
+ * @param {ProductRelationship} relationship
+ * @returns {Promise<{ path?: string, problem?: string }>} the path, or why there is none
+ */
+async function resolveRelationship(storage, { path, sku }) {
+  if (path) {
+    return await storage.productExists(path) ? { path } : { problem: `no product at path ${path}` };
+  }
+  const entries = await storage.findProductPathsBySku(sku);
+  if (entries.length === 0) {
+    return { problem: `no product with sku ${sku}` };
+  }
+  if (entries.length > 1) {
+    return { problem: `sku ${sku} is used by multiple products` };
+  }
+  return { path: entries[0].path };
+}
+
+/**
+ * Find the relationships of products that link to products that don't exist.
+ * Dangling relationships are not rejected, the linked product may be added later.
+ * Products of the same batch count as existing, so they can link to each other.
+ *
+ * @param {Context} ctx
+ * @param {SharedTypes.ProductBusEntry[]} products
+ * @returns {Promise<Map<string, import('./validation.d.js').ValidationError[]>>}
+ *   path of each product with dangling relationships to its warnings
+ */
+export async function findDanglingRelationships(ctx, products) {
+  const storage = StorageClient.fromContext(ctx);
+  const batchPaths = new Set(products.map(({ path }) => path));
+  const batchSkus = new Set(products.flatMap(({ sku, variants }) => [
+    sku,
+    ...(variants ?? []).map((variant) => variant.sku),
+  ]));
+
+  /** @type {Map<string, Promise<{ path?: string, problem?: string }>>} shared by the batch */
+  const lookups = new Map();
+  const warnings = new Map();
+  for (const product of products) {
+    const found = [];
+    for (const [i, relationship] of (product.relationships ?? []).entries()) {
+      const { path, sku } = relationship;
+      if (path ? batchPaths.has(path) : batchSkus.has(sku)) {
+        // eslint-disable-next-line no-continue
+        continue;
+      }
+      const key = path ? `path:${path}` : `sku:${sku}`;
+      if (!lookups.has(key)) {
+        lookups.set(key, resolveRelationship(storage, relationship));
+      }
+      // eslint-disable-next-line no-await-in-loop
+      const { problem } = await lookups.get(key);
+      if (problem) {
+        found.push({
+          path: `$.relationships[${i}]`,
+          message: 'dangling relationship',
+          details: problem,
+        });
+      }
+    }
+    if (found.length > 0) {
+      warnings.set(product.path, found);
+    }
+  }
+  return warnings;
+}
+
+/**
+ * @param {SharedTypes.ProductBusEntry} product
+ * @returns {ProductSummary}
+ */
+function summarizeProduct({
+  sku, path, name, price, availability, images,
+}) {
+  return {
+    sku,
+    path,
+    name,
+    ...(price ? { price } : {}),
+    ...(availability ? { availability } : {}),
+    ...(images?.[0]?.url ? { image: images[0].url } : {}),
+  };
+}
+
+/**
+ * Inline a summary of the linked products into the relationships of a product, as `product`.
+ * The linked products are priced, localized and given their availability like the product itself.
+ * Relationships to products that don't exist are kept without summary.
+ *
+ * @param {Context} ctx
+ * @param {SharedTypes.ProductBusEntry} product - modified in place
+ * @param {object} options
+ * @param {PriceOptions} [options.priceOptions]
+ * @param {RequestedLocales} options.requestedLocales
+ * @param {number} options.now - milliseconds since the epoch, for prices
+ */
+export async function expandRelationships(ctx, product, { priceOptions, requestedLocales, now }) {
+  const storage = StorageClient.fromContext(ctx);
+  await processQueue(product.relationships ?? [], async (relationship) => {
+    const path = relationship.path ?? (await resolveRelationship(storage, relationship)).path;
+    if (!path) {
+      return;
+    }
+
+    let linked;
+    try {
+      ({ product: linked } = await storage.getProductEntryByPath(`${path}.json`));
+    } catch (e) {
+      if (e.response?.status === 404) {
+        return;
+      }
+      throw e;
+    }
+    await applyInventory(ctx, linked);
+    resolvePrices(linked, priceOptions, now);
+    await localizeForRequest(ctx, linked, requestedLocales);
+    relationship.product = summarizeProduct(linked);
+  }, MAX_CONCURRENT_READS);
+}
@@ -0,0 +1,176 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import { ffetch } from './http.js';
+import { fetchProductBusConfig } from './config.js';
+import StorageClient from './StorageClient.js';
+
+/**
+ * Number of attempts to deliver a webhook, including the first one.
+ * Must be lower than `max_retries` + 1 of the webhooks queue consumer.
+ */
+export const MAX_WEBHOOK_ATTEMPTS = 5;
+
+/**
+ * Header with the HMAC-SHA256 signature of the request body, as `sha256=<hex>`.
+ */
+export const WEBHOOK_SIGNATURE_HEADER = 'X-Webhook-Signature';
+
+const MAX_EVENTS_PER_DELIVERY = 100;
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+/**
+ * Sign a webhook body with the secret of the webhook.
+ *
+ * @param {string} secret
+ * @param {string} body
+ * @returns {Promise<string>} `sha256=<hex>`
+ */
+export async function signWebhookBody(secret, body) {
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign'],
+  );
+  const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(body));
+  const hex = Array.from(new Uint8Array(signature))
+    .map((b) => b.toString(16).padStart(2, '0'))
+    .join('');
+  return `sha256=${hex}`;
+}
+
+/**
+ * Delay before the next attempt of a failed delivery: 30s, 1m, 2m, 4m, ...
+ *
+ * @param {number} attempts - attempts made so far
+ * @returns {number} seconds
+ */
+export function webhookRetryDelay(attempts) {
+  return Math.min(30 * 2 ** (attempts - 1), 3600);
+}
+
+/**
+ * Queue the deliveries of product events to the webhooks of the site.
+ * Each webhook gets the events it subscribed to, in chunks of `MAX_EVENTS_PER_DELIVERY`.
+ *
+ * @param {Context} ctx
+ * @param {ProductEvent[]} events
+ */
+export async function publishProductEvents(ctx, events) {
+  if (!events.length) {
+    return;
+  }
+
+  const { org, site } = ctx.requestInfo;
+  const config = await fetchProductBusConfig(ctx);
+  const normalized = events.map((event) => ({
+    ...event,
+    path: event.path.replace(/\.json$/, ''),
+  }));
+
+  for (const { url, events: types } of config?.webhooks ?? []) {
+    // webhooks without a list of events get all of them
+    const matching = normalized.filter(({ type }) => !types || types.includes(type));
+    for (let i = 0; i < matching.length; i += MAX_EVENTS_PER_DELIVERY) {
+      // eslint-disable-next-line no-await-in-loop
+      await ctx.env.WEBHOOKS_QUEUE.send({
+        type: 'webhook',
+        id: crypto.randomUUID(),
+        org,
+        site,
+        url,
+        events: matching.slice(i, i + MAX_EVENTS_PER_DELIVERY),
+        timestamp: new Date().toISOString(),
+      });
+    }
+  }
+}
+
+/**
+ * Deliver a message of the webhooks queue and record the attempt in the delivery log.
+ * Failed deliveries throw, so the message is retried, until `MAX_WEBHOOK_ATTEMPTS`.
+ *
+ * @param {Context} ctx
+ * @param {WebhookMessage} message
+ * @param {number} [attempts] - delivery attempts of the message, including this one
+ */
+export async function deliverWebhook(ctx, message, attempts = 1) {
+  const { log } = ctx;
+  const {
+    id, org, site, url, events, timestamp,
+  } = message;
+
+  // the secret is looked up on delivery, so it is never part of a queued message
+  const config = await fetchProductBusConfig(ctx);
+  const webhook = config?.webhooks?.find((w) => w.url === url);
+  if (!webhook) {
+    log.warn(`webhook ${url} of ${org}/${site} was removed, dropping delivery ${id}`);
+    return;
+  }
+
+  const body = JSON.stringify({
+    id, org, site, timestamp, events,
+  });
+
+  let status;
+  let error;
+  try {
+    const resp = await ffetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Webhook-Id': id,
+        [WEBHOOK_SIGNATURE_HEADER]: await signWebhookBody(webhook.secret, body),
+      },
+      body,
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+    });
+    status = resp.status;
+    if (!resp.ok) {
+      error = `unexpected status ${resp.status}`;
+    }
+  } catch (e) {
+    error = e.message;
+  }
+
+  /** @type {WebhookDelivery['outcome']} */
+  let outcome = 'delivered';
+  if (error) {
+    outcome = attempts < MAX_WEBHOOK_ATTEMPTS ? 'retrying' : 'failed';
+  }
+
+  const storage = StorageClient.fromContext(ctx);
+  try {
+    await storage.saveWebhookDelivery({
+      id,
+      url,
+      attempt: attempts,
+      timestamp: new Date().toISOString(),
+      outcome,
+      events: events.length,
+      status,
+      message: error?.substring(0, 256),
+    });
+  } catch (e) {
+    log.error(`failed to record delivery ${id} of webhook ${url}: ${e.message}`);
+  }
+
+  if (outcome === 'retrying') {
+    throw new Error(`delivery ${id} of webhook ${url} failed: ${error}`);
+  }
+  if (outcome === 'failed') {
+    log.error(`giving up on delivery ${id} of webhook ${url} after ${attempts} attempts: ${error}`);
+  }
+}
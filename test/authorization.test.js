@@ -92,7 +92,9 @@ function createMockContext(authInfoOverrides = {}) {
     attributes: {
       storageClient: {
         getProductByPath: async () => null,
-        saveProductsByPath: async () => [{ path: '/test', sku: 'TEST' }],
+        fetchProductByPath: async () => null,
+        saveProductsByPath: async () => [{ path: '/test', sku: 'TEST', status: 200 }],
+        getInventoryRecords: async () => new Map(),
         deleteProductsByPath: async () => [{ path: '/test' }],
         listOrders: async () => [],
         getOrder: async () => null,
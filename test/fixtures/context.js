@@ -100,9 +100,14 @@ export const DEFAULT_CONTEXT = (
         send: () => Promise.resolve(),
         sendBatch: () => Promise.resolve(),
       },
+      // sites without a config
+      CONFIGS_BUCKET: {
+        get: async () => null,
+      },
       ...(overrides.env ?? {}),
     },
-    data: typeof overrides.data === 'string' ? overrides.data : {
+    // strings (NDJSON, CSV) and arrays (bulk requests) are passed as is
+    data: typeof overrides.data === 'string' || Array.isArray(overrides.data) ? overrides.data : {
       ...(overrides.data ?? {}),
     },
   };
@@ -20,6 +20,10 @@ describe('index tests', () => {
   let mockRequest;
   let mockEnv;
   let mockExecutionContext;
+  let processJobStub;
+  let publishScheduledProductsStub;
+  let listDueScheduledProductsStub;
+  let deliverWebhookStub;
 
   beforeEach(async () => {
     // Mock handlers
@@ -32,8 +36,27 @@ describe('index tests', () => {
       cache: sinon.stub().resolves(new Response('cache response')),
     };
 
+    processJobStub = sinon.stub().resolves();
+    publishScheduledProductsStub = sinon.stub().resolves();
+    listDueScheduledProductsStub = sinon.stub().resolves([]);
+    deliverWebhookStub = sinon.stub().resolves();
+
     // Mock the routes
     worker = await esmock('../src/index.js', {
+      '../src/routes/catalog/jobs.js': {
+        processJob: processJobStub,
+      },
+      '../src/routes/catalog/schedule.js': {
+        MAX_SCHEDULED_PER_RUN: 500,
+        publishScheduledProducts: publishScheduledProductsStub,
+      },
+      '../src/utils/StorageClient.js': {
+        default: { listDueScheduledProducts: listDueScheduledProductsStub },
+      },
+      '../src/utils/webhooks.js': {
+        deliverWebhook: deliverWebhookStub,
+        webhookRetryDelay: (attempts) => attempts * 10,
+      },
       '../src/routes/index.js': {
         default: mockHandlers,
       },
@@ -189,7 +212,7 @@ describe('index tests', () => {
       const response = await worker.default.fetch(mockRequest, mockEnv, mockExecutionContext);
 
       assert.strictEqual(response.headers.get('access-control-allow-origin'), '*');
-      assert.strictEqual(response.headers.get('access-control-allow-methods'), 'GET, POST, PUT, DELETE, OPTIONS');
+      assert.strictEqual(response.headers.get('access-control-allow-methods'), 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
       assert.strictEqual(response.headers.get('access-control-allow-headers'), 'Content-Type');
     });
 
@@ -252,6 +275,33 @@ describe('index tests', () => {
       assert.strictEqual(ctx.data, 'plain text data');
     });
 
+    it('should return text for NDJSON and CSV bodies, even if they are valid JSON', async () => {
+      mockRequest.method = 'POST';
+      mockRequest.headers = new Map([['content-type', 'application/x-ndjson; charset=utf-8']]);
+      mockRequest.text.resolves('{"sku":"a"}');
+
+      await worker.default.fetch(mockRequest, mockEnv, mockExecutionContext);
+
+      assert.strictEqual(mockHandlers.catalog.firstCall.args[0].data, '{"sku":"a"}');
+
+      mockRequest.headers = new Map([['content-type', 'text/csv']]);
+      mockRequest.text.resolves('123');
+
+      await worker.default.fetch(mockRequest, mockEnv, mockExecutionContext);
+
+      assert.strictEqual(mockHandlers.catalog.secondCall.args[0].data, '123');
+    });
+
+    it('should not read the body of streamed uploads', async () => {
+      mockRequest.url = 'https://api.example.com/test-org/sites/test-site/catalog/jobs/import';
+      mockRequest.method = 'POST';
+
+      await worker.default.fetch(mockRequest, mockEnv, mockExecutionContext);
+
+      assert(mockRequest.text.notCalled);
+      assert.deepStrictEqual(mockHandlers.catalog.firstCall.args[0].data, {});
+    });
+
     it('should return query params for POST requests with empty body', async () => {
       mockRequest.url = 'https://api.example.com/test-org/sites/test-site/catalog/products/test.json?foo=bar';
       mockRequest.method = 'POST';
@@ -344,4 +394,154 @@ describe('index tests', () => {
       assert(Array.isArray(ctx.metrics.productUploadsMs));
     });
   });
+
+  describe('queue handler', () => {
+    const makeMessage = (body, attempts = 1) => ({
+      body,
+      attempts,
+      ack: sinon.stub(),
+      retry: sinon.stub(),
+    });
+
+    it('should process catalog job messages in a context of the job', async () => {
+      const message = makeMessage({
+        type: 'import', org: 'test-org', site: 'test-site', jobId: 'job-1', chunk: 0,
+      }, 2);
+
+      await worker.default.queue({ messages: [message] }, mockEnv, mockExecutionContext);
+
+      assert(processJobStub.calledOnce);
+      const [ctx, body, attempts] = processJobStub.firstCall.args;
+      assert.strictEqual(ctx.requestInfo.org, 'test-org');
+      assert.strictEqual(ctx.requestInfo.site, 'test-site');
+      assert.strictEqual(ctx.requestInfo.path, '/jobs/job-1');
+      assert.strictEqual(ctx.env, mockEnv);
+      assert.strictEqual(body, message.body);
+      assert.strictEqual(attempts, 2);
+      assert(message.ack.calledOnce);
+      assert(message.retry.notCalled);
+    });
+
+    it('should process catalog messages without a job in a context of the catalog', async () => {
+      const message = makeMessage({
+        type: 'prune-versions', org: 'test-org', site: 'test-site', paths: ['/products/a.json'],
+      });
+
+      await worker.default.queue({ messages: [message] }, mockEnv, mockExecutionContext);
+
+      const [ctx, body] = processJobStub.firstCall.args;
+      assert.strictEqual(ctx.requestInfo.org, 'test-org');
+      assert.strictEqual(ctx.requestInfo.site, 'test-site');
+      assert.strictEqual(body, message.body);
+      assert(message.ack.calledOnce);
+    });
+
+    it('should retry messages that fail', async () => {
+      processJobStub.rejects(new Error('boom'));
+      const message = makeMessage({
+        type: 'import', org: 'test-org', site: 'test-site', jobId: 'job-1', chunk: 0,
+      });
+      const errorStub = sinon.stub(console, 'error');
+
+      try {
+        await worker.default.queue({ messages: [message] }, mockEnv, mockExecutionContext);
+      } finally {
+        errorStub.restore();
+      }
+
+      assert(message.retry.calledOnce);
+      assert(message.ack.notCalled);
+    });
+
+    it('should deliver webhook messages in a context of the site', async () => {
+      const message = makeMessage({
+        type: 'webhook', id: 'd-1', org: 'test-org', site: 'test-site', url: 'https://hooks.example.com', events: [],
+      }, 3);
+
+      await worker.default.queue({ messages: [message] }, mockEnv, mockExecutionContext);
+
+      assert(processJobStub.notCalled);
+      const [ctx, body, attempts] = deliverWebhookStub.firstCall.args;
+      assert.strictEqual(ctx.requestInfo.org, 'test-org');
+      assert.strictEqual(ctx.requestInfo.site, 'test-site');
+      assert.strictEqual(body, message.body);
+      assert.strictEqual(attempts, 3);
+      assert(message.ack.calledOnce);
+    });
+
+    it('should retry failed webhook deliveries with a delay', async () => {
+      deliverWebhookStub.rejects(new Error('delivery failed'));
+      const message = makeMessage({
+        type: 'webhook', id: 'd-1', org: 'test-org', site: 'test-site', url: 'https://hooks.example.com', events: [],
+      }, 2);
+      const warnStub = sinon.stub(console, 'warn');
+
+      try {
+        await worker.default.queue({ messages: [message] }, mockEnv, mockExecutionContext);
+      } finally {
+        warnStub.restore();
+      }
+
+      assert(message.retry.calledOnceWithExactly({ delaySeconds: 20 }));
+      assert(message.ack.notCalled);
+    });
+  });
+
+  describe('scheduled handler', () => {
+    const controller = { scheduledTime: Date.parse('2026-03-01T12:00:00.000Z') };
+
+    it('should publish the due products of each site in a context of the site', async () => {
+      const entries = [
+        {
+          publishAt: '2026-03-01T11:00:00.000Z', org: 'org-a', site: 'main', path: '/products/a',
+        },
+        {
+          publishAt: '2026-03-01T11:30:00.000Z', org: 'org-b', site: 'main', path: '/products/b',
+        },
+        {
+          publishAt: '2026-03-01T12:00:00.000Z', org: 'org-a', site: 'main', path: '/products/c',
+        },
+      ];
+      listDueScheduledProductsStub.resolves(entries);
+
+      await worker.default.scheduled(controller, mockEnv, mockExecutionContext);
+
+      const [env, now, limit] = listDueScheduledProductsStub.firstCall.args;
+      assert.strictEqual(env, mockEnv);
+      assert.strictEqual(now.toISOString(), '2026-03-01T12:00:00.000Z');
+      assert.strictEqual(limit, 500);
+
+      assert(publishScheduledProductsStub.calledTwice);
+      const [ctxA, entriesA] = publishScheduledProductsStub.firstCall.args;
+      assert.strictEqual(ctxA.requestInfo.org, 'org-a');
+      assert.strictEqual(ctxA.requestInfo.site, 'main');
+      assert.strictEqual(ctxA.requestInfo.path, '/*');
+      assert.deepStrictEqual(entriesA, [entries[0], entries[2]]);
+      const [ctxB, entriesB] = publishScheduledProductsStub.secondCall.args;
+      assert.strictEqual(ctxB.requestInfo.org, 'org-b');
+      assert.deepStrictEqual(entriesB, [entries[1]]);
+    });
+
+    it('should continue with other sites when a site fails', async () => {
+      listDueScheduledProductsStub.resolves([
+        {
+          publishAt: '2026-03-01T11:00:00.000Z', org: 'org-a', site: 'main', path: '/products/a',
+        },
+        {
+          publishAt: '2026-03-01T11:30:00.000Z', org: 'org-b', site: 'main', path: '/products/b',
+        },
+      ]);
+      publishScheduledProductsStub.onFirstCall().rejects(new Error('boom'));
+      const errorStub = sinon.stub(console, 'error');
+
+      try {
+        await worker.default.scheduled(controller, mockEnv, mockExecutionContext);
+      } finally {
+        errorStub.restore();
+      }
+
+      assert(publishScheduledProductsStub.calledTwice);
+      assert(errorStub.calledOnce);
+    });
+  });
 });
@@ -296,7 +296,8 @@ describe('Cache Purge Tests', () => {
         { sku: 'PROD-789', path: '/us/en/products/product-3' },
       ];
 
-      await purgeBatch(ctx, requestInfo, products);
+      const purged = await purgeBatch(ctx, requestInfo, products);
+      assert.strictEqual(purged, true);
 
       // Verify all product path keys were computed
       assert.strictEqual(computeProductPathKeyStub.callCount, 3);
@@ -376,15 +377,27 @@ describe('Cache Purge Tests', () => {
         { sku: 'PROD-123', path: '/us/en/products/product-1' },
       ];
 
-      await purgeBatch(ctx, requestInfo, products);
+      const purged = await purgeBatch(ctx, requestInfo, products);
 
       // Verify warning was logged
       assert(ctx.log.warn.calledWith('No production CDN configuration found, skipping batch purge'));
+      assert.strictEqual(purged, false);
 
       // Verify no purge was attempted
       assert(FastlyPurgeClientStub.purge.notCalled);
     });
 
+    it('should report no purge when CDN config validation fails', async () => {
+      FastlyPurgeClientStub.validate.throws(new Error('Missing serviceId'));
+
+      const purged = await purgeBatch(ctx, requestInfo, [
+        { sku: 'PROD-123', path: '/us/en/products/product-1' },
+      ]);
+
+      assert.strictEqual(purged, false);
+      assert(FastlyPurgeClientStub.purge.notCalled);
+    });
+
     it('should work with Cloudflare CDN', async () => {
       ctx.attributes.helixConfigCache.cdn.prod.type = 'cloudflare';
 
@@ -392,10 +405,11 @@ describe('Cache Purge Tests', () => {
         { sku: 'PROD-123', path: '/us/en/products/product-1' },
       ];
 
-      await purgeBatch(ctx, requestInfo, products);
+      const purged = await purgeBatch(ctx, requestInfo, products);
 
       // Verify Cloudflare purge was called
       assert(CloudflarePurgeClientStub.purge.calledOnce);
+      assert.strictEqual(purged, true);
       assert(FastlyPurgeClientStub.purge.notCalled);
     });
 
@@ -485,7 +499,8 @@ describe('Cache Purge Tests', () => {
     });
 
     it('should do nothing when keys array is empty', async () => {
-      await purgeProductionCDN(ctx, cdnConfig, { keys: [] });
+      const purged = await purgeProductionCDN(ctx, cdnConfig, { keys: [] });
+      assert.strictEqual(purged, false);
       assert(FastlyPurgeClientStub.purge.notCalled);
     });
 
@@ -0,0 +1,509 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+// @ts-nocheck
+
+import assert from 'node:assert';
+import sinon from 'sinon';
+import esmock from 'esmock';
+import { errorWithResponse } from '../../../src/utils/http.js';
+import { DEFAULT_CONTEXT, createAuthInfoMock } from '../../fixtures/context.js';
+
+const ADMIN = ['catalog:read', 'catalog:write', 'orders:write'];
+const SUPERUSER = [...ADMIN, 'admins:read'];
+
+describe('Catalog Copy Tests', () => {
+  let storageStub;
+  let saveProductsStub;
+  let copyModule;
+
+  beforeEach(async () => {
+    storageStub = {
+      saveCatalogJob: sinon.stub().resolves(),
+      updateCatalogJob: sinon.stub(),
+      getCatalogJob: sinon.stub(),
+      fetchProductsByPrefix: sinon.stub(),
+      getCatalogJobChunkResult: sinon.stub().resolves(null),
+      saveCatalogJobChunkResult: sinon.stub().resolves(),
+      listCatalogJobChunkResults: sinon.stub().resolves([]),
+    };
+    saveProductsStub = sinon.stub();
+
+    copyModule = await esmock('../../../src/routes/catalog/copy.js', {
+      '../../../src/routes/catalog/update.js': {
+        MAX_PRODUCT_BULK: 50,
+        saveProducts: saveProductsStub,
+      },
+    });
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('copyProducts', () => {
+    it('should store the job, queue the first chunk and return 202', async () => {
+      const ctx = DEFAULT_CONTEXT({
+        authInfo: createAuthInfoMock(ADMIN),
+        log: { info: sinon.stub(), warn: sinon.stub(), error: sinon.stub() },
+        data: { source: { site: 'staging' }, prefix: '/products/' },
+        requestInfo: {
+          org: 'org',
+          site: 'main',
+          path: '/jobs/copy',
+          method: 'POST',
+        },
+        attributes: {
+          storageClient: storageStub,
+        },
+        env: {
+          CATALOG_JOBS_QUEUE: {
+            sendBatch: sinon.stub().resolves(),
+          },
+        },
+      }, { path: '/jobs/copy' });
+
+      const response = await copyModule.default(ctx);
+
+      assert.equal(response.status, 202);
+      const body = await response.json();
+      assert.equal(body.type, 'copy');
+      assert.equal(body.status, 'queued');
+      assert.deepStrictEqual(body.source, { org: 'org', site: 'staging' });
+      assert.equal(body.prefix, '/products/');
+      assert.equal(body.total, undefined);
+      assert.equal(response.headers.get('Location'), `/org/sites/main/catalog/jobs/${body.id}`);
+
+      const [job, source] = storageStub.saveCatalogJob.firstCall.args;
+      assert.equal(job.id, body.id);
+      assert.equal(source, undefined);
+
+      const { sendBatch } = ctx.env.CATALOG_JOBS_QUEUE;
+      assert.deepStrictEqual(sendBatch.firstCall.args[0], [{
+        body: {
+          type: 'copy', org: 'org', site: 'main', jobId: body.id, chunk: 0, listed: 0,
+        },
+      }]);
+    });
+
+    it('should copy the whole catalog by default', async () => {
+      const ctx = DEFAULT_CONTEXT({
+        authInfo: createAuthInfoMock(ADMIN),
+        log: { info: sinon.stub(), warn: sinon.stub(), error: sinon.stub() },
+        data: { source: { site: 'staging' } },
+        requestInfo: {
+          org: 'org',
+          site: 'main',
+          path: '/jobs/copy',
+          method: 'POST',
+        },
+        attributes: {
+          storageClient: storageStub,
+        },
+        env: {
+          CATALOG_JOBS_QUEUE: {
+            sendBatch: sinon.stub().resolves(),
+          },
+        },
+      }, { path: '/jobs/copy' });
+      const response = await copyModule.default(ctx);
+
+      assert.equal(response.status, 202);
+      const [job] = storageStub.saveCatalogJob.firstCall.args;
+      assert.equal(job.prefix, '/');
+    });
+
+    it('should require an admin', async () => {
+      const ctx = DEFAULT_CONTEXT({
+        authInfo: createAuthInfoMock(['catalog:read', 'catalog:write']),
+        log: { info: sinon.stub(), warn: sinon.stub(), error: sinon.stub() },
+        data: { source: { site: 'staging' } },
+        requestInfo: {
+          org: 'org',
+          site: 'main',
+          path: '/jobs/copy',
+          method: 'POST',
+        },
+        attributes: {
+          storageClient: storageStub,
+        },
+        env: {
+          CATALOG_JOBS_QUEUE: {
+            sendBatch: sinon.stub().resolves(),
+          },
+        },
+      }, { path: '/jobs/copy' });
+
+      const response = await copyModule.default(ctx);
+
+      assert.equal(response.status, 403);
+      assert(storageStub.saveCatalogJob.notCalled);
+    });
+
+    it('should require a superuser to copy from another org', async () => {
+      const ctx = DEFAULT_CONTEXT({
+        authInfo: createAuthInfoMock(ADMIN),
+        log: { info: sinon.stub(), warn: sinon.stub(), error: sinon.stub() },
+        data: { source: { org: 'other', site: 'staging' } },
+        requestInfo: {
+          org: 'org',
+          site: 'main',
+          path: '/jobs/copy',
+          method: 'POST',
+        },
+        attributes: {
+          storageClient: storageStub,
+        },
+        env: {
+          CATALOG_JOBS_QUEUE: {
+            sendBatch: sinon.stub().resolves(),
+          },
+        },
+      }, { path: '/jobs/copy' });
+      let response = await copyModule.default(ctx);
+      assert.equal(response.status, 403);
+      assert(storageStub.saveCatalogJob.notCalled);
+
+      ctx.authInfo = createAuthInfoMock(SUPERUSER);
+      response = await copyModule.default(ctx);
+      assert.equal(response.status, 202);
+    });
+
+    it('should require access to the source site', async () => {
+      const ctx = DEFAULT_CONTEXT({
+        authInfo: createAuthInfoMock(ADMIN),
+        log: { info: sinon.stub(), warn: sinon.stub(), error: sinon.stub() },
+        data: { source: { site: 'staging' } },
+        requestInfo: {
+          org: 'org',
+          site: 'main',
+          path: '/jobs/copy',
+          method: 'POST',
+        },
+        attributes: {
+          storageClient: storageStub,
+        },
+        env: {
+          CATALOG_JOBS_QUEUE: {
+            sendBatch: sinon.stub().resolves(),
+          },
+        },
+      }, { path: '/jobs/copy' });
+      ctx.authInfo.assertOrgSite = (org, site) => {
+        if (site !== 'main') {
+          throw errorWithResponse(403, 'access denied');
+        }
+      };
+
+      await assert.rejects(copyModule.default(ctx), (e) => e.response.status === 403);
+      assert(storageStub.saveCatalogJob.notCalled);
+    });
+
+    it('should reject invalid sources and prefixes', async () => {
+      const invalid = [
+        [{}, 'invalid source'],
+        [{ source: { site: '../staging' } }, 'invalid source'],
+        [{ source: { site: 'main' } }, 'source must be another site'],
+        [{ source: { site: 'staging' }, prefix: 'products' }, 'invalid prefix'],
+      ];
+      for (const [data, message] of invalid) {
+        const ctx = DEFAULT_CONTEXT({
+          authInfo: createAuthInfoMock(ADMIN),
+          log: { info: sinon.stub(), warn: sinon.stub(), error: sinon.stub() },
+          data,
+          requestInfo: {
+            org: 'org',
+            site: 'main',
+            path: '/jobs/copy',
+            method: 'POST',
+          },
+          attributes: {
+            storageClient: storageStub,
+          },
+          env: {
+            CATALOG_JOBS_QUEUE: {
+              sendBatch: sinon.stub().resolves(),
+            },
+          },
+        }, { path: '/jobs/copy' });
+        // eslint-disable-next-line no-await-in-loop
+        const response = await copyModule.default(ctx);
+        assert.equal(response.status, 400);
+        assert.equal(response.headers.get('x-error'), message);
+      }
+      assert(storageStub.saveCatalogJob.notCalled);
+    });
+  });
+
+  describe('processCopyChunk', () => {
+    const job = {
+      id: 'job-1',
+      type: 'copy',
+      createdAt: '2026-01-01T00:00:00.000Z',
+      source: { org: 'org', site: 'staging' },
+      prefix: '/products/',
+    };
+    const message = {
+      type: 'copy', org: 'org', site: 'main', jobId: 'job-1', chunk: 1, cursor: 'c1', listed: 50,
+    };
+
+    beforeEach(() => {
+      storageStub.getCatalogJob.resolves(job);
+      storageStub.updateCatalogJob.callsFake(async (id, update) => update({ ...job }));
+    });
+
+    const updatedJob = () => storageStub.updateCatalogJob.firstCall.returnValue;
+
+    it('should queue the next chunk and save the products with their internal data', async () => {
+      const products = [
+        { sku: 'a', path: '/products/a', internal: { images: { 'https://example.com/a.jpg': './media_a.jpg' } } },
+        { sku: 'b', path: '/products/b' },
+        { sku: 'c', path: '/products/c' },
+      ];
+      storageStub.fetchProductsByPrefix.resolves({ products, cursor: 'c2' });
+      saveProductsStub.resolves({
+        results: [
+          { sku: 'a', path: '/products/a', status: 200 },
+          {
+            sku: 'b', path: '/products/b', status: 200, message: 'No changes detected', change: 'unchanged',
+          },
+          {
+            sku: 'c', path: '/products/c', status: 500, message: 'Error: boom',
+          },
+        ],
+        written: 2,
+      });
+      const ctx = DEFAULT_CONTEXT({
+        authInfo: createAuthInfoMock(ADMIN),
+        log: { info: sinon.stub(), warn: sinon.stub(), error: sinon.stub() },
+        requestInfo: {
+          org: 'org',
+          site: 'main',
+          path: '/jobs/copy',
+          method: 'POST',
+        },
+        attributes: {
+          storageClient: storageStub,
+        },
+        env: {
+          CATALOG_JOBS_QUEUE: {
+            sendBatch: sinon.stub().resolves(),
+          },
+        },
+      }, { path: '/jobs/copy' });
+
+      await copyModule.processCopyChunk(ctx, message);
+
+      assert(storageStub.fetchProductsByPrefix.calledOnceWithExactly('org', 'staging', '/products/', { limit: 50, cursor: 'c1' }));
+      assert.deepStrictEqual(ctx.env.CATALOG_JOBS_QUEUE.sendBatch.firstCall.args[0], [{
+        body: {
+          ...message, chunk: 2, cursor: 'c2', listed: 53,
+        },
+      }]);
+      assert.deepStrictEqual(await updatedJob(), { ...job, lastQueuedChunk: 2 });
+      assert(saveProductsStub.calledOnceWithExactly(ctx, products));
+
+      const [jobId, result] = storageStub.saveCatalogJobChunkResult.firstCall.args;
+      assert.equal(jobId, 'job-1');
+      assert.deepStrictEqual(result, {
+        chunk: 1,
+        saved: 1,
+        unchanged: 1,
+        failed: 1,
+        errors: [{
+          sku: 'c', path: '/products/c', status: 500, message: 'Error: boom',
+        }],
+      });
+    });
+
+    it('should complete the job with the last page', async () => {
+      storageStub.fetchProductsByPrefix.resolves({ products: [{ sku: 'a', path: '/products/a' }] });
+      saveProductsStub.resolves({ results: [{ sku: 'a', path: '/products/a', status: 200 }], written: 1 });
+      const ctx = DEFAULT_CONTEXT({
+        authInfo: createAuthInfoMock(ADMIN),
+        log: { info: sinon.stub(), warn: sinon.stub(), error: sinon.stub() },
+        requestInfo: {
+          org: 'org',
+          site: 'main',
+          path: '/jobs/copy',
+          method: 'POST',
+        },
+        attributes: {
+          storageClient: storageStub,
+        },
+        env: {
+          CATALOG_JOBS_QUEUE: {
+            sendBatch: sinon.stub().resolves(),
+          },
+        },
+      }, { path: '/jobs/copy' });
+
+      await copyModule.processCopyChunk(ctx, message);
+
+      assert(ctx.env.CATALOG_JOBS_QUEUE.sendBatch.notCalled);
+      assert.deepStrictEqual(await updatedJob(), {
+        ...job, total: 51, chunks: 2,
+      });
+      assert(storageStub.saveCatalogJobChunkResult.calledOnce);
+    });
+
+    it('should not queue the next chunk again when a chunk is retried', async () => {
+      storageStub.getCatalogJob.resolves({ ...job, lastQueuedChunk: 2 });
+      storageStub.fetchProductsByPrefix.resolves({ products: [{ sku: 'a', path: '/products/a' }], cursor: 'c2' });
+      saveProductsStub.resolves({ results: [{ sku: 'a', path: '/products/a', status: 200 }], written: 1 });
+      const ctx = DEFAULT_CONTEXT({
+        authInfo: createAuthInfoMock(ADMIN),
+        log: { info: sinon.stub(), warn: sinon.stub(), error: sinon.stub() },
+        requestInfo: {
+          org: 'org',
+          site: 'main',
+          path: '/jobs/copy',
+          method: 'POST',
+        },
+        attributes: {
+          storageClient: storageStub,
+        },
+        env: {
+          CATALOG_JOBS_QUEUE: {
+            sendBatch: sinon.stub().resolves(),
+          },
+        },
+      }, { path: '/jobs/copy' });
+
+      await copyModule.processCopyChunk(ctx, message, 2);
+
+      assert(ctx.env.CATALOG_JOBS_QUEUE.sendBatch.notCalled);
+      assert(storageStub.updateCatalogJob.notCalled);
+      assert.equal(storageStub.saveCatalogJobChunkResult.firstCall.args[1].saved, 1);
+    });
+
+    it('should skip chunks that were already processed', async () => {
+      storageStub.getCatalogJobChunkResult.resolves({ chunk: 1 });
+      const ctx = DEFAULT_CONTEXT({
+        authInfo: createAuthInfoMock(ADMIN),
+        log: { info: sinon.stub(), warn: sinon.stub(), error: sinon.stub() },
+        requestInfo: {
+          org: 'org',
+          site: 'main',
+          path: '/jobs/copy',
+          method: 'POST',
+        },
+        attributes: {
+          storageClient: storageStub,
+        },
+        env: {
+          CATALOG_JOBS_QUEUE: {
+            sendBatch: sinon.stub().resolves(),
+          },
+        },
+      }, { path: '/jobs/copy' });
+
+      await copyModule.processCopyChunk(ctx, message);
+
+      assert(storageStub.fetchProductsByPrefix.notCalled);
+      assert(ctx.env.CATALOG_JOBS_QUEUE.sendBatch.notCalled);
+      assert(storageStub.saveCatalogJobChunkResult.notCalled);
+    });
+
+    it('should throw chunk-wide errors so the message is retried', async () => {
+      storageStub.fetchProductsByPrefix.rejects(new Error('bucket unavailable'));
+
+      const ctx = DEFAULT_CONTEXT({
+        authInfo: createAuthInfoMock(ADMIN),
+        log: { info: sinon.stub(), warn: sinon.stub(), error: sinon.stub() },
+        requestInfo: {
+          org: 'org',
+          site: 'main',
+          path: '/jobs/copy',
+          method: 'POST',
+        },
+        attributes: {
+          storageClient: storageStub,
+        },
+        env: {
+          CATALOG_JOBS_QUEUE: {
+            sendBatch: sinon.stub().resolves(),
+          },
+        },
+      }, { path: '/jobs/copy' });
+      await assert.rejects(
+        copyModule.processCopyChunk(ctx, message, 1),
+        /bucket unavailable/,
+      );
+      assert(storageStub.saveCatalogJobChunkResult.notCalled);
+    });
+
+    it('should end the job when the source can not be listed on the last attempt', async () => {
+      storageStub.fetchProductsByPrefix.rejects(new Error('bucket unavailable'));
+      const ctx = DEFAULT_CONTEXT({
+        authInfo: createAuthInfoMock(ADMIN),
+        log: { info: sinon.stub(), warn: sinon.stub(), error: sinon.stub() },
+        requestInfo: {
+          org: 'org',
+          site: 'main',
+          path: '/jobs/copy',
+          method: 'POST',
+        },
+        attributes: {
+          storageClient: storageStub,
+        },
+        env: {
+          CATALOG_JOBS_QUEUE: {
+            sendBatch: sinon.stub().resolves(),
+          },
+        },
+      }, { path: '/jobs/copy' });
+
+      await copyModule.processCopyChunk(ctx, message, 4);
+
+      assert.deepStrictEqual(await updatedJob(), {
+        ...job, total: 50, chunks: 2,
+      });
+      const [, result] = storageStub.saveCatalogJobChunkResult.firstCall.args;
+      assert.equal(result.failed, 0);
+      assert.equal(result.errors[0].status, 500);
+      assert.equal(result.errors[0].message, 'copy stopped after 50 products: bucket unavailable');
+      assert(ctx.log.error.calledOnce);
+    });
+
+    it('should report the products of the chunk as failed on the last attempt', async () => {
+      storageStub.fetchProductsByPrefix.resolves({ products: [{ sku: 'a' }, { sku: 'b' }], cursor: 'c2' });
+      saveProductsStub.rejects(new Error('config unavailable'));
+      const ctx = DEFAULT_CONTEXT({
+        authInfo: createAuthInfoMock(ADMIN),
+        log: { info: sinon.stub(), warn: sinon.stub(), error: sinon.stub() },
+        requestInfo: {
+          org: 'org',
+          site: 'main',
+          path: '/jobs/copy',
+          method: 'POST',
+        },
+        attributes: {
+          storageClient: storageStub,
+        },
+        env: {
+          CATALOG_JOBS_QUEUE: {
+            sendBatch: sinon.stub().resolves(),
+          },
+        },
+      }, { path: '/jobs/copy' });
+
+      await copyModule.processCopyChunk(ctx, message, 4);
+
+      assert(ctx.env.CATALOG_JOBS_QUEUE.sendBatch.calledOnce);
+      assert.deepStrictEqual(await updatedJob(), { ...job, lastQueuedChunk: 2 });
+      const [, result] = storageStub.saveCatalogJobChunkResult.firstCall.args;
+      assert.equal(result.failed, 2);
+      assert.equal(result.errors[0].message, 'failed to copy 2 products: config unavailable');
+    });
+  });
+});
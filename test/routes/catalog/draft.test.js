@@ -0,0 +1,301 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+// @ts-nocheck
+
+import assert from 'node:assert';
+import sinon from 'sinon';
+import esmock from 'esmock';
+import { DEFAULT_CONTEXT, createAuthInfoMock } from '../../fixtures/context.js';
+
+describe('Catalog Draft Tests', () => {
+  let storageStub;
+  let doUpdateStub;
+  let draftModule;
+
+  beforeEach(async () => {
+    storageStub = {
+      getDraftProductEntry: sinon.stub().resolves(null),
+      deleteDraftProduct: sinon.stub().resolves(),
+    };
+    doUpdateStub = sinon.stub();
+
+    draftModule = await esmock('../../../src/routes/catalog/draft.js', {
+      '../../../src/routes/catalog/update.js': {
+        doUpdate: doUpdateStub,
+      },
+    });
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  const jsonResponse = (body, status = 201) => new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' },
+  });
+
+  const draft = (name) => ({
+    etag: `"${name}"`,
+    product: { sku: name, name, path: `/products/${name}` },
+  });
+
+  describe('publish', () => {
+    it('should save the draft as the live product and remove it', async () => {
+      storageStub.getDraftProductEntry.resolves(draft('a'));
+      doUpdateStub.resolves(jsonResponse({
+        product: {
+          sku: 'a', path: '/products/a', status: 200, message: 'Product saved successfully.',
+        },
+      }));
+      const ctx = DEFAULT_CONTEXT({
+        authInfo: createAuthInfoMock(['catalog:write']),
+        log: {
+          info: sinon.stub(), warn: sinon.stub(), error: sinon.stub(),
+        },
+        data: { action: 'publish' },
+        requestInfo: {
+          org: 'org',
+          site: 'site',
+          path: '/products/a.json',
+          method: 'POST',
+        },
+        attributes: {
+          storageClient: storageStub,
+        },
+      }, { path: '/products/a.json' });
+
+      const response = await draftModule.default(ctx);
+
+      assert.equal(response.status, 201);
+      assert.equal((await response.json()).product.sku, 'a');
+      assert(storageStub.getDraftProductEntry.calledOnceWithExactly('/products/a.json'));
+      assert.deepStrictEqual(doUpdateStub.firstCall.args.slice(1), [
+        [{ sku: 'a', name: 'a', path: '/products/a' }],
+        undefined,
+        [],
+      ]);
+      assert(storageStub.deleteDraftProduct.calledOnceWithExactly('/products/a'));
+    });
+
+    it('should pass write preconditions to the live write', async () => {
+      storageStub.getDraftProductEntry.resolves(draft('a'));
+      doUpdateStub.resolves(jsonResponse({ product: { sku: 'a', path: '/products/a', status: 412 } }, 412));
+      const ctx = DEFAULT_CONTEXT({
+        authInfo: createAuthInfoMock(['catalog:write']),
+        log: {
+          info: sinon.stub(), warn: sinon.stub(), error: sinon.stub(),
+        },
+        data: { action: 'publish' },
+        requestInfo: {
+          org: 'org',
+          site: 'site',
+          path: '/products/a.json',
+          method: 'POST',
+          getHeader: (name) => ({ 'if-match': '"live"' }[name.toLowerCase()]),
+        },
+        attributes: {
+          storageClient: storageStub,
+        },
+      }, { path: '/products/a.json' });
+
+      const response = await draftModule.default(ctx);
+
+      assert.equal(response.status, 412);
+      assert.deepStrictEqual(doUpdateStub.firstCall.args[2], { etagMatches: 'live' });
+      assert(storageStub.deleteDraftProduct.notCalled);
+    });
+
+    it('should return 404 if the product has no draft', async () => {
+      const ctx = DEFAULT_CONTEXT({
+        authInfo: createAuthInfoMock(['catalog:write']),
+        log: {
+          info: sinon.stub(), warn: sinon.stub(), error: sinon.stub(),
+        },
+        data: { action: 'publish' },
+        requestInfo: {
+          org: 'org',
+          site: 'site',
+          path: '/products/a.json',
+          method: 'POST',
+        },
+        attributes: {
+          storageClient: storageStub,
+        },
+      }, { path: '/products/a.json' });
+      const response = await draftModule.default(ctx);
+
+      assert.equal(response.status, 404);
+      assert.equal(response.headers.get('x-error'), 'Draft not found');
+      assert(doUpdateStub.notCalled);
+    });
+
+    it('should publish drafts in bulk and keep the ones that failed', async () => {
+      storageStub.getDraftProductEntry.withArgs('/products/a.json').resolves(draft('a'));
+      storageStub.getDraftProductEntry.withArgs('/products/b.json').resolves(draft('b'));
+      doUpdateStub.resolves(jsonResponse({
+        products: [
+          { sku: 'a', path: '/products/a', status: 200 },
+          {
+            sku: 'b', path: '/products/b', status: 500, message: 'Error: boom',
+          },
+          { path: '/products/c', status: 404, message: 'Draft not found' },
+        ],
+      }, 207));
+      const ctx = DEFAULT_CONTEXT({
+        authInfo: createAuthInfoMock(['catalog:write']),
+        log: {
+          info: sinon.stub(), warn: sinon.stub(), error: sinon.stub(),
+        },
+        data: { action: 'publish', paths: ['/products/a', '/products/b', '/products/c.json'] },
+        requestInfo: {
+          org: 'org',
+          site: 'site',
+          path: '/*',
+          method: 'POST',
+        },
+        attributes: {
+          storageClient: storageStub,
+        },
+      }, { path: '/*' });
+
+      const response = await draftModule.default(ctx);
+
+      assert.equal(response.status, 207);
+      assert.deepStrictEqual(doUpdateStub.firstCall.args[1].map((p) => p.sku), ['a', 'b']);
+      assert.deepStrictEqual(doUpdateStub.firstCall.args[3], [
+        { path: '/products/c', status: 404, message: 'Draft not found' },
+      ]);
+      assert.deepStrictEqual(storageStub.deleteDraftProduct.getCalls().map((c) => c.args[0]), ['/products/a']);
+    });
+
+    it('should reject invalid bulk paths', async () => {
+      const ctx = DEFAULT_CONTEXT({
+        authInfo: createAuthInfoMock(['catalog:write']),
+        log: {
+          info: sinon.stub(), warn: sinon.stub(), error: sinon.stub(),
+        },
+        data: { action: 'publish', paths: [] },
+        requestInfo: {
+          org: 'org',
+          site: 'site',
+          path: '/*',
+          method: 'POST',
+        },
+        attributes: {
+          storageClient: storageStub,
+        },
+      }, { path: '/*' });
+      const response = await draftModule.default(ctx);
+
+      assert.equal(response.status, 400);
+      assert.equal(response.headers.get('x-error'), 'paths must be a non-empty array');
+    });
+
+    it('should keep the drafts when the whole batch fails', async () => {
+      storageStub.getDraftProductEntry.resolves(draft('a'));
+      doUpdateStub.resolves(new Response('', { status: 500, headers: { 'x-error': 'failed to save products' } }));
+
+      const ctx = DEFAULT_CONTEXT({
+        authInfo: createAuthInfoMock(['catalog:write']),
+        log: {
+          info: sinon.stub(), warn: sinon.stub(), error: sinon.stub(),
+        },
+        data: { action: 'publish' },
+        requestInfo: {
+          org: 'org',
+          site: 'site',
+          path: '/products/a.json',
+          method: 'POST',
+        },
+        attributes: {
+          storageClient: storageStub,
+        },
+      }, { path: '/products/a.json' });
+      const response = await draftModule.default(ctx);
+
+      assert.equal(response.status, 500);
+      assert(storageStub.deleteDraftProduct.notCalled);
+    });
+
+    it('should require catalog:write', async () => {
+      const ctx = DEFAULT_CONTEXT({
+        authInfo: createAuthInfoMock(['catalog:read']),
+        log: {
+          info: sinon.stub(), warn: sinon.stub(), error: sinon.stub(),
+        },
+        data: { action: 'publish' },
+        requestInfo: {
+          org: 'org',
+          site: 'site',
+          path: '/products/a.json',
+          method: 'POST',
+        },
+        attributes: {
+          storageClient: storageStub,
+        },
+      }, { path: '/products/a.json' });
+
+      await assert.rejects(draftModule.default(ctx), (e) => e.response.status === 403);
+      assert(doUpdateStub.notCalled);
+    });
+  });
+
+  describe('discardDraft', () => {
+    it('should remove the draft', async () => {
+      storageStub.getDraftProductEntry.resolves(draft('a'));
+
+      const ctx = DEFAULT_CONTEXT({
+        authInfo: createAuthInfoMock(['catalog:write']),
+        log: {
+          info: sinon.stub(), warn: sinon.stub(), error: sinon.stub(),
+        },
+        requestInfo: {
+          org: 'org',
+          site: 'site',
+          path: '/products/a.json',
+          method: 'DELETE',
+        },
+        attributes: {
+          storageClient: storageStub,
+        },
+      }, { path: '/products/a.json' });
+      const response = await draftModule.discardDraft(ctx);
+
+      assert.equal(response.status, 204);
+      assert(storageStub.deleteDraftProduct.calledOnceWithExactly('/products/a.json'));
+    });
+
+    it('should return 404 if the product has no draft', async () => {
+      const ctx = DEFAULT_CONTEXT({
+        authInfo: createAuthInfoMock(['catalog:write']),
+        log: {
+          info: sinon.stub(), warn: sinon.stub(), error: sinon.stub(),
+        },
+        requestInfo: {
+          org: 'org',
+          site: 'site',
+          path: '/products/a.json',
+          method: 'DELETE',
+        },
+        attributes: {
+          storageClient: storageStub,
+        },
+      }, { path: '/products/a.json' });
+      const response = await draftModule.discardDraft(ctx);
+
+      assert.equal(response.status, 404);
+      assert(storageStub.deleteDraftProduct.notCalled);
+    });
+  });
+});
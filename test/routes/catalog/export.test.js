@@ -0,0 +1,172 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+// @ts-nocheck
+
+import assert from 'node:assert';
+import sinon from 'sinon';
+import { DEFAULT_CONTEXT, createAuthInfoMock } from '../../fixtures/context.js';
+import exportProducts from '../../../src/routes/catalog/export.js';
+
+describe('Catalog Export Tests', () => {
+  let storageStub;
+
+  beforeEach(() => {
+    storageStub = {
+      iterateProductsByPath: sinon.stub(),
+    };
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  const iterate = (...items) => async function* generate() {
+    for (const item of items) {
+      if (item instanceof Error) {
+        throw item;
+      }
+      yield item;
+    }
+  };
+
+  it('should stream the products as NDJSON without internal data', async () => {
+    storageStub.iterateProductsByPath.callsFake(iterate(
+      { sku: 'a', name: 'A', path: '/products/a' },
+      {
+        sku: 'b', name: 'B', path: '/products/b', internal: { images: {} },
+      },
+    ));
+    const ctx = DEFAULT_CONTEXT({
+      authInfo: createAuthInfoMock(['catalog:read']),
+      log: { info: sinon.stub(), error: sinon.stub() },
+      requestInfo: {
+        org: 'org',
+        site: 'site',
+        path: '/export',
+        method: 'GET',
+      },
+      attributes: {
+        storageClient: storageStub,
+      },
+    }, { path: '/export' });
+
+    const response = await exportProducts(ctx);
+
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('Content-Type'), 'application/x-ndjson');
+    assert.equal(response.headers.get('Content-Disposition'), 'attachment; filename="org-site-catalog.ndjson"');
+    assert.equal(
+      await response.text(),
+      '{"sku":"a","name":"A","path":"/products/a"}\n{"sku":"b","name":"B","path":"/products/b"}\n',
+    );
+    assert(storageStub.iterateProductsByPath.calledOnceWithExactly('/', { modifiedSince: undefined }));
+    assert(ctx.log.info.calledOnce);
+    assert.equal(ctx.log.info.firstCall.args[0].count, 2);
+  });
+
+  it('should pass the prefix and modified-since filters', async () => {
+    storageStub.iterateProductsByPath.callsFake(iterate());
+
+    const ctx = DEFAULT_CONTEXT({
+      authInfo: createAuthInfoMock(['catalog:read']),
+      log: { info: sinon.stub(), error: sinon.stub() },
+      data: { prefix: '/products/', since: '2026-01-01T00:00:00Z' },
+      requestInfo: {
+        org: 'org',
+        site: 'site',
+        path: '/export',
+        method: 'GET',
+      },
+      attributes: {
+        storageClient: storageStub,
+      },
+    }, { path: '/export' });
+    const response = await exportProducts(ctx);
+
+    assert.equal(await response.text(), '');
+    assert(storageStub.iterateProductsByPath.calledOnceWithExactly('/products/', {
+      modifiedSince: new Date('2026-01-01T00:00:00Z'),
+    }));
+  });
+
+  it('should return 400 for invalid filters', async () => {
+    const ctx = DEFAULT_CONTEXT({
+      authInfo: createAuthInfoMock(['catalog:read']),
+      log: { info: sinon.stub(), error: sinon.stub() },
+      data: { prefix: 'products' },
+      requestInfo: {
+        org: 'org',
+        site: 'site',
+        path: '/export',
+        method: 'GET',
+      },
+      attributes: {
+        storageClient: storageStub,
+      },
+    }, { path: '/export' });
+    let response = await exportProducts(ctx);
+    assert.equal(response.status, 400);
+    assert.equal(response.headers.get('x-error'), 'invalid prefix');
+
+    ctx.data = { since: 'yesterday' };
+    response = await exportProducts(ctx);
+    assert.equal(response.status, 400);
+    assert.equal(response.headers.get('x-error'), 'invalid since');
+
+    assert(storageStub.iterateProductsByPath.notCalled);
+  });
+
+  it('should abort the stream if loading fails', async () => {
+    storageStub.iterateProductsByPath.callsFake(iterate(
+      { sku: 'a', name: 'A', path: '/products/a' },
+      new Error('R2 unavailable'),
+    ));
+    const ctx = DEFAULT_CONTEXT({
+      authInfo: createAuthInfoMock(['catalog:read']),
+      log: { info: sinon.stub(), error: sinon.stub() },
+      requestInfo: {
+        org: 'org',
+        site: 'site',
+        path: '/export',
+        method: 'GET',
+      },
+      attributes: {
+        storageClient: storageStub,
+      },
+    }, { path: '/export' });
+
+    const response = await exportProducts(ctx);
+
+    await assert.rejects(response.text());
+    assert(ctx.log.error.calledOnce);
+  });
+
+  it('should require catalog:read', async () => {
+    const ctx = DEFAULT_CONTEXT({
+      authInfo: createAuthInfoMock(['catalog:read']),
+      log: { info: sinon.stub(), error: sinon.stub() },
+      requestInfo: {
+        org: 'org',
+        site: 'site',
+        path: '/export',
+        method: 'GET',
+      },
+      attributes: {
+        storageClient: storageStub,
+      },
+    }, { path: '/export' });
+    ctx.authInfo = createAuthInfoMock([]);
+
+    await assert.rejects(exportProducts(ctx), (e) => e.response.status === 403);
+  });
+});
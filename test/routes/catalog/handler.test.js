@@ -22,15 +22,62 @@ describe('catalogHandler Tests', () => {
   let handleProductRetrieveRequestStub;
   let handleProductSaveRequestStub;
   let handleProductRemoveRequestStub;
+  let handleProductListRequestStub;
+  let handleProductPatchRequestStub;
+  let handleProductVersionsRequestStub;
+  let handleProductRestoreRequestStub;
+  let handleProductMoveRequestStub;
+  let handleProductSkuRequestStub;
+  let handleJobsRequestStub;
+  let handleImportRequestStub;
+  let handleExportRequestStub;
+  let handleCopyRequestStub;
+  let handleReindexRequestStub;
+  let handleScheduledRequestStub;
+  let handlePublishRequestStub;
+  let handleDiscardDraftRequestStub;
+  let handleJsonLdRequestStub;
   beforeEach(async () => {
     handleProductRetrieveRequestStub = sinon.stub();
     handleProductSaveRequestStub = sinon.stub();
     handleProductRemoveRequestStub = sinon.stub();
+    handleProductListRequestStub = sinon.stub();
+    handleProductPatchRequestStub = sinon.stub();
+    handleProductVersionsRequestStub = sinon.stub();
+    handleProductRestoreRequestStub = sinon.stub();
+    handleProductMoveRequestStub = sinon.stub();
+    handleProductSkuRequestStub = sinon.stub();
+    handleJobsRequestStub = sinon.stub();
+    handleImportRequestStub = sinon.stub();
+    handleExportRequestStub = sinon.stub();
+    handleCopyRequestStub = sinon.stub();
+    handleReindexRequestStub = sinon.stub();
+    handleScheduledRequestStub = sinon.stub();
+    handlePublishRequestStub = sinon.stub();
+    handleDiscardDraftRequestStub = sinon.stub();
+    handleJsonLdRequestStub = sinon.stub();
 
     catalogHandler = (await esmock('../../../src/routes/catalog/handler.js', {
       '../../../src/routes/catalog/retrieve.js': { default: handleProductRetrieveRequestStub },
       '../../../src/routes/catalog/update.js': { default: handleProductSaveRequestStub },
       '../../../src/routes/catalog/remove.js': { default: handleProductRemoveRequestStub },
+      '../../../src/routes/catalog/list.js': { default: handleProductListRequestStub },
+      '../../../src/routes/catalog/patch.js': { default: handleProductPatchRequestStub },
+      '../../../src/routes/catalog/versions.js': { default: handleProductVersionsRequestStub },
+      '../../../src/routes/catalog/restore.js': { default: handleProductRestoreRequestStub },
+      '../../../src/routes/catalog/move.js': { default: handleProductMoveRequestStub },
+      '../../../src/routes/catalog/sku.js': { default: handleProductSkuRequestStub },
+      '../../../src/routes/catalog/jobs.js': { default: handleJobsRequestStub },
+      '../../../src/routes/catalog/import.js': { default: handleImportRequestStub },
+      '../../../src/routes/catalog/export.js': { default: handleExportRequestStub },
+      '../../../src/routes/catalog/copy.js': { default: handleCopyRequestStub },
+      '../../../src/routes/catalog/reindex.js': { default: handleReindexRequestStub },
+      '../../../src/routes/catalog/schedule.js': { default: handleScheduledRequestStub },
+      '../../../src/routes/catalog/draft.js': {
+        default: handlePublishRequestStub,
+        discardDraft: handleDiscardDraftRequestStub,
+      },
+      '../../../src/routes/catalog/jsonld.js': { default: handleJsonLdRequestStub },
     })).default;
   });
 
@@ -101,6 +148,185 @@ describe('catalogHandler Tests', () => {
     assert(handleProductRetrieveRequestStub.calledOnceWith(ctx));
   });
 
+  it('should call list handler when GET targets a directory path', async () => {
+    const ctx = DEFAULT_CONTEXT({
+      requestInfo: {
+        path: '/products/',
+        method: 'GET',
+      },
+    });
+    const request = {};
+
+    handleProductListRequestStub.returns(new Response(null, { status: 200 }));
+
+    const response = await catalogHandler(ctx, request);
+
+    assert.equal(response.status, 200);
+    assert(handleProductListRequestStub.calledOnceWith(ctx, request));
+    assert(handleProductRetrieveRequestStub.notCalled);
+  });
+
+  it('should call list handler when GET targets the wildcard path', async () => {
+    const ctx = DEFAULT_CONTEXT({
+      requestInfo: {
+        path: '/*',
+        method: 'GET',
+      },
+    });
+    const request = {};
+
+    handleProductListRequestStub.returns(new Response(null, { status: 200 }));
+
+    const response = await catalogHandler(ctx, request);
+
+    assert.equal(response.status, 200);
+    assert(handleProductListRequestStub.calledOnceWith(ctx, request));
+  });
+
+  it('should call sku handler when GET targets a SKU', async () => {
+    const ctx = DEFAULT_CONTEXT({
+      requestInfo: {
+        path: '/sku/ABC%2F123',
+        method: 'GET',
+      },
+    });
+    const request = {};
+
+    handleProductSkuRequestStub.returns(new Response(null, { status: 200 }));
+
+    const response = await catalogHandler(ctx, request);
+
+    assert.equal(response.status, 200);
+    assert(handleProductSkuRequestStub.calledOnceWith(ctx, request));
+    assert(handleProductRetrieveRequestStub.notCalled);
+  });
+
+  it('should call jsonld handler when GET targets a .jsonld path', async () => {
+    const ctx = DEFAULT_CONTEXT({
+      requestInfo: {
+        path: '/products/test-product.jsonld',
+        method: 'GET',
+      },
+    });
+    const request = {};
+
+    handleJsonLdRequestStub.returns(new Response(null, { status: 200 }));
+
+    const response = await catalogHandler(ctx, request);
+
+    assert.equal(response.status, 200);
+    assert(handleJsonLdRequestStub.calledOnceWith(ctx, request));
+    assert(handleProductRetrieveRequestStub.notCalled);
+  });
+
+  it('should call export handler when GET targets /export', async () => {
+    const ctx = DEFAULT_CONTEXT({
+      requestInfo: {
+        path: '/export',
+        method: 'GET',
+      },
+    });
+    const request = {};
+
+    handleExportRequestStub.returns(new Response(null, { status: 200 }));
+
+    const response = await catalogHandler(ctx, request);
+
+    assert.equal(response.status, 200);
+    assert(handleExportRequestStub.calledOnceWith(ctx, request));
+    assert(handleProductRetrieveRequestStub.notCalled);
+  });
+
+  it('should call import handler when POST targets /jobs/import', async () => {
+    const ctx = DEFAULT_CONTEXT({
+      requestInfo: {
+        path: '/jobs/import',
+        method: 'POST',
+      },
+    });
+    const request = {};
+
+    handleImportRequestStub.returns(new Response(null, { status: 202 }));
+
+    const response = await catalogHandler(ctx, request);
+
+    assert.equal(response.status, 202);
+    assert(handleImportRequestStub.calledOnceWith(ctx, request));
+    assert(handleProductSaveRequestStub.notCalled);
+  });
+
+  it('should call copy handler when POST targets /jobs/copy', async () => {
+    const ctx = DEFAULT_CONTEXT({
+      requestInfo: {
+        path: '/jobs/copy',
+        method: 'POST',
+      },
+    });
+    const request = {};
+
+    handleCopyRequestStub.returns(new Response(null, { status: 202 }));
+
+    const response = await catalogHandler(ctx, request);
+
+    assert.equal(response.status, 202);
+    assert(handleCopyRequestStub.calledOnceWith(ctx, request));
+    assert(handleImportRequestStub.notCalled);
+    assert(handleProductSaveRequestStub.notCalled);
+  });
+
+  it('should call reindex handler when POST targets /jobs/reindex', async () => {
+    const ctx = DEFAULT_CONTEXT({
+      requestInfo: {
+        path: '/jobs/reindex',
+        method: 'POST',
+      },
+    });
+    const request = {};
+
+    handleReindexRequestStub.returns(new Response(null, { status: 202 }));
+
+    const response = await catalogHandler(ctx, request);
+
+    assert.equal(response.status, 202);
+    assert(handleReindexRequestStub.calledOnceWith(ctx, request));
+    assert(handleProductSaveRequestStub.notCalled);
+  });
+
+  it('should call jobs handler when GET targets a job', async () => {
+    const ctx = DEFAULT_CONTEXT({
+      requestInfo: {
+        path: '/jobs/0b9f4b4e-7f1c-4c1e-9a36-0d1d2f3e4a5b',
+        method: 'GET',
+      },
+    });
+    const request = {};
+
+    handleJobsRequestStub.returns(new Response(null, { status: 200 }));
+
+    const response = await catalogHandler(ctx, request);
+
+    assert.equal(response.status, 200);
+    assert(handleJobsRequestStub.calledOnceWith(ctx, request));
+    assert(handleProductRetrieveRequestStub.notCalled);
+  });
+
+  it('should call patch handler when method is PATCH', async () => {
+    const ctx = DEFAULT_CONTEXT({
+      requestInfo: {
+        path: '/products/test-product.json',
+        method: 'PATCH',
+      },
+    });
+    const request = {};
+
+    handleProductPatchRequestStub.returns(new Response(null, { status: 201 }));
+
+    const response = await catalogHandler(ctx, request);
+
+    assert.equal(response.status, 201);
+    assert(handleProductPatchRequestStub.calledOnceWith(ctx, request));
+  });
+
   it('should call handleProductDeleteRequest when method is DELETE', async () => {
     const ctx = DEFAULT_CONTEXT({
       requestInfo: {
@@ -131,7 +357,199 @@ describe('catalogHandler Tests', () => {
     const response = await catalogHandler(ctx, request);
 
     assert.equal(response.status, 400);
-    assert.equal(response.headers.get('x-error'), 'POST only allowed for bulk operations at /*');
+    assert.equal(response.headers.get('x-error'), 'POST only allowed for bulk operations at /* or with a supported action');
+  });
+
+  it('should call handleProductRemoveRequest for bulk delete actions', async () => {
+    const ctx = DEFAULT_CONTEXT({
+      requestInfo: {
+        path: '/*',
+        method: 'POST',
+      },
+      data: { action: 'delete', paths: ['/products/test-product'] },
+    });
+    const request = {};
+
+    handleProductRemoveRequestStub.returns(new Response(null, { status: 200 }));
+
+    const response = await catalogHandler(ctx, request);
+
+    assert.equal(response.status, 200);
+    assert(handleProductRemoveRequestStub.calledOnceWith(ctx, request));
+    assert(handleProductSaveRequestStub.notCalled);
+  });
+
+  it('should call versions handler when GET has a versions parameter', async () => {
+    const ctx = DEFAULT_CONTEXT({
+      requestInfo: {
+        path: '/products/test-product.json',
+        method: 'GET',
+      },
+      data: { versions: '' },
+    });
+    const request = {};
+
+    handleProductVersionsRequestStub.returns(new Response(null, { status: 200 }));
+
+    const response = await catalogHandler(ctx, request);
+
+    assert.equal(response.status, 200);
+    assert(handleProductVersionsRequestStub.calledOnceWith(ctx, request));
+    assert(handleProductRetrieveRequestStub.notCalled);
+  });
+
+  it('should call scheduled handler when GET has a scheduled parameter', async () => {
+    const ctx = DEFAULT_CONTEXT({
+      requestInfo: {
+        path: '/products/test-product.json',
+        method: 'GET',
+      },
+      data: { scheduled: '' },
+    });
+    const request = {};
+
+    handleScheduledRequestStub.returns(new Response(null, { status: 200 }));
+
+    const response = await catalogHandler(ctx, request);
+
+    assert.equal(response.status, 200);
+    assert(handleScheduledRequestStub.calledOnceWith(ctx, request));
+    assert(handleProductRetrieveRequestStub.notCalled);
+  });
+
+  it('should call scheduled handler when DELETE has a scheduled parameter', async () => {
+    const ctx = DEFAULT_CONTEXT({
+      requestInfo: {
+        path: '/products/test-product.json',
+        method: 'DELETE',
+      },
+      url: new URL('https://example.com/org/sites/site/catalog/products/test-product.json?scheduled'),
+    });
+    const request = {};
+
+    handleScheduledRequestStub.returns(new Response(null, { status: 204 }));
+
+    const response = await catalogHandler(ctx, request);
+
+    assert.equal(response.status, 204);
+    assert(handleScheduledRequestStub.calledOnceWith(ctx, request));
+    assert(handleProductRemoveRequestStub.notCalled);
+  });
+
+  it('should call publish handler when POST has the publish action', async () => {
+    const ctx = DEFAULT_CONTEXT({
+      requestInfo: {
+        path: '/products/test-product.json',
+        method: 'POST',
+      },
+      data: { action: 'publish' },
+    });
+    const request = {};
+
+    handlePublishRequestStub.returns(new Response(null, { status: 201 }));
+
+    const response = await catalogHandler(ctx, request);
+
+    assert.equal(response.status, 201);
+    assert(handlePublishRequestStub.calledOnceWith(ctx, request));
+  });
+
+  it('should call publish handler for a bulk publish action', async () => {
+    const ctx = DEFAULT_CONTEXT({
+      requestInfo: {
+        path: '/*',
+        method: 'POST',
+      },
+      data: { action: 'publish', paths: ['/products/a'] },
+    });
+    const request = {};
+
+    handlePublishRequestStub.returns(new Response(null, { status: 201 }));
+
+    const response = await catalogHandler(ctx, request);
+
+    assert.equal(response.status, 201);
+    assert(handlePublishRequestStub.calledOnceWith(ctx, request));
+    assert(handleProductSaveRequestStub.notCalled);
+  });
+
+  it('should call discard handler when DELETE has state=draft', async () => {
+    const ctx = DEFAULT_CONTEXT({
+      requestInfo: {
+        path: '/products/test-product.json',
+        method: 'DELETE',
+      },
+      url: new URL('https://example.com/org/sites/site/catalog/products/test-product.json?state=draft'),
+    });
+    const request = {};
+
+    handleDiscardDraftRequestStub.returns(new Response(null, { status: 204 }));
+
+    const response = await catalogHandler(ctx, request);
+
+    assert.equal(response.status, 204);
+    assert(handleDiscardDraftRequestStub.calledOnceWith(ctx, request));
+    assert(handleProductRemoveRequestStub.notCalled);
+  });
+
+  it('should reject an invalid state and patching drafts', async () => {
+    let response = await catalogHandler(DEFAULT_CONTEXT({
+      requestInfo: {
+        path: '/products/test-product.json',
+        method: 'GET',
+      },
+      url: new URL('https://example.com/org/sites/site/catalog/products/test-product.json?state=preview'),
+    }), {});
+    assert.equal(response.status, 400);
+    assert.equal(response.headers.get('x-error'), 'invalid state');
+
+    response = await catalogHandler(DEFAULT_CONTEXT({
+      requestInfo: {
+        path: '/products/test-product.json',
+        method: 'PATCH',
+      },
+      url: new URL('https://example.com/org/sites/site/catalog/products/test-product.json?state=draft'),
+    }), {});
+    assert.equal(response.status, 400);
+    assert.equal(response.headers.get('x-error'), 'drafts can not be patched');
+    assert(handleProductRetrieveRequestStub.notCalled);
+    assert(handleProductPatchRequestStub.notCalled);
+  });
+
+  it('should call move handler when POST has the move action', async () => {
+    const ctx = DEFAULT_CONTEXT({
+      requestInfo: {
+        path: '/products/test-product.json',
+        method: 'POST',
+      },
+      data: { action: 'move', to: '/products/new-product' },
+    });
+    const request = {};
+
+    handleProductMoveRequestStub.returns(new Response(null, { status: 201 }));
+
+    const response = await catalogHandler(ctx, request);
+
+    assert.equal(response.status, 201);
+    assert(handleProductMoveRequestStub.calledOnceWith(ctx, request));
+  });
+
+  it('should call restore handler when POST has the restore action', async () => {
+    const ctx = DEFAULT_CONTEXT({
+      requestInfo: {
+        path: '/products/test-product.json',
+        method: 'POST',
+      },
+      data: { action: 'restore', version: '2026-01-01T00:00:00.000Z-abcdef12' },
+    });
+    const request = {};
+
+    handleProductRestoreRequestStub.returns(new Response(null, { status: 201 }));
+
+    const response = await catalogHandler(ctx, request);
+
+    assert.equal(response.status, 201);
+    assert(handleProductRestoreRequestStub.calledOnceWith(ctx, request));
   });
 
   it('should call handleProductSaveRequest when POST is used with /* path', async () => {
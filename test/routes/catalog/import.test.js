@@ -0,0 +1,447 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+// @ts-nocheck
+
+import assert from 'node:assert';
+import sinon from 'sinon';
+import esmock from 'esmock';
+import { DEFAULT_CONTEXT, createAuthInfoMock } from '../../fixtures/context.js';
+
+describe('Catalog Import Tests', () => {
+  let storageStub;
+  let saveProductsStub;
+  let importModule;
+
+  beforeEach(async () => {
+    storageStub = {
+      saveCatalogJob: sinon.stub().resolves(),
+      saveCatalogJobSource: sinon.stub().resolves(),
+      deleteCatalogJobSource: sinon.stub().resolves(),
+      getCatalogJobSource: sinon.stub(),
+      getCatalogJobChunkResult: sinon.stub().resolves(null),
+      saveCatalogJobChunkResult: sinon.stub().resolves(),
+      listCatalogJobChunkResults: sinon.stub().resolves([]),
+      getCatalogJob: sinon.stub().resolves({ id: 'job-1', type: 'import', chunks: 3 }),
+    };
+    saveProductsStub = sinon.stub();
+
+    importModule = await esmock('../../../src/routes/catalog/import.js', {
+      '../../../src/routes/catalog/update.js': {
+        MAX_PRODUCT_BULK: 50,
+        saveProducts: saveProductsStub,
+      },
+    });
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  /**
+   * Stream text through the record splitter, in pieces of a few bytes.
+   */
+  const split = async (text, chunkSize) => {
+    const { stream, chunks } = importModule.splitRecords(chunkSize);
+    const bytes = new TextEncoder().encode(text);
+    const source = new ReadableStream({
+      start(controller) {
+        for (let i = 0; i < bytes.length; i += 3) {
+          controller.enqueue(bytes.slice(i, i + 3));
+        }
+        controller.close();
+      },
+    });
+    const output = await new Response(source.pipeThrough(stream)).text();
+    return { chunks, output };
+  };
+
+  const makeRequest = (text) => {
+    const bytes = new TextEncoder().encode(text);
+    return {
+      body: bytes.length > 0 ? new Response(bytes).body : null,
+      headers: new Headers({ 'content-length': String(bytes.length) }),
+    };
+  };
+
+  describe('splitRecords', () => {
+    it('should split records into chunks with byte ranges and line numbers', async () => {
+      const text = '{"a":1}\n\n{"b":"ü"}\r\n{"c":3}\n';
+      const { chunks, output } = await split(text, 2);
+
+      assert.strictEqual(output, text);
+      assert.deepStrictEqual(chunks, [
+        {
+          firstLine: 1, offset: 0, length: 20, count: 2,
+        },
+        {
+          firstLine: 4, offset: 21, length: 7, count: 1,
+        },
+      ]);
+      const bytes = new TextEncoder().encode(text);
+      const decode = ({ offset, length }) => new TextDecoder()
+        .decode(bytes.slice(offset, offset + length));
+      assert.strictEqual(decode(chunks[0]), '{"a":1}\n\n{"b":"ü"}\r');
+      assert.strictEqual(decode(chunks[1]), '{"c":3}');
+    });
+
+    it('should end the last record at the end of the stream', async () => {
+      const { chunks } = await split('{"a":1}\n{"b":2}');
+
+      assert.deepStrictEqual(chunks, [{
+        firstLine: 1, offset: 0, length: 15, count: 2,
+      }]);
+    });
+
+    it('should return no chunks for blank input', async () => {
+      const { chunks } = await split('\n \n');
+      assert.deepStrictEqual(chunks, []);
+    });
+  });
+
+  describe('importProducts', () => {
+    let sources;
+
+    beforeEach(() => {
+      sources = [];
+      storageStub.saveCatalogJobSource.callsFake(async (id, stream) => {
+        sources.push(await new Response(stream).text());
+      });
+      // the length is checked by the Workers runtime only
+      globalThis.FixedLengthStream = function FixedLengthStream() {
+        return new TransformStream();
+      };
+    });
+
+    afterEach(() => {
+      delete globalThis.FixedLengthStream;
+    });
+
+    it('should stream the file to storage, publish a message per chunk and return 202', async () => {
+      const lines = Array.from({ length: 120 }, (_, i) => JSON.stringify({ sku: `sku-${i}`, name: `Product ${i}`, path: `/products/p-${i}` }));
+      const ctx = DEFAULT_CONTEXT({
+        authInfo: createAuthInfoMock(['catalog:write']),
+        log: { info: sinon.stub(), error: sinon.stub() },
+        requestInfo: {
+          org: 'org',
+          site: 'site',
+          path: '/jobs/import',
+          method: 'POST',
+        },
+        attributes: {
+          storageClient: storageStub,
+        },
+        env: {
+          CATALOG_JOBS_QUEUE: {
+            sendBatch: sinon.stub().resolves(),
+          },
+        },
+      }, { path: '/jobs/import' });
+
+      const response = await importModule.default(ctx, makeRequest(lines.join('\n')));
+
+      assert.equal(response.status, 202);
+      const body = await response.json();
+      assert.equal(body.type, 'import');
+      assert.equal(body.status, 'queued');
+      assert.equal(body.total, 120);
+      assert.equal(body.chunks, 3);
+      assert.equal(body.processed, 0);
+      assert.equal(response.headers.get('Location'), `/org/sites/site/catalog/jobs/${body.id}`);
+
+      assert.equal(storageStub.saveCatalogJobSource.firstCall.args[0], body.id);
+      assert.deepStrictEqual(sources, [lines.join('\n')]);
+      assert.equal(storageStub.saveCatalogJob.firstCall.args[0].id, body.id);
+
+      const { sendBatch } = ctx.env.CATALOG_JOBS_QUEUE;
+      assert(sendBatch.calledOnce);
+      const messages = sendBatch.firstCall.args[0].map((m) => m.body);
+      assert.deepStrictEqual(messages.map((m) => [m.chunk, m.firstLine, m.count]), [
+        [0, 1, 50],
+        [1, 51, 50],
+        [2, 101, 20],
+      ]);
+      assert(messages.every((m) => m.type === 'import' && m.org === 'org' && m.site === 'site' && m.jobId === body.id));
+    });
+
+    it('should reject empty files', async () => {
+      const ctx = DEFAULT_CONTEXT({
+        authInfo: createAuthInfoMock(['catalog:write']),
+        log: { info: sinon.stub(), error: sinon.stub() },
+        requestInfo: {
+          org: 'org',
+          site: 'site',
+          path: '/jobs/import',
+          method: 'POST',
+        },
+        attributes: {
+          storageClient: storageStub,
+        },
+        env: {
+          CATALOG_JOBS_QUEUE: {
+            sendBatch: sinon.stub().resolves(),
+          },
+        },
+      }, { path: '/jobs/import' });
+      let response = await importModule.default(ctx, makeRequest(''));
+      assert.equal(response.status, 400);
+      assert.equal(response.headers.get('x-error'), 'no products to import');
+
+      response = await importModule.default(ctx, makeRequest('\n\n'));
+      assert.equal(response.status, 400);
+      assert(storageStub.deleteCatalogJobSource.calledOnceWithExactly(
+        storageStub.saveCatalogJobSource.firstCall.args[0],
+      ));
+      assert(storageStub.saveCatalogJob.notCalled);
+    });
+
+    it('should require the size of the upload', async () => {
+      const request = makeRequest('{}');
+      request.headers.delete('content-length');
+
+      const ctx = DEFAULT_CONTEXT({
+        authInfo: createAuthInfoMock(['catalog:write']),
+        log: { info: sinon.stub(), error: sinon.stub() },
+        requestInfo: {
+          org: 'org',
+          site: 'site',
+          path: '/jobs/import',
+          method: 'POST',
+        },
+        attributes: {
+          storageClient: storageStub,
+        },
+        env: {
+          CATALOG_JOBS_QUEUE: {
+            sendBatch: sinon.stub().resolves(),
+          },
+        },
+      }, { path: '/jobs/import' });
+      const response = await importModule.default(ctx, request);
+
+      assert.equal(response.status, 411);
+      assert(storageStub.saveCatalogJobSource.notCalled);
+    });
+
+    it('should require catalog:write', async () => {
+      const ctx = DEFAULT_CONTEXT({
+        authInfo: createAuthInfoMock(['catalog:write']),
+        log: { info: sinon.stub(), error: sinon.stub() },
+        requestInfo: {
+          org: 'org',
+          site: 'site',
+          path: '/jobs/import',
+          method: 'POST',
+        },
+        attributes: {
+          storageClient: storageStub,
+        },
+        env: {
+          CATALOG_JOBS_QUEUE: {
+            sendBatch: sinon.stub().resolves(),
+          },
+        },
+      }, { path: '/jobs/import' });
+      ctx.authInfo = createAuthInfoMock(['catalog:read']);
+
+      await assert.rejects(importModule.default(ctx, makeRequest('{}')), (e) => e.response.status === 403);
+    });
+  });
+
+  describe('processImportChunk', () => {
+    const message = {
+      type: 'import',
+      org: 'org',
+      site: 'site',
+      jobId: 'job-1',
+      chunk: 2,
+      firstLine: 101,
+      offset: 1000,
+      length: 200,
+      count: 4,
+    };
+
+    it('should save valid records and report the others with line numbers', async () => {
+      storageStub.getCatalogJobSource.resolves([
+        '{"sku":"a","name":"A","path":"/products/a"}',
+        'not json',
+        '',
+        '{"sku":"b","path":"/products/b"}',
+        '{"sku":"c","name":"C","path":"/products/c"}',
+        '{"sku":"d","name":"D","path":"/products/d"}',
+      ].join('\n'));
+      saveProductsStub.resolves({
+        results: [
+          { sku: 'a', path: '/products/a', status: 200 },
+          {
+            sku: 'd', path: '/products/d', status: 500, message: 'Error: boom',
+          },
+          {
+            sku: 'c', path: '/products/c', status: 200, message: 'No changes detected', change: 'unchanged',
+          },
+        ],
+        written: 2,
+      });
+      const ctx = DEFAULT_CONTEXT({
+        authInfo: createAuthInfoMock(['catalog:write']),
+        log: { info: sinon.stub(), error: sinon.stub() },
+        requestInfo: {
+          org: 'org',
+          site: 'site',
+          path: '/jobs/import',
+          method: 'POST',
+        },
+        attributes: {
+          storageClient: storageStub,
+        },
+        env: {
+          CATALOG_JOBS_QUEUE: {
+            sendBatch: sinon.stub().resolves(),
+          },
+        },
+      }, { path: '/jobs/import' });
+
+      await importModule.processImportChunk(ctx, message);
+
+      assert(storageStub.getCatalogJobSource.calledOnceWithExactly('job-1', { offset: 1000, length: 200 }));
+      const [, products] = saveProductsStub.firstCall.args;
+      assert.deepStrictEqual(products.map((p) => p.sku), ['a', 'c', 'd']);
+
+      const [jobId, result] = storageStub.saveCatalogJobChunkResult.firstCall.args;
+      assert.equal(jobId, 'job-1');
+      assert.equal(result.chunk, 2);
+      assert.equal(result.saved, 1);
+      assert.equal(result.unchanged, 1);
+      assert.equal(result.failed, 3);
+      assert.deepStrictEqual(result.errors.map((e) => [e.line, e.status, e.message]), [
+        [102, 400, 'Invalid JSON'],
+        [104, 400, 'Invalid product'],
+        [106, 500, 'Error: boom'],
+      ]);
+      assert.equal(result.errors[1].errors[0].path, '$');
+    });
+
+    it('should skip chunks that were already processed', async () => {
+      storageStub.getCatalogJobChunkResult.resolves({ chunk: 2 });
+
+      const ctx = DEFAULT_CONTEXT({
+        authInfo: createAuthInfoMock(['catalog:write']),
+        log: { info: sinon.stub(), error: sinon.stub() },
+        requestInfo: {
+          org: 'org',
+          site: 'site',
+          path: '/jobs/import',
+          method: 'POST',
+        },
+        attributes: {
+          storageClient: storageStub,
+        },
+        env: {
+          CATALOG_JOBS_QUEUE: {
+            sendBatch: sinon.stub().resolves(),
+          },
+        },
+      }, { path: '/jobs/import' });
+      await importModule.processImportChunk(ctx, message);
+
+      assert(storageStub.getCatalogJobSource.notCalled);
+      assert(storageStub.saveCatalogJobChunkResult.notCalled);
+    });
+
+    it('should throw chunk-wide errors so the message is retried', async () => {
+      storageStub.getCatalogJobSource.resolves('{"sku":"a","name":"A","path":"/products/a"}');
+      saveProductsStub.rejects(new Error('config unavailable'));
+
+      const ctx = DEFAULT_CONTEXT({
+        authInfo: createAuthInfoMock(['catalog:write']),
+        log: { info: sinon.stub(), error: sinon.stub() },
+        requestInfo: {
+          org: 'org',
+          site: 'site',
+          path: '/jobs/import',
+          method: 'POST',
+        },
+        attributes: {
+          storageClient: storageStub,
+        },
+        env: {
+          CATALOG_JOBS_QUEUE: {
+            sendBatch: sinon.stub().resolves(),
+          },
+        },
+      }, { path: '/jobs/import' });
+      await assert.rejects(
+        importModule.processImportChunk(ctx, message, 1),
+        /config unavailable/,
+      );
+      assert(storageStub.saveCatalogJobChunkResult.notCalled);
+    });
+
+    it('should report all records as failed on the last attempt', async () => {
+      storageStub.getCatalogJobSource.resolves('{"sku":"a","name":"A","path":"/products/a"}');
+      saveProductsStub.rejects(new Error('config unavailable'));
+      const ctx = DEFAULT_CONTEXT({
+        authInfo: createAuthInfoMock(['catalog:write']),
+        log: { info: sinon.stub(), error: sinon.stub() },
+        requestInfo: {
+          org: 'org',
+          site: 'site',
+          path: '/jobs/import',
+          method: 'POST',
+        },
+        attributes: {
+          storageClient: storageStub,
+        },
+        env: {
+          CATALOG_JOBS_QUEUE: {
+            sendBatch: sinon.stub().resolves(),
+          },
+        },
+      }, { path: '/jobs/import' });
+
+      await importModule.processImportChunk(ctx, message, 4);
+
+      const [, result] = storageStub.saveCatalogJobChunkResult.firstCall.args;
+      assert.equal(result.failed, 4);
+      assert.equal(result.errors.length, 1);
+      assert.equal(result.errors[0].line, 101);
+      assert.equal(result.errors[0].status, 500);
+      assert(ctx.log.error.calledOnce);
+    });
+
+    it('should delete the source once every chunk was processed', async () => {
+      storageStub.getCatalogJobSource.resolves('{"sku":"a","name":"A","path":"/products/a"}');
+      saveProductsStub.resolves({ results: [{ sku: 'a', path: '/products/a', status: 201 }], written: 1 });
+      storageStub.listCatalogJobChunkResults.resolves([{ chunk: 0 }, { chunk: 2 }]);
+      const ctx = DEFAULT_CONTEXT({
+        authInfo: createAuthInfoMock(['catalog:write']),
+        log: { info: sinon.stub(), error: sinon.stub() },
+        requestInfo: {
+          org: 'org',
+          site: 'site',
+          path: '/jobs/import',
+          method: 'POST',
+        },
+        attributes: {
+          storageClient: storageStub,
+        },
+      }, { path: '/jobs/import' });
+
+      await importModule.processImportChunk(ctx, message);
+      assert(storageStub.deleteCatalogJobSource.notCalled);
+
+      storageStub.listCatalogJobChunkResults.resolves([{ chunk: 0 }, { chunk: 1 }, { chunk: 2 }]);
+      await importModule.processImportChunk(ctx, { ...message, chunk: 1 });
+      assert(storageStub.deleteCatalogJobSource.calledOnceWithExactly('job-1'));
+    });
+  });
+});
@@ -0,0 +1,278 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+// @ts-nocheck
+
+import assert from 'node:assert';
+import sinon from 'sinon';
+import esmock from 'esmock';
+import { DEFAULT_CONTEXT, createAuthInfoMock } from '../../fixtures/context.js';
+
+const JOB_ID = '0b9f4b4e-7f1c-4c1e-9a36-0d1d2f3e4a5b';
+
+describe('Catalog Jobs Tests', () => {
+  let storageStub;
+  let processImportChunkStub;
+  let processCopyChunkStub;
+  let processReindexChunkStub;
+  let jobsModule;
+
+  beforeEach(async () => {
+    storageStub = {
+      getCatalogJob: sinon.stub(),
+      listCatalogJobChunkResults: sinon.stub().resolves([]),
+      getCatalogJobChunkResult: sinon.stub(),
+    };
+    processImportChunkStub = sinon.stub().resolves();
+    processCopyChunkStub = sinon.stub().resolves();
+    processReindexChunkStub = sinon.stub().resolves();
+
+    jobsModule = await esmock('../../../src/routes/catalog/jobs.js', {
+      '../../../src/routes/catalog/import.js': {
+        processImportChunk: processImportChunkStub,
+      },
+      '../../../src/routes/catalog/copy.js': {
+        processCopyChunk: processCopyChunkStub,
+      },
+      '../../../src/routes/catalog/reindex.js': {
+        processReindexChunk: processReindexChunkStub,
+      },
+    });
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('GET /jobs/<id>', () => {
+    it('should return the job status', async () => {
+      storageStub.getCatalogJob.resolves({
+        id: JOB_ID, type: 'import', createdAt: '2026-01-01T00:00:00.000Z', total: 120, chunks: 3,
+      });
+      storageStub.listCatalogJobChunkResults.resolves([
+        {
+          chunk: 0, saved: 48, unchanged: 0, failed: 2,
+        },
+      ]);
+      storageStub.getCatalogJobChunkResult.resolves({
+        chunk: 0,
+        errors: [
+          { line: 3, status: 400, message: 'Invalid JSON' },
+          { line: 9, status: 400, message: 'Invalid product' },
+        ],
+      });
+
+      const ctx = DEFAULT_CONTEXT({
+        authInfo: createAuthInfoMock(['catalog:read']),
+        log: { info: sinon.stub(), warn: sinon.stub(), error: sinon.stub() },
+        requestInfo: {
+          org: 'org',
+          site: 'site',
+          path: `/jobs/${JOB_ID}`,
+          method: 'GET',
+        },
+        attributes: {
+          storageClient: storageStub,
+        },
+      }, { path: `/jobs/${JOB_ID}` });
+      const response = await jobsModule.default(ctx);
+
+      assert.equal(response.status, 200);
+      assert.equal(response.headers.get('Cache-Control'), 'no-store');
+      const body = await response.json();
+      assert.equal(body.status, 'running');
+      assert.equal(body.processed, 50);
+      assert.equal(body.saved, 48);
+      assert.equal(body.failed, 2);
+      assert.deepStrictEqual(body.errors.map((e) => e.line), [3, 9]);
+      assert(storageStub.getCatalogJob.calledOnceWithExactly(JOB_ID));
+    });
+
+    it('should return 404 for unknown jobs', async () => {
+      storageStub.getCatalogJob.resolves(null);
+
+      const ctx = DEFAULT_CONTEXT({
+        authInfo: createAuthInfoMock(['catalog:read']),
+        log: { info: sinon.stub(), warn: sinon.stub(), error: sinon.stub() },
+        requestInfo: {
+          org: 'org',
+          site: 'site',
+          path: `/jobs/${JOB_ID}`,
+          method: 'GET',
+        },
+        attributes: {
+          storageClient: storageStub,
+        },
+      }, { path: `/jobs/${JOB_ID}` });
+      const response = await jobsModule.default(ctx);
+
+      assert.equal(response.status, 404);
+      assert.equal(response.headers.get('x-error'), 'Job not found');
+    });
+
+    it('should return 400 for invalid job ids', async () => {
+      const ctx = DEFAULT_CONTEXT({
+        authInfo: createAuthInfoMock(['catalog:read']),
+        log: { info: sinon.stub(), warn: sinon.stub(), error: sinon.stub() },
+        requestInfo: {
+          org: 'org',
+          site: 'site',
+          path: '/jobs/not-a-job',
+          method: 'GET',
+        },
+        attributes: {
+          storageClient: storageStub,
+        },
+      }, { path: '/jobs/not-a-job' });
+      const response = await jobsModule.default(ctx);
+
+      assert.equal(response.status, 400);
+      assert.equal(response.headers.get('x-error'), 'invalid job id');
+      assert(storageStub.getCatalogJob.notCalled);
+    });
+
+    it('should require catalog:read', async () => {
+      const ctx = DEFAULT_CONTEXT({
+        authInfo: createAuthInfoMock(['catalog:read']),
+        log: { info: sinon.stub(), warn: sinon.stub(), error: sinon.stub() },
+        requestInfo: {
+          org: 'org',
+          site: 'site',
+          path: `/jobs/${JOB_ID}`,
+          method: 'GET',
+        },
+        attributes: {
+          storageClient: storageStub,
+        },
+      }, { path: `/jobs/${JOB_ID}` });
+      ctx.authInfo = createAuthInfoMock([]);
+
+      await assert.rejects(jobsModule.default(ctx), (e) => e.response.status === 403);
+    });
+  });
+
+  describe('processJob', () => {
+    it('should process import chunks', async () => {
+      const ctx = DEFAULT_CONTEXT({
+        authInfo: createAuthInfoMock(['catalog:read']),
+        log: { info: sinon.stub(), warn: sinon.stub(), error: sinon.stub() },
+        requestInfo: {
+          org: 'org',
+          site: 'site',
+          path: `/jobs/${JOB_ID}`,
+          method: 'GET',
+        },
+        attributes: {
+          storageClient: storageStub,
+        },
+      }, { path: `/jobs/${JOB_ID}` });
+      const message = { type: 'import', jobId: JOB_ID, chunk: 0 };
+
+      await jobsModule.processJob(ctx, message, 2);
+
+      assert(processImportChunkStub.calledOnceWithExactly(ctx, message, 2));
+    });
+
+    it('should process copy chunks', async () => {
+      const ctx = DEFAULT_CONTEXT({
+        authInfo: createAuthInfoMock(['catalog:read']),
+        log: { info: sinon.stub(), warn: sinon.stub(), error: sinon.stub() },
+        requestInfo: {
+          org: 'org',
+          site: 'site',
+          path: `/jobs/${JOB_ID}`,
+          method: 'GET',
+        },
+        attributes: {
+          storageClient: storageStub,
+        },
+      }, { path: `/jobs/${JOB_ID}` });
+      const message = {
+        type: 'copy', jobId: JOB_ID, chunk: 1, cursor: 'c1', listed: 50,
+      };
+
+      await jobsModule.processJob(ctx, message, 1);
+
+      assert(processCopyChunkStub.calledOnceWithExactly(ctx, message, 1));
+      assert(processImportChunkStub.notCalled);
+    });
+
+    it('should process reindex chunks', async () => {
+      const ctx = DEFAULT_CONTEXT({
+        authInfo: createAuthInfoMock(['catalog:read']),
+        log: { info: sinon.stub(), warn: sinon.stub(), error: sinon.stub() },
+        requestInfo: {
+          org: 'org',
+          site: 'site',
+          path: `/jobs/${JOB_ID}`,
+          method: 'GET',
+        },
+        attributes: {
+          storageClient: storageStub,
+        },
+      }, { path: `/jobs/${JOB_ID}` });
+      const message = {
+        type: 'reindex', jobId: JOB_ID, chunk: 0, listed: 0,
+      };
+
+      await jobsModule.processJob(ctx, message, 3);
+
+      assert(processReindexChunkStub.calledOnceWithExactly(ctx, message, 3));
+    });
+
+    it('should prune product versions', async () => {
+      storageStub.pruneProductVersions = sinon.stub().resolves();
+      const ctx = DEFAULT_CONTEXT({
+        authInfo: createAuthInfoMock(['catalog:read']),
+        log: { info: sinon.stub(), warn: sinon.stub(), error: sinon.stub() },
+        requestInfo: {
+          org: 'org',
+          site: 'site',
+          path: `/jobs/${JOB_ID}`,
+          method: 'GET',
+        },
+        attributes: {
+          storageClient: storageStub,
+        },
+      }, { path: `/jobs/${JOB_ID}` });
+
+      await jobsModule.processJob(ctx, {
+        type: 'prune-versions', org: 'org', site: 'site', paths: ['/products/a.json'],
+      });
+
+      assert(storageStub.pruneProductVersions.calledOnceWithExactly(['/products/a.json']));
+      assert(processImportChunkStub.notCalled);
+    });
+
+    it('should ignore unknown job types', async () => {
+      const ctx = DEFAULT_CONTEXT({
+        authInfo: createAuthInfoMock(['catalog:read']),
+        log: { info: sinon.stub(), warn: sinon.stub(), error: sinon.stub() },
+        requestInfo: {
+          org: 'org',
+          site: 'site',
+          path: `/jobs/${JOB_ID}`,
+          method: 'GET',
+        },
+        attributes: {
+          storageClient: storageStub,
+        },
+      }, { path: `/jobs/${JOB_ID}` });
+
+      await jobsModule.processJob(ctx, { type: 'unknown' });
+
+      assert(processImportChunkStub.notCalled);
+      assert(processCopyChunkStub.notCalled);
+      assert(ctx.log.warn.calledOnce);
+    });
+  });
+});
@@ -0,0 +1,298 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+// @ts-nocheck
+
+import assert from 'node:assert';
+import sinon from 'sinon';
+import { DEFAULT_CONTEXT } from '../../fixtures/context.js';
+import jsonld from '../../../src/routes/catalog/jsonld.js';
+
+describe('JSON-LD Handler Tests', () => {
+  let storageStub;
+
+  beforeEach(() => {
+    storageStub = {
+      getProductEntryByPath: sinon.stub(),
+      getInventoryRecords: sinon.stub().resolves(new Map()),
+    };
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  const product = {
+    sku: 'blender',
+    path: '/products/blender',
+    name: 'Blender',
+    price: { currency: 'USD', final: '99.00' },
+  };
+
+  it('should generate the JSON-LD of the product', async () => {
+    storageStub.getProductEntryByPath.resolves({
+      product: structuredClone(product),
+      etag: '"etag-1"',
+      lastModified: new Date('2026-01-01T00:00:00.000Z'),
+    });
+
+    const ctx = DEFAULT_CONTEXT({
+      log: { info: sinon.stub(), warn: sinon.stub(), error: sinon.stub() },
+      url: new URL('https://example.com/org/sites/site/catalog/products/blender.jsonld'),
+      requestInfo: {
+        org: 'org',
+        site: 'site',
+        path: '/products/blender.jsonld',
+        method: 'GET',
+      },
+      attributes: {
+        storageClient: storageStub,
+      },
+      env: {
+        CONFIGS_BUCKET: {
+          get: sinon.stub().resolves(null),
+        },
+      },
+    });
+    const response = await jsonld(ctx);
+
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('Content-Type'), 'application/ld+json');
+    assert.equal(response.headers.get('ETag'), '"etag-1"');
+    assert.equal(response.headers.get('Last-Modified'), 'Thu, 01 Jan 2026 00:00:00 GMT');
+    assert(storageStub.getProductEntryByPath.calledOnceWithExactly('/products/blender.json'));
+    assert.deepStrictEqual(await response.json(), {
+      '@context': 'https://schema.org',
+      '@type': 'Product',
+      name: 'Blender',
+      sku: 'blender',
+      offers: { '@type': 'Offer', price: '99.00', priceCurrency: 'USD' },
+    });
+  });
+
+  it('should merge the jsonld of the product', async () => {
+    storageStub.getProductEntryByPath.resolves({
+      product: { ...product, jsonld: '{"@type":"IndividualProduct","color":"red"}' },
+      etag: '"etag-1"',
+    });
+
+    const ctx = DEFAULT_CONTEXT({
+      log: { info: sinon.stub(), warn: sinon.stub(), error: sinon.stub() },
+      url: new URL('https://example.com/org/sites/site/catalog/products/blender.jsonld'),
+      requestInfo: {
+        org: 'org',
+        site: 'site',
+        path: '/products/blender.jsonld',
+        method: 'GET',
+      },
+      attributes: {
+        storageClient: storageStub,
+      },
+      env: {
+        CONFIGS_BUCKET: {
+          get: sinon.stub().resolves(null),
+        },
+      },
+    });
+    const body = await (await jsonld(ctx)).json();
+
+    assert.equal(body['@type'], 'IndividualProduct');
+    assert.equal(body.color, 'red');
+    assert.equal(body.sku, 'blender');
+  });
+
+  it('should serve the generated document if the jsonld is not an object', async () => {
+    storageStub.getProductEntryByPath.resolves({
+      product: { ...product, jsonld: 'not json' },
+      etag: '"etag-1"',
+    });
+    const ctx = DEFAULT_CONTEXT({
+      log: { info: sinon.stub(), warn: sinon.stub(), error: sinon.stub() },
+      url: new URL('https://example.com/org/sites/site/catalog/products/blender.jsonld'),
+      requestInfo: {
+        org: 'org',
+        site: 'site',
+        path: '/products/blender.jsonld',
+        method: 'GET',
+      },
+      attributes: {
+        storageClient: storageStub,
+      },
+      env: {
+        CONFIGS_BUCKET: {
+          get: sinon.stub().resolves(null),
+        },
+      },
+    });
+
+    const body = await (await jsonld(ctx)).json();
+
+    assert.equal(body['@type'], 'Product');
+    assert(ctx.log.warn.calledOnce);
+  });
+
+  it('should resolve the prices for the request', async () => {
+    storageStub.getProductEntryByPath.resolves({
+      product: { ...product, prices: [{ currency: 'EUR', final: '89.00' }] },
+      etag: '"etag-1"',
+    });
+
+    const ctx = DEFAULT_CONTEXT({
+      log: { info: sinon.stub(), warn: sinon.stub(), error: sinon.stub() },
+      url: new URL('https://example.com/org/sites/site/catalog/products/blender.jsonld?currency=EUR'),
+      requestInfo: {
+        org: 'org',
+        site: 'site',
+        path: '/products/blender.jsonld',
+        method: 'GET',
+      },
+      attributes: {
+        storageClient: storageStub,
+      },
+      env: {
+        CONFIGS_BUCKET: {
+          get: sinon.stub().resolves(null),
+        },
+      },
+    });
+    const body = await (await jsonld(ctx)).json();
+
+    assert.deepStrictEqual(body.offers, { '@type': 'Offer', price: '89.00', priceCurrency: 'EUR' });
+  });
+
+  it('should derive the availability from the inventory records', async () => {
+    storageStub.getInventoryRecords.resolves(new Map([
+      ['blender', { sku: 'blender', quantity: 3, reserved: 0 }],
+    ]));
+    storageStub.getProductEntryByPath.resolves({
+      product: structuredClone(product),
+      etag: '"etag-1"',
+      lastModified: new Date('2026-01-01T00:00:00.000Z'),
+    });
+
+    const ctx = DEFAULT_CONTEXT({
+      log: { info: sinon.stub(), warn: sinon.stub(), error: sinon.stub() },
+      url: new URL('https://example.com/org/sites/site/catalog/products/blender.jsonld'),
+      requestInfo: {
+        org: 'org',
+        site: 'site',
+        path: '/products/blender.jsonld',
+        method: 'GET',
+      },
+      attributes: {
+        storageClient: storageStub,
+      },
+      env: {
+        CONFIGS_BUCKET: {
+          get: sinon.stub().resolves({ json: async () => ({ inventoryEnabled: true }) }),
+        },
+      },
+    });
+    const response = await jsonld(ctx);
+
+    assert.match(response.headers.get('ETag'), /^"etag-1-a[0-9a-f]{8}"$/);
+    assert.equal(response.headers.get('Last-Modified'), null);
+    assert.equal((await response.json()).offers.availability, 'https://schema.org/LimitedAvailability');
+  });
+
+  it('should respond with 304 if the entity tag matches', async () => {
+    storageStub.getProductEntryByPath.resolves({ product: structuredClone(product), etag: '"etag-1"' });
+
+    const ctx = DEFAULT_CONTEXT({
+      log: { info: sinon.stub(), warn: sinon.stub(), error: sinon.stub() },
+      url: new URL('https://example.com/org/sites/site/catalog/products/blender.jsonld'),
+      requestInfo: {
+        org: 'org',
+        site: 'site',
+        path: '/products/blender.jsonld',
+        method: 'GET',
+        getHeader: (name) => ({ 'if-none-match': '"etag-1"' }[name.toLowerCase()]),
+      },
+      attributes: {
+        storageClient: storageStub,
+      },
+      env: {
+        CONFIGS_BUCKET: {
+          get: sinon.stub().resolves(null),
+        },
+      },
+    });
+    const response = await jsonld(ctx);
+
+    assert.equal(response.status, 304);
+  });
+
+  it('should add the applied locale to the entity tag', async () => {
+    const localized = { ...product, locales: { de: { name: 'Mixer' } } };
+    storageStub.getProductEntryByPath.resolves({ product: structuredClone(localized), etag: '"etag-1"' });
+
+    const headers = { 'accept-language': 'de' };
+    const ctx = DEFAULT_CONTEXT({
+      log: { info: sinon.stub(), warn: sinon.stub(), error: sinon.stub() },
+      url: new URL('https://example.com/org/sites/site/catalog/products/blender.jsonld'),
+      requestInfo: {
+        org: 'org',
+        site: 'site',
+        path: '/products/blender.jsonld',
+        method: 'GET',
+        getHeader: (name) => headers[name.toLowerCase()],
+      },
+      attributes: {
+        storageClient: storageStub,
+      },
+      env: {
+        CONFIGS_BUCKET: {
+          get: sinon.stub().resolves(null),
+        },
+      },
+    });
+    let response = await jsonld(ctx);
+
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('ETag'), '"etag-1-lde"');
+    assert.equal(response.headers.get('Vary'), 'Accept-Language');
+    assert.equal(response.headers.get('Content-Language'), 'de');
+    assert.equal((await response.json()).name, 'Mixer');
+
+    storageStub.getProductEntryByPath.resolves({ product: structuredClone(localized), etag: '"etag-1"' });
+    headers['if-none-match'] = '"etag-1-lde"';
+    response = await jsonld(ctx);
+
+    assert.equal(response.status, 304);
+    assert.equal(response.headers.get('Vary'), 'Accept-Language');
+  });
+
+  it('should reject invalid paths', async () => {
+    const ctx = DEFAULT_CONTEXT({
+      log: { info: sinon.stub(), warn: sinon.stub(), error: sinon.stub() },
+      url: new URL('https://example.com/org/sites/site/catalog/Products/Blender.jsonld'),
+      requestInfo: {
+        org: 'org',
+        site: 'site',
+        path: '/Products/Blender.jsonld',
+        method: 'GET',
+      },
+      attributes: {
+        storageClient: storageStub,
+      },
+      env: {
+        CONFIGS_BUCKET: {
+          get: sinon.stub().resolves(null),
+        },
+      },
+    });
+    const response = await jsonld(ctx);
+
+    assert.equal(response.status, 400);
+    assert(storageStub.getProductEntryByPath.notCalled);
+  });
+});
@@ -0,0 +1,187 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+// @ts-nocheck
+
+import assert from 'node:assert';
+import sinon from 'sinon';
+import { DEFAULT_CONTEXT, createAuthInfoMock } from '../../fixtures/context.js';
+import list from '../../../src/routes/catalog/list.js';
+
+describe('Catalog List Tests', () => {
+  let storageStub;
+
+  beforeEach(() => {
+    storageStub = {
+      listProductsByPath: sinon.stub().resolves({
+        products: [{ sku: 'sku1', name: 'Product 1', path: '/products/product-1' }],
+        cursor: 'next-cursor',
+      }),
+    };
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should list products under a directory path', async () => {
+    const ctx = DEFAULT_CONTEXT({
+      authInfo: createAuthInfoMock(['catalog:read']),
+      requestInfo: {
+        org: 'org',
+        site: 'site',
+        path: '/products/',
+        method: 'GET',
+      },
+      attributes: {
+        storageClient: storageStub,
+      },
+    }, { path: '/products/' });
+    const response = await list(ctx);
+
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('Content-Type'), 'application/json');
+    assert.deepStrictEqual(await response.json(), {
+      products: [{ sku: 'sku1', name: 'Product 1', path: '/products/product-1' }],
+      cursor: 'next-cursor',
+    });
+    assert(storageStub.listProductsByPath.calledOnceWithExactly('/products/', {
+      limit: 100,
+      cursor: undefined,
+    }));
+  });
+
+  it('should use the prefix query param for wildcard listings', async () => {
+    const ctx = DEFAULT_CONTEXT({
+      authInfo: createAuthInfoMock(['catalog:read']),
+      requestInfo: {
+        org: 'org',
+        site: 'site',
+        path: '/*',
+        method: 'GET',
+      },
+      attributes: {
+        storageClient: storageStub,
+      },
+      data: { prefix: '/products/bl', limit: '10', cursor: 'abc' },
+    }, { path: '/*' });
+    const response = await list(ctx);
+
+    assert.equal(response.status, 200);
+    assert(storageStub.listProductsByPath.calledOnceWithExactly('/products/bl', {
+      limit: 10,
+      cursor: 'abc',
+    }));
+  });
+
+  it('should list the whole catalog for wildcard without prefix', async () => {
+    const ctx = DEFAULT_CONTEXT({
+      authInfo: createAuthInfoMock(['catalog:read']),
+      requestInfo: {
+        org: 'org',
+        site: 'site',
+        path: '/*',
+        method: 'GET',
+      },
+      attributes: {
+        storageClient: storageStub,
+      },
+    }, { path: '/*' });
+    await list(ctx);
+
+    assert.equal(storageStub.listProductsByPath.firstCall.args[0], '/');
+  });
+
+  it('should return 400 for an invalid prefix', async () => {
+    const ctx = DEFAULT_CONTEXT({
+      authInfo: createAuthInfoMock(['catalog:read']),
+      requestInfo: {
+        org: 'org',
+        site: 'site',
+        path: '/*',
+        method: 'GET',
+      },
+      attributes: {
+        storageClient: storageStub,
+      },
+      data: { prefix: '/products/../secrets' },
+    }, { path: '/*' });
+    const response = await list(ctx);
+
+    assert.equal(response.status, 400);
+    assert.equal(response.headers.get('x-error'), 'invalid prefix');
+    assert(storageStub.listProductsByPath.notCalled);
+  });
+
+  it('should return 400 for an invalid directory path', async () => {
+    const ctx = DEFAULT_CONTEXT({
+      authInfo: createAuthInfoMock(['catalog:read']),
+      requestInfo: {
+        org: 'org',
+        site: 'site',
+        path: '/Products//',
+        method: 'GET',
+      },
+      attributes: {
+        storageClient: storageStub,
+      },
+    }, { path: '/Products//' });
+    const response = await list(ctx);
+
+    assert.equal(response.status, 400);
+    assert.equal(response.headers.get('x-error'), 'invalid path');
+  });
+
+  it('should return 400 for an out of range limit', async () => {
+    const ctx = DEFAULT_CONTEXT({
+      authInfo: createAuthInfoMock(['catalog:read']),
+      requestInfo: {
+        org: 'org',
+        site: 'site',
+        path: '/products/',
+        method: 'GET',
+      },
+      attributes: {
+        storageClient: storageStub,
+      },
+      data: { limit: '5000' },
+    }, { path: '/products/' });
+
+    await assert.rejects(list(ctx), (e) => e.response.status === 400
+      && e.response.headers.get('x-error') === 'limit must be an integer between 1 and 1000');
+  });
+
+  it('should require catalog:read permission', async () => {
+    const ctx = DEFAULT_CONTEXT({
+      authInfo: createAuthInfoMock([]),
+      requestInfo: {
+        org: 'org',
+        site: 'site',
+        path: '/products/',
+        method: 'GET',
+      },
+      attributes: {
+        storageClient: storageStub,
+      },
+    }, { path: '/products/' });
+
+    let thrownError;
+    try {
+      await list(ctx);
+    } catch (e) {
+      thrownError = e;
+    }
+
+    assert.equal(thrownError?.response?.status, 403);
+    assert(storageStub.listProductsByPath.notCalled);
+  });
+});
@@ -0,0 +1,221 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+// @ts-nocheck
+
+import assert from 'node:assert';
+import sinon from 'sinon';
+import esmock from 'esmock';
+import { DEFAULT_CONTEXT, createAuthInfoMock } from '../../fixtures/context.js';
+
+describe('Catalog Move Tests', () => {
+  let storageStub;
+  let fetchHelixConfigStub;
+  let move;
+
+  const stored = () => ({
+    sku: 'sku1',
+    name: 'Product',
+    path: '/products/old-product',
+    images: [{ url: './media_abc.jpg' }],
+    internal: { images: { './media_abc.jpg': { sourceUrl: 'https://example.com/abc.jpg' } } },
+  });
+
+  beforeEach(async () => {
+    storageStub = {
+      getProductEntryByPath: sinon.stub().resolves({ product: stored(), etag: '"etag-1"' }),
+      saveProductsByPath: sinon.stub().resolves([{ sku: 'sku1', path: '/products/new-product', status: 200 }]),
+      deleteProductsByPath: sinon.stub().resolves([{ sku: 'sku1', path: '/products/old-product.json', status: 200 }]),
+      saveProductRedirect: sinon.stub().callsFake(async (from, to) => ({ from, to, createdAt: '2026-01-01T00:00:00.000Z' })),
+    };
+    fetchHelixConfigStub = sinon.stub().resolves({});
+
+    move = (await esmock('../../../src/routes/catalog/move.js', {
+      '../../../src/utils/config.js': {
+        fetchHelixConfig: fetchHelixConfigStub,
+      },
+    })).default;
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should copy the product with internal state, delete the old path and write a redirect', async () => {
+    const ctx = DEFAULT_CONTEXT({
+      authInfo: createAuthInfoMock(['catalog:write']),
+      log: { info: sinon.stub(), error: sinon.stub() },
+      requestInfo: {
+        org: 'org',
+        site: 'site',
+        path: '/products/old-product.json',
+        method: 'POST',
+      },
+      attributes: {
+        storageClient: storageStub,
+      },
+      env: {
+        INDEXER_QUEUE: {
+          send: sinon.stub().resolves(),
+        },
+      },
+      data: { action: 'move', to: '/products/new-product' },
+    }, { path: '/products/old-product.json' });
+
+    const response = await move(ctx);
+
+    assert.equal(response.status, 201);
+    assert.deepStrictEqual(await response.json(), {
+      product: { sku: 'sku1', path: '/products/new-product', status: 200 },
+      redirect: { from: '/products/old-product', to: '/products/new-product', createdAt: '2026-01-01T00:00:00.000Z' },
+    });
+
+    assert(storageStub.saveProductsByPath.calledOnceWithExactly(
+      [{ ...stored(), path: '/products/new-product' }],
+      true,
+      { etagDoesNotMatch: '*' },
+    ));
+    assert(storageStub.deleteProductsByPath.calledOnceWithExactly(
+      ['/products/old-product.json'],
+      { etagMatches: 'etag-1' },
+    ));
+    assert(storageStub.saveProductRedirect.calledOnceWithExactly('/products/old-product', '/products/new-product'));
+    assert(fetchHelixConfigStub.calledBefore(storageStub.saveProductsByPath));
+
+    const { products } = ctx.env.INDEXER_QUEUE.send.firstCall.args[0];
+    assert.deepStrictEqual(products, [
+      { path: '/products/new-product', action: 'update' },
+      { path: '/products/old-product', action: 'delete' },
+    ]);
+  });
+
+  it('should return 409 when a product exists at the target path', async () => {
+    storageStub.saveProductsByPath.resolves([{ path: '/products/new-product', status: 412 }]);
+
+    const ctx = DEFAULT_CONTEXT({
+      authInfo: createAuthInfoMock(['catalog:write']),
+      log: { info: sinon.stub(), error: sinon.stub() },
+      requestInfo: {
+        org: 'org',
+        site: 'site',
+        path: '/products/old-product.json',
+        method: 'POST',
+      },
+      attributes: {
+        storageClient: storageStub,
+      },
+      env: {
+        INDEXER_QUEUE: {
+          send: sinon.stub().resolves(),
+        },
+      },
+      data: { action: 'move', to: '/products/new-product.json' },
+    }, { path: '/products/old-product.json' });
+    const response = await move(ctx);
+
+    assert.equal(response.status, 409);
+    assert(storageStub.deleteProductsByPath.notCalled);
+    assert(storageStub.saveProductRedirect.notCalled);
+  });
+
+  it('should return 412 when If-Match does not match the product', async () => {
+    const ctx = DEFAULT_CONTEXT({
+      authInfo: createAuthInfoMock(['catalog:write']),
+      log: { info: sinon.stub(), error: sinon.stub() },
+      requestInfo: {
+        org: 'org',
+        site: 'site',
+        path: '/products/old-product.json',
+        method: 'POST',
+        getHeader: (name) => ({ 'if-match': '"etag-2"' }[name.toLowerCase()]),
+      },
+      attributes: {
+        storageClient: storageStub,
+      },
+      env: {
+        INDEXER_QUEUE: {
+          send: sinon.stub().resolves(),
+        },
+      },
+      data: { action: 'move', to: '/products/new-product' },
+    }, { path: '/products/old-product.json' });
+    const response = await move(ctx);
+
+    assert.equal(response.status, 412);
+    assert(storageStub.saveProductsByPath.notCalled);
+  });
+
+  it('should not write a redirect when the old path can not be deleted', async () => {
+    storageStub.deleteProductsByPath.resolves([{ path: '/products/old-product.json', status: 412, message: 'Precondition failed' }]);
+    const ctx = DEFAULT_CONTEXT({
+      authInfo: createAuthInfoMock(['catalog:write']),
+      log: { info: sinon.stub(), error: sinon.stub() },
+      requestInfo: {
+        org: 'org',
+        site: 'site',
+        path: '/products/old-product.json',
+        method: 'POST',
+      },
+      attributes: {
+        storageClient: storageStub,
+      },
+      env: {
+        INDEXER_QUEUE: {
+          send: sinon.stub().resolves(),
+        },
+      },
+      data: { action: 'move', to: '/products/new-product' },
+    }, { path: '/products/old-product.json' });
+
+    const response = await move(ctx);
+
+    assert.equal(response.status, 500);
+    assert(storageStub.saveProductRedirect.notCalled);
+    assert(ctx.log.error.calledOnce);
+  });
+
+  it('should return 400 for invalid target paths', async () => {
+    const ctx = DEFAULT_CONTEXT({
+      authInfo: createAuthInfoMock(['catalog:write']),
+      log: { info: sinon.stub(), error: sinon.stub() },
+      requestInfo: {
+        org: 'org',
+        site: 'site',
+        path: '/products/old-product.json',
+        method: 'POST',
+      },
+      attributes: {
+        storageClient: storageStub,
+      },
+      env: {
+        INDEXER_QUEUE: {
+          send: sinon.stub().resolves(),
+        },
+      },
+      data: { action: 'move' },
+    }, { path: '/products/old-product.json' });
+    let response = await move(ctx);
+    assert.equal(response.status, 400);
+    assert.equal(response.headers.get('x-error'), 'invalid target path');
+
+    ctx.data = { action: 'move', to: '/Products/New' };
+    response = await move(ctx);
+    assert.equal(response.status, 400);
+
+    ctx.data = { action: 'move', to: '/products/old-product.json' };
+    response = await move(ctx);
+    assert.equal(response.status, 400);
+    assert.equal(response.headers.get('x-error'), 'target path must differ from the product path');
+
+    assert(storageStub.getProductEntryByPath.notCalled);
+  });
+});
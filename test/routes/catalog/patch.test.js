@@ -0,0 +1,231 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+// @ts-nocheck
+
+import assert from 'node:assert';
+import sinon from 'sinon';
+import esmock from 'esmock';
+import { DEFAULT_CONTEXT, createAuthInfoMock } from '../../fixtures/context.js';
+
+describe('Catalog Patch Tests', () => {
+  let storageStub;
+  let doUpdateStub;
+  let patch;
+
+  beforeEach(async () => {
+    storageStub = {
+      fetchProductByPath: sinon.stub(),
+    };
+    doUpdateStub = sinon.stub().resolves(new Response(null, { status: 201 }));
+
+    patch = (await esmock('../../../src/routes/catalog/patch.js', {
+      '../../../src/routes/catalog/update.js': {
+        doUpdate: doUpdateStub,
+      },
+    })).default;
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should merge the patch into the stored product and run the update pipeline', async () => {
+    storageStub.fetchProductByPath.resolves({
+      sku: 'sku1',
+      name: 'Product',
+      path: '/products/test-product',
+      price: { currency: 'USD', regular: '10.00', final: '8.00' },
+      availability: 'InStock',
+      internal: { images: {} },
+    });
+    const ctx = DEFAULT_CONTEXT({
+      authInfo: createAuthInfoMock(['catalog:write']),
+      log: { info: sinon.stub(), error: sinon.stub() },
+      requestInfo: {
+        org: 'org',
+        site: 'site',
+        path: '/products/test-product.json',
+        method: 'PATCH',
+      },
+      attributes: {
+        storageClient: storageStub,
+      },
+      data: {
+        price: { final: '7.00' },
+        availability: null,
+      },
+    }, { path: '/products/test-product.json' });
+
+    const response = await patch(ctx);
+
+    assert.equal(response.status, 201);
+    assert(storageStub.fetchProductByPath.calledOnceWithExactly('org', 'site', '/products/test-product', false));
+    assert(doUpdateStub.calledOnce);
+    const [, products] = doUpdateStub.firstCall.args;
+    assert.deepStrictEqual(products, [{
+      sku: 'sku1',
+      name: 'Product',
+      path: '/products/test-product',
+      price: { currency: 'USD', regular: '10.00', final: '7.00' },
+    }]);
+  });
+
+  it('should ignore internal in the patch', async () => {
+    storageStub.fetchProductByPath.resolves({
+      sku: 'sku1',
+      name: 'Product',
+      path: '/products/test-product',
+    });
+    const ctx = DEFAULT_CONTEXT({
+      authInfo: createAuthInfoMock(['catalog:write']),
+      log: { info: sinon.stub(), error: sinon.stub() },
+      requestInfo: {
+        org: 'org',
+        site: 'site',
+        path: '/products/test-product.json',
+        method: 'PATCH',
+      },
+      attributes: {
+        storageClient: storageStub,
+      },
+      data: { name: 'Renamed', internal: { images: { foo: 'bar' } } },
+    }, { path: '/products/test-product.json' });
+
+    await patch(ctx);
+
+    const [, [product]] = doUpdateStub.firstCall.args;
+    assert.strictEqual(product.name, 'Renamed');
+    assert.strictEqual(product.internal, undefined);
+  });
+
+  it('should return 404 when the product does not exist', async () => {
+    storageStub.fetchProductByPath.resolves(null);
+    const ctx = DEFAULT_CONTEXT({
+      authInfo: createAuthInfoMock(['catalog:write']),
+      log: { info: sinon.stub(), error: sinon.stub() },
+      requestInfo: {
+        org: 'org',
+        site: 'site',
+        path: '/products/test-product.json',
+        method: 'PATCH',
+      },
+      attributes: {
+        storageClient: storageStub,
+      },
+      data: { name: 'Renamed' },
+    }, { path: '/products/test-product.json' });
+
+    const response = await patch(ctx);
+
+    assert.equal(response.status, 404);
+    assert(doUpdateStub.notCalled);
+  });
+
+  it('should return 400 when the patch is not an object', async () => {
+    const ctx = DEFAULT_CONTEXT({
+      authInfo: createAuthInfoMock(['catalog:write']),
+      log: { info: sinon.stub(), error: sinon.stub() },
+      requestInfo: {
+        org: 'org',
+        site: 'site',
+        path: '/products/test-product.json',
+        method: 'PATCH',
+      },
+      attributes: {
+        storageClient: storageStub,
+      },
+      data: [{ name: 'Renamed' }],
+    }, { path: '/products/test-product.json' });
+
+    const response = await patch(ctx);
+
+    assert.equal(response.status, 400);
+    assert.equal(response.headers.get('x-error'), 'merge patch must be a JSON object');
+  });
+
+  it('should return 400 when the patch changes the path', async () => {
+    const ctx = DEFAULT_CONTEXT({
+      authInfo: createAuthInfoMock(['catalog:write']),
+      log: { info: sinon.stub(), error: sinon.stub() },
+      requestInfo: {
+        org: 'org',
+        site: 'site',
+        path: '/products/test-product.json',
+        method: 'PATCH',
+      },
+      attributes: {
+        storageClient: storageStub,
+      },
+      data: { path: '/products/other' },
+    }, { path: '/products/test-product.json' });
+
+    const response = await patch(ctx);
+
+    assert.equal(response.status, 400);
+    assert(storageStub.fetchProductByPath.notCalled);
+  });
+
+  it('should return 400 for the bulk path', async () => {
+    const ctx = DEFAULT_CONTEXT({
+      authInfo: createAuthInfoMock(['catalog:write']),
+      log: { info: sinon.stub(), error: sinon.stub() },
+      requestInfo: {
+        org: 'org',
+        site: 'site',
+        path: '/*',
+        method: 'PATCH',
+      },
+      attributes: {
+        storageClient: storageStub,
+      },
+      data: { name: 'Renamed' },
+    }, { path: '/*' });
+
+    const response = await patch(ctx);
+
+    assert.equal(response.status, 400);
+    assert.equal(response.headers.get('x-error'), 'PATCH not supported for bulk operations');
+  });
+
+  it('should reject a patch that results in an invalid product', async () => {
+    storageStub.fetchProductByPath.resolves({
+      sku: 'sku1',
+      name: 'Product',
+      path: '/products/test-product',
+    });
+    const ctx = DEFAULT_CONTEXT({
+      authInfo: createAuthInfoMock(['catalog:write']),
+      log: { info: sinon.stub(), error: sinon.stub() },
+      requestInfo: {
+        org: 'org',
+        site: 'site',
+        path: '/products/test-product.json',
+        method: 'PATCH',
+      },
+      attributes: {
+        storageClient: storageStub,
+      },
+      data: { name: null },
+    }, { path: '/products/test-product.json' });
+
+    let thrownError;
+    try {
+      await patch(ctx);
+    } catch (e) {
+      thrownError = e;
+    }
+
+    assert.equal(thrownError?.response?.status, 400);
+    assert(doUpdateStub.notCalled);
+  });
+});
@@ -0,0 +1,189 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+// @ts-nocheck
+
+import assert from 'node:assert';
+import sinon from 'sinon';
+import esmock from 'esmock';
+import { DEFAULT_CONTEXT, createAuthInfoMock } from '../../fixtures/context.js';
+
+const ADMIN = ['catalog:read', 'catalog:write', 'orders:write'];
+
+describe('Catalog Reindex Tests', () => {
+  let storageStub;
+  let reindexModule;
+
+  beforeEach(async () => {
+    storageStub = {
+      saveCatalogJob: sinon.stub().resolves(),
+      updateCatalogJob: sinon.stub(),
+      getCatalogJob: sinon.stub(),
+      fetchProductsByPrefix: sinon.stub(),
+      updateSkuIndex: sinon.stub().resolves(true),
+      getCatalogJobChunkResult: sinon.stub().resolves(null),
+      saveCatalogJobChunkResult: sinon.stub().resolves(),
+      listCatalogJobChunkResults: sinon.stub().resolves([]),
+    };
+
+    reindexModule = await esmock('../../../src/routes/catalog/reindex.js', {
+      '../../../src/routes/catalog/update.js': {
+        MAX_PRODUCT_BULK: 50,
+      },
+    });
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('reindexProducts', () => {
+    it('should store the job, queue the first chunk and return 202', async () => {
+      const ctx = DEFAULT_CONTEXT({
+        authInfo: createAuthInfoMock(ADMIN),
+        log: { info: sinon.stub() },
+        requestInfo: {
+          org: 'org', site: 'site', path: '/jobs/reindex', method: 'POST',
+        },
+        attributes: { storageClient: storageStub },
+        env: { CATALOG_JOBS_QUEUE: { sendBatch: sinon.stub().resolves() } },
+      }, { path: '/jobs/reindex' });
+
+      const response = await reindexModule.default(ctx);
+
+      assert.equal(response.status, 202);
+      const body = await response.json();
+      assert.equal(body.type, 'reindex');
+      assert.equal(body.status, 'queued');
+      assert.equal(body.total, undefined);
+      assert.equal(response.headers.get('Location'), `/org/sites/site/catalog/jobs/${body.id}`);
+      assert.equal(storageStub.saveCatalogJob.firstCall.args[0].id, body.id);
+      assert.deepStrictEqual(ctx.env.CATALOG_JOBS_QUEUE.sendBatch.firstCall.args[0], [{
+        body: {
+          type: 'reindex', org: 'org', site: 'site', jobId: body.id, chunk: 0, listed: 0,
+        },
+      }]);
+    });
+
+    it('should require an admin', async () => {
+      const ctx = DEFAULT_CONTEXT({
+        authInfo: createAuthInfoMock(['catalog:read', 'catalog:write']),
+        requestInfo: {
+          org: 'org', site: 'site', path: '/jobs/reindex', method: 'POST',
+        },
+        attributes: { storageClient: storageStub },
+      }, { path: '/jobs/reindex' });
+
+      const response = await reindexModule.default(ctx);
+
+      assert.equal(response.status, 403);
+      assert(storageStub.saveCatalogJob.notCalled);
+    });
+  });
+
+  describe('processReindexChunk', () => {
+    const job = {
+      id: 'job-1', type: 'reindex', createdAt: '2026-01-01T00:00:00.000Z',
+    };
+    const message = {
+      type: 'reindex', org: 'org', site: 'site', jobId: 'job-1', chunk: 1, cursor: 'c1', listed: 50,
+    };
+
+    beforeEach(() => {
+      storageStub.getCatalogJob.resolves(job);
+      storageStub.updateCatalogJob.callsFake(async (id, update) => update({ ...job }));
+    });
+
+    it('should queue the next chunk and index the listed products', async () => {
+      const products = [
+        { sku: 'a', path: '/products/a', variants: [{ sku: 'a-red' }] },
+        { sku: 'b', path: '/products/b' },
+      ];
+      storageStub.fetchProductsByPrefix.resolves({ products, cursor: 'c2' });
+      storageStub.updateSkuIndex.withArgs('/products/b').resolves(false);
+      const ctx = DEFAULT_CONTEXT({
+        log: { info: sinon.stub(), error: sinon.stub() },
+        requestInfo: { org: 'org', site: 'site' },
+        attributes: { storageClient: storageStub },
+        env: { CATALOG_JOBS_QUEUE: { sendBatch: sinon.stub().resolves() } },
+      });
+
+      await reindexModule.processReindexChunk(ctx, message);
+
+      assert(storageStub.fetchProductsByPrefix.calledOnceWithExactly('org', 'site', '/', { limit: 50, cursor: 'c1' }));
+      assert.deepStrictEqual(ctx.env.CATALOG_JOBS_QUEUE.sendBatch.firstCall.args[0], [{
+        body: {
+          ...message, chunk: 2, cursor: 'c2', listed: 52,
+        },
+      }]);
+      assert(storageStub.updateSkuIndex.calledWithExactly('/products/a', products[0]));
+      assert.deepStrictEqual(storageStub.saveCatalogJobChunkResult.firstCall.args, ['job-1', {
+        chunk: 1,
+        saved: 1,
+        unchanged: 0,
+        failed: 1,
+        errors: [{
+          sku: 'b', path: '/products/b', status: 500, message: 'Failed to index product',
+        }],
+      }]);
+    });
+
+    it('should complete the job with the last page', async () => {
+      storageStub.fetchProductsByPrefix.resolves({ products: [{ sku: 'a', path: '/products/a' }] });
+      const ctx = DEFAULT_CONTEXT({
+        log: { info: sinon.stub() },
+        requestInfo: { org: 'org', site: 'site' },
+        attributes: { storageClient: storageStub },
+        env: { CATALOG_JOBS_QUEUE: { sendBatch: sinon.stub().resolves() } },
+      });
+
+      await reindexModule.processReindexChunk(ctx, message);
+
+      assert(ctx.env.CATALOG_JOBS_QUEUE.sendBatch.notCalled);
+      assert.deepStrictEqual(await storageStub.updateCatalogJob.firstCall.returnValue, {
+        ...job, total: 51, chunks: 2,
+      });
+      assert.equal(storageStub.saveCatalogJobChunkResult.firstCall.args[1].saved, 1);
+    });
+
+    it('should end the job when the catalog can not be listed on the last attempt', async () => {
+      storageStub.fetchProductsByPrefix.rejects(new Error('bucket unavailable'));
+      const ctx = DEFAULT_CONTEXT({
+        log: { info: sinon.stub(), error: sinon.stub() },
+        requestInfo: { org: 'org', site: 'site' },
+        attributes: { storageClient: storageStub },
+      });
+
+      await reindexModule.processReindexChunk(ctx, message, 4);
+
+      assert.deepStrictEqual(await storageStub.updateCatalogJob.firstCall.returnValue, {
+        ...job, total: 50, chunks: 2,
+      });
+      const [, result] = storageStub.saveCatalogJobChunkResult.firstCall.args;
+      assert.equal(result.errors[0].message, 'reindex stopped after 50 products: bucket unavailable');
+    });
+
+    it('should skip unknown jobs', async () => {
+      storageStub.getCatalogJob.resolves(null);
+      const ctx = DEFAULT_CONTEXT({
+        log: { warn: sinon.stub() },
+        requestInfo: { org: 'org', site: 'site' },
+        attributes: { storageClient: storageStub },
+      });
+
+      await reindexModule.processReindexChunk(ctx, message);
+
+      assert(storageStub.fetchProductsByPrefix.notCalled);
+      assert(ctx.log.warn.calledOnce);
+    });
+  });
+});
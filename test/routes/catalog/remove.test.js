@@ -14,17 +14,26 @@
 
 import assert from 'node:assert';
 import sinon from 'sinon';
+import esmock from 'esmock';
 import { DEFAULT_CONTEXT, createAuthInfoMock } from '../../fixtures/context.js';
-import handleProductRemoveRequest from '../../../src/routes/catalog/remove.js';
 
 describe('Catalog Remove Tests', () => {
   /** @type {sinon.SinonStub} */
   let storageStub;
+  let fetchHelixConfigStub;
+  let handleProductRemoveRequest;
 
   beforeEach(async () => {
     storageStub = sinon.stub();
     storageStub.deleteProductsByPath = sinon.stub();
     storageStub.deleteProductsByPath.resolves([{ success: true, path: '/products/test-product' }]);
+    fetchHelixConfigStub = sinon.stub().resolves({ cdn: { prod: { type: 'fastly' } } });
+
+    handleProductRemoveRequest = (await esmock('../../../src/routes/catalog/remove.js', {
+      '../../../src/utils/config.js': {
+        fetchHelixConfig: fetchHelixConfigStub,
+      },
+    })).default;
   });
 
   afterEach(() => {
@@ -80,7 +89,7 @@ describe('Catalog Remove Tests', () => {
 
       const response = await handleProductRemoveRequest(ctx, storageStub);
 
-      assert(storageStub.deleteProductsByPath.calledOnceWithExactly(['/products/test-product.json']));
+      assert(storageStub.deleteProductsByPath.calledOnceWithExactly(['/products/test-product.json'], undefined));
 
       assert(ctx.log.info.calledOnce);
       const logArgs = ctx.log.info.getCall(0).args[0];
@@ -93,6 +102,59 @@ describe('Catalog Remove Tests', () => {
       assert.strictEqual(responseBody, JSON.stringify(deleteResults));
     });
 
+    it('should load the helix config used to purge deleted products', async () => {
+      const ctx = DEFAULT_CONTEXT({
+        authInfo: createAuthInfoMock(['catalog:write']),
+        requestInfo: {
+          org: 'org',
+          site: 'site',
+          path: '/products/test-product.json',
+          method: 'DELETE',
+        },
+        log: {
+          info: sinon.stub(),
+          error: sinon.stub(),
+        },
+        attributes: {
+          storageClient: storageStub,
+        },
+      }, { path: '/products/test-product.json' });
+      const helixConfig = { cdn: { prod: { type: 'fastly' } } };
+      fetchHelixConfigStub.resolves(helixConfig);
+
+      await handleProductRemoveRequest(ctx);
+
+      assert(fetchHelixConfigStub.calledOnceWith(ctx, 'org', 'site'));
+      assert.strictEqual(ctx.attributes.helixConfigCache, helixConfig);
+      assert(fetchHelixConfigStub.calledBefore(storageStub.deleteProductsByPath));
+    });
+
+    it('should delete products when the helix config can not be loaded', async () => {
+      const ctx = DEFAULT_CONTEXT({
+        authInfo: createAuthInfoMock(['catalog:write']),
+        requestInfo: {
+          org: 'org',
+          site: 'site',
+          path: '/products/test-product.json',
+          method: 'DELETE',
+        },
+        log: {
+          info: sinon.stub(),
+          error: sinon.stub(),
+        },
+        attributes: {
+          storageClient: storageStub,
+        },
+      }, { path: '/products/test-product.json' });
+      fetchHelixConfigStub.rejects(new Error('config service unavailable'));
+
+      const response = await handleProductRemoveRequest(ctx);
+
+      assert.strictEqual(response.status, 200);
+      assert(storageStub.deleteProductsByPath.calledOnce);
+      assert(ctx.log.error.calledOnce);
+    });
+
     it('should propagate error thrown by deleteProductsByPath', async () => {
       const ctx = DEFAULT_CONTEXT({
         authInfo: createAuthInfoMock(['catalog:write']),
@@ -127,7 +189,7 @@ describe('Catalog Remove Tests', () => {
         thrownError = e;
       }
 
-      assert(storageStub.deleteProductsByPath.calledOnceWithExactly(['/products/test-product.json']));
+      assert(storageStub.deleteProductsByPath.calledOnceWithExactly(['/products/test-product.json'], undefined));
       assert.strictEqual(thrownError, error);
       assert(ctx.log.info.notCalled);
     });
@@ -161,7 +223,7 @@ describe('Catalog Remove Tests', () => {
 
       const response = await handleProductRemoveRequest(ctx, storageStub);
 
-      assert(storageStub.deleteProductsByPath.calledOnceWithExactly(['/products/test-product.json']));
+      assert(storageStub.deleteProductsByPath.calledOnceWithExactly(['/products/test-product.json'], undefined));
 
       assert(ctx.log.info.calledOnce);
       const logArgs = ctx.log.info.getCall(0).args[0];
@@ -174,4 +236,223 @@ describe('Catalog Remove Tests', () => {
       assert.strictEqual(responseBody, JSON.stringify(deleteResults));
     });
   });
+
+  describe('bulk delete', () => {
+    it('should delete all paths and index the deleted products', async () => {
+      const deleteResults = [
+        {
+          sku: 'sku1', path: '/products/a.json', status: 200, message: 'Product deleted successfully.', purged: true,
+        },
+        { path: '/products/b.json', status: 404, message: 'Product not found.' },
+        {
+          sku: 'sku3', path: '/products/c.json', status: 500, message: 'Error: boom',
+        },
+      ];
+      storageStub.deleteProductsByPath.resolves(deleteResults);
+      const ctx = DEFAULT_CONTEXT({
+        authInfo: createAuthInfoMock(['catalog:write']),
+        requestInfo: {
+          org: 'org',
+          site: 'site',
+          path: '/*',
+          method: 'POST',
+        },
+        log: {
+          info: sinon.stub(),
+          error: sinon.stub(),
+        },
+        attributes: {
+          storageClient: storageStub,
+        },
+        env: {
+          INDEXER_QUEUE: {
+            send: sinon.stub().resolves(),
+          },
+        },
+        data: { action: 'delete', paths: ['/products/a', '/products/b.json', '/products/c', '/products/a.json'] },
+      }, { path: '/*' });
+
+      const response = await handleProductRemoveRequest(ctx);
+
+      assert.strictEqual(response.status, 200);
+      assert.deepStrictEqual(await response.json(), deleteResults);
+      assert(storageStub.deleteProductsByPath.calledOnceWithExactly(
+        ['/products/a.json', '/products/b.json', '/products/c.json'],
+        undefined,
+      ));
+
+      assert(ctx.env.INDEXER_QUEUE.send.calledOnce);
+      const { products } = ctx.env.INDEXER_QUEUE.send.firstCall.args[0];
+      assert.deepStrictEqual(products, [
+        { path: '/products/a', action: 'delete' },
+        { path: '/products/b', action: 'delete' },
+      ]);
+    });
+
+    it('should notify webhooks of deleted products', async () => {
+      storageStub.deleteProductsByPath.resolves([
+        { sku: 'sku1', path: '/products/a.json', status: 200 },
+        { path: '/products/b.json', status: 404, message: 'Product not found.' },
+      ]);
+      const ctx = DEFAULT_CONTEXT({
+        authInfo: createAuthInfoMock(['catalog:write']),
+        requestInfo: {
+          org: 'org',
+          site: 'site',
+          path: '/*',
+          method: 'POST',
+        },
+        log: {
+          info: sinon.stub(),
+          error: sinon.stub(),
+        },
+        attributes: {
+          storageClient: storageStub,
+        },
+        env: {
+          INDEXER_QUEUE: {
+            send: sinon.stub().resolves(),
+          },
+        },
+        data: { action: 'delete', paths: ['/products/a', '/products/b'] },
+      }, { path: '/*' });
+      ctx.env.CONFIGS_BUCKET = {
+        get: sinon.stub().resolves({
+          json: async () => ({ webhooks: [{ url: 'https://hooks.example.com', secret: 'a-secret-of-16-chars' }] }),
+        }),
+      };
+      ctx.env.WEBHOOKS_QUEUE = { send: sinon.stub().resolves() };
+
+      const response = await handleProductRemoveRequest(ctx);
+
+      assert.strictEqual(response.status, 200);
+      assert.deepStrictEqual(ctx.env.WEBHOOKS_QUEUE.send.firstCall.args[0].events, [
+        { type: 'delete', path: '/products/a', sku: 'sku1' },
+      ]);
+    });
+
+    it('should return 400 when paths is missing or empty', async () => {
+      const ctx = DEFAULT_CONTEXT({
+        authInfo: createAuthInfoMock(['catalog:write']),
+        requestInfo: {
+          org: 'org',
+          site: 'site',
+          path: '/*',
+          method: 'POST',
+        },
+        log: {
+          info: sinon.stub(),
+          error: sinon.stub(),
+        },
+        attributes: {
+          storageClient: storageStub,
+        },
+        env: {
+          INDEXER_QUEUE: {
+            send: sinon.stub().resolves(),
+          },
+        },
+        data: { action: 'delete' },
+      }, { path: '/*' });
+      let response = await handleProductRemoveRequest(ctx);
+      assert.strictEqual(response.status, 400);
+      assert.strictEqual(response.headers.get('x-error'), 'paths must be a non-empty array');
+
+      ctx.data = { action: 'delete', paths: [] };
+      response = await handleProductRemoveRequest(ctx);
+      assert.strictEqual(response.status, 400);
+      assert(storageStub.deleteProductsByPath.notCalled);
+    });
+
+    it('should return 400 when too many paths are given', async () => {
+      const paths = Array.from({ length: 51 }, (_, i) => `/products/p-${i}`);
+
+      const ctx = DEFAULT_CONTEXT({
+        authInfo: createAuthInfoMock(['catalog:write']),
+        requestInfo: {
+          org: 'org',
+          site: 'site',
+          path: '/*',
+          method: 'POST',
+        },
+        log: {
+          info: sinon.stub(),
+          error: sinon.stub(),
+        },
+        attributes: {
+          storageClient: storageStub,
+        },
+        env: {
+          INDEXER_QUEUE: {
+            send: sinon.stub().resolves(),
+          },
+        },
+        data: { action: 'delete', paths },
+      }, { path: '/*' });
+      const response = await handleProductRemoveRequest(ctx);
+
+      assert.strictEqual(response.status, 400);
+      assert.strictEqual(response.headers.get('x-error'), 'paths must be an array of 50 or fewer paths');
+    });
+
+    it('should return 400 for invalid paths', async () => {
+      const ctx = DEFAULT_CONTEXT({
+        authInfo: createAuthInfoMock(['catalog:write']),
+        requestInfo: {
+          org: 'org',
+          site: 'site',
+          path: '/*',
+          method: 'POST',
+        },
+        log: {
+          info: sinon.stub(),
+          error: sinon.stub(),
+        },
+        attributes: {
+          storageClient: storageStub,
+        },
+        env: {
+          INDEXER_QUEUE: {
+            send: sinon.stub().resolves(),
+          },
+        },
+        data: { action: 'delete', paths: ['/products/../secret'] },
+      }, { path: '/*' });
+      const response = await handleProductRemoveRequest(ctx);
+
+      assert.strictEqual(response.status, 400);
+      assert.strictEqual(response.headers.get('x-error'), 'invalid path: /products/../secret');
+      assert(storageStub.deleteProductsByPath.notCalled);
+    });
+
+    it('should return 400 for If-Match with an entity tag', async () => {
+      const ctx = DEFAULT_CONTEXT({
+        authInfo: createAuthInfoMock(['catalog:write']),
+        requestInfo: {
+          org: 'org',
+          site: 'site',
+          path: '/*',
+          method: 'POST',
+          getHeader: (name) => ({ 'if-match': '"etag-1"' }[name.toLowerCase()]),
+        },
+        log: {
+          info: sinon.stub(),
+          error: sinon.stub(),
+        },
+        attributes: {
+          storageClient: storageStub,
+        },
+        env: {
+          INDEXER_QUEUE: {
+            send: sinon.stub().resolves(),
+          },
+        },
+        data: { action: 'delete', paths: ['/products/a'] },
+      }, { path: '/*' });
+      const response = await handleProductRemoveRequest(ctx);
+
+      assert.strictEqual(response.status, 400);
+      assert(storageStub.deleteProductsByPath.notCalled);
+    });
+  });
 });
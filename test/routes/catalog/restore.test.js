@@ -0,0 +1,138 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+// @ts-nocheck
+
+import assert from 'node:assert';
+import sinon from 'sinon';
+import esmock from 'esmock';
+import { DEFAULT_CONTEXT, createAuthInfoMock } from '../../fixtures/context.js';
+
+describe('Catalog Restore Tests', () => {
+  let storageStub;
+  let doUpdateStub;
+  let restore;
+
+  beforeEach(async () => {
+    storageStub = {
+      getProductVersion: sinon.stub(),
+    };
+    doUpdateStub = sinon.stub().resolves(new Response(null, { status: 201 }));
+
+    restore = (await esmock('../../../src/routes/catalog/restore.js', {
+      '@dylandepass/helix-product-shared': {
+        applyImageLookup: (product) => {
+          const lookup = product.internal?.images || {};
+          (product.images || []).forEach((img) => {
+            if (lookup[img.url]?.sourceUrl) {
+              img.url = lookup[img.url].sourceUrl;
+            }
+          });
+        },
+      },
+      '../../../src/routes/catalog/update.js': {
+        doUpdate: doUpdateStub,
+      },
+    })).default;
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should save the version through the update pipeline', async () => {
+    storageStub.getProductVersion.resolves({
+      sku: 'sku1',
+      name: 'Old name',
+      path: '/products/test-product',
+      images: [{ url: './media_abc.jpg' }],
+      internal: {
+        images: { './media_abc.jpg': { sourceUrl: 'https://example.com/abc.jpg' } },
+      },
+    });
+    const ctx = DEFAULT_CONTEXT({
+      authInfo: createAuthInfoMock(['catalog:write']),
+      log: { info: sinon.stub(), error: sinon.stub() },
+      requestInfo: {
+        org: 'org',
+        site: 'site',
+        path: '/products/test-product.json',
+        method: 'POST',
+      },
+      attributes: {
+        storageClient: storageStub,
+      },
+      data: { action: 'restore', version: '2026-01-01T00:00:00.000Z-aaaaaaaa' },
+    }, { path: '/products/test-product.json' });
+
+    const response = await restore(ctx);
+
+    assert.equal(response.status, 201);
+    assert(storageStub.getProductVersion.calledOnceWithExactly(
+      '/products/test-product.json',
+      '2026-01-01T00:00:00.000Z-aaaaaaaa',
+    ));
+    const [, products, conditions] = doUpdateStub.firstCall.args;
+    assert.deepStrictEqual(products, [{
+      sku: 'sku1',
+      name: 'Old name',
+      path: '/products/test-product',
+      images: [{ url: 'https://example.com/abc.jpg' }],
+    }]);
+    assert.strictEqual(conditions, undefined);
+  });
+
+  it('should return 404 for an unknown version', async () => {
+    storageStub.getProductVersion.resolves(null);
+
+    const ctx = DEFAULT_CONTEXT({
+      authInfo: createAuthInfoMock(['catalog:write']),
+      log: { info: sinon.stub(), error: sinon.stub() },
+      requestInfo: {
+        org: 'org',
+        site: 'site',
+        path: '/products/test-product.json',
+        method: 'POST',
+      },
+      attributes: {
+        storageClient: storageStub,
+      },
+      data: { action: 'restore', version: '2026-01-01T00:00:00.000Z-aaaaaaaa' },
+    }, { path: '/products/test-product.json' });
+    const response = await restore(ctx);
+
+    assert.equal(response.status, 404);
+    assert(doUpdateStub.notCalled);
+  });
+
+  it('should return 400 without a valid version', async () => {
+    const ctx = DEFAULT_CONTEXT({
+      authInfo: createAuthInfoMock(['catalog:write']),
+      log: { info: sinon.stub(), error: sinon.stub() },
+      requestInfo: {
+        org: 'org',
+        site: 'site',
+        path: '/products/test-product.json',
+        method: 'POST',
+      },
+      attributes: {
+        storageClient: storageStub,
+      },
+      data: { action: 'restore' },
+    }, { path: '/products/test-product.json' });
+    const response = await restore(ctx);
+
+    assert.equal(response.status, 400);
+    assert.equal(response.headers.get('x-error'), 'invalid version');
+    assert(storageStub.getProductVersion.notCalled);
+  });
+});
@@ -14,8 +14,9 @@
 
 import assert from 'node:assert';
 import sinon from 'sinon';
-import { DEFAULT_CONTEXT } from '../../fixtures/context.js';
+import { DEFAULT_CONTEXT, createAuthInfoMock } from '../../fixtures/context.js';
 import { ResponseError } from '../../../src/utils/http.js';
+import StorageClient from '../../../src/utils/StorageClient.js';
 import handleProductRetrieveRequest from '../../../src/routes/catalog/retrieve.js';
 
 describe('handleProductRetrieveRequest', () => {
@@ -24,7 +25,10 @@ describe('handleProductRetrieveRequest', () => {
 
   beforeEach(async () => {
     storageStub = sinon.stub();
-    storageStub.getProductByPath = sinon.stub();
+    storageStub.getProductEntryByPath = sinon.stub();
+    storageStub.getProductRedirect = sinon.stub().resolves(null);
+    storageStub.getDraftProductEntry = sinon.stub().resolves(null);
+    storageStub.getInventoryRecords = sinon.stub().resolves(new Map());
 
     ctx = DEFAULT_CONTEXT({
       url: new URL('https://example.com/products/test-product.json'),
@@ -37,6 +41,11 @@ describe('handleProductRetrieveRequest', () => {
       attributes: {
         storageClient: storageStub,
       },
+      env: {
+        CONFIGS_BUCKET: {
+          get: sinon.stub().resolves(null),
+        },
+      },
     }, { path: '/products/test-product.json' });
   });
 
@@ -44,22 +53,73 @@ describe('handleProductRetrieveRequest', () => {
     sinon.restore();
   });
 
-  it('should return the product response when getProductByPath succeeds', async () => {
+  it('should return the product response when getProductEntryByPath succeeds', async () => {
     const product = { sku: 'sku1', path: '/products/test-product', name: 'Product 1' };
 
-    storageStub.getProductByPath.resolves(product);
+    storageStub.getProductEntryByPath.resolves({
+      product,
+      etag: '"etag-1"',
+      lastModified: new Date('2026-01-01T00:00:00.000Z'),
+    });
     const response = await handleProductRetrieveRequest(ctx);
 
+    assert.equal(response.status, 200);
     assert.equal(response.headers.get('Content-Type'), 'application/json');
+    assert.equal(response.headers.get('ETag'), '"etag-1"');
+    assert.equal(response.headers.get('Last-Modified'), 'Thu, 01 Jan 2026 00:00:00 GMT');
+    assert.equal(response.headers.get('Cache-Control'), null);
     const responseBody = await response.text();
     assert.equal(responseBody, JSON.stringify(product));
-    assert(storageStub.getProductByPath.calledOnceWith('/products/test-product.json'));
+    assert(storageStub.getProductEntryByPath.calledOnceWithExactly('/products/test-product.json', undefined));
+  });
+
+  it('should pass If-None-Match to storage and return 304 when not modified', async () => {
+    ctx.requestInfo.getHeader = (name) => ({ 'if-none-match': '"etag-1"' }[name.toLowerCase()]);
+    storageStub.getProductEntryByPath.resolves({
+      product: null,
+      etag: '"etag-1"',
+      lastModified: new Date('2026-01-01T00:00:00.000Z'),
+      notModified: true,
+    });
+
+    const response = await handleProductRetrieveRequest(ctx);
+
+    assert.equal(response.status, 304);
+    assert.equal(response.headers.get('ETag'), '"etag-1"');
+    assert.equal(response.headers.get('Content-Type'), null);
+    assert.equal(await response.text(), '');
+    assert(storageStub.getProductEntryByPath.calledOnceWithExactly(
+      '/products/test-product.json',
+      { etagDoesNotMatch: 'etag-1' },
+    ));
   });
 
-  it('should return e.response when getProductByPath throws an error with a response property', async () => {
+  it('should pass If-Modified-Since to storage as uploadedAfter', async () => {
+    ctx.requestInfo.getHeader = (name) => ({ 'if-modified-since': 'Thu, 01 Jan 2026 00:00:00 GMT' }[name.toLowerCase()]);
+    storageStub.getProductEntryByPath.resolves({ product: { sku: 'sku1' }, etag: '"etag-1"' });
+
+    await handleProductRetrieveRequest(ctx);
+
+    const [, conditions] = storageStub.getProductEntryByPath.firstCall.args;
+    assert.deepStrictEqual(conditions, { uploadedAfter: new Date('2026-01-01T00:00:00.999Z') });
+  });
+
+  it('should set Cache-Control from the site config', async () => {
+    ctx.env.CONFIGS_BUCKET.get.resolves({
+      json: async () => ({ catalogCacheControl: 'public, max-age=60, must-revalidate' }),
+    });
+    storageStub.getProductEntryByPath.resolves({ product: { sku: 'sku1' }, etag: '"etag-1"' });
+
+    const response = await handleProductRetrieveRequest(ctx);
+
+    assert(ctx.env.CONFIGS_BUCKET.get.calledOnceWithExactly('org/site/config.json'));
+    assert.equal(response.headers.get('Cache-Control'), 'public, max-age=60, must-revalidate');
+  });
+
+  it('should return e.response when getProductEntryByPath throws an error with a response property', async () => {
     const errorResponse = new Response('Not Found', { status: 404 });
     const error = new ResponseError('Product not found', errorResponse);
-    storageStub.getProductByPath.rejects(error);
+    storageStub.getProductEntryByPath.rejects(error);
 
     let thrownError;
     try {
@@ -70,4 +130,358 @@ describe('handleProductRetrieveRequest', () => {
 
     assert.strictEqual(thrownError, error);
   });
+
+  it('should answer moved products with a redirect to the new path', async () => {
+    const errorResponse = new Response('Not Found', { status: 404 });
+    storageStub.getProductEntryByPath.rejects(new ResponseError('Product not found', errorResponse));
+    storageStub.getProductRedirect.resolves({
+      from: '/products/test-product',
+      to: '/products/new-product',
+      createdAt: '2026-01-01T00:00:00.000Z',
+    });
+    ctx.url = new URL('https://example.com/org/sites/site/catalog/products/test-product.json?locale=en');
+
+    const response = await handleProductRetrieveRequest(ctx);
+
+    assert.equal(response.status, 301);
+    assert.equal(response.headers.get('Location'), '/org/sites/site/catalog/products/new-product.json?locale=en');
+    assert(storageStub.getProductRedirect.calledOnceWithExactly('/products/test-product.json'));
+  });
+
+  it('should not look up redirects for errors other than 404', async () => {
+    const error = new ResponseError('Server error', new Response(null, { status: 500 }));
+    storageStub.getProductEntryByPath.rejects(error);
+
+    await assert.rejects(handleProductRetrieveRequest(ctx), error);
+    assert(storageStub.getProductRedirect.notCalled);
+  });
+
+  describe('?state=draft', () => {
+    beforeEach(() => {
+      ctx.url = new URL('https://example.com/org/sites/site/catalog/products/test-product.json?state=draft');
+      ctx.authInfo = createAuthInfoMock(['catalog:read']);
+    });
+
+    it('should return the draft of the product', async () => {
+      const product = { sku: 'sku1', path: '/products/test-product', name: 'Draft' };
+      storageStub.getDraftProductEntry.resolves({
+        product,
+        etag: '"draft-1"',
+        lastModified: new Date('2026-01-01T00:00:00.000Z'),
+      });
+
+      const response = await handleProductRetrieveRequest(ctx);
+
+      assert.equal(response.status, 200);
+      assert.equal(response.headers.get('X-Product-State'), 'draft');
+      assert.equal(response.headers.get('ETag'), '"draft-1"');
+      assert.equal(response.headers.get('Cache-Control'), 'no-store');
+      assert.deepStrictEqual(await response.json(), product);
+      assert(storageStub.getDraftProductEntry.calledOnceWithExactly('/products/test-product.json'));
+      assert(storageStub.getProductEntryByPath.notCalled);
+    });
+
+    it('should fall back to the live product, without caching it', async () => {
+      ctx.env.CONFIGS_BUCKET.get.resolves({
+        json: async () => ({ catalogCacheControl: 'public, max-age=60' }),
+      });
+      storageStub.getProductEntryByPath.resolves({ product: { sku: 'sku1' }, etag: '"etag-1"' });
+
+      const response = await handleProductRetrieveRequest(ctx);
+
+      assert.equal(response.status, 200);
+      assert.equal(response.headers.get('X-Product-State'), 'live');
+      assert.equal(response.headers.get('Cache-Control'), 'no-store');
+      assert.deepStrictEqual(await response.json(), { sku: 'sku1' });
+    });
+
+    it('should require catalog:read', async () => {
+      ctx.authInfo = createAuthInfoMock([]);
+
+      await assert.rejects(handleProductRetrieveRequest(ctx), (e) => e.response.status === 403);
+      assert(storageStub.getDraftProductEntry.notCalled);
+    });
+  });
+
+  describe('?currency', () => {
+    const product = {
+      sku: 'sku1',
+      path: '/products/test-product',
+      name: 'Product 1',
+      price: { currency: 'USD', regular: '12.00', final: '10.00' },
+      prices: [
+        { currency: 'EUR', final: '9.00' },
+        { currency: 'EUR', priceList: 'b2b', final: '8.00' },
+      ],
+      variants: [{ sku: 'v1', price: { currency: 'USD', final: '11.00' } }],
+    };
+
+    it('should resolve the prices of the product and its variants', async () => {
+      ctx.url = new URL('https://example.com/products/test-product.json?currency=EUR&priceList=b2b');
+      storageStub.getProductEntryByPath.resolves({ product: structuredClone(product), etag: '"etag-1"' });
+
+      const response = await handleProductRetrieveRequest(ctx);
+
+      assert.equal(response.status, 200);
+      const body = await response.json();
+      assert.deepStrictEqual(body.price, { currency: 'EUR', final: '8.00' });
+      assert.equal(body.variants[0].price, undefined);
+    });
+
+    it('should reject invalid pricing options', async () => {
+      ctx.url = new URL('https://example.com/products/test-product.json?currency=euro');
+      await assert.rejects(handleProductRetrieveRequest(ctx), (e) => e.response.status === 400);
+
+      ctx.url = new URL('https://example.com/products/test-product.json?priceList=b2b');
+      await assert.rejects(handleProductRetrieveRequest(ctx), (e) => e.response.status === 400);
+      assert(storageStub.getProductEntryByPath.notCalled);
+    });
+
+    describe('validity windows', () => {
+      const sale = {
+        sku: 'sku1',
+        path: '/products/test-product',
+        name: 'Product 1',
+        price: { currency: 'USD', final: '10.00' },
+        prices: [{
+          currency: 'USD', final: '8.00', validFrom: '2026-11-27T00:00:00Z', validUntil: '2026-11-30T00:00:00Z',
+        }],
+      };
+      let clock;
+
+      beforeEach(() => {
+        clock = sinon.useFakeTimers({ now: new Date('2026-11-28T00:00:00Z'), toFake: ['Date'] });
+      });
+
+      afterEach(() => {
+        clock.restore();
+      });
+
+      it('should resolve the prices at the time of the request', async () => {
+        storageStub.getProductEntryByPath.resolves({
+          product: structuredClone(sale),
+          etag: '"etag-1"',
+          lastModified: new Date('2026-10-01T00:00:00Z'),
+        });
+
+        const response = await handleProductRetrieveRequest(ctx);
+
+        assert.equal(response.status, 200);
+        assert.equal(response.headers.get('ETag'), '"etag-1-p1"');
+        assert.equal(response.headers.get('Last-Modified'), null);
+        assert.deepStrictEqual((await response.json()).price, {
+          currency: 'USD', final: '8.00', validUntil: '2026-11-30T00:00:00Z',
+        });
+      });
+
+      it('should respond with 304 until the price period changes', async () => {
+        ctx.requestInfo.getHeader = (name) => ({ 'if-none-match': '"etag-1-p1"' }[name.toLowerCase()]);
+        storageStub.getProductEntryByPath.resolves({ product: structuredClone(sale), etag: '"etag-1"' });
+
+        let response = await handleProductRetrieveRequest(ctx);
+        assert.equal(response.status, 304);
+        assert.equal(response.headers.get('ETag'), '"etag-1-p1"');
+
+        clock.setSystemTime(new Date('2026-11-30T00:00:00Z'));
+        storageStub.getProductEntryByPath.resolves({ product: structuredClone(sale), etag: '"etag-1"' });
+
+        response = await handleProductRetrieveRequest(ctx);
+        assert.equal(response.status, 200);
+        assert.equal(response.headers.get('ETag'), '"etag-1-p2"');
+        assert.deepStrictEqual((await response.json()).price, { currency: 'USD', final: '10.00' });
+      });
+    });
+  });
+
+  describe('inventory', () => {
+    const product = {
+      sku: 'sku1',
+      path: '/products/test-product',
+      name: 'Product 1',
+      availability: 'InStock',
+    };
+
+    beforeEach(() => {
+      ctx.env.CONFIGS_BUCKET.get.resolves({ json: async () => ({ inventoryEnabled: true }) });
+      storageStub.getInventoryRecords.resolves(new Map([
+        ['sku1', { sku: 'sku1', quantity: 0, reserved: 0 }],
+      ]));
+    });
+
+    it('should derive the availability from the inventory records', async () => {
+      storageStub.getProductEntryByPath.resolves({
+        product: structuredClone(product),
+        etag: '"etag-1"',
+        lastModified: new Date('2026-10-01T00:00:00Z'),
+      });
+
+      const response = await handleProductRetrieveRequest(ctx);
+
+      assert.equal(response.status, 200);
+      assert.match(response.headers.get('ETag'), /^"etag-1-a[0-9a-f]{8}"$/);
+      assert.equal(response.headers.get('Last-Modified'), null);
+      assert.equal((await response.json()).availability, 'OutOfStock');
+      assert.deepStrictEqual(storageStub.getInventoryRecords.firstCall.args[0], ['sku1']);
+    });
+
+    it('should respond with 304 until the availability changes', async () => {
+      storageStub.getProductEntryByPath.resolves({ product: structuredClone(product), etag: '"etag-1"' });
+      const etag = (await handleProductRetrieveRequest(ctx)).headers.get('ETag');
+      ctx.requestInfo.getHeader = (name) => ({ 'if-none-match': etag }[name.toLowerCase()]);
+
+      storageStub.getProductEntryByPath.resolves({ product: structuredClone(product), etag: '"etag-1"' });
+      let response = await handleProductRetrieveRequest(ctx);
+      assert.equal(response.status, 304);
+      assert.equal(response.headers.get('ETag'), etag);
+
+      storageStub.getInventoryRecords.resolves(new Map([
+        ['sku1', { sku: 'sku1', quantity: 100, reserved: 0 }],
+      ]));
+      storageStub.getProductEntryByPath.resolves({ product: structuredClone(product), etag: '"etag-1"' });
+      response = await handleProductRetrieveRequest(ctx);
+      assert.equal(response.status, 200);
+      assert.notEqual(response.headers.get('ETag'), etag);
+      assert.equal((await response.json()).availability, 'InStock');
+    });
+
+    it('should compare validators from before the inventory records with the availability', async () => {
+      const inventory = new Map();
+      ctx.env.CATALOG_BUCKET = {
+        get: sinon.stub().callsFake(async (key, options) => {
+          const obj = { httpEtag: '"etag-1"', uploaded: new Date('2026-10-01T00:00:00Z') };
+          // R2 omits the body if the preconditions fail
+          if (options?.onlyIf?.etagDoesNotMatch === 'etag-1') {
+            return obj;
+          }
+          return { ...obj, json: async () => structuredClone(product) };
+        }),
+        head: sinon.stub().callsFake(async (key) => inventory.get(key) ?? null),
+      };
+      ctx.attributes.storageClient = new StorageClient(ctx);
+      ctx.requestInfo.getHeader = (name) => ({ 'if-none-match': '"etag-1"' }[name.toLowerCase()]);
+
+      let response = await handleProductRetrieveRequest(ctx);
+      assert.equal(response.status, 304);
+      assert.equal(response.headers.get('ETag'), '"etag-1"');
+
+      inventory.set('org/site/catalog-inventory/sku1', {
+        customMetadata: { sku: 'sku1', quantity: '0', reserved: '0' },
+      });
+      response = await handleProductRetrieveRequest(ctx);
+      assert.equal(response.status, 200);
+      assert.match(response.headers.get('ETag'), /^"etag-1-a[0-9a-f]{8}"$/);
+      assert.equal((await response.json()).availability, 'OutOfStock');
+      assert(ctx.env.CATALOG_BUCKET.get.alwaysCalledWithExactly(
+        'org/site/catalog/products/test-product.json',
+        undefined,
+      ));
+    });
+  });
+
+  describe('?locale', () => {
+    const product = {
+      sku: 'sku1',
+      path: '/products/test-product',
+      name: 'Blender',
+      locales: { de: { name: 'Mixer' } },
+    };
+
+    it('should localize the product for the requested locale', async () => {
+      ctx.url = new URL('https://example.com/products/test-product.json?locale=de-DE');
+      storageStub.getProductEntryByPath.resolves({ product: structuredClone(product), etag: '"etag-1"' });
+
+      const response = await handleProductRetrieveRequest(ctx);
+
+      assert.equal(response.status, 200);
+      assert.equal(response.headers.get('Content-Language'), 'de-DE');
+      assert.equal(response.headers.get('Vary'), null);
+      assert.equal(response.headers.get('ETag'), '"etag-1-lde-DE"');
+      assert.deepStrictEqual(await response.json(), {
+        sku: 'sku1',
+        path: '/products/test-product',
+        name: 'Mixer',
+      });
+    });
+
+    it('should localize the product for the Accept-Language header', async () => {
+      ctx.requestInfo.getHeader = (name) => ({ 'accept-language': 'de-CH, en;q=0.5' }[name.toLowerCase()]);
+      storageStub.getProductEntryByPath.resolves({ product: structuredClone(product), etag: '"etag-1"' });
+
+      const response = await handleProductRetrieveRequest(ctx);
+
+      assert.equal(response.headers.get('Content-Language'), 'de-CH');
+      assert.equal(response.headers.get('Vary'), 'Accept-Language');
+      assert.equal((await response.json()).name, 'Mixer');
+    });
+
+    it('should respond with 304 for the entity tag of the applied locale', async () => {
+      ctx.requestInfo.getHeader = (name) => ({
+        'accept-language': 'de-CH',
+        'if-none-match': '"etag-1-lde-CH"',
+      }[name.toLowerCase()]);
+      storageStub.getProductEntryByPath.resolves({ product: structuredClone(product), etag: '"etag-1"' });
+
+      let response = await handleProductRetrieveRequest(ctx);
+      assert.equal(response.status, 304);
+      assert.equal(response.headers.get('ETag'), '"etag-1-lde-CH"');
+      assert.equal(response.headers.get('Vary'), 'Accept-Language');
+      assert.equal(response.headers.get('Content-Language'), null);
+
+      ctx.requestInfo.getHeader = (name) => ({
+        'accept-language': 'fr',
+        'if-none-match': '"etag-1-lde-CH"',
+      }[name.toLowerCase()]);
+      storageStub.getProductEntryByPath.resolves({ product: structuredClone(product), etag: '"etag-1"' });
+
+      response = await handleProductRetrieveRequest(ctx);
+      assert.equal(response.status, 200);
+      assert.equal(response.headers.get('ETag'), '"etag-1"');
+      assert.equal((await response.json()).name, 'Blender');
+    });
+
+    it('should vary on Accept-Language if storage reports the product not modified', async () => {
+      ctx.requestInfo.getHeader = (name) => ({
+        'accept-language': 'de-CH',
+        'if-none-match': '"etag-1"',
+      }[name.toLowerCase()]);
+      storageStub.getProductEntryByPath.resolves({ product: null, etag: '"etag-1"', notModified: true });
+
+      const response = await handleProductRetrieveRequest(ctx);
+
+      assert.equal(response.status, 304);
+      assert.equal(response.headers.get('Vary'), 'Accept-Language');
+    });
+  });
+
+  describe('?expand=related', () => {
+    it('should inline the linked products without validators', async () => {
+      ctx.url = new URL('https://example.com/products/test-product.json?expand=related');
+      ctx.requestInfo.getHeader = (name) => ({ 'if-none-match': '"etag-1"' }[name.toLowerCase()]);
+      storageStub.getProductEntryByPath.withArgs('/products/test-product.json').resolves({
+        product: {
+          sku: 'sku1',
+          path: '/products/test-product',
+          name: 'Product 1',
+          relationships: [{ type: 'related', path: '/products/other' }],
+        },
+        etag: '"etag-1"',
+        lastModified: new Date('2026-10-01T00:00:00Z'),
+      });
+      storageStub.getProductEntryByPath.withArgs('/products/other.json').resolves({
+        product: { sku: 'sku2', path: '/products/other', name: 'Other' },
+      });
+
+      const response = await handleProductRetrieveRequest(ctx);
+
+      assert.equal(response.status, 200);
+      assert.equal(response.headers.get('ETag'), null);
+      assert.equal(response.headers.get('Last-Modified'), null);
+      assert.equal(storageStub.getProductEntryByPath.firstCall.args[1], undefined);
+      assert.deepStrictEqual((await response.json()).relationships, [{
+        type: 'related',
+        path: '/products/other',
+        product: { sku: 'sku2', path: '/products/other', name: 'Other' },
+      }]);
+    });
+  });
 });
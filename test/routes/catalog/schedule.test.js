@@ -0,0 +1,294 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+// @ts-nocheck
+
+import assert from 'node:assert';
+import sinon from 'sinon';
+import esmock from 'esmock';
+import { DEFAULT_CONTEXT, createAuthInfoMock } from '../../fixtures/context.js';
+
+const PUBLISH_AT = '2026-03-01T11:00:00.000Z';
+
+describe('Catalog Schedule Tests', () => {
+  let storageStub;
+  let doUpdateStub;
+  let scheduleModule;
+
+  beforeEach(async () => {
+    storageStub = {
+      getScheduledProduct: sinon.stub(),
+      deleteScheduledProduct: sinon.stub().resolves(),
+      deleteScheduleIndexEntry: sinon.stub().resolves(),
+    };
+    doUpdateStub = sinon.stub();
+
+    scheduleModule = await esmock('../../../src/routes/catalog/schedule.js', {
+      '../../../src/routes/catalog/update.js': {
+        MAX_PRODUCT_BULK: 2,
+        doUpdate: doUpdateStub,
+      },
+    });
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  const jsonResponse = (body, status = 201) => new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' },
+  });
+
+  describe('publishScheduledProducts', () => {
+    const entry = (name, publishAt = PUBLISH_AT) => ({
+      publishAt, org: 'org', site: 'site', path: `/products/${name}`,
+    });
+    const scheduled = (name, publishAt = PUBLISH_AT) => ({
+      publishAt,
+      product: { sku: name, name, path: `/products/${name}` },
+      etag: `etag-${name}`,
+    });
+
+    it('should publish due products in batches and remove them from the schedule', async () => {
+      ['a', 'b', 'c'].forEach((name) => {
+        storageStub.getScheduledProduct.withArgs(`/products/${name}`).resolves(scheduled(name));
+      });
+      doUpdateStub.onFirstCall().resolves(jsonResponse({
+        products: [
+          { sku: 'a', path: '/products/a', status: 200 },
+          {
+            sku: 'b', path: '/products/b', status: 200, message: 'No changes detected',
+          },
+        ],
+      }));
+      doUpdateStub.onSecondCall().resolves(jsonResponse({
+        product: { sku: 'c', path: '/products/c', status: 200 },
+      }));
+      const ctx = DEFAULT_CONTEXT({
+        authInfo: createAuthInfoMock(['catalog:read', 'catalog:write']),
+        log: {
+          info: sinon.stub(), warn: sinon.stub(), error: sinon.stub(),
+        },
+        requestInfo: {
+          org: 'org',
+          site: 'site',
+          path: '/products/a.json',
+          method: 'GET',
+        },
+        attributes: {
+          storageClient: storageStub,
+        },
+      }, { path: '/products/a.json' });
+
+      await scheduleModule.publishScheduledProducts(ctx, [entry('a'), entry('b'), entry('c')]);
+
+      assert(doUpdateStub.calledTwice);
+      assert.deepStrictEqual(doUpdateStub.firstCall.args[1].map((p) => p.sku), ['a', 'b']);
+      assert.deepStrictEqual(doUpdateStub.secondCall.args[1].map((p) => p.sku), ['c']);
+      assert.deepStrictEqual(storageStub.deleteScheduledProduct.getCalls().map((c) => c.args), [
+        ['/products/a', PUBLISH_AT, 'etag-a'],
+        ['/products/b', PUBLISH_AT, 'etag-b'],
+        ['/products/c', PUBLISH_AT, 'etag-c'],
+      ]);
+    });
+
+    it('should drop index entries of canceled and rescheduled products', async () => {
+      storageStub.getScheduledProduct.withArgs('/products/a').resolves(null);
+      storageStub.getScheduledProduct.withArgs('/products/b').resolves(scheduled('b', '2026-04-01T00:00:00.000Z'));
+
+      const ctx = DEFAULT_CONTEXT({
+        authInfo: createAuthInfoMock(['catalog:read', 'catalog:write']),
+        log: {
+          info: sinon.stub(), warn: sinon.stub(), error: sinon.stub(),
+        },
+        requestInfo: {
+          org: 'org',
+          site: 'site',
+          path: '/products/a.json',
+          method: 'GET',
+        },
+        attributes: {
+          storageClient: storageStub,
+        },
+      }, { path: '/products/a.json' });
+      await scheduleModule.publishScheduledProducts(ctx, [entry('a'), entry('b')]);
+
+      assert(doUpdateStub.notCalled);
+      assert.deepStrictEqual(storageStub.deleteScheduleIndexEntry.getCalls().map((c) => c.args), [
+        ['/products/a', PUBLISH_AT],
+        ['/products/b', PUBLISH_AT],
+      ]);
+      assert(storageStub.deleteScheduledProduct.notCalled);
+    });
+
+    it('should keep products that fail with a server error for the next run', async () => {
+      ['a', 'b'].forEach((name) => {
+        storageStub.getScheduledProduct.withArgs(`/products/${name}`).resolves(scheduled(name));
+      });
+      doUpdateStub.resolves(jsonResponse({
+        products: [
+          {
+            sku: 'a', path: '/products/a', status: 500, message: 'Error: boom',
+          },
+          {
+            sku: 'b', path: '/products/b', status: 400, message: 'Product path is required',
+          },
+        ],
+      }, 207));
+      const ctx = DEFAULT_CONTEXT({
+        authInfo: createAuthInfoMock(['catalog:read', 'catalog:write']),
+        log: {
+          info: sinon.stub(), warn: sinon.stub(), error: sinon.stub(),
+        },
+        requestInfo: {
+          org: 'org',
+          site: 'site',
+          path: '/products/a.json',
+          method: 'GET',
+        },
+        attributes: {
+          storageClient: storageStub,
+        },
+      }, { path: '/products/a.json' });
+
+      await scheduleModule.publishScheduledProducts(ctx, [entry('a'), entry('b')]);
+
+      assert.deepStrictEqual(storageStub.deleteScheduledProduct.getCalls().map((c) => c.args), [
+        ['/products/b', PUBLISH_AT, 'etag-b'],
+      ]);
+      assert(ctx.log.warn.calledOnce);
+      assert(ctx.log.error.calledOnce);
+    });
+
+    it('should keep all products when the whole batch fails', async () => {
+      storageStub.getScheduledProduct.resolves(scheduled('a'));
+      doUpdateStub.resolves(new Response('', { status: 500, headers: { 'x-error': 'failed to save products' } }));
+      const ctx = DEFAULT_CONTEXT({
+        authInfo: createAuthInfoMock(['catalog:read', 'catalog:write']),
+        log: {
+          info: sinon.stub(), warn: sinon.stub(), error: sinon.stub(),
+        },
+        requestInfo: {
+          org: 'org',
+          site: 'site',
+          path: '/products/a.json',
+          method: 'GET',
+        },
+        attributes: {
+          storageClient: storageStub,
+        },
+      }, { path: '/products/a.json' });
+
+      await scheduleModule.publishScheduledProducts(ctx, [entry('a')]);
+
+      assert(storageStub.deleteScheduledProduct.notCalled);
+      assert(ctx.log.error.calledOnce);
+    });
+  });
+
+  describe('GET and DELETE ?scheduled', () => {
+    it('should return the scheduled change of a product', async () => {
+      storageStub.getScheduledProduct.resolves({ publishAt: PUBLISH_AT, product: { sku: 'a' }, etag: 'etag-a' });
+
+      const ctx = DEFAULT_CONTEXT({
+        authInfo: createAuthInfoMock(['catalog:read', 'catalog:write']),
+        log: {
+          info: sinon.stub(), warn: sinon.stub(), error: sinon.stub(),
+        },
+        requestInfo: {
+          org: 'org',
+          site: 'site',
+          path: '/products/a.json',
+          method: 'GET',
+        },
+        attributes: {
+          storageClient: storageStub,
+        },
+      }, { path: '/products/a.json' });
+      const response = await scheduleModule.default(ctx);
+
+      assert.equal(response.status, 200);
+      assert.deepStrictEqual(await response.json(), { publishAt: PUBLISH_AT, product: { sku: 'a' } });
+      assert(storageStub.getScheduledProduct.calledOnceWithExactly('/products/a.json'));
+    });
+
+    it('should return 404 if nothing is scheduled', async () => {
+      storageStub.getScheduledProduct.resolves(null);
+
+      const ctx = DEFAULT_CONTEXT({
+        authInfo: createAuthInfoMock(['catalog:read', 'catalog:write']),
+        log: {
+          info: sinon.stub(), warn: sinon.stub(), error: sinon.stub(),
+        },
+        requestInfo: {
+          org: 'org',
+          site: 'site',
+          path: '/products/a.json',
+          method: 'GET',
+        },
+        attributes: {
+          storageClient: storageStub,
+        },
+      }, { path: '/products/a.json' });
+      const response = await scheduleModule.default(ctx);
+
+      assert.equal(response.status, 404);
+      assert.equal(response.headers.get('x-error'), 'Scheduled product not found');
+    });
+
+    it('should cancel a scheduled change', async () => {
+      storageStub.getScheduledProduct.resolves({ publishAt: PUBLISH_AT, product: { sku: 'a' } });
+
+      const ctx = DEFAULT_CONTEXT({
+        authInfo: createAuthInfoMock(['catalog:read', 'catalog:write']),
+        log: {
+          info: sinon.stub(), warn: sinon.stub(), error: sinon.stub(),
+        },
+        requestInfo: {
+          org: 'org',
+          site: 'site',
+          path: '/products/a.json',
+          method: 'DELETE',
+        },
+        attributes: {
+          storageClient: storageStub,
+        },
+      }, { path: '/products/a.json' });
+      const response = await scheduleModule.default(ctx);
+
+      assert.equal(response.status, 204);
+      assert(storageStub.deleteScheduledProduct.calledOnceWithExactly('/products/a.json', PUBLISH_AT));
+    });
+
+    it('should require catalog:write to cancel', async () => {
+      const ctx = DEFAULT_CONTEXT({
+        authInfo: createAuthInfoMock(['catalog:read']),
+        log: {
+          info: sinon.stub(), warn: sinon.stub(), error: sinon.stub(),
+        },
+        requestInfo: {
+          org: 'org',
+          site: 'site',
+          path: '/products/a.json',
+          method: 'DELETE',
+        },
+        attributes: {
+          storageClient: storageStub,
+        },
+      }, { path: '/products/a.json' });
+
+      await assert.rejects(scheduleModule.default(ctx), (e) => e.response.status === 403);
+      assert(storageStub.deleteScheduledProduct.notCalled);
+    });
+  });
+});
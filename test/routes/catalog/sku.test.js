@@ -0,0 +1,137 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+// @ts-nocheck
+
+import assert from 'node:assert';
+import sinon from 'sinon';
+import { DEFAULT_CONTEXT } from '../../fixtures/context.js';
+import sku from '../../../src/routes/catalog/sku.js';
+
+describe('Catalog SKU Lookup Tests', () => {
+  let storageStub;
+
+  beforeEach(() => {
+    storageStub = {
+      findProductPathsBySku: sinon.stub(),
+      getProductEntryByPath: sinon.stub(),
+    };
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should return the product using the SKU', async () => {
+    const product = { sku: 'ABC/123', name: 'Product', path: '/products/abc' };
+    storageStub.findProductPathsBySku.resolves([{ path: '/products/abc', variant: false }]);
+    storageStub.getProductEntryByPath.resolves({ product, etag: '"etag-1"' });
+
+    const ctx = DEFAULT_CONTEXT({
+      requestInfo: {
+        org: 'org',
+        site: 'site',
+        path: '/sku/ABC%2F123',
+        method: 'GET',
+      },
+      attributes: {
+        storageClient: storageStub,
+      },
+    }, { path: '/sku/ABC%2F123' });
+    const response = await sku(ctx);
+
+    assert.equal(response.status, 200);
+    assert.deepStrictEqual(await response.json(), product);
+    assert.equal(response.headers.get('Content-Location'), '/org/sites/site/catalog/products/abc.json');
+    assert.equal(response.headers.get('ETag'), '"etag-1"');
+    assert(storageStub.findProductPathsBySku.calledOnceWithExactly('ABC/123'));
+    assert(storageStub.getProductEntryByPath.calledOnceWithExactly('/products/abc.json'));
+  });
+
+  it('should return 404 for unknown SKUs', async () => {
+    storageStub.findProductPathsBySku.resolves([]);
+
+    const ctx = DEFAULT_CONTEXT({
+      requestInfo: {
+        org: 'org',
+        site: 'site',
+        path: '/sku/unknown',
+        method: 'GET',
+      },
+      attributes: {
+        storageClient: storageStub,
+      },
+    }, { path: '/sku/unknown' });
+    const response = await sku(ctx);
+
+    assert.equal(response.status, 404);
+    assert(storageStub.getProductEntryByPath.notCalled);
+  });
+
+  it('should return 409 with the paths when several products use the SKU', async () => {
+    storageStub.findProductPathsBySku.resolves([
+      { path: '/products/a', variant: false },
+      { path: '/products/b', variant: true },
+    ]);
+
+    const ctx = DEFAULT_CONTEXT({
+      requestInfo: {
+        org: 'org',
+        site: 'site',
+        path: '/sku/dup',
+        method: 'GET',
+      },
+      attributes: {
+        storageClient: storageStub,
+      },
+    }, { path: '/sku/dup' });
+    const response = await sku(ctx);
+
+    assert.equal(response.status, 409);
+    assert.equal(response.headers.get('x-error'), 'sku is used by multiple products');
+    assert.deepStrictEqual(await response.json(), { sku: 'dup', paths: ['/products/a', '/products/b'] });
+  });
+
+  it('should return 400 for malformed SKUs', async () => {
+    const ctx = DEFAULT_CONTEXT({
+      requestInfo: {
+        org: 'org',
+        site: 'site',
+        path: '/sku/%E0%A4%A',
+        method: 'GET',
+      },
+      attributes: {
+        storageClient: storageStub,
+      },
+    }, { path: '/sku/%E0%A4%A' });
+    const response = await sku(ctx);
+    assert.equal(response.status, 400);
+    assert.equal(response.headers.get('x-error'), 'invalid sku');
+  });
+
+  it('should return 400 without a SKU', async () => {
+    const ctx = DEFAULT_CONTEXT({
+      requestInfo: {
+        org: 'org',
+        site: 'site',
+        path: '/sku/',
+        method: 'GET',
+      },
+      attributes: {
+        storageClient: storageStub,
+      },
+    }, { path: '/sku/' });
+    const response = await sku(ctx);
+    assert.equal(response.status, 400);
+    assert.equal(response.headers.get('x-error'), 'sku is required');
+  });
+});
@@ -100,6 +100,52 @@ describe('Product Save Tests', () => {
       assert.equal(response.headers.get('x-error'), 'method not allowed');
     });
 
+    it('should return 400 for bulk operations with an If-Match entity tag', async () => {
+      const ctx = DEFAULT_CONTEXT({
+        authInfo: createAuthInfoMock(['catalog:write']),
+        data: [{ sku: '1234', path: '/products/foo', name: 'foo' }],
+        requestInfo: {
+          method: 'POST',
+          getHeader: (name) => ({ 'if-match': '"abc"' }[name.toLowerCase()]),
+        },
+      }, { path: '/*' });
+
+      const response = await handleProductSaveRequest(ctx);
+
+      assert.equal(response.status, 400);
+      assert.equal(response.headers.get('x-error'), 'If-Match with an entity tag is only supported for single products');
+      assert(storageStub.saveProductsByPath.notCalled);
+    });
+
+    it('should pass If-Match preconditions to storage for single products', async () => {
+      const ctx = DEFAULT_CONTEXT({
+        authInfo: createAuthInfoMock(['catalog:write']),
+        log: { error: sinon.stub(), info: sinon.stub() },
+        data: { sku: '1234', path: '/products/test-product', name: 'product-name' },
+        requestInfo: {
+          org: 'myorg',
+          site: 'mysite',
+          path: '/products/test-product.json',
+          method: 'PUT',
+          getHeader: (name) => ({ 'if-match': '"abc"' }[name.toLowerCase()]),
+        },
+        attributes: {
+          storageClient: storageStub,
+        },
+        env: {
+          INDEXER_QUEUE: {
+            send: sinon.stub().resolves(),
+          },
+        },
+      }, { path: '/products/test-product.json' });
+
+      storageStub.fetchProductByPath = sinon.stub().resolves(null);
+      storageStub.saveProductsByPath.resolves([{ sku: '1234', path: '/products/test-product', status: 200 }]);
+      await handleProductSaveRequest(ctx);
+
+      assert.deepStrictEqual(storageStub.saveProductsByPath.firstCall.args[2], { etagMatches: 'abc' });
+    });
+
     it('should return 201 when product is successfully saved and paths are purged', async () => {
       const ctx = DEFAULT_CONTEXT({
         authInfo: createAuthInfoMock(['catalog:write']),
@@ -123,7 +169,7 @@ describe('Product Save Tests', () => {
       const request = { };
 
       storageStub.fetchProductByPath = sinon.stub().resolves(null);
-      storageStub.saveProductsByPath.resolves([{ sku: '1234', path: '/products/test-product' }]);
+      storageStub.saveProductsByPath.resolves([{ sku: '1234', path: '/products/test-product', status: 200 }]);
       const response = await handleProductSaveRequest(ctx, request, storageStub);
 
       assert.equal(response.status, 201);
@@ -167,7 +213,7 @@ describe('Product Save Tests', () => {
       }, { path: '/products/test-product.json' });
 
       storageStub.fetchProductByPath = sinon.stub().resolves(null);
-      storageStub.saveProductsByPath.resolves([{ sku: '1234', path: '/products/test-product' }]);
+      storageStub.saveProductsByPath.resolves([{ sku: '1234', path: '/products/test-product', status: 200 }]);
       const response = await handleProductSaveRequest(ctx);
 
       // Verify config was fetched
@@ -221,7 +267,7 @@ describe('Product Save Tests', () => {
       }, { path: '/products/test-product.json' });
 
       storageStub.fetchProductByPath = sinon.stub().resolves(null);
-      storageStub.saveProductsByPath.resolves([{ sku: '1234', path: '/products/test-product' }]);
+      storageStub.saveProductsByPath.resolves([{ sku: '1234', path: '/products/test-product', status: 200 }]);
       const response = await handleProductSaveRequest(ctx);
 
       assert.equal(response.status, 201);
@@ -512,4 +558,1008 @@ describe('Product Save Tests', () => {
       assert(storageStub.saveProductsByPath.calledOnce);
     });
   });
+
+  describe('partial success', () => {
+    beforeEach(() => {
+      storageStub.fetchProductByPath = sinon.stub().resolves(null);
+    });
+
+    it('should save valid products and report invalid ones with 207', async () => {
+      storageStub.saveProductsByPath.resolves([{ sku: 'valid', path: '/products/valid', status: 200 }]);
+      const ctx = DEFAULT_CONTEXT({
+        authInfo: createAuthInfoMock(['catalog:write']),
+        log: { error: sinon.stub(), info: sinon.stub() },
+        data: [
+          { sku: 'valid', path: '/products/valid', name: 'Valid' },
+          { sku: 'invalid', path: '/products/invalid', name: 42 },
+        ],
+        requestInfo: {
+          org: 'myorg',
+          site: 'mysite',
+          path: '/*',
+          method: 'POST',
+        },
+        attributes: {
+          storageClient: storageStub,
+        },
+        env: {
+          INDEXER_QUEUE: {
+            send: sinon.stub().resolves(),
+          },
+        },
+      }, { path: '/*' });
+
+      const response = await handleProductSaveRequest(ctx);
+
+      assert.equal(response.status, 207);
+      const { products } = await response.json();
+      assert.deepStrictEqual(products.map((p) => [p.sku, p.status]), [
+        ['valid', 200],
+        ['invalid', 400],
+      ]);
+      assert.equal(products[1].message, 'Invalid product');
+      assert.equal(products[1].errors[0].path, '$.name');
+      const [saved] = storageStub.saveProductsByPath.firstCall.args;
+      assert.deepStrictEqual(saved.map((p) => p.sku), ['valid']);
+      assert(ctx.env.INDEXER_QUEUE.send.calledOnce);
+    });
+
+    it('should return 207 when some writes fail', async () => {
+      storageStub.saveProductsByPath.resolves([
+        { sku: 'a', path: '/products/a', status: 200 },
+        {
+          sku: 'b', path: '/products/b', status: 412, message: 'Precondition failed',
+        },
+      ]);
+      const ctx = DEFAULT_CONTEXT({
+        authInfo: createAuthInfoMock(['catalog:write']),
+        log: { error: sinon.stub(), info: sinon.stub() },
+        data: [
+          { sku: 'a', path: '/products/a', name: 'A' },
+          { sku: 'b', path: '/products/b', name: 'B' },
+        ],
+        requestInfo: {
+          org: 'myorg',
+          site: 'mysite',
+          path: '/*',
+          method: 'POST',
+        },
+        attributes: {
+          storageClient: storageStub,
+        },
+        env: {
+          INDEXER_QUEUE: {
+            send: sinon.stub().resolves(),
+          },
+        },
+      }, { path: '/*' });
+
+      const response = await handleProductSaveRequest(ctx);
+
+      assert.equal(response.status, 207);
+    });
+
+    it('should return 400 without saving when all products are invalid', async () => {
+      const ctx = DEFAULT_CONTEXT({
+        authInfo: createAuthInfoMock(['catalog:write']),
+        log: { error: sinon.stub(), info: sinon.stub() },
+        data: [
+          { sku: 'a', path: '/products/a' },
+          { sku: 'b', name: 'B' },
+        ],
+        requestInfo: {
+          org: 'myorg',
+          site: 'mysite',
+          path: '/*',
+          method: 'POST',
+        },
+        attributes: {
+          storageClient: storageStub,
+        },
+        env: {
+          INDEXER_QUEUE: {
+            send: sinon.stub().resolves(),
+          },
+        },
+      }, { path: '/*' });
+
+      const response = await handleProductSaveRequest(ctx);
+
+      assert.equal(response.status, 400);
+      const { products } = await response.json();
+      assert.deepStrictEqual(products.map((p) => p.status), [400, 400]);
+      assert(fetchHelixConfigStub.notCalled);
+      assert(storageStub.saveProductsByPath.notCalled);
+      assert(ctx.env.INDEXER_QUEUE.send.notCalled);
+    });
+
+    it('should return the shared failure status when no product was saved', async () => {
+      storageStub.saveProductsByPath.resolves([{
+        sku: 'a', path: '/products/a', status: 412, message: 'Precondition failed',
+      }]);
+      const ctx = DEFAULT_CONTEXT({
+        authInfo: createAuthInfoMock(['catalog:write']),
+        log: { error: sinon.stub(), info: sinon.stub() },
+        data: [{ sku: 'a', path: '/products/a', name: 'A' }],
+        requestInfo: {
+          org: 'myorg',
+          site: 'mysite',
+          path: '/*',
+          method: 'POST',
+        },
+        attributes: {
+          storageClient: storageStub,
+        },
+        env: {
+          INDEXER_QUEUE: {
+            send: sinon.stub().resolves(),
+          },
+        },
+      }, { path: '/*' });
+
+      const response = await handleProductSaveRequest(ctx);
+
+      assert.equal(response.status, 412);
+      const { product } = await response.json();
+      assert.equal(product.message, 'Precondition failed');
+      assert(ctx.env.INDEXER_QUEUE.send.notCalled);
+    });
+
+    it('should return 500 when no product was saved and failures differ', async () => {
+      storageStub.saveProductsByPath.resolves([{
+        sku: 'a', path: '/products/a', status: 500, message: 'Error: boom',
+      }]);
+      const ctx = DEFAULT_CONTEXT({
+        authInfo: createAuthInfoMock(['catalog:write']),
+        log: { error: sinon.stub(), info: sinon.stub() },
+        data: [
+          { sku: 'a', path: '/products/a', name: 'A' },
+          { sku: 'b', path: '/products/b', name: 42 },
+        ],
+        requestInfo: {
+          org: 'myorg',
+          site: 'mysite',
+          path: '/*',
+          method: 'POST',
+        },
+        attributes: {
+          storageClient: storageStub,
+        },
+        env: {
+          INDEXER_QUEUE: {
+            send: sinon.stub().resolves(),
+          },
+        },
+      }, { path: '/*' });
+
+      const response = await handleProductSaveRequest(ctx);
+
+      assert.equal(response.status, 500);
+    });
+
+    it('should return 400 when no product was saved and failures are client errors', async () => {
+      storageStub.saveProductsByPath.resolves([{
+        sku: 'a', path: '/products/a', status: 412, message: 'Precondition failed',
+      }]);
+      const ctx = DEFAULT_CONTEXT({
+        authInfo: createAuthInfoMock(['catalog:write']),
+        log: { error: sinon.stub(), info: sinon.stub() },
+        data: [
+          { sku: 'a', path: '/products/a', name: 'A' },
+          { sku: 'b', path: '/products/b', name: 42 },
+        ],
+        requestInfo: {
+          org: 'myorg',
+          site: 'mysite',
+          path: '/*',
+          method: 'POST',
+        },
+        attributes: {
+          storageClient: storageStub,
+        },
+        env: {
+          INDEXER_QUEUE: {
+            send: sinon.stub().resolves(),
+          },
+        },
+      }, { path: '/*' });
+
+      const response = await handleProductSaveRequest(ctx);
+
+      assert.equal(response.status, 400);
+      const { products } = await response.json();
+      assert.deepStrictEqual(products.map((p) => [p.sku, p.status]), [
+        ['a', 412],
+        ['b', 400],
+      ]);
+    });
+
+    it('should return an error instead of 201 when saving throws', async () => {
+      storageStub.saveProductsByPath.rejects(new Error('R2 unavailable'));
+      const ctx = DEFAULT_CONTEXT({
+        authInfo: createAuthInfoMock(['catalog:write']),
+        log: { error: sinon.stub(), info: sinon.stub() },
+        data: [{ sku: 'a', path: '/products/a', name: 'A' }],
+        requestInfo: {
+          org: 'myorg',
+          site: 'mysite',
+          path: '/*',
+          method: 'POST',
+        },
+        attributes: {
+          storageClient: storageStub,
+        },
+        env: {
+          INDEXER_QUEUE: {
+            send: sinon.stub().resolves(),
+          },
+        },
+      }, { path: '/*' });
+
+      const response = await handleProductSaveRequest(ctx);
+
+      assert.equal(response.status, 500);
+      assert.equal(response.headers.get('x-error'), 'failed to save products');
+      assert(ctx.log.error.calledOnce);
+    });
+
+    it('should pass through error responses of batch-wide failures', async () => {
+      const error = new Error('config unavailable');
+      error.response = new Response(null, { status: 502 });
+      fetchHelixConfigStub.rejects(error);
+      const ctx = DEFAULT_CONTEXT({
+        authInfo: createAuthInfoMock(['catalog:write']),
+        log: { error: sinon.stub(), info: sinon.stub() },
+        data: [{ sku: 'a', path: '/products/a', name: 'A' }],
+        requestInfo: {
+          org: 'myorg',
+          site: 'mysite',
+          path: '/*',
+          method: 'POST',
+        },
+        attributes: {
+          storageClient: storageStub,
+        },
+        env: {
+          INDEXER_QUEUE: {
+            send: sinon.stub().resolves(),
+          },
+        },
+      }, { path: '/*' });
+
+      const response = await handleProductSaveRequest(ctx);
+
+      assert.equal(response.status, 502);
+      assert(storageStub.saveProductsByPath.notCalled);
+    });
+
+    it('should still return 201 when publishing indexing jobs fails', async () => {
+      storageStub.saveProductsByPath.resolves([{ sku: 'a', path: '/products/a', status: 200 }]);
+      const ctx = DEFAULT_CONTEXT({
+        authInfo: createAuthInfoMock(['catalog:write']),
+        log: { error: sinon.stub(), info: sinon.stub() },
+        data: [{ sku: 'a', path: '/products/a', name: 'A' }],
+        requestInfo: {
+          org: 'myorg',
+          site: 'mysite',
+          path: '/*',
+          method: 'POST',
+        },
+        attributes: {
+          storageClient: storageStub,
+        },
+        env: {
+          INDEXER_QUEUE: {
+            send: sinon.stub().resolves(),
+          },
+        },
+      }, { path: '/*' });
+      ctx.env.INDEXER_QUEUE.send.rejects(new Error('queue unavailable'));
+
+      const response = await handleProductSaveRequest(ctx);
+
+      assert.equal(response.status, 201);
+      assert(ctx.log.error.calledOnce);
+    });
+    it('should notify webhooks of created and updated products', async () => {
+      storageStub.fetchProductByPath.withArgs('myorg', 'mysite', '/products/b').resolves({ sku: 'b', path: '/products/b', name: 'Old' });
+      storageStub.saveProductsByPath.resolves([
+        { sku: 'a', path: '/products/a', status: 200 },
+        { sku: 'b', path: '/products/b', status: 200 },
+        {
+          sku: 'c', path: '/products/c', status: 500, message: 'Error: boom',
+        },
+      ]);
+      const ctx = DEFAULT_CONTEXT({
+        authInfo: createAuthInfoMock(['catalog:write']),
+        log: { error: sinon.stub(), info: sinon.stub() },
+        data: [
+          { sku: 'a', path: '/products/a', name: 'A' },
+          { sku: 'b', path: '/products/b', name: 'B' },
+          { sku: 'c', path: '/products/c', name: 'C' },
+        ],
+        requestInfo: {
+          org: 'myorg',
+          site: 'mysite',
+          path: '/*',
+          method: 'POST',
+        },
+        attributes: {
+          storageClient: storageStub,
+        },
+        env: {
+          INDEXER_QUEUE: {
+            send: sinon.stub().resolves(),
+          },
+        },
+      }, { path: '/*' });
+      ctx.env.CONFIGS_BUCKET = {
+        get: sinon.stub().resolves({
+          json: async () => ({ webhooks: [{ url: 'https://hooks.example.com', secret: 'a-secret-of-16-chars' }] }),
+        }),
+      };
+      ctx.env.WEBHOOKS_QUEUE = { send: sinon.stub().resolves() };
+
+      const response = await handleProductSaveRequest(ctx);
+
+      assert.equal(response.status, 207);
+      assert(ctx.env.WEBHOOKS_QUEUE.send.calledOnce);
+      assert.deepStrictEqual(ctx.env.WEBHOOKS_QUEUE.send.firstCall.args[0].events, [
+        { type: 'create', path: '/products/a', sku: 'a' },
+        { type: 'update', path: '/products/b', sku: 'b' },
+      ]);
+    });
+
+    it('should include the diff of updated products in the results and log', async () => {
+      storageStub.fetchProductByPath.withArgs('myorg', 'mysite', '/products/b').resolves({
+        sku: 'b', path: '/products/b', name: 'Old', description: 'Gone',
+      });
+      storageStub.saveProductsByPath.resolves([
+        { sku: 'a', path: '/products/a', status: 200 },
+        { sku: 'b', path: '/products/b', status: 200 },
+      ]);
+      const ctx = DEFAULT_CONTEXT({
+        authInfo: createAuthInfoMock(['catalog:write']),
+        log: { error: sinon.stub(), info: sinon.stub() },
+        data: [
+          { sku: 'a', path: '/products/a', name: 'A' },
+          {
+            sku: 'b', path: '/products/b', name: 'B', url: 'https://example.com/b',
+          },
+        ],
+        requestInfo: {
+          org: 'myorg',
+          site: 'mysite',
+          path: '/*',
+          method: 'POST',
+        },
+        attributes: {
+          storageClient: storageStub,
+        },
+        env: {
+          INDEXER_QUEUE: {
+            send: sinon.stub().resolves(),
+          },
+        },
+      }, { path: '/*' });
+
+      const response = await handleProductSaveRequest(ctx);
+
+      assert.equal(response.status, 201);
+      const { products } = await response.json();
+      assert.equal(products[0].diff, undefined);
+      assert.deepStrictEqual(products[1].diff, {
+        added: ['/url'],
+        removed: ['/description'],
+        changed: ['/name'],
+      });
+      const [entry] = ctx.log.info.getCalls()
+        .map((c) => c.args[0])
+        .filter((arg) => arg?.action === 'save_products');
+      assert.deepStrictEqual(JSON.parse(entry.result)[1].diff, products[1].diff);
+    });
+
+    it('should warn about relationships to products that do not exist', async () => {
+      storageStub.productExists = sinon.stub().resolves(false);
+      storageStub.findProductPathsBySku = sinon.stub().resolves([{ path: '/products/c', variant: false }]);
+      storageStub.saveProductsByPath.resolves([
+        { sku: 'a', path: '/products/a', status: 200 },
+        { sku: 'b', path: '/products/b', status: 200 },
+      ]);
+      const ctx = DEFAULT_CONTEXT({
+        authInfo: createAuthInfoMock(['catalog:write']),
+        log: { error: sinon.stub(), info: sinon.stub() },
+        data: [
+          {
+            sku: 'a',
+            path: '/products/a',
+            name: 'A',
+            relationships: [
+              { type: 'related', path: '/products/b' },
+              { type: 'crossSell', path: '/products/gone' },
+              { type: 'upSell', sku: 'c' },
+            ],
+          },
+          { sku: 'b', path: '/products/b', name: 'B' },
+        ],
+        requestInfo: {
+          org: 'myorg',
+          site: 'mysite',
+          path: '/*',
+          method: 'POST',
+        },
+        attributes: {
+          storageClient: storageStub,
+        },
+        env: {
+          INDEXER_QUEUE: {
+            send: sinon.stub().resolves(),
+          },
+        },
+      }, { path: '/*' });
+
+      const response = await handleProductSaveRequest(ctx);
+
+      assert.equal(response.status, 201);
+      const { products } = await response.json();
+      assert.deepStrictEqual(products[0].warnings, [{
+        path: '$.relationships[1]',
+        message: 'dangling relationship',
+        details: 'no product at path /products/gone',
+      }]);
+      assert.equal(products[1].warnings, undefined);
+      assert(storageStub.productExists.calledOnceWithExactly('/products/gone'));
+    });
+  });
+
+  describe('dry run', () => {
+    it('should report a new product without writing anything', async () => {
+      storageStub.fetchProductByPath = sinon.stub().resolves(null);
+      const ctx = DEFAULT_CONTEXT({
+        authInfo: createAuthInfoMock(['catalog:write']),
+        log: { error: sinon.stub(), info: sinon.stub() },
+        url: new URL('https://example.com/myorg/sites/mysite/catalog/products/test-product.json?dryRun=true'),
+        data: {
+          sku: '1234',
+          name: 'product-name',
+          images: [{ url: 'https://example.com/image.jpg' }],
+        },
+        requestInfo: {
+          org: 'myorg',
+          site: 'mysite',
+          path: '/products/test-product.json',
+          method: 'PUT',
+        },
+        attributes: {
+          storageClient: storageStub,
+        },
+        env: {
+          INDEXER_QUEUE: {
+            send: sinon.stub().resolves(),
+          },
+          IMAGE_COLLECTOR_QUEUE: {
+            send: sinon.stub().resolves(),
+          },
+        },
+      }, { path: '/products/test-product.json' });
+
+      const response = await handleProductSaveRequest(ctx);
+
+      assert.equal(response.status, 200);
+      assert.deepStrictEqual(await response.json(), {
+        dryRun: true,
+        product: {
+          sku: '1234',
+          path: '/products/test-product',
+          outcome: 'would-create',
+          newImages: true,
+        },
+      });
+      assert(storageStub.saveProductsByPath.notCalled);
+      assert(fetchHelixConfigStub.notCalled);
+      assert(ctx.env.INDEXER_QUEUE.send.notCalled);
+      assert(ctx.env.IMAGE_COLLECTOR_QUEUE.send.notCalled);
+    });
+
+    it('should report per-product outcomes for bulk requests', async () => {
+      storageStub.fetchProductByPath = sinon.stub();
+      storageStub.fetchProductByPath.withArgs('myorg', 'mysite', '/products/unchanged', true).resolves({
+        sku: 'unchanged',
+        path: '/products/unchanged',
+        name: 'Unchanged',
+      });
+      storageStub.fetchProductByPath.withArgs('myorg', 'mysite', '/products/changed', true).resolves({
+        sku: 'changed',
+        path: '/products/changed',
+        name: 'Old name',
+      });
+      const ctx = DEFAULT_CONTEXT({
+        authInfo: createAuthInfoMock(['catalog:write']),
+        log: { error: sinon.stub(), info: sinon.stub() },
+        url: new URL('https://example.com/myorg/sites/mysite/catalog/*?dryRun=true'),
+        data: [
+          { sku: 'unchanged', path: '/products/unchanged', name: 'Unchanged' },
+          { sku: 'changed', path: '/products/changed', name: 'New name' },
+          { sku: 'invalid', path: '/products/invalid', name: 42 },
+          { sku: 'no-path', name: 'No path' },
+        ],
+        requestInfo: {
+          org: 'myorg',
+          site: 'mysite',
+          path: '/*',
+          method: 'POST',
+        },
+        attributes: {
+          storageClient: storageStub,
+        },
+        env: {
+          INDEXER_QUEUE: {
+            send: sinon.stub().resolves(),
+          },
+          IMAGE_COLLECTOR_QUEUE: {
+            send: sinon.stub().resolves(),
+          },
+        },
+      }, { path: '/*' });
+
+      const response = await handleProductSaveRequest(ctx);
+
+      assert.equal(response.status, 200);
+      const { products } = await response.json();
+      assert.deepStrictEqual(products.map((p) => [p.sku, p.outcome]), [
+        ['unchanged', 'unchanged'],
+        ['changed', 'would-update'],
+        ['invalid', 'invalid'],
+        ['no-path', 'invalid'],
+      ]);
+      assert.deepStrictEqual(products[1].diff, { added: [], removed: [], changed: ['/name'] });
+      assert.equal(products[2].errors[0].path, '$.name');
+      assert(storageStub.saveProductsByPath.notCalled);
+      assert(ctx.env.INDEXER_QUEUE.send.notCalled);
+    });
+
+    it('should report dangling relationships', async () => {
+      storageStub.fetchProductByPath = sinon.stub().resolves(null);
+      storageStub.findProductPathsBySku = sinon.stub().resolves([]);
+      const ctx = DEFAULT_CONTEXT({
+        authInfo: createAuthInfoMock(['catalog:write']),
+        log: { error: sinon.stub(), info: sinon.stub() },
+        url: new URL('https://example.com/myorg/sites/mysite/catalog/products/test-product.json?dryRun=true'),
+        data: {
+          sku: '1234',
+          name: 'product-name',
+          relationships: [{ type: 'bundle', sku: 'gone', quantity: 2 }],
+        },
+        requestInfo: {
+          org: 'myorg',
+          site: 'mysite',
+          path: '/products/test-product.json',
+          method: 'PUT',
+        },
+        attributes: {
+          storageClient: storageStub,
+        },
+        env: {
+          INDEXER_QUEUE: {
+            send: sinon.stub().resolves(),
+          },
+          IMAGE_COLLECTOR_QUEUE: {
+            send: sinon.stub().resolves(),
+          },
+        },
+      }, { path: '/products/test-product.json' });
+
+      const response = await handleProductSaveRequest(ctx);
+
+      assert.equal(response.status, 200);
+      assert.deepStrictEqual((await response.json()).product.warnings, [{
+        path: '$.relationships[0]',
+        message: 'dangling relationship',
+        details: 'no product with sku gone',
+      }]);
+    });
+
+    it('should still reject a path mismatch', async () => {
+      const ctx = DEFAULT_CONTEXT({
+        authInfo: createAuthInfoMock(['catalog:write']),
+        log: { error: sinon.stub(), info: sinon.stub() },
+        url: new URL('https://example.com/myorg/sites/mysite/catalog/products/test-product.json?dryRun=true'),
+        data: { sku: '1234', name: 'product-name', path: '/products/other' },
+        requestInfo: {
+          org: 'myorg',
+          site: 'mysite',
+          path: '/products/test-product.json',
+          method: 'PUT',
+        },
+        attributes: {
+          storageClient: storageStub,
+        },
+        env: {
+          INDEXER_QUEUE: {
+            send: sinon.stub().resolves(),
+          },
+          IMAGE_COLLECTOR_QUEUE: {
+            send: sinon.stub().resolves(),
+          },
+        },
+      }, { path: '/products/test-product.json' });
+
+      const response = await handleProductSaveRequest(ctx);
+
+      assert.equal(response.status, 400);
+    });
+  });
+
+  describe('scheduled updates', () => {
+    const publishAt = '2099-01-01T00:00:00.000Z';
+    beforeEach(() => {
+      storageStub.saveScheduledProduct = sinon.stub().resolves();
+    });
+
+    it('should store the product for later instead of saving it', async () => {
+      const ctx = DEFAULT_CONTEXT({
+        authInfo: createAuthInfoMock(['catalog:write']),
+        log: { error: sinon.stub(), info: sinon.stub() },
+        url: new URL(`https://example.com/myorg/sites/mysite/catalog/products/test-product.json?${`publishAt=${publishAt}`}`),
+        data: { sku: '1234', name: 'product-name' },
+        requestInfo: {
+          org: 'myorg',
+          site: 'mysite',
+          path: '/products/test-product.json',
+          method: 'PUT',
+        },
+        attributes: {
+          storageClient: storageStub,
+        },
+        env: {
+          INDEXER_QUEUE: {
+            send: sinon.stub().resolves(),
+          },
+        },
+      }, { path: '/products/test-product.json' });
+
+      const response = await handleProductSaveRequest(ctx);
+
+      assert.equal(response.status, 202);
+      assert.deepStrictEqual(await response.json(), {
+        product: {
+          sku: '1234',
+          path: '/products/test-product',
+          status: 202,
+          message: 'Product scheduled',
+          publishAt,
+        },
+      });
+      assert(storageStub.saveScheduledProduct.calledOnceWithExactly(
+        { sku: '1234', name: 'product-name', path: '/products/test-product' },
+        publishAt,
+      ));
+      assert(storageStub.saveProductsByPath.notCalled);
+      assert(fetchHelixConfigStub.notCalled);
+      assert(ctx.env.INDEXER_QUEUE.send.notCalled);
+    });
+
+    it('should normalize the timestamp', async () => {
+      const ctx = DEFAULT_CONTEXT({
+        authInfo: createAuthInfoMock(['catalog:write']),
+        log: { error: sinon.stub(), info: sinon.stub() },
+        url: new URL('https://example.com/myorg/sites/mysite/catalog/products/test-product.json?publishAt=2099-01-01T01:00:00%2B01:00'),
+        data: { sku: '1234', name: 'product-name' },
+        requestInfo: {
+          org: 'myorg',
+          site: 'mysite',
+          path: '/products/test-product.json',
+          method: 'PUT',
+        },
+        attributes: {
+          storageClient: storageStub,
+        },
+        env: {
+          INDEXER_QUEUE: {
+            send: sinon.stub().resolves(),
+          },
+        },
+      }, { path: '/products/test-product.json' });
+
+      const response = await handleProductSaveRequest(ctx);
+
+      assert.equal(response.status, 202);
+      assert.equal(storageStub.saveScheduledProduct.firstCall.args[1], publishAt);
+    });
+
+    it('should schedule valid products of a bulk request and report invalid ones with 207', async () => {
+      const ctx = DEFAULT_CONTEXT({
+        authInfo: createAuthInfoMock(['catalog:write']),
+        log: { error: sinon.stub(), info: sinon.stub() },
+        url: new URL(`https://example.com/myorg/sites/mysite/catalog/*?${`publishAt=${publishAt}`}`),
+        data: [
+          { sku: 'valid', path: '/products/valid', name: 'Valid' },
+          { sku: 'invalid', path: '/products/invalid', name: 42 },
+        ],
+        requestInfo: {
+          org: 'myorg',
+          site: 'mysite',
+          path: '/*',
+          method: 'POST',
+        },
+        attributes: {
+          storageClient: storageStub,
+        },
+        env: {
+          INDEXER_QUEUE: {
+            send: sinon.stub().resolves(),
+          },
+        },
+      }, { path: '/*' });
+
+      const response = await handleProductSaveRequest(ctx);
+
+      assert.equal(response.status, 207);
+      const { products } = await response.json();
+      assert.deepStrictEqual(products.map((p) => [p.sku, p.status]), [
+        ['valid', 202],
+        ['invalid', 400],
+      ]);
+      assert(storageStub.saveScheduledProduct.calledOnce);
+      assert(storageStub.saveProductsByPath.notCalled);
+    });
+
+    it('should reject invalid and past timestamps', async () => {
+      const ctx = DEFAULT_CONTEXT({
+        authInfo: createAuthInfoMock(['catalog:write']),
+        log: { error: sinon.stub(), info: sinon.stub() },
+        url: new URL('https://example.com/myorg/sites/mysite/catalog/products/test-product.json?publishAt=tomorrow'),
+        data: { sku: '1234', name: 'product-name' },
+        requestInfo: {
+          org: 'myorg',
+          site: 'mysite',
+          path: '/products/test-product.json',
+          method: 'PUT',
+        },
+        attributes: {
+          storageClient: storageStub,
+        },
+        env: {
+          INDEXER_QUEUE: {
+            send: sinon.stub().resolves(),
+          },
+        },
+      }, { path: '/products/test-product.json' });
+      let response = await handleProductSaveRequest(ctx);
+      assert.equal(response.status, 400);
+      assert.equal(response.headers.get('x-error'), 'invalid publishAt');
+
+      ctx.url = new URL('https://example.com/myorg/sites/mysite/catalog/products/test-product.json?publishAt=2020-01-01T00:00:00Z');
+      response = await handleProductSaveRequest(ctx);
+      assert.equal(response.status, 400);
+      assert.equal(response.headers.get('x-error'), 'publishAt must be in the future');
+      assert(storageStub.saveScheduledProduct.notCalled);
+    });
+
+    it('should reject conditional requests', async () => {
+      const ctx = DEFAULT_CONTEXT({
+        authInfo: createAuthInfoMock(['catalog:write']),
+        log: { error: sinon.stub(), info: sinon.stub() },
+        url: new URL(`https://example.com/myorg/sites/mysite/catalog/products/test-product.json?${`publishAt=${publishAt}`}`),
+        data: { sku: '1234', name: 'product-name' },
+        requestInfo: {
+          org: 'myorg',
+          site: 'mysite',
+          path: '/products/test-product.json',
+          method: 'PUT',
+          getHeader: (name) => ({ 'if-match': '"abc"' }[name.toLowerCase()]),
+        },
+        attributes: {
+          storageClient: storageStub,
+        },
+        env: {
+          INDEXER_QUEUE: {
+            send: sinon.stub().resolves(),
+          },
+        },
+      }, { path: '/products/test-product.json' });
+
+      const response = await handleProductSaveRequest(ctx);
+
+      assert.equal(response.status, 400);
+      assert.equal(response.headers.get('x-error'), 'conditional requests can not be scheduled');
+    });
+
+    it('should return 500 when the product can not be stored', async () => {
+      storageStub.saveScheduledProduct.rejects(new Error('bucket unavailable'));
+
+      const ctx = DEFAULT_CONTEXT({
+        authInfo: createAuthInfoMock(['catalog:write']),
+        log: { error: sinon.stub(), info: sinon.stub() },
+        url: new URL(`https://example.com/myorg/sites/mysite/catalog/products/test-product.json?${`publishAt=${publishAt}`}`),
+        data: { sku: '1234', name: 'product-name' },
+        requestInfo: {
+          org: 'myorg',
+          site: 'mysite',
+          path: '/products/test-product.json',
+          method: 'PUT',
+        },
+        attributes: {
+          storageClient: storageStub,
+        },
+        env: {
+          INDEXER_QUEUE: {
+            send: sinon.stub().resolves(),
+          },
+        },
+      }, { path: '/products/test-product.json' });
+      const response = await handleProductSaveRequest(ctx);
+
+      assert.equal(response.status, 500);
+      assert.equal(response.headers.get('x-error'), 'failed to schedule products');
+    });
+  });
+
+  describe('draft updates', () => {
+    beforeEach(() => {
+      storageStub.saveDraftProduct = sinon.stub().resolves('"draft-etag"');
+    });
+
+    it('should store a draft instead of the live product', async () => {
+      const ctx = DEFAULT_CONTEXT({
+        authInfo: createAuthInfoMock(['catalog:write']),
+        log: { error: sinon.stub(), info: sinon.stub() },
+        url: new URL('https://example.com/myorg/sites/mysite/catalog/products/test-product.json?state=draft'),
+        data: { sku: '1234', name: 'product-name' },
+        requestInfo: {
+          org: 'myorg',
+          site: 'mysite',
+          path: '/products/test-product.json',
+          method: 'PUT',
+        },
+        attributes: {
+          storageClient: storageStub,
+        },
+        env: {
+          INDEXER_QUEUE: {
+            send: sinon.stub().resolves(),
+          },
+        },
+      }, { path: '/products/test-product.json' });
+
+      const response = await handleProductSaveRequest(ctx);
+
+      assert.equal(response.status, 201);
+      assert.deepStrictEqual(await response.json(), {
+        product: {
+          sku: '1234',
+          path: '/products/test-product',
+          status: 201,
+          message: 'Draft saved',
+          etag: '"draft-etag"',
+        },
+      });
+      assert(storageStub.saveDraftProduct.calledOnceWithExactly(
+        { sku: '1234', name: 'product-name', path: '/products/test-product' },
+      ));
+      assert(storageStub.saveProductsByPath.notCalled);
+      assert(ctx.env.INDEXER_QUEUE.send.notCalled);
+    });
+
+    it('should store valid products of a bulk request as drafts and report invalid ones with 207', async () => {
+      const ctx = DEFAULT_CONTEXT({
+        authInfo: createAuthInfoMock(['catalog:write']),
+        log: { error: sinon.stub(), info: sinon.stub() },
+        url: new URL('https://example.com/myorg/sites/mysite/catalog/*?state=draft'),
+        data: [
+          { sku: 'valid', path: '/products/valid', name: 'Valid' },
+          { sku: 'invalid', path: '/products/invalid', name: 42 },
+        ],
+        requestInfo: {
+          org: 'myorg',
+          site: 'mysite',
+          path: '/*',
+          method: 'POST',
+        },
+        attributes: {
+          storageClient: storageStub,
+        },
+        env: {
+          INDEXER_QUEUE: {
+            send: sinon.stub().resolves(),
+          },
+        },
+      }, { path: '/*' });
+
+      const response = await handleProductSaveRequest(ctx);
+
+      assert.equal(response.status, 207);
+      const { products } = await response.json();
+      assert.deepStrictEqual(products.map((p) => [p.sku, p.status]), [
+        ['valid', 201],
+        ['invalid', 400],
+      ]);
+      assert(storageStub.saveDraftProduct.calledOnce);
+      assert(storageStub.saveProductsByPath.notCalled);
+    });
+
+    it('should reject scheduled drafts', async () => {
+      const ctx = DEFAULT_CONTEXT({
+        authInfo: createAuthInfoMock(['catalog:write']),
+        log: { error: sinon.stub(), info: sinon.stub() },
+        url: new URL('https://example.com/myorg/sites/mysite/catalog/products/test-product.json?state=draft&publishAt=2099-01-01T00:00:00Z'),
+        data: { sku: '1234', name: 'product-name' },
+        requestInfo: {
+          org: 'myorg',
+          site: 'mysite',
+          path: '/products/test-product.json',
+          method: 'PUT',
+        },
+        attributes: {
+          storageClient: storageStub,
+        },
+        env: {
+          INDEXER_QUEUE: {
+            send: sinon.stub().resolves(),
+          },
+        },
+      }, { path: '/products/test-product.json' });
+      const response = await handleProductSaveRequest(ctx);
+      assert.equal(response.status, 400);
+      assert.equal(response.headers.get('x-error'), 'drafts can not be scheduled');
+      assert(storageStub.saveDraftProduct.notCalled);
+    });
+
+    it('should reject conditional drafts', async () => {
+      const ctx = DEFAULT_CONTEXT({
+        authInfo: createAuthInfoMock(['catalog:write']),
+        log: { error: sinon.stub(), info: sinon.stub() },
+        url: new URL('https://example.com/myorg/sites/mysite/catalog/products/test-product.json?state=draft'),
+        data: { sku: '1234', name: 'product-name' },
+        requestInfo: {
+          org: 'myorg',
+          site: 'mysite',
+          path: '/products/test-product.json',
+          method: 'PUT',
+          getHeader: (name) => ({ 'if-match': '"abc"' }[name.toLowerCase()]),
+        },
+        attributes: {
+          storageClient: storageStub,
+        },
+        env: {
+          INDEXER_QUEUE: {
+            send: sinon.stub().resolves(),
+          },
+        },
+      }, { path: '/products/test-product.json' });
+      const response = await handleProductSaveRequest(ctx);
+      assert.equal(response.status, 400);
+      assert.equal(response.headers.get('x-error'), 'conditional requests are not supported for drafts');
+      assert(storageStub.saveDraftProduct.notCalled);
+    });
+
+    it('should return 500 when the draft can not be stored', async () => {
+      storageStub.saveDraftProduct.rejects(new Error('bucket unavailable'));
+
+      const ctx = DEFAULT_CONTEXT({
+        authInfo: createAuthInfoMock(['catalog:write']),
+        log: { error: sinon.stub(), info: sinon.stub() },
+        url: new URL('https://example.com/myorg/sites/mysite/catalog/products/test-product.json?state=draft'),
+        data: { sku: '1234', name: 'product-name' },
+        requestInfo: {
+          org: 'myorg',
+          site: 'mysite',
+          path: '/products/test-product.json',
+          method: 'PUT',
+        },
+        attributes: {
+          storageClient: storageStub,
+        },
+        env: {
+          INDEXER_QUEUE: {
+            send: sinon.stub().resolves(),
+          },
+        },
+      }, { path: '/products/test-product.json' });
+      const response = await handleProductSaveRequest(ctx);
+
+      assert.equal(response.status, 500);
+      assert.equal(response.headers.get('x-error'), 'failed to save drafts');
+    });
+  });
 });
@@ -118,7 +118,9 @@ describe('Product Bulk Save Tests', () => {
       const request = {};
 
       storageStub.fetchProductByPath = sinon.stub().resolves(null);
-      storageStub.saveProductsByPath.resolves(products.map((p) => ({ sku: p.sku, path: p.path })));
+      storageStub.saveProductsByPath.resolves(products.map((p) => ({
+        sku: p.sku, path: p.path, status: 200,
+      })));
       const response = await handleProductSaveRequest(ctx, request, storageStub);
 
       assert.equal(response.status, 201);
@@ -150,7 +152,9 @@ describe('Product Bulk Save Tests', () => {
       const request = {};
 
       storageStub.fetchProductByPath = sinon.stub().resolves(null);
-      storageStub.saveProductsByPath.resolves(products.map((p) => ({ sku: p.sku, path: p.path })));
+      storageStub.saveProductsByPath.resolves(products.map((p) => ({
+        sku: p.sku, path: p.path, status: 200,
+      })));
       const response = await handleProductSaveRequest(ctx, request, storageStub);
 
       assert.equal(response.status, 201);
@@ -160,7 +164,7 @@ describe('Product Bulk Save Tests', () => {
       assert.equal(asyncImagesFlag, true);
     });
 
-    it('should return 400 when a product in bulk array is missing path field', async () => {
+    it('should report a product in bulk array that is missing path field and save the rest', async () => {
       const products = [
         { sku: '1234', path: '/products/product-1', name: 'product-name' },
         { sku: '5678', name: 'product-name-2' }, // Missing path
@@ -174,17 +178,30 @@ describe('Product Bulk Save Tests', () => {
           org: 'myorg',
           site: 'mysite',
         },
+        attributes: { storageClient: storageStub },
+        env: {
+          INDEXER_QUEUE: {
+            send: sinon.stub().resolves(),
+          },
+        },
       }, { path: '/*' });
       ctx.data = products;
       const request = {};
 
+      storageStub.fetchProductByPath = sinon.stub().resolves(null);
+      storageStub.saveProductsByPath.resolves([{ sku: '1234', path: '/products/product-1', status: 200 }]);
       const response = await handleProductSaveRequest(ctx, request, storageStub);
 
-      assert.equal(response.status, 400);
-      assert.equal(response.headers.get('x-error'), 'each product must have a path field for bulk operations');
+      assert.equal(response.status, 207);
+      const body = await response.json();
+      assert.equal(body.products[1].sku, '5678');
+      assert.equal(body.products[1].status, 400);
+      assert.equal(body.products[1].errors[0].path, '$');
+      const [saved] = storageStub.saveProductsByPath.firstCall.args;
+      assert.equal(saved.length, 1);
     });
 
-    it('should handle errors during save and still return 201 with results', async () => {
+    it('should still return 201 with results when publishing indexing jobs fails', async () => {
       const products = [
         { sku: '1234', path: '/products/product-1', name: 'product-name' },
       ];
@@ -215,10 +232,207 @@ describe('Product Bulk Save Tests', () => {
       }]);
       const response = await handleProductSaveRequest(ctx, request, storageStub);
 
-      // Should still return 201 even though there was an error
+      // Should still return 201 since the product was saved
       assert.equal(response.status, 201);
       // Verify error was logged
       assert(ctx.log.error.calledOnce);
     });
   });
+
+  describe('NDJSON and CSV uploads', () => {
+    beforeEach(() => {
+      storageStub.fetchProductByPath = sinon.stub().resolves(null);
+      storageStub.saveProductsByPath.callsFake(async (products) => products.map((p) => ({
+        sku: p.sku, path: p.path, status: 200,
+      })));
+    });
+
+    it('should save products from NDJSON and report unreadable lines', async () => {
+      const ctx = DEFAULT_CONTEXT({
+        authInfo: createAuthInfoMock(['catalog:write']),
+        log: { error: sinon.stub(), info: sinon.stub() },
+        data: [
+          '{"sku":"a","name":"A","path":"/products/a"}',
+          '',
+          '{"sku":',
+          '{"sku":"b","name":"B","path":"/products/b"}',
+        ].join('\n'),
+        requestInfo: {
+          path: '/*',
+          method: 'POST',
+          org: 'myorg',
+          site: 'mysite',
+          getHeader: (name) => ({ 'content-type': 'application/x-ndjson' }[name.toLowerCase()]),
+        },
+        attributes: { storageClient: storageStub },
+        env: {
+          INDEXER_QUEUE: {
+            send: sinon.stub().resolves(),
+          },
+        },
+      }, { path: '/*' });
+
+      const response = await handleProductSaveRequest(ctx);
+
+      assert.equal(response.status, 207);
+      const { products } = await response.json();
+      assert.deepStrictEqual(products.map((p) => [p.sku, p.status, p.line]), [
+        ['a', 200, undefined],
+        ['b', 200, undefined],
+        [undefined, 400, 3],
+      ]);
+      assert.equal(products[2].message, 'Invalid JSON');
+    });
+
+    it('should save products from CSV', async () => {
+      const ctx = DEFAULT_CONTEXT({
+        authInfo: createAuthInfoMock(['catalog:write']),
+        log: { error: sinon.stub(), info: sinon.stub() },
+        data: [
+          'sku,name,path,price.currency,price.final,images',
+          'a,Product A,/products/a,USD,9.99,https://example.com/a.jpg',
+          'b,,/products/b,,,',
+        ].join('\r\n'),
+        requestInfo: {
+          path: '/*',
+          method: 'POST',
+          org: 'myorg',
+          site: 'mysite',
+          getHeader: (name) => ({ 'content-type': 'text/csv; charset=utf-8' }[name.toLowerCase()]),
+        },
+        attributes: { storageClient: storageStub },
+        env: {
+          INDEXER_QUEUE: {
+            send: sinon.stub().resolves(),
+          },
+        },
+      }, { path: '/*' });
+
+      const response = await handleProductSaveRequest(ctx);
+
+      assert.equal(response.status, 207);
+      const [saved] = storageStub.saveProductsByPath.firstCall.args;
+      assert.deepStrictEqual(saved, [{
+        sku: 'a',
+        name: 'Product A',
+        path: '/products/a',
+        price: { currency: 'USD', final: '9.99' },
+        images: [{ url: 'https://example.com/a.jpg' }],
+      }]);
+      const { products } = await response.json();
+      assert.equal(products[1].sku, 'b');
+      assert.equal(products[1].line, 3);
+      assert.equal(products[1].message, 'Invalid product');
+    });
+
+    it('should apply the bulk size limit to the records', async () => {
+      const lines = Array.from({ length: 51 }, (_, i) => JSON.stringify({ sku: `${i}`, name: `${i}`, path: `/products/${i}` }));
+      const ctx = DEFAULT_CONTEXT({
+        authInfo: createAuthInfoMock(['catalog:write']),
+        log: { error: sinon.stub(), info: sinon.stub() },
+        data: lines.join('\n'),
+        requestInfo: {
+          path: '/*',
+          method: 'POST',
+          org: 'myorg',
+          site: 'mysite',
+          getHeader: (name) => ({ 'content-type': 'application/x-ndjson' }[name.toLowerCase()]),
+        },
+        attributes: { storageClient: storageStub },
+        env: {
+          INDEXER_QUEUE: {
+            send: sinon.stub().resolves(),
+          },
+        },
+      }, { path: '/*' });
+
+      const response = await handleProductSaveRequest(ctx);
+
+      assert.equal(response.status, 400);
+      assert.equal(response.headers.get('x-error'), 'data must be an array of 50 or fewer products');
+    });
+
+    it('should report unreadable records in a dry run', async () => {
+      const ctx = DEFAULT_CONTEXT({
+        authInfo: createAuthInfoMock(['catalog:write']),
+        log: { error: sinon.stub(), info: sinon.stub() },
+        data: '{"sku":"a","name":"A","path":"/products/a"}\nnope',
+        requestInfo: {
+          path: '/*',
+          method: 'POST',
+          org: 'myorg',
+          site: 'mysite',
+          getHeader: (name) => ({ 'content-type': 'application/x-ndjson' }[name.toLowerCase()]),
+        },
+        attributes: { storageClient: storageStub },
+        env: {
+          INDEXER_QUEUE: {
+            send: sinon.stub().resolves(),
+          },
+        },
+      }, { path: '/*' });
+      ctx.url = new URL('https://example.com/myorg/sites/mysite/catalog/*?dryRun=true');
+
+      const response = await handleProductSaveRequest(ctx);
+
+      assert.equal(response.status, 200);
+      const { products } = await response.json();
+      assert.deepStrictEqual(products, [
+        {
+          sku: 'a', path: '/products/a', line: 1, outcome: 'would-create', newImages: false,
+        },
+        { line: 2, outcome: 'invalid', message: 'Invalid JSON' },
+      ]);
+      assert(storageStub.saveProductsByPath.notCalled);
+    });
+
+    it('should reject malformed CSV', async () => {
+      const ctx = DEFAULT_CONTEXT({
+        authInfo: createAuthInfoMock(['catalog:write']),
+        log: { error: sinon.stub(), info: sinon.stub() },
+        data: 'sku,name\n"a,b',
+        requestInfo: {
+          path: '/*',
+          method: 'POST',
+          org: 'myorg',
+          site: 'mysite',
+          getHeader: (name) => ({ 'content-type': 'text/csv' }[name.toLowerCase()]),
+        },
+        attributes: { storageClient: storageStub },
+        env: {
+          INDEXER_QUEUE: {
+            send: sinon.stub().resolves(),
+          },
+        },
+      }, { path: '/*' });
+
+      await assert.rejects(handleProductSaveRequest(ctx), (e) => e.response.status === 400);
+    });
+
+    it('should reject text bodies of other types', async () => {
+      const ctx = DEFAULT_CONTEXT({
+        authInfo: createAuthInfoMock(['catalog:write']),
+        log: { error: sinon.stub(), info: sinon.stub() },
+        data: 'sku,name',
+        requestInfo: {
+          path: '/*',
+          method: 'POST',
+          org: 'myorg',
+          site: 'mysite',
+          getHeader: (name) => ({ 'content-type': 'text/plain' }[name.toLowerCase()]),
+        },
+        attributes: { storageClient: storageStub },
+        env: {
+          INDEXER_QUEUE: {
+            send: sinon.stub().resolves(),
+          },
+        },
+      }, { path: '/*' });
+
+      const response = await handleProductSaveRequest(ctx);
+
+      assert.equal(response.status, 400);
+      assert.equal(response.headers.get('x-error'), 'data must be an array');
+    });
+  });
 });
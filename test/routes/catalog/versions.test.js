@@ -0,0 +1,150 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+// @ts-nocheck
+
+import assert from 'node:assert';
+import sinon from 'sinon';
+import { DEFAULT_CONTEXT, createAuthInfoMock } from '../../fixtures/context.js';
+import versions from '../../../src/routes/catalog/versions.js';
+
+describe('Catalog Versions Tests', () => {
+  let storageStub;
+
+  beforeEach(() => {
+    storageStub = {
+      listProductVersions: sinon.stub(),
+      getProductVersion: sinon.stub(),
+    };
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should list the versions of a product', async () => {
+    const list = [
+      { id: '2026-01-02T00:00:00.000Z-bbbbbbbb', sku: 'sku1', createdAt: '2026-01-02T00:00:00.000Z' },
+      { id: '2026-01-01T00:00:00.000Z-aaaaaaaa', sku: 'sku1', createdAt: '2026-01-01T00:00:00.000Z' },
+    ];
+    storageStub.listProductVersions.resolves(list);
+
+    const ctx = DEFAULT_CONTEXT({
+      authInfo: createAuthInfoMock(['catalog:read']),
+      requestInfo: {
+        org: 'org',
+        site: 'site',
+        path: '/products/test-product.json',
+        method: 'GET',
+      },
+      attributes: {
+        storageClient: storageStub,
+      },
+      data: { versions: '' },
+    }, { path: '/products/test-product.json' });
+    const response = await versions(ctx);
+
+    assert.equal(response.status, 200);
+    assert.deepStrictEqual(await response.json(), { versions: list });
+    assert(storageStub.listProductVersions.calledOnceWithExactly('/products/test-product.json'));
+  });
+
+  it('should return a single version', async () => {
+    const product = { sku: 'sku1', name: 'Old name', path: '/products/test-product' };
+    storageStub.getProductVersion.resolves(product);
+
+    const ctx = DEFAULT_CONTEXT({
+      authInfo: createAuthInfoMock(['catalog:read']),
+      requestInfo: {
+        org: 'org',
+        site: 'site',
+        path: '/products/test-product.json',
+        method: 'GET',
+      },
+      attributes: {
+        storageClient: storageStub,
+      },
+      data: { version: '2026-01-01T00:00:00.000Z-aaaaaaaa' },
+    }, { path: '/products/test-product.json' });
+    const response = await versions(ctx);
+
+    assert.equal(response.status, 200);
+    assert.deepStrictEqual(await response.json(), product);
+    assert(storageStub.getProductVersion.calledOnceWithExactly(
+      '/products/test-product.json',
+      '2026-01-01T00:00:00.000Z-aaaaaaaa',
+    ));
+  });
+
+  it('should return 404 for an unknown version', async () => {
+    storageStub.getProductVersion.resolves(null);
+
+    const ctx = DEFAULT_CONTEXT({
+      authInfo: createAuthInfoMock(['catalog:read']),
+      requestInfo: {
+        org: 'org',
+        site: 'site',
+        path: '/products/test-product.json',
+        method: 'GET',
+      },
+      attributes: {
+        storageClient: storageStub,
+      },
+      data: { version: '2026-01-01T00:00:00.000Z-aaaaaaaa' },
+    }, { path: '/products/test-product.json' });
+    const response = await versions(ctx);
+
+    assert.equal(response.status, 404);
+    assert.equal(response.headers.get('x-error'), 'Version not found');
+  });
+
+  it('should return 400 for an invalid version id', async () => {
+    const ctx = DEFAULT_CONTEXT({
+      authInfo: createAuthInfoMock(['catalog:read']),
+      requestInfo: {
+        org: 'org',
+        site: 'site',
+        path: '/products/test-product.json',
+        method: 'GET',
+      },
+      attributes: {
+        storageClient: storageStub,
+      },
+      data: { version: '../other-product' },
+    }, { path: '/products/test-product.json' });
+    const response = await versions(ctx);
+
+    assert.equal(response.status, 400);
+    assert.equal(response.headers.get('x-error'), 'invalid version');
+    assert(storageStub.getProductVersion.notCalled);
+  });
+
+  it('should require catalog:read', async () => {
+    const ctx = DEFAULT_CONTEXT({
+      authInfo: createAuthInfoMock([]),
+      requestInfo: {
+        org: 'org',
+        site: 'site',
+        path: '/products/test-product.json',
+        method: 'GET',
+      },
+      attributes: {
+        storageClient: storageStub,
+      },
+      data: { versions: '' },
+    }, { path: '/products/test-product.json' });
+    await assert.rejects(
+      versions(ctx),
+      (e) => e.response.status === 403,
+    );
+  });
+});
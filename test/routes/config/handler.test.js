@@ -68,6 +68,35 @@ describe('Config Handler Tests', () => {
       assert(configsBucketStub.get.calledOnceWith('myorg/mysite/config.json'));
     });
 
+    it('should not return the secrets of webhooks', async () => {
+      configsBucketStub.get.resolves({
+        json: sinon.stub().resolves({
+          catalogCacheControl: 'no-store',
+          webhooks: [{ url: 'https://search.example.com/hook', secret: 'a-secret-of-16-chars' }],
+        }),
+      });
+
+      const ctx = DEFAULT_CONTEXT({
+        authInfo: createAuthInfoMock(['config:read']),
+        requestInfo: {
+          org: 'myorg',
+          site: 'mysite',
+          method: 'GET',
+        },
+        env: {
+          CONFIGS_BUCKET: configsBucketStub,
+        },
+      });
+
+      const response = await configHandler(ctx);
+
+      assert.equal(response.status, 200);
+      assert.deepStrictEqual(await response.json(), {
+        catalogCacheControl: 'no-store',
+        webhooks: [{ url: 'https://search.example.com/hook' }],
+      });
+    });
+
     it('should return 404 when config does not exist', async () => {
       configsBucketStub.get.resolves(null);
 
@@ -333,6 +362,47 @@ describe('Config Handler Tests', () => {
       }
     });
 
+    it('should accept webhooks and reject invalid ones', async () => {
+      configsBucketStub.put.resolves();
+      const ctx = DEFAULT_CONTEXT({
+        authInfo: createAuthInfoMock(['config:write']),
+        requestInfo: {
+          org: 'myorg',
+          site: 'mysite',
+          method: 'POST',
+        },
+        data: {
+          webhooks: [
+            { url: 'https://search.example.com/hook', secret: 'a-secret-of-16-chars', events: ['create', 'update'] },
+          ],
+        },
+        log: {
+          info: sinon.stub(),
+          error: sinon.stub(),
+        },
+        env: {
+          CONFIGS_BUCKET: configsBucketStub,
+        },
+      });
+
+      const response = await configHandler(ctx);
+      assert.equal(response.status, 200);
+      assert.deepStrictEqual((await response.json()).webhooks, [
+        { url: 'https://search.example.com/hook', events: ['create', 'update'] },
+      ]);
+      assert.equal(JSON.parse(configsBucketStub.put.firstCall.args[1]).webhooks[0].secret, 'a-secret-of-16-chars');
+
+      for (const webhook of [
+        { url: 'http://search.example.com/hook', secret: 'a-secret-of-16-chars' },
+        { url: 'https://search.example.com/hook', secret: 'short' },
+        { url: 'https://search.example.com/hook', secret: 'a-secret-of-16-chars', events: ['publish'] },
+      ]) {
+        ctx.data = { webhooks: [webhook] };
+        // eslint-disable-next-line no-await-in-loop
+        await assert.rejects(configHandler(ctx), (e) => e.response.status === 400);
+      }
+    });
+
     it('should return 500 when R2 put operation fails', async () => {
       configsBucketStub.put.rejects(new Error('R2 error'));
 
@@ -24,11 +24,13 @@ describe('routes/index', () => {
     assert(handlers.indices, 'indices handler should be exported');
     assert(handlers.config, 'config handler should be exported');
     assert(handlers.emails, 'emails handler should be exported');
+    assert(handlers.webhooks, 'webhooks handler should be exported');
+    assert(handlers.inventory, 'inventory handler should be exported');
   });
 
   it('should export correct number of handlers', () => {
     const handlerKeys = Object.keys(handlers);
-    assert.strictEqual(handlerKeys.length, 9);
+    assert.strictEqual(handlerKeys.length, 11);
   });
 
   it('should have handlers as functions', () => {
@@ -41,5 +43,7 @@ describe('routes/index', () => {
     assert.strictEqual(typeof handlers.indices, 'function');
     assert.strictEqual(typeof handlers.config, 'function');
     assert.strictEqual(typeof handlers.emails, 'function');
+    assert.strictEqual(typeof handlers.webhooks, 'function');
+    assert.strictEqual(typeof handlers.inventory, 'function');
   });
 });
@@ -0,0 +1,88 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+// @ts-nocheck
+
+import assert from 'node:assert';
+import sinon from 'sinon';
+import { DEFAULT_CONTEXT, createAuthInfoMock } from '../../fixtures/context.js';
+import handler from '../../../src/routes/inventory/handler.js';
+
+describe('routes/inventory handler tests', () => {
+  it('should 405 on invalid methods', async () => {
+    const ctx = DEFAULT_CONTEXT({
+      authInfo: createAuthInfoMock(['catalog:read']),
+      requestInfo: { method: 'GET' },
+      attributes: { storageClient: {} },
+    });
+    assert.equal((await handler(ctx)).status, 405);
+    ctx.requestInfo.method = 'PUT';
+    ctx.requestInfo.variables = { sku: 'sku-1' };
+    assert.equal((await handler(ctx)).status, 405);
+  });
+
+  it('should return the record of a SKU with its availability', async () => {
+    const record = {
+      sku: 'sku 1',
+      quantity: 10,
+      reserved: 7,
+      updatedAt: '2026-03-01T11:00:00.000Z',
+    };
+    const storage = { getInventoryRecord: sinon.stub().resolves(record) };
+
+    const ctx = DEFAULT_CONTEXT({
+      authInfo: createAuthInfoMock(['catalog:read']),
+      requestInfo: {
+        method: 'GET',
+        variables: { sku: 'sku%201' },
+      },
+      attributes: { storageClient: storage },
+    });
+    const resp = await handler(ctx);
+
+    assert.equal(resp.status, 200);
+    assert.equal(resp.headers.get('Cache-Control'), 'no-store');
+    assert.deepStrictEqual(await resp.json(), { ...record, availability: 'LimitedAvailability' });
+    assert(storage.getInventoryRecord.calledOnceWithExactly('sku 1'));
+  });
+
+  it('should return 404 for SKUs without a record', async () => {
+    const storage = { getInventoryRecord: sinon.stub().resolves(null) };
+
+    const ctx = DEFAULT_CONTEXT({
+      authInfo: createAuthInfoMock(['catalog:read']),
+      requestInfo: {
+        method: 'GET',
+        variables: { sku: 'sku-1' },
+      },
+      attributes: { storageClient: storage },
+    });
+    const resp = await handler(ctx);
+
+    assert.equal(resp.status, 404);
+  });
+
+  it('should require catalog:read', async () => {
+    const ctx = DEFAULT_CONTEXT({
+      authInfo: createAuthInfoMock([]),
+      requestInfo: {
+        method: 'GET',
+        variables: { sku: 'sku-1' },
+      },
+      attributes: { storageClient: {} },
+    });
+    await assert.rejects(
+      handler(ctx),
+      (e) => e.response.status === 403,
+    );
+  });
+});
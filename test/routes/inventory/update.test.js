@@ -0,0 +1,259 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+// @ts-nocheck
+
+import assert from 'node:assert';
+import sinon from 'sinon';
+import esmock from 'esmock';
+import { DEFAULT_CONTEXT, createAuthInfoMock } from '../../fixtures/context.js';
+
+describe('routes/inventory update tests', () => {
+  let update;
+  let purgeBatchStub;
+  let storageStub;
+  let records;
+
+  beforeEach(async () => {
+    records = {};
+    purgeBatchStub = sinon.stub().resolves(true);
+    storageStub = {
+      getInventoryRecord: sinon.stub().callsFake(async (sku) => records[sku] ?? null),
+      saveInventoryRecord: sinon.stub().callsFake(async (record) => {
+        records[record.sku] = record;
+      }),
+      findProductPathsBySku: sinon.stub().resolves([]),
+    };
+
+    ({ default: update } = await esmock('../../../src/routes/inventory/update.js', {
+      '../../../src/utils/config.js': {
+        fetchHelixConfig: sinon.stub().resolves({}),
+      },
+      '../../../src/routes/cache/purge.js': {
+        purgeBatch: purgeBatchStub,
+      },
+    }));
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should store the records and refresh products whose availability changed', async () => {
+    storageStub.findProductPathsBySku.withArgs('a').resolves([{ path: '/products/a', variant: false }]);
+    const ctx = DEFAULT_CONTEXT({
+      authInfo: createAuthInfoMock(['catalog:write']),
+      log: { info: sinon.stub(), warn: sinon.stub(), error: sinon.stub() },
+      data: [
+        { sku: 'a', quantity: 0, location: 'warehouse-1' },
+        { sku: 'b', quantity: 50, reserved: 5 },
+      ],
+      requestInfo: { method: 'POST' },
+      attributes: {
+        storageClient: storageStub,
+        configs: { 'org/site/config.json': { inventoryEnabled: true } },
+      },
+      env: {
+        INDEXER_QUEUE: { send: sinon.stub().resolves() },
+      },
+    });
+
+    const resp = await update(ctx);
+
+    assert.equal(resp.status, 200);
+    assert.deepStrictEqual(await resp.json(), {
+      inventory: [
+        { sku: 'a', status: 200, availability: 'OutOfStock' },
+        { sku: 'b', status: 200, availability: 'InStock' },
+      ],
+    });
+    const [saved] = storageStub.saveInventoryRecord.firstCall.args;
+    assert.equal(saved.reserved, 0);
+    assert.equal(saved.location, 'warehouse-1');
+    assert(saved.updatedAt);
+
+    assert.deepStrictEqual(purgeBatchStub.firstCall.args[2], [
+      { type: 'update', path: '/products/a', sku: 'a' },
+    ]);
+    assert.deepStrictEqual(
+      ctx.env.INDEXER_QUEUE.send.firstCall.args[0].products,
+      [{ path: '/products/a', action: 'update' }],
+    );
+  });
+
+  it('should refresh each product once, with the SKU of the product', async () => {
+    storageStub.findProductPathsBySku.withArgs('v1').resolves([{ path: '/products/p', variant: true }]);
+    storageStub.findProductPathsBySku.withArgs('p').resolves([{ path: '/products/p', variant: false }]);
+    storageStub.findProductPathsBySku.withArgs('v2').resolves([{ path: '/products/q', variant: true }]);
+
+    const ctx = DEFAULT_CONTEXT({
+      authInfo: createAuthInfoMock(['catalog:write']),
+      log: { info: sinon.stub(), warn: sinon.stub(), error: sinon.stub() },
+      data: [
+        { sku: 'v1', quantity: 0 },
+        { sku: 'p', quantity: 0 },
+        { sku: 'v2', quantity: 0 },
+      ],
+      requestInfo: { method: 'POST' },
+      attributes: {
+        storageClient: storageStub,
+        configs: { 'org/site/config.json': { inventoryEnabled: true } },
+      },
+      env: {
+        INDEXER_QUEUE: { send: sinon.stub().resolves() },
+      },
+    });
+    const resp = await update(ctx);
+
+    assert.equal(resp.status, 200);
+    assert.deepStrictEqual(purgeBatchStub.firstCall.args[2], [
+      { type: 'update', path: '/products/p', sku: 'p' },
+      { type: 'update', path: '/products/q' },
+    ]);
+  });
+
+  it('should not touch products if the availability did not change', async () => {
+    records.a = { sku: 'a', quantity: 40, reserved: 0 };
+
+    const ctx = DEFAULT_CONTEXT({
+      authInfo: createAuthInfoMock(['catalog:write']),
+      log: { info: sinon.stub(), warn: sinon.stub(), error: sinon.stub() },
+      data: [{ sku: 'a', quantity: 30 }],
+      requestInfo: { method: 'POST' },
+      attributes: {
+        storageClient: storageStub,
+        configs: { 'org/site/config.json': { inventoryEnabled: true } },
+      },
+      env: {
+        INDEXER_QUEUE: { send: sinon.stub().resolves() },
+      },
+    });
+    const resp = await update(ctx);
+
+    assert.equal(resp.status, 200);
+    assert(storageStub.saveInventoryRecord.calledOnce);
+    assert(storageStub.findProductPathsBySku.notCalled);
+    assert(purgeBatchStub.notCalled);
+  });
+
+  it('should report invalid and duplicate records with 207', async () => {
+    const ctx = DEFAULT_CONTEXT({
+      authInfo: createAuthInfoMock(['catalog:write']),
+      log: { info: sinon.stub(), warn: sinon.stub(), error: sinon.stub() },
+      data: [
+        { sku: 'a', quantity: 3 },
+        { sku: 'b', quantity: 1.5 },
+        { sku: 'a', quantity: 4 },
+      ],
+      requestInfo: { method: 'POST' },
+      attributes: {
+        storageClient: storageStub,
+        configs: { 'org/site/config.json': { inventoryEnabled: true } },
+      },
+      env: {
+        INDEXER_QUEUE: { send: sinon.stub().resolves() },
+      },
+    });
+    const resp = await update(ctx);
+
+    assert.equal(resp.status, 207);
+    const { inventory } = await resp.json();
+    assert.deepStrictEqual(inventory.map(({ sku, status }) => [sku, status]), [
+      ['a', 200],
+      ['b', 400],
+      ['a', 400],
+    ]);
+    assert.equal(inventory[1].errors[0].path, '$.quantity');
+    assert.equal(inventory[2].message, 'Duplicate sku');
+    assert(storageStub.saveInventoryRecord.calledOnce);
+  });
+
+  it('should still succeed if refreshing the products fails', async () => {
+    storageStub.findProductPathsBySku.rejects(new Error('boom'));
+    const ctx = DEFAULT_CONTEXT({
+      authInfo: createAuthInfoMock(['catalog:write']),
+      log: { info: sinon.stub(), warn: sinon.stub(), error: sinon.stub() },
+      data: [{ sku: 'a', quantity: 3 }],
+      requestInfo: { method: 'POST' },
+      attributes: {
+        storageClient: storageStub,
+        configs: { 'org/site/config.json': { inventoryEnabled: true } },
+      },
+      env: {
+        INDEXER_QUEUE: { send: sinon.stub().resolves() },
+      },
+    });
+
+    const resp = await update(ctx);
+
+    assert.equal(resp.status, 200);
+    assert(ctx.log.error.calledOnce);
+  });
+
+  it('should reject bodies that are not a list of records', async () => {
+    const ctx = DEFAULT_CONTEXT({
+      authInfo: createAuthInfoMock(['catalog:write']),
+      log: { info: sinon.stub(), warn: sinon.stub(), error: sinon.stub() },
+      data: { sku: 'a', quantity: 1 },
+      requestInfo: { method: 'POST' },
+      attributes: {
+        storageClient: storageStub,
+        configs: { 'org/site/config.json': { inventoryEnabled: true } },
+      },
+      env: {
+        INDEXER_QUEUE: { send: sinon.stub().resolves() },
+      },
+    });
+    assert.equal((await update(ctx)).status, 400);
+    ctx.data = [];
+    assert.equal((await update(ctx)).status, 400);
+    const tooMany = Array.from({ length: 501 }, (_, i) => ({ sku: `s${i}`, quantity: 1 }));
+    ctx.data = tooMany;
+    assert.equal((await update(ctx)).status, 400);
+  });
+
+  it('should require catalog:write', async () => {
+    const ctx = DEFAULT_CONTEXT({
+      authInfo: createAuthInfoMock(['catalog:read']),
+      log: { info: sinon.stub(), warn: sinon.stub(), error: sinon.stub() },
+      data: [{ sku: 'a', quantity: 1 }],
+      requestInfo: { method: 'POST' },
+      attributes: {
+        storageClient: storageStub,
+        configs: { 'org/site/config.json': { inventoryEnabled: true } },
+      },
+      env: {
+        INDEXER_QUEUE: { send: sinon.stub().resolves() },
+      },
+    });
+    await assert.rejects(
+      update(ctx),
+      (e) => e.response.status === 403,
+    );
+  });
+
+  it('should reject records of sites without inventory', async () => {
+    const ctx = DEFAULT_CONTEXT({
+      authInfo: createAuthInfoMock(['catalog:write']),
+      log: { info: sinon.stub(), warn: sinon.stub(), error: sinon.stub() },
+      data: [{ sku: 'a', quantity: 1 }],
+      requestInfo: { method: 'POST' },
+      attributes: { storageClient: storageStub },
+    });
+
+    const resp = await update(ctx);
+
+    assert.equal(resp.status, 409);
+    assert.equal(resp.headers.get('x-error'), 'inventory is not enabled');
+    assert(storageStub.saveInventoryRecord.notCalled);
+  });
+});
@@ -0,0 +1,112 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+// @ts-nocheck
+
+import assert from 'node:assert';
+import sinon from 'sinon';
+import { DEFAULT_CONTEXT, createAuthInfoMock } from '../../fixtures/context.js';
+import handler from '../../../src/routes/webhooks/handler.js';
+
+describe('Webhooks Handler Tests', () => {
+  let storageStub;
+
+  beforeEach(() => {
+    storageStub = {
+      listWebhookDeliveries: sinon.stub().resolves({ deliveries: [], cursor: undefined }),
+    };
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should list the delivery log', async () => {
+    const delivery = {
+      id: 'd-1',
+      url: 'https://hooks.example.com',
+      attempt: 1,
+      timestamp: '2026-03-01T11:00:00.000Z',
+      outcome: 'delivered',
+      events: 2,
+      status: 200,
+    };
+    storageStub.listWebhookDeliveries.resolves({ deliveries: [delivery], cursor: 'next' });
+
+    const ctx = DEFAULT_CONTEXT({
+      authInfo: createAuthInfoMock(['config:read']),
+      data: { limit: '10', cursor: 'abc' },
+      requestInfo: {
+        org: 'org',
+        site: 'site',
+        method: 'GET',
+      },
+      attributes: {
+        storageClient: storageStub,
+      },
+    });
+    const response = await handler(ctx);
+
+    assert.equal(response.status, 200);
+    assert.deepStrictEqual(await response.json(), { deliveries: [delivery], cursor: 'next' });
+    assert(storageStub.listWebhookDeliveries.calledOnceWithExactly({ limit: 10, cursor: 'abc' }));
+  });
+
+  it('should reject an invalid limit', async () => {
+    const ctx = DEFAULT_CONTEXT({
+      authInfo: createAuthInfoMock(['config:read']),
+      data: { limit: '0' },
+      requestInfo: {
+        org: 'org',
+        site: 'site',
+        method: 'GET',
+      },
+      attributes: {
+        storageClient: storageStub,
+      },
+    });
+    await assert.rejects(handler(ctx), (e) => e.response.status === 400);
+    assert(storageStub.listWebhookDeliveries.notCalled);
+  });
+
+  it('should require config:read', async () => {
+    const ctx = DEFAULT_CONTEXT({
+      authInfo: createAuthInfoMock(['catalog:read']),
+      requestInfo: {
+        org: 'org',
+        site: 'site',
+        method: 'GET',
+      },
+      attributes: {
+        storageClient: storageStub,
+      },
+    });
+    await assert.rejects(handler(ctx), (e) => e.response.status === 403);
+  });
+
+  it('should return 405 for other methods', async () => {
+    const ctx = DEFAULT_CONTEXT({
+      authInfo: createAuthInfoMock(['config:read']),
+      requestInfo: {
+        org: 'org',
+        site: 'site',
+        method: 'POST',
+      },
+      attributes: {
+        storageClient: storageStub,
+      },
+    });
+    const response = await handler(ctx);
+
+    assert.equal(response.status, 405);
+  });
+});
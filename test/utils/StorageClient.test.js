@@ -21,6 +21,7 @@ import { DEFAULT_CONTEXT } from '../fixtures/context.js';
 
 describe('StorageClient Class Tests', () => {
   let StorageClient;
+  let MAX_PRODUCT_VERSIONS;
   let BatchProcessorMock;
   let purgeBatchMock;
   let config;
@@ -50,6 +51,7 @@ describe('StorageClient Class Tests', () => {
     });
 
     StorageClient = module.default;
+    ({ MAX_PRODUCT_VERSIONS } = module);
 
     config = {
       org: 'org',
@@ -78,7 +80,7 @@ describe('StorageClient Class Tests', () => {
       const client = new StorageClient(ctx);
       const product = await client.getProductByPath(path);
 
-      assert(ctx.env.CATALOG_BUCKET.get.calledOnceWithExactly('org/site/catalog/products/test-product.json'));
+      assert(ctx.env.CATALOG_BUCKET.get.calledOnceWithExactly('org/site/catalog/products/test-product.json', undefined));
       assert.deepStrictEqual(product, {
         sku: 'sku1', name: 'Test Product', path: '/products/test-product',
       });
@@ -104,7 +106,7 @@ describe('StorageClient Class Tests', () => {
         thrownError = e;
       }
 
-      assert(ctx.env.CATALOG_BUCKET.get.calledOnceWithExactly('org/site/catalog/products/nonexistent.json'));
+      assert(ctx.env.CATALOG_BUCKET.get.calledOnceWithExactly('org/site/catalog/products/nonexistent.json', undefined));
       assert.strictEqual(thrownError.message, 'Product not found');
     });
 
@@ -128,12 +130,124 @@ describe('StorageClient Class Tests', () => {
         thrownError = e;
       }
 
-      assert(ctx.env.CATALOG_BUCKET.get.calledOnceWithExactly('org/site/catalog/products/test-product.json'));
+      assert(ctx.env.CATALOG_BUCKET.get.calledOnceWithExactly('org/site/catalog/products/test-product.json', undefined));
       assert(thrownError instanceof Error);
       assert.strictEqual(thrownError.message, 'Bucket access error');
     });
   });
 
+  describe('getProductEntryByPath', () => {
+    it('should return the product with its validators', async () => {
+      const uploaded = new Date('2026-01-01T00:00:00.000Z');
+      const ctx = DEFAULT_CONTEXT({
+        env: {
+          CATALOG_BUCKET: {
+            get: sinon.stub().resolves({
+              httpEtag: '"etag-1"',
+              uploaded,
+              json: sinon.stub().resolves({ sku: 'sku1', path: '/products/test-product' }),
+            }),
+          },
+        },
+        requestInfo: config,
+      });
+
+      const client = new StorageClient(ctx);
+      const entry = await client.getProductEntryByPath('/products/test-product.json');
+
+      assert.deepStrictEqual(entry, {
+        etag: '"etag-1"',
+        lastModified: uploaded,
+        product: { sku: 'sku1', path: '/products/test-product' },
+      });
+    });
+
+    it('should pass read preconditions to R2 and flag unmodified objects', async () => {
+      const uploaded = new Date('2026-01-01T00:00:00.000Z');
+      const ctx = DEFAULT_CONTEXT({
+        env: {
+          CATALOG_BUCKET: {
+            // R2 returns an object without body if the preconditions fail
+            get: sinon.stub().resolves({ httpEtag: '"etag-1"', uploaded }),
+          },
+        },
+        requestInfo: config,
+      });
+
+      const client = new StorageClient(ctx);
+      const entry = await client.getProductEntryByPath('/products/test-product.json', { etagDoesNotMatch: 'etag-1' });
+
+      assert(ctx.env.CATALOG_BUCKET.get.calledOnceWithExactly(
+        'org/site/catalog/products/test-product.json',
+        { onlyIf: { etagDoesNotMatch: 'etag-1' } },
+      ));
+      assert.deepStrictEqual(entry, {
+        etag: '"etag-1"',
+        lastModified: uploaded,
+        product: null,
+        notModified: true,
+      });
+    });
+  });
+
+  describe('listProductsByPath', () => {
+    it('should list products with metadata and return the cursor when truncated', async () => {
+      const listStub = sinon.stub().resolves({
+        objects: [
+          {
+            key: 'org/site/catalog/products/product-1.json',
+            customMetadata: { sku: 'sku1', name: 'Product 1', path: '/products/product-1' },
+          },
+          {
+            key: 'org/site/catalog/products/product-2.json',
+          },
+          {
+            key: 'org/site/catalog/products/notes.txt',
+          },
+        ],
+        truncated: true,
+        cursor: 'next',
+      });
+      const ctx = DEFAULT_CONTEXT({
+        env: { CATALOG_BUCKET: { list: listStub } },
+        requestInfo: config,
+      });
+
+      const client = new StorageClient(ctx);
+      const res = await client.listProductsByPath('/products/', { limit: 10, cursor: 'prev' });
+
+      assert(listStub.calledOnceWithExactly({
+        prefix: 'org/site/catalog/products/',
+        limit: 10,
+        cursor: 'prev',
+        include: ['customMetadata'],
+      }));
+      assert.deepStrictEqual(res, {
+        products: [
+          { sku: 'sku1', name: 'Product 1', path: '/products/product-1' },
+          { sku: undefined, name: undefined, path: '/products/product-2' },
+        ],
+        cursor: 'next',
+      });
+    });
+
+    it('should omit the cursor on the last page', async () => {
+      const ctx = DEFAULT_CONTEXT({
+        env: {
+          CATALOG_BUCKET: {
+            list: sinon.stub().resolves({ objects: [], truncated: false }),
+          },
+        },
+        requestInfo: config,
+      });
+
+      const client = new StorageClient(ctx);
+      const res = await client.listProductsByPath('/');
+
+      assert.deepStrictEqual(res, { products: [], cursor: undefined });
+    });
+  });
+
   describe('saveProductsByPath', () => {
     it('should successfully save multiple products with paths', async () => {
       const ctx = DEFAULT_CONTEXT({
@@ -1862,6 +1976,1111 @@ describe('StorageClient Class Tests', () => {
     });
   });
 
+  describe('conditional writes', () => {
+    it('storeProductsBatchByPath passes preconditions to R2 and reports the etag', async () => {
+      const putStub = sinon.stub().resolves({ httpEtag: '"etag-2"' });
+      const ctx = DEFAULT_CONTEXT({
+        log: { info: sinon.stub(), error: sinon.stub() },
+        env: { CATALOG_BUCKET: { get: sinon.stub().resolves(null), put: putStub } },
+        requestInfo: config,
+      });
+      const client = new StorageClient(ctx);
+
+      const results = await client.storeProductsBatchByPath(
+        [{ sku: 'sku1', name: 'Product 1', path: '/products/product-1' }],
+        true,
+        { etagMatches: 'etag-1' },
+      );
+
+      assert.deepStrictEqual(putStub.firstCall.args[2].onlyIf, { etagMatches: 'etag-1' });
+      assert.deepStrictEqual(results, [{
+        sku: 'sku1',
+        path: '/products/product-1',
+        message: 'Product saved successfully.',
+        status: 200,
+        etag: '"etag-2"',
+      }]);
+      assert(purgeBatchMock.calledOnce);
+    });
+
+    it('storeProductsBatchByPath reports 412 when R2 skips the write', async () => {
+      const ctx = DEFAULT_CONTEXT({
+        log: { info: sinon.stub(), error: sinon.stub() },
+        env: {
+          CATALOG_BUCKET: {
+            get: sinon.stub().resolves({ text: async () => '{}' }),
+            put: sinon.stub().resolves(null),
+          },
+        },
+        requestInfo: config,
+      });
+      const client = new StorageClient(ctx);
+
+      const results = await client.storeProductsBatchByPath(
+        [{ sku: 'sku1', name: 'Product 1', path: '/products/product-1' }],
+        true,
+        { etagDoesNotMatch: '*' },
+      );
+
+      assert.deepStrictEqual(results, [{
+        sku: 'sku1',
+        path: '/products/product-1',
+        status: 412,
+        message: 'Precondition failed',
+      }]);
+      assert(purgeBatchMock.notCalled);
+    });
+
+    it('deleteProductsBatchByPath reports 412 when the etag does not match', async () => {
+      const deleteStub = sinon.stub().resolves();
+      const ctx = DEFAULT_CONTEXT({
+        log: { info: sinon.stub(), warn: sinon.stub(), error: sinon.stub() },
+        env: {
+          CATALOG_BUCKET: {
+            get: sinon.stub().resolves({ etag: 'etag-1', customMetadata: { sku: 'sku1' } }),
+            delete: deleteStub,
+          },
+        },
+        requestInfo: config,
+      });
+      const client = new StorageClient(ctx);
+
+      const results = await client.deleteProductsBatchByPath(
+        ['/products/product-1.json'],
+        { etagMatches: 'etag-2' },
+      );
+
+      assert.deepStrictEqual(results, [{
+        sku: 'sku1',
+        path: '/products/product-1.json',
+        status: 412,
+        message: 'Precondition failed',
+      }]);
+      assert(deleteStub.notCalled);
+    });
+  });
+
+  describe('deleteProductsBatchByPath purging', () => {
+    it('purges deleted products in one batch and reports the outcome', async () => {
+      purgeBatchMock.resolves(true);
+      const ctx = DEFAULT_CONTEXT({
+        log: { info: sinon.stub(), warn: sinon.stub(), error: sinon.stub() },
+        env: {
+          CATALOG_BUCKET: {
+            get: sinon.stub().callsFake(async (key) => (key.endsWith('missing.json') ? null : {
+              customMetadata: { sku: 'sku1' },
+              text: async () => '{"sku":"sku1"}',
+            })),
+            put: sinon.stub().resolves({}),
+            delete: sinon.stub().resolves(),
+            list: sinon.stub().resolves({ objects: [] }),
+          },
+        },
+        requestInfo: config,
+      });
+      const client = new StorageClient(ctx);
+
+      const results = await client.deleteProductsBatchByPath(['/products/product-1.json', '/products/missing.json']);
+
+      assert(purgeBatchMock.calledOnceWithExactly(ctx, ctx.requestInfo, [
+        { sku: 'sku1', path: '/products/product-1' },
+      ]));
+      assert.strictEqual(results[0].purged, true);
+      assert.strictEqual(results[1].status, 404);
+      assert.strictEqual(results[1].purged, undefined);
+    });
+
+    it('reports purged false when the purge fails', async () => {
+      purgeBatchMock.rejects(new Error('CDN unavailable'));
+      const ctx = DEFAULT_CONTEXT({
+        log: { info: sinon.stub(), warn: sinon.stub(), error: sinon.stub() },
+        env: {
+          CATALOG_BUCKET: {
+            get: sinon.stub().callsFake(async (key) => (key.endsWith('missing.json') ? null : {
+              customMetadata: { sku: 'sku1' },
+              text: async () => '{"sku":"sku1"}',
+            })),
+            put: sinon.stub().resolves({}),
+            delete: sinon.stub().resolves(),
+            list: sinon.stub().resolves({ objects: [] }),
+          },
+        },
+        requestInfo: config,
+      });
+      const client = new StorageClient(ctx);
+
+      const results = await client.deleteProductsBatchByPath(['/products/product-1.json']);
+
+      assert.strictEqual(results[0].status, 200);
+      assert.strictEqual(results[0].purged, false);
+      assert(ctx.log.error.calledWithMatch(/Failed to purge cache for deleted products/));
+    });
+
+    it('does not purge when nothing was deleted', async () => {
+      const ctx = DEFAULT_CONTEXT({
+        log: { info: sinon.stub(), warn: sinon.stub(), error: sinon.stub() },
+        env: {
+          CATALOG_BUCKET: {
+            get: sinon.stub().callsFake(async (key) => (key.endsWith('missing.json') ? null : {
+              customMetadata: { sku: 'sku1' },
+              text: async () => '{"sku":"sku1"}',
+            })),
+            put: sinon.stub().resolves({}),
+            delete: sinon.stub().resolves(),
+            list: sinon.stub().resolves({ objects: [] }),
+          },
+        },
+        requestInfo: config,
+      });
+      const client = new StorageClient(ctx);
+
+      await client.deleteProductsBatchByPath(['/products/missing.json']);
+
+      assert(purgeBatchMock.notCalled);
+    });
+  });
+
+  describe('product versions', () => {
+    const versionKey = (id) => `org/site/catalog-versions/products/product-1/${id}.json`;
+
+    it('storeProductsBatchByPath keeps the previous body as a version', async () => {
+      const previousBody = JSON.stringify({ sku: 'sku1', name: 'Old', path: '/products/product-1' });
+      const putStub = sinon.stub().resolves({ httpEtag: '"etag-2"' });
+      const ctx = DEFAULT_CONTEXT({
+        log: { info: sinon.stub(), error: sinon.stub() },
+        env: {
+          CATALOG_BUCKET: {
+            get: sinon.stub().resolves({
+              text: async () => previousBody,
+              customMetadata: { sku: 'sku1', name: 'Old', path: '/products/product-1' },
+            }),
+            put: putStub,
+            list: sinon.stub().resolves({ objects: [] }),
+          },
+        },
+        requestInfo: config,
+      });
+      const client = new StorageClient(ctx);
+
+      const results = await client.storeProductsBatchByPath(
+        [{ sku: 'sku1', name: 'New', path: '/products/product-1' }],
+      );
+
+      assert.equal(results[0].status, 200);
+      const versionPuts = putStub.getCalls().filter((call) => call.args[0].includes('/catalog-versions/'));
+      assert.equal(versionPuts.length, 1);
+      const [key, body, opts] = versionPuts[0].args;
+      assert.match(key, /^org\/site\/catalog-versions\/products\/product-1\/\d{4}-.+-[0-9a-f]{8}\.json$/);
+      assert.equal(body, previousBody);
+      assert.equal(opts.customMetadata.sku, 'sku1');
+      assert.equal(opts.customMetadata.path, '/products/product-1');
+    });
+
+    it('storeProductsBatchByPath does not keep a version of an unchanged body', async () => {
+      const product = { sku: 'sku1', name: 'Same', path: '/products/product-1' };
+      const putStub = sinon.stub().resolves({});
+      const ctx = DEFAULT_CONTEXT({
+        log: { info: sinon.stub(), error: sinon.stub() },
+        env: {
+          CATALOG_BUCKET: {
+            get: sinon.stub().resolves({ text: async () => JSON.stringify(product) }),
+            put: putStub,
+          },
+        },
+        requestInfo: config,
+      });
+      const client = new StorageClient(ctx);
+
+      await client.storeProductsBatchByPath([{ ...product }]);
+
+      assert(putStub.getCalls().every((call) => !call.args[0].includes('/catalog-versions/')));
+    });
+
+    it('deleteProductsBatchByPath keeps the deleted body as a version', async () => {
+      const putStub = sinon.stub().resolves({});
+      const deleteStub = sinon.stub().resolves();
+      const ctx = DEFAULT_CONTEXT({
+        log: { info: sinon.stub(), warn: sinon.stub(), error: sinon.stub() },
+        env: {
+          CATALOG_BUCKET: {
+            get: sinon.stub().resolves({
+              etag: 'etag-1',
+              customMetadata: { sku: 'sku1' },
+              text: async () => '{"sku":"sku1"}',
+            }),
+            put: putStub,
+            delete: deleteStub,
+            list: sinon.stub().resolves({ objects: [] }),
+          },
+        },
+        requestInfo: config,
+      });
+      const client = new StorageClient(ctx);
+
+      const results = await client.deleteProductsBatchByPath(['/products/product-1.json']);
+
+      assert.equal(results[0].status, 200);
+      assert(deleteStub.calledWithExactly('org/site/catalog/products/product-1.json'));
+      assert(putStub.calledOnce);
+      assert(putStub.firstCall.args[0].startsWith('org/site/catalog-versions/products/product-1/'));
+      assert.equal(putStub.firstCall.args[1], '{"sku":"sku1"}');
+      assert(putStub.calledBefore(deleteStub));
+    });
+
+    it('deleteProductsBatchByPath keeps products whose version could not be saved', async () => {
+      const deleteStub = sinon.stub().resolves();
+      const ctx = DEFAULT_CONTEXT({
+        log: { info: sinon.stub(), warn: sinon.stub(), error: sinon.stub() },
+        env: {
+          CATALOG_BUCKET: {
+            get: sinon.stub().resolves({
+              etag: 'etag-1',
+              customMetadata: { sku: 'sku1' },
+              text: async () => '{"sku":"sku1"}',
+            }),
+            put: sinon.stub().rejects(new Error('R2 unavailable')),
+            delete: deleteStub,
+          },
+        },
+        requestInfo: config,
+      });
+      const client = new StorageClient(ctx);
+
+      const results = await client.deleteProductsBatchByPath(['/products/product-1.json']);
+
+      assert.equal(results[0].status, 500);
+      assert.equal(results[0].sku, 'sku1');
+      assert(deleteStub.notCalled);
+    });
+
+    it('storeProductsBatchByPath queues the pruning of versioned products', async () => {
+      const sendStub = sinon.stub().resolves();
+      const ctx = DEFAULT_CONTEXT({
+        log: { info: sinon.stub(), error: sinon.stub() },
+        env: {
+          CATALOG_BUCKET: {
+            get: sinon.stub().callsFake(async (key) => (key.endsWith('/product-1.json')
+              ? { text: async () => '{"sku":"sku1"}', customMetadata: {} }
+              : null)),
+            put: sinon.stub().resolves({}),
+          },
+          CATALOG_JOBS_QUEUE: { send: sendStub },
+        },
+        requestInfo: config,
+      });
+      const client = new StorageClient(ctx);
+
+      await client.storeProductsBatchByPath([
+        { sku: 'sku1', name: 'New', path: '/products/product-1' },
+        { sku: 'sku2', name: 'Added', path: '/products/product-2' },
+      ]);
+
+      assert(sendStub.calledOnceWithExactly({
+        type: 'prune-versions', org: 'org', site: 'site', paths: ['/products/product-1'],
+      }));
+    });
+
+    it('storeProductsBatchByPath does not index an unchanged body', async () => {
+      const product = { sku: 'sku1', name: 'Same', path: '/products/product-1' };
+      const putStub = sinon.stub().resolves({});
+      const sendStub = sinon.stub().resolves();
+      const ctx = DEFAULT_CONTEXT({
+        log: { info: sinon.stub(), error: sinon.stub() },
+        env: {
+          CATALOG_BUCKET: {
+            get: sinon.stub().resolves({ text: async () => JSON.stringify(product) }),
+            put: putStub,
+          },
+          CATALOG_JOBS_QUEUE: { send: sendStub },
+        },
+        requestInfo: config,
+      });
+      const client = new StorageClient(ctx);
+
+      await client.storeProductsBatchByPath([{ ...product }]);
+
+      assert(putStub.calledOnce);
+      assert(sendStub.notCalled);
+    });
+
+    it('queueVersionPruning logs failures without throwing', async () => {
+      const ctx = DEFAULT_CONTEXT({
+        log: { error: sinon.stub() },
+        env: { CATALOG_JOBS_QUEUE: { send: sinon.stub().rejects(new Error('queue unavailable')) } },
+        requestInfo: config,
+      });
+      const client = new StorageClient(ctx);
+
+      await client.queueVersionPruning(['/products/product-1']);
+
+      assert(ctx.log.error.calledOnce);
+    });
+
+    it('pruneProductVersions removes the oldest versions beyond the limit', async () => {
+      const ids = Array.from({ length: MAX_PRODUCT_VERSIONS + 2 }, (_, i) => `2026-01-${String(i + 1).padStart(2, '0')}T00:00:00.000Z-0000000${i % 10}`);
+      const deleteStub = sinon.stub().resolves();
+      const ctx = DEFAULT_CONTEXT({
+        log: { info: sinon.stub(), error: sinon.stub() },
+        env: {
+          CATALOG_BUCKET: {
+            put: sinon.stub().resolves({}),
+            list: sinon.stub().resolves({
+              objects: ids.map((id) => ({ key: versionKey(id), customMetadata: {} })),
+            }),
+            delete: deleteStub,
+          },
+        },
+        requestInfo: config,
+      });
+      const client = new StorageClient(ctx);
+
+      await client.pruneProductVersions(['/products/product-1.json']);
+
+      assert(deleteStub.calledOnceWithExactly([versionKey(ids[1]), versionKey(ids[0])]));
+    });
+
+    it('saveProductVersion logs failures without throwing', async () => {
+      const ctx = DEFAULT_CONTEXT({
+        log: { info: sinon.stub(), error: sinon.stub() },
+        env: {
+          CATALOG_BUCKET: {
+            put: sinon.stub().rejects(new Error('R2 unavailable')),
+          },
+        },
+        requestInfo: config,
+      });
+      const client = new StorageClient(ctx);
+
+      const id = await client.saveProductVersion('/products/product-1', '{}');
+
+      assert.strictEqual(id, undefined);
+      assert(ctx.log.error.calledOnce);
+    });
+
+    it('listProductVersions lists versions newest first', async () => {
+      const listStub = sinon.stub().resolves({
+        objects: [
+          { key: versionKey('2026-01-01T00:00:00.000Z-aaaaaaaa'), customMetadata: { sku: 'sku1', createdAt: '2026-01-01T00:00:00.000Z' } },
+          { key: versionKey('2026-01-02T00:00:00.000Z-bbbbbbbb'), customMetadata: { sku: 'sku1', name: 'P', createdAt: '2026-01-02T00:00:00.000Z' } },
+        ],
+      });
+      const ctx = DEFAULT_CONTEXT({
+        env: { CATALOG_BUCKET: { list: listStub } },
+        requestInfo: config,
+      });
+      const client = new StorageClient(ctx);
+
+      const versions = await client.listProductVersions('/products/product-1.json');
+
+      assert.equal(listStub.firstCall.args[0].prefix, 'org/site/catalog-versions/products/product-1/');
+      assert.deepStrictEqual(versions, [
+        {
+          id: '2026-01-02T00:00:00.000Z-bbbbbbbb', sku: 'sku1', name: 'P', createdAt: '2026-01-02T00:00:00.000Z',
+        },
+        {
+          id: '2026-01-01T00:00:00.000Z-aaaaaaaa', sku: 'sku1', name: undefined, createdAt: '2026-01-01T00:00:00.000Z',
+        },
+      ]);
+    });
+
+    it('getProductVersion returns null for unknown versions', async () => {
+      const getStub = sinon.stub().resolves(null);
+      const ctx = DEFAULT_CONTEXT({
+        env: { CATALOG_BUCKET: { get: getStub } },
+        requestInfo: config,
+      });
+      const client = new StorageClient(ctx);
+
+      const product = await client.getProductVersion('/products/product-1.json', '2026-01-01T00:00:00.000Z-aaaaaaaa');
+
+      assert.strictEqual(product, null);
+      assert(getStub.calledOnceWithExactly(versionKey('2026-01-01T00:00:00.000Z-aaaaaaaa')));
+    });
+  });
+
+  describe('SKU index', () => {
+    const skuKey = (sku, path) => `org/site/catalog-skus/${encodeURIComponent(sku)}/${encodeURIComponent(path)}`;
+
+    it('updateSkuIndex indexes product and variant SKUs and removes stale ones', async () => {
+      const putStub = sinon.stub().resolves({});
+      const deleteStub = sinon.stub().resolves();
+      const ctx = DEFAULT_CONTEXT({
+        log: { error: sinon.stub() },
+        env: { CATALOG_BUCKET: { put: putStub, delete: deleteStub } },
+        requestInfo: config,
+      });
+      const client = new StorageClient(ctx);
+
+      await client.updateSkuIndex(
+        '/products/product-1.json',
+        { sku: 'sku1', variants: [{ sku: 'sku1-red' }, { sku: 'sku1/blue' }] },
+        { sku: 'sku1', variants: [{ sku: 'sku1-red' }, { sku: 'sku1-green' }] },
+      );
+
+      assert.equal(putStub.callCount, 1);
+      assert(putStub.calledWithExactly(skuKey('sku1/blue', '/products/product-1'), '', {
+        customMetadata: { sku: 'sku1/blue', path: '/products/product-1', variant: 'true' },
+      }));
+      assert(deleteStub.calledOnceWithExactly([skuKey('sku1-green', '/products/product-1')]));
+    });
+
+    it('updateSkuIndex removes all SKUs of a deleted product', async () => {
+      const putStub = sinon.stub().resolves({});
+      const deleteStub = sinon.stub().resolves();
+      const ctx = DEFAULT_CONTEXT({
+        log: { error: sinon.stub() },
+        env: { CATALOG_BUCKET: { put: putStub, delete: deleteStub } },
+        requestInfo: config,
+      });
+      const client = new StorageClient(ctx);
+
+      await client.updateSkuIndex('/products/product-1.json', null, { sku: 'sku1', variants: [{ sku: 'sku1-red' }] });
+
+      assert(putStub.notCalled);
+      assert(deleteStub.calledOnceWithExactly([
+        skuKey('sku1-red', '/products/product-1'),
+        skuKey('sku1', '/products/product-1'),
+      ]));
+    });
+
+    it('updateSkuIndex logs failures without throwing', async () => {
+      const ctx = DEFAULT_CONTEXT({
+        log: { error: sinon.stub() },
+        env: { CATALOG_BUCKET: { put: sinon.stub().rejects(new Error('R2 unavailable')) } },
+        requestInfo: config,
+      });
+      const client = new StorageClient(ctx);
+
+      const updated = await client.updateSkuIndex('/products/product-1', { sku: 'sku1' });
+
+      assert.strictEqual(updated, false);
+      assert(ctx.log.error.calledOnce);
+    });
+
+    it('storeProductsBatchByPath indexes the stored product against the previous one', async () => {
+      const ctx = DEFAULT_CONTEXT({
+        log: { info: sinon.stub(), error: sinon.stub() },
+        env: {
+          CATALOG_BUCKET: {
+            get: sinon.stub().resolves({ text: async () => JSON.stringify({ sku: 'old-sku', path: '/products/product-1' }) }),
+            put: sinon.stub().resolves({}),
+            delete: sinon.stub().resolves(),
+            list: sinon.stub().resolves({ objects: [] }),
+          },
+        },
+        requestInfo: config,
+      });
+      const client = new StorageClient(ctx);
+
+      await client.storeProductsBatchByPath([{ sku: 'new-sku', name: 'P', path: '/products/product-1' }]);
+
+      assert(ctx.env.CATALOG_BUCKET.put.calledWith(skuKey('new-sku', '/products/product-1')));
+      assert(ctx.env.CATALOG_BUCKET.delete.calledWithExactly([skuKey('old-sku', '/products/product-1')]));
+    });
+
+    it('findProductPathsBySku lists the indexed paths', async () => {
+      const listStub = sinon.stub().resolves({
+        objects: [
+          { key: skuKey('sku1', '/products/a'), customMetadata: { variant: 'false' } },
+          { key: skuKey('sku1', '/products/b'), customMetadata: { variant: 'true' } },
+        ],
+      });
+      const ctx = DEFAULT_CONTEXT({
+        env: { CATALOG_BUCKET: { list: listStub } },
+        requestInfo: config,
+      });
+      const client = new StorageClient(ctx);
+
+      const paths = await client.findProductPathsBySku('sku1');
+
+      assert.equal(listStub.firstCall.args[0].prefix, 'org/site/catalog-skus/sku1/');
+      assert.deepStrictEqual(paths, [
+        { path: '/products/a', variant: false },
+        { path: '/products/b', variant: true },
+      ]);
+    });
+  });
+
+  describe('product redirects', () => {
+    it('saveProductRedirect writes the redirect record outside of the catalog', async () => {
+      const putStub = sinon.stub().resolves({});
+      const ctx = DEFAULT_CONTEXT({
+        env: { CATALOG_BUCKET: { put: putStub } },
+        requestInfo: config,
+      });
+      const client = new StorageClient(ctx);
+
+      const redirect = await client.saveProductRedirect('/products/old.json', '/products/new');
+
+      assert.deepStrictEqual(
+        { from: redirect.from, to: redirect.to },
+        { from: '/products/old', to: '/products/new' },
+      );
+      const [key, body] = putStub.firstCall.args;
+      assert.equal(key, 'org/site/catalog-redirects/products/old.json');
+      assert.deepStrictEqual(JSON.parse(body), redirect);
+    });
+
+    it('getProductRedirect returns the redirect record or null', async () => {
+      const getStub = sinon.stub();
+      getStub.withArgs('org/site/catalog-redirects/products/old.json').resolves({
+        json: async () => ({ from: '/products/old', to: '/products/new' }),
+      });
+      getStub.resolves(null);
+      const ctx = DEFAULT_CONTEXT({
+        env: { CATALOG_BUCKET: { get: getStub } },
+        requestInfo: config,
+      });
+      const client = new StorageClient(ctx);
+
+      assert.deepStrictEqual(
+        await client.getProductRedirect('/products/old.json'),
+        { from: '/products/old', to: '/products/new' },
+      );
+      assert.strictEqual(await client.getProductRedirect('/products/other.json'), null);
+    });
+  });
+
+  describe('iterateProductsByPath', () => {
+    it('pages through the catalog and loads the products', async () => {
+      const obj = (name, uploaded = new Date('2026-01-02T00:00:00Z')) => ({ key: `org/site/catalog/products/${name}`, uploaded });
+      const listStub = sinon.stub();
+      listStub.onFirstCall().resolves({
+        objects: [obj('a.json'), obj('image.png'), obj('old.json', new Date('2025-01-01T00:00:00Z'))],
+        truncated: true,
+        cursor: 'c1',
+      });
+      listStub.onSecondCall().resolves({ objects: [obj('b.json'), obj('gone.json')], truncated: false });
+      const getStub = sinon.stub().callsFake(async (key) => {
+        if (key.endsWith('gone.json')) {
+          return null;
+        }
+        return { json: async () => ({ key }) };
+      });
+      const ctx = DEFAULT_CONTEXT({
+        env: { CATALOG_BUCKET: { list: listStub, get: getStub } },
+        requestInfo: config,
+      });
+      const client = new StorageClient(ctx);
+
+      const products = [];
+      for await (const product of client.iterateProductsByPath('/products/', {
+        modifiedSince: new Date('2026-01-01T00:00:00Z'),
+      })) {
+        products.push(product);
+      }
+
+      assert.deepStrictEqual(products, [
+        { key: 'org/site/catalog/products/a.json' },
+        { key: 'org/site/catalog/products/b.json' },
+      ]);
+      assert.equal(listStub.firstCall.args[0].prefix, 'org/site/catalog/products/');
+      assert.equal(listStub.secondCall.args[0].cursor, 'c1');
+      assert(getStub.neverCalledWith('org/site/catalog/products/old.json'));
+    });
+  });
+
+  describe('fetchProductsByPrefix', () => {
+    it('loads one page of products of another site', async () => {
+      const listStub = sinon.stub().resolves({
+        objects: [
+          { key: 'org/staging/catalog/products/a.json' },
+          { key: 'org/staging/catalog/products/image.png' },
+          { key: 'org/staging/catalog/products/gone.json' },
+        ],
+        truncated: true,
+        cursor: 'c1',
+      });
+      const getStub = sinon.stub().callsFake(async (key) => {
+        if (key.endsWith('gone.json')) {
+          return null;
+        }
+        return { json: async () => ({ key, internal: { images: {} } }) };
+      });
+      const ctx = DEFAULT_CONTEXT({
+        env: { CATALOG_BUCKET: { list: listStub, get: getStub } },
+        requestInfo: config,
+      });
+      const client = new StorageClient(ctx);
+
+      const { products, cursor } = await client.fetchProductsByPrefix('org', 'staging', '/products/', { limit: 50, cursor: 'c0' });
+
+      assert.deepStrictEqual(products, [
+        { key: 'org/staging/catalog/products/a.json', internal: { images: {} } },
+      ]);
+      assert.equal(cursor, 'c1');
+      assert.deepStrictEqual(listStub.firstCall.args[0], {
+        prefix: 'org/staging/catalog/products/',
+        limit: 50,
+        cursor: 'c0',
+      });
+    });
+  });
+
+  describe('webhook deliveries', () => {
+    it('saveWebhookDelivery stores the attempt in the metadata, latest first', async () => {
+      const putStub = sinon.stub().resolves({});
+      const ctx = DEFAULT_CONTEXT({
+        env: { CATALOG_BUCKET: { put: putStub } },
+        requestInfo: config,
+      });
+      const client = new StorageClient(ctx);
+
+      await client.saveWebhookDelivery({
+        id: 'd-1',
+        url: 'https://hooks.example.com',
+        attempt: 2,
+        timestamp: '2026-03-01T11:00:00.000Z',
+        outcome: 'retrying',
+        events: 3,
+        status: undefined,
+        message: 'connection refused',
+      });
+
+      const [key, body, opts] = putStub.firstCall.args;
+      assert.equal(key, `org/site/catalog-webhook-deliveries/${9999999999999 - Date.parse('2026-03-01T11:00:00.000Z')}-d-1-2`);
+      assert.equal(body, '');
+      assert.deepStrictEqual(opts.customMetadata, {
+        id: 'd-1',
+        url: 'https://hooks.example.com',
+        attempt: '2',
+        timestamp: '2026-03-01T11:00:00.000Z',
+        outcome: 'retrying',
+        events: '3',
+        message: 'connection refused',
+      });
+    });
+
+    it('listWebhookDeliveries reads the attempts from the metadata', async () => {
+      const listStub = sinon.stub().resolves({
+        objects: [{
+          key: 'org/site/catalog-webhook-deliveries/1-d-1-1',
+          customMetadata: {
+            id: 'd-1',
+            url: 'https://hooks.example.com',
+            attempt: '1',
+            timestamp: '2026-03-01T11:00:00.000Z',
+            outcome: 'delivered',
+            events: '3',
+            status: '200',
+          },
+        }],
+        truncated: true,
+        cursor: 'next',
+      });
+      const ctx = DEFAULT_CONTEXT({
+        env: { CATALOG_BUCKET: { list: listStub } },
+        requestInfo: config,
+      });
+      const client = new StorageClient(ctx);
+
+      const result = await client.listWebhookDeliveries({ limit: 10 });
+
+      assert.deepStrictEqual(result, {
+        deliveries: [{
+          id: 'd-1',
+          url: 'https://hooks.example.com',
+          attempt: 1,
+          timestamp: '2026-03-01T11:00:00.000Z',
+          outcome: 'delivered',
+          events: 3,
+          status: 200,
+        }],
+        cursor: 'next',
+      });
+      assert.equal(listStub.firstCall.args[0].prefix, 'org/site/catalog-webhook-deliveries/');
+      assert.equal(listStub.firstCall.args[0].limit, 10);
+    });
+  });
+
+  describe('productExists', () => {
+    it('checks whether a product is stored at the path', async () => {
+      const headStub = sinon.stub().resolves(null);
+      headStub.withArgs('org/site/catalog/products/a.json').resolves({ key: 'org/site/catalog/products/a.json' });
+      const ctx = DEFAULT_CONTEXT({
+        env: { CATALOG_BUCKET: { head: headStub } },
+        requestInfo: config,
+      });
+      const client = new StorageClient(ctx);
+
+      assert.equal(await client.productExists('/products/a'), true);
+      assert.equal(await client.productExists('/products/b'), false);
+    });
+  });
+
+  describe('inventory', () => {
+    it('saveInventoryRecord stores the record in the metadata', async () => {
+      const putStub = sinon.stub().resolves({});
+      const ctx = DEFAULT_CONTEXT({
+        env: { CATALOG_BUCKET: { put: putStub } },
+        requestInfo: config,
+      });
+      const client = new StorageClient(ctx);
+
+      await client.saveInventoryRecord({
+        sku: 'sku/1',
+        quantity: 12,
+        reserved: 2,
+        location: undefined,
+        updatedAt: '2026-03-01T11:00:00.000Z',
+      });
+
+      const [key, body, opts] = putStub.firstCall.args;
+      assert.equal(key, 'org/site/catalog-inventory/sku%2F1');
+      assert.equal(body, '');
+      assert.deepStrictEqual(opts.customMetadata, {
+        sku: 'sku/1',
+        quantity: '12',
+        reserved: '2',
+        updatedAt: '2026-03-01T11:00:00.000Z',
+      });
+    });
+
+    it('getInventoryRecords reads the records of the SKUs that have one', async () => {
+      const headStub = sinon.stub().resolves(null);
+      headStub.withArgs('org/site/catalog-inventory/a').resolves({
+        customMetadata: {
+          sku: 'a',
+          quantity: '3',
+          reserved: '1',
+          location: 'warehouse-1',
+          updatedAt: '2026-03-01T11:00:00.000Z',
+        },
+      });
+      const ctx = DEFAULT_CONTEXT({
+        env: { CATALOG_BUCKET: { head: headStub } },
+        requestInfo: config,
+      });
+      const client = new StorageClient(ctx);
+
+      const records = await client.getInventoryRecords(['a', 'b']);
+
+      assert.deepStrictEqual([...records.entries()], [['a', {
+        sku: 'a',
+        quantity: 3,
+        reserved: 1,
+        location: 'warehouse-1',
+        updatedAt: '2026-03-01T11:00:00.000Z',
+      }]]);
+      assert(headStub.calledTwice);
+    });
+  });
+
+  describe('draft products', () => {
+    const product = { sku: 'a', name: 'A', path: '/products/a' };
+
+    it('saveDraftProduct stores the product under the drafts prefix', async () => {
+      const putStub = sinon.stub().resolves({ httpEtag: '"draft"' });
+      const ctx = DEFAULT_CONTEXT({
+        env: { CATALOG_BUCKET: { put: putStub } },
+        requestInfo: config,
+      });
+      const client = new StorageClient(ctx);
+
+      const etag = await client.saveDraftProduct(product);
+
+      assert.equal(etag, '"draft"');
+      assert.equal(putStub.firstCall.args[0], 'org/site/catalog-drafts/products/a.json');
+      assert.deepStrictEqual(JSON.parse(putStub.firstCall.args[1]), product);
+      assert.deepStrictEqual(putStub.firstCall.args[2].customMetadata, product);
+    });
+
+    it('getDraftProductEntry returns the draft and its validators', async () => {
+      const uploaded = new Date('2026-03-01T11:00:00.000Z');
+      const getStub = sinon.stub();
+      getStub.withArgs('org/site/catalog-drafts/products/a.json').resolves({
+        httpEtag: '"draft"',
+        uploaded,
+        json: async () => product,
+      });
+      getStub.resolves(null);
+      const ctx = DEFAULT_CONTEXT({
+        env: { CATALOG_BUCKET: { get: getStub } },
+        requestInfo: config,
+      });
+      const client = new StorageClient(ctx);
+
+      assert.deepStrictEqual(await client.getDraftProductEntry('/products/a.json'), {
+        etag: '"draft"', lastModified: uploaded, product,
+      });
+      assert.equal(await client.getDraftProductEntry('/products/b.json'), null);
+    });
+
+    it('deleteDraftProduct removes the draft', async () => {
+      const deleteStub = sinon.stub().resolves();
+      const ctx = DEFAULT_CONTEXT({
+        env: { CATALOG_BUCKET: { delete: deleteStub } },
+        requestInfo: config,
+      });
+      const client = new StorageClient(ctx);
+
+      await client.deleteDraftProduct('/products/a');
+
+      assert(deleteStub.calledOnceWithExactly('org/site/catalog-drafts/products/a.json'));
+    });
+  });
+
+  describe('scheduled products', () => {
+    const product = { sku: 'a', name: 'A', path: '/products/a' };
+
+    it('saveScheduledProduct stores the product and indexes it by publishing time', async () => {
+      const headStub = sinon.stub().resolves(null);
+      const putStub = sinon.stub().resolves({});
+      const deleteStub = sinon.stub().resolves();
+      const ctx = DEFAULT_CONTEXT({
+        env: { CATALOG_BUCKET: { head: headStub, put: putStub, delete: deleteStub } },
+        requestInfo: config,
+      });
+      const client = new StorageClient(ctx);
+
+      await client.saveScheduledProduct(product, '2026-03-01T11:00:00.000Z');
+
+      assert(headStub.calledOnceWithExactly('org/site/catalog-scheduled/products/a.json'));
+      assert.deepStrictEqual(putStub.getCalls().map((c) => c.args[0]), [
+        'org/site/catalog-scheduled/products/a.json',
+        '_schedule/2026-03-01T11:00:00.000Z/org/site/products/a',
+      ]);
+      assert.deepStrictEqual(JSON.parse(putStub.firstCall.args[1]), product);
+      assert.deepStrictEqual(putStub.firstCall.args[2].customMetadata, {
+        sku: 'a', path: '/products/a', publishAt: '2026-03-01T11:00:00.000Z',
+      });
+      assert(deleteStub.notCalled);
+    });
+
+    it('saveScheduledProduct removes the index entry of a replaced schedule', async () => {
+      const headStub = sinon.stub().resolves({ customMetadata: { publishAt: '2026-02-01T00:00:00.000Z' } });
+      const putStub = sinon.stub().resolves({});
+      const deleteStub = sinon.stub().resolves();
+      const ctx = DEFAULT_CONTEXT({
+        env: { CATALOG_BUCKET: { head: headStub, put: putStub, delete: deleteStub } },
+        requestInfo: config,
+      });
+      const client = new StorageClient(ctx);
+
+      await client.saveScheduledProduct(product, '2026-03-01T11:00:00.000Z');
+
+      assert(deleteStub.calledOnceWithExactly('_schedule/2026-02-01T00:00:00.000Z/org/site/products/a'));
+    });
+
+    it('getScheduledProduct returns the product and its publishing time', async () => {
+      const getStub = sinon.stub().resolves({
+        customMetadata: { publishAt: '2026-03-01T11:00:00.000Z' },
+        etag: 'etag-1',
+        json: async () => product,
+      });
+      const ctx = DEFAULT_CONTEXT({
+        env: { CATALOG_BUCKET: { get: getStub } },
+        requestInfo: config,
+      });
+      const client = new StorageClient(ctx);
+
+      const scheduled = await client.getScheduledProduct('/products/a.json');
+
+      assert.deepStrictEqual(scheduled, { publishAt: '2026-03-01T11:00:00.000Z', product, etag: 'etag-1' });
+      assert(getStub.calledOnceWithExactly('org/site/catalog-scheduled/products/a.json'));
+    });
+
+    it('deleteScheduledProduct removes the product and its index entry', async () => {
+      const deleteStub = sinon.stub().resolves();
+      const ctx = DEFAULT_CONTEXT({
+        env: { CATALOG_BUCKET: { delete: deleteStub } },
+        requestInfo: config,
+      });
+      const client = new StorageClient(ctx);
+
+      await client.deleteScheduledProduct('/products/a', '2026-03-01T11:00:00.000Z');
+
+      assert(deleteStub.calledOnceWithExactly([
+        'org/site/catalog-scheduled/products/a.json',
+        '_schedule/2026-03-01T11:00:00.000Z/org/site/products/a',
+      ]));
+    });
+
+    it('deleteScheduledProduct keeps a product that was rescheduled since it was loaded', async () => {
+      const deleteStub = sinon.stub().resolves();
+      const headStub = sinon.stub().resolves({
+        etag: 'etag-2',
+        customMetadata: { publishAt: '2026-04-01T00:00:00.000Z' },
+      });
+      const ctx = DEFAULT_CONTEXT({
+        env: { CATALOG_BUCKET: { delete: deleteStub, head: headStub } },
+        requestInfo: config,
+      });
+      const client = new StorageClient(ctx);
+
+      assert.equal(await client.deleteScheduledProduct('/products/a', '2026-03-01T11:00:00.000Z', 'etag-1'), false);
+      assert(headStub.calledOnceWithExactly('org/site/catalog-scheduled/products/a.json'));
+      assert(deleteStub.calledOnceWithExactly('_schedule/2026-03-01T11:00:00.000Z/org/site/products/a'));
+
+      // the index entry of a change rescheduled for the same time is its own
+      deleteStub.resetHistory();
+      headStub.resolves({ etag: 'etag-2', customMetadata: { publishAt: '2026-03-01T11:00:00.000Z' } });
+      assert.equal(await client.deleteScheduledProduct('/products/a', '2026-03-01T11:00:00.000Z', 'etag-1'), false);
+      assert(deleteStub.notCalled);
+
+      headStub.resolves({ etag: 'etag-1', customMetadata: { publishAt: '2026-03-01T11:00:00.000Z' } });
+      assert.equal(await client.deleteScheduledProduct('/products/a', '2026-03-01T11:00:00.000Z', 'etag-1'), true);
+      assert(deleteStub.calledOnceWithExactly([
+        'org/site/catalog-scheduled/products/a.json',
+        '_schedule/2026-03-01T11:00:00.000Z/org/site/products/a',
+      ]));
+    });
+
+    it('listDueScheduledProducts lists the entries of all sites up to now', async () => {
+      const listStub = sinon.stub().resolves({
+        objects: [
+          { key: '_schedule/2026-03-01T10:00:00.000Z/org/site/products/a' },
+          { key: '_schedule/2026-03-01T11:00:00.000Z/other/main/products/nested/b' },
+          { key: '_schedule/2026-03-01T13:00:00.000Z/org/site/products/c' },
+        ],
+        truncated: true,
+        cursor: 'c1',
+      });
+
+      const entries = await StorageClient.listDueScheduledProducts(
+        { CATALOG_BUCKET: { list: listStub } },
+        new Date('2026-03-01T12:00:00.000Z'),
+        100,
+      );
+
+      assert.deepStrictEqual(entries, [
+        {
+          publishAt: '2026-03-01T10:00:00.000Z', org: 'org', site: 'site', path: '/products/a',
+        },
+        {
+          publishAt: '2026-03-01T11:00:00.000Z', org: 'other', site: 'main', path: '/products/nested/b',
+        },
+      ]);
+      assert(listStub.calledOnce);
+      assert.deepStrictEqual(listStub.firstCall.args[0], { prefix: '_schedule/', cursor: undefined, limit: 100 });
+    });
+  });
+
+  describe('catalog jobs', () => {
+    const job = {
+      id: 'job-1', type: 'import', createdAt: '2026-01-01T00:00:00.000Z', total: 2, chunks: 1,
+    };
+
+    it('saveCatalogJob writes the job outside of the catalog', async () => {
+      const putStub = sinon.stub().resolves({});
+      const ctx = DEFAULT_CONTEXT({
+        env: { CATALOG_BUCKET: { put: putStub } },
+        requestInfo: config,
+      });
+      const client = new StorageClient(ctx);
+
+      await client.saveCatalogJob(job);
+
+      assert(putStub.calledOnce);
+      assert.equal(putStub.firstCall.args[0], 'org/site/catalog-jobs/job-1/job.json');
+      assert.deepStrictEqual(JSON.parse(putStub.firstCall.args[1]), job);
+    });
+
+    it('updateCatalogJob retries updates of jobs that changed concurrently', async () => {
+      const getStub = sinon.stub();
+      getStub.onFirstCall().resolves({ etag: 'e1', json: async () => job });
+      getStub.onSecondCall().resolves({ etag: 'e2', json: async () => ({ ...job, lastQueuedChunk: 1 }) });
+      const putStub = sinon.stub();
+      putStub.onFirstCall().resolves(null);
+      putStub.onSecondCall().resolves({});
+      const ctx = DEFAULT_CONTEXT({
+        env: { CATALOG_BUCKET: { get: getStub, put: putStub } },
+        requestInfo: config,
+      });
+      const client = new StorageClient(ctx);
+
+      const updated = await client.updateCatalogJob('job-1', (j) => ({ ...j, total: 3 }));
+
+      assert.deepStrictEqual(updated, { ...job, lastQueuedChunk: 1, total: 3 });
+      assert.deepStrictEqual(putStub.secondCall.args[2].onlyIf, { etagMatches: 'e2' });
+      assert.deepStrictEqual(JSON.parse(putStub.secondCall.args[1]), updated);
+    });
+
+    it('updateCatalogJob returns null for unknown jobs', async () => {
+      const ctx = DEFAULT_CONTEXT({
+        env: { CATALOG_BUCKET: { get: sinon.stub().resolves(null) } },
+        requestInfo: config,
+      });
+      const client = new StorageClient(ctx);
+
+      assert.strictEqual(await client.updateCatalogJob('job-1', (j) => j), null);
+    });
+
+    it('saveCatalogJobSource and deleteCatalogJobSource write and remove the source', async () => {
+      const putStub = sinon.stub().resolves({});
+      const deleteStub = sinon.stub().resolves();
+      const ctx = DEFAULT_CONTEXT({
+        env: { CATALOG_BUCKET: { put: putStub, delete: deleteStub } },
+        requestInfo: config,
+      });
+      const client = new StorageClient(ctx);
+
+      await client.saveCatalogJobSource('job-1', '{"sku":"a"}');
+      await client.deleteCatalogJobSource('job-1');
+
+      assert(putStub.calledOnceWithExactly('org/site/catalog-jobs/job-1/source', '{"sku":"a"}'));
+      assert(deleteStub.calledOnceWithExactly('org/site/catalog-jobs/job-1/source'));
+    });
+
+    it('getCatalogJobSource reads a byte range of the source', async () => {
+      const getStub = sinon.stub().resolves({ text: async () => '{"sku":"b"}' });
+      const ctx = DEFAULT_CONTEXT({
+        env: { CATALOG_BUCKET: { get: getStub } },
+        requestInfo: config,
+      });
+      const client = new StorageClient(ctx);
+
+      const text = await client.getCatalogJobSource('job-1', { offset: 12, length: 11 });
+
+      assert.equal(text, '{"sku":"b"}');
+      assert(getStub.calledOnceWithExactly('org/site/catalog-jobs/job-1/source', { range: { offset: 12, length: 11 } }));
+    });
+
+    it('saveCatalogJobChunkResult keeps the counts as metadata', async () => {
+      const putStub = sinon.stub().resolves({});
+      const ctx = DEFAULT_CONTEXT({
+        env: { CATALOG_BUCKET: { put: putStub } },
+        requestInfo: config,
+      });
+      const client = new StorageClient(ctx);
+
+      await client.saveCatalogJobChunkResult('job-1', {
+        chunk: 3, saved: 1, unchanged: 0, failed: 1, errors: [{ line: 2, status: 400, message: 'Invalid JSON' }],
+      });
+
+      const [key, , opts] = putStub.firstCall.args;
+      assert.equal(key, 'org/site/catalog-jobs/job-1/results/3.json');
+      assert.deepStrictEqual(opts.customMetadata, {
+        chunk: '3', saved: '1', unchanged: '0', failed: '1',
+      });
+    });
+
+    it('listCatalogJobChunkResults pages through the results, ordered by chunk', async () => {
+      const obj = (chunk) => ({
+        key: `org/site/catalog-jobs/job-1/results/${chunk}.json`,
+        customMetadata: {
+          chunk: String(chunk), saved: '50', unchanged: '0', failed: '0',
+        },
+      });
+      const listStub = sinon.stub();
+      listStub.onFirstCall().resolves({ objects: [obj(10), obj(2)], truncated: true, cursor: 'c1' });
+      listStub.onSecondCall().resolves({ objects: [obj(1)], truncated: false });
+      const ctx = DEFAULT_CONTEXT({
+        env: { CATALOG_BUCKET: { list: listStub } },
+        requestInfo: config,
+      });
+      const client = new StorageClient(ctx);
+
+      const results = await client.listCatalogJobChunkResults('job-1');
+
+      assert.deepStrictEqual(results.map((r) => r.chunk), [1, 2, 10]);
+      assert.deepStrictEqual(results[0], {
+        chunk: 1, saved: 50, unchanged: 0, failed: 0,
+      });
+      assert.equal(listStub.secondCall.args[0].cursor, 'c1');
+    });
+  });
+
   describe('orders and customers', () => {
     let clock;
     beforeEach(() => {
@@ -0,0 +1,160 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+// @ts-nocheck
+
+import assert from 'node:assert';
+import {
+  normalizeEtag,
+  getWriteConditions,
+  getReadConditions,
+  writeConditionsMet,
+  withAvailability,
+  withLocale,
+  withPricePeriod,
+  etagNotModified,
+} from '../../src/utils/conditional.js';
+
+/**
+ * @param {Record<string, string>} headers
+ */
+const requestInfoWithHeaders = (headers) => ({
+  getHeader: (name) => headers[name.toLowerCase()],
+});
+
+describe('Conditional Request Utils', () => {
+  describe('normalizeEtag', () => {
+    it('should strip quotes and weak prefix', () => {
+      assert.strictEqual(normalizeEtag('"abc"'), 'abc');
+      assert.strictEqual(normalizeEtag('W/"abc"'), 'abc');
+      assert.strictEqual(normalizeEtag(' abc '), 'abc');
+      assert.strictEqual(normalizeEtag('*'), '*');
+    });
+  });
+
+  describe('getWriteConditions', () => {
+    it('should return undefined without conditional headers', () => {
+      assert.strictEqual(getWriteConditions(requestInfoWithHeaders({})), undefined);
+    });
+
+    it('should map If-Match to etagMatches', () => {
+      const conditions = getWriteConditions(requestInfoWithHeaders({ 'if-match': '"abc"' }));
+      assert.deepStrictEqual(conditions, { etagMatches: 'abc' });
+    });
+
+    it('should map If-None-Match to etagDoesNotMatch', () => {
+      const conditions = getWriteConditions(requestInfoWithHeaders({ 'if-none-match': '*' }));
+      assert.deepStrictEqual(conditions, { etagDoesNotMatch: '*' });
+    });
+
+    it('should reject multiple entity tags', () => {
+      assert.throws(
+        () => getWriteConditions(requestInfoWithHeaders({ 'if-match': '"a", "b"' })),
+        (e) => e.response.status === 400,
+      );
+    });
+
+    it('should strip the price period of an entity tag', () => {
+      const conditions = getWriteConditions(requestInfoWithHeaders({ 'if-match': '"abc-p2"' }));
+      assert.deepStrictEqual(conditions, { etagMatches: 'abc' });
+    });
+
+    it('should strip the derived suffixes of an entity tag', () => {
+      const conditions = getWriteConditions(requestInfoWithHeaders({ 'if-match': '"abc-3-p2-a0f1e2d3-lzh-Hant-TW"' }));
+      assert.deepStrictEqual(conditions, { etagMatches: 'abc-3' });
+    });
+  });
+
+  describe('withPricePeriod', () => {
+    it('should add the price period to the entity tag', () => {
+      assert.equal(withPricePeriod('"abc"', 2), '"abc-p2"');
+      assert.equal(withPricePeriod('"abc"', undefined), '"abc"');
+    });
+  });
+
+  describe('withAvailability', () => {
+    it('should add the availability digest to the entity tag', () => {
+      assert.equal(withAvailability('"abc-p2"', '0f1e2d3c'), '"abc-p2-a0f1e2d3c"');
+      assert.equal(withAvailability('"abc"', undefined), '"abc"');
+    });
+  });
+
+  describe('withLocale', () => {
+    it('should add the applied locale to the entity tag', () => {
+      assert.equal(withLocale('"abc-p2"', 'de-CH'), '"abc-p2-lde-CH"');
+      assert.equal(withLocale('"abc"', undefined), '"abc"');
+    });
+  });
+
+  describe('etagNotModified', () => {
+    it('should match the entity tags of If-None-Match', () => {
+      assert.equal(etagNotModified(requestInfoWithHeaders({ 'if-none-match': '"a", W/"abc-p2"' }), '"abc-p2"'), true);
+      assert.equal(etagNotModified(requestInfoWithHeaders({ 'if-none-match': '"abc-p1"' }), '"abc-p2"'), false);
+      assert.equal(etagNotModified(requestInfoWithHeaders({}), '"abc-p2"'), false);
+    });
+  });
+
+  describe('writeConditionsMet', () => {
+    it('should pass without conditions', () => {
+      assert.strictEqual(writeConditionsMet(undefined, undefined), true);
+      assert.strictEqual(writeConditionsMet('abc', undefined), true);
+    });
+
+    it('should evaluate etagMatches', () => {
+      assert.strictEqual(writeConditionsMet('abc', { etagMatches: 'abc' }), true);
+      assert.strictEqual(writeConditionsMet('abc', { etagMatches: 'def' }), false);
+      assert.strictEqual(writeConditionsMet('abc', { etagMatches: '*' }), true);
+      assert.strictEqual(writeConditionsMet(undefined, { etagMatches: '*' }), false);
+    });
+
+    it('should evaluate etagDoesNotMatch', () => {
+      assert.strictEqual(writeConditionsMet('abc', { etagDoesNotMatch: 'abc' }), false);
+      assert.strictEqual(writeConditionsMet('abc', { etagDoesNotMatch: 'def' }), true);
+      assert.strictEqual(writeConditionsMet('abc', { etagDoesNotMatch: '*' }), false);
+      assert.strictEqual(writeConditionsMet(undefined, { etagDoesNotMatch: '*' }), true);
+    });
+  });
+
+  describe('getReadConditions', () => {
+    it('should return undefined without conditional headers', () => {
+      assert.strictEqual(getReadConditions(requestInfoWithHeaders({})), undefined);
+    });
+
+    it('should map If-None-Match to etagDoesNotMatch', () => {
+      const conditions = getReadConditions(requestInfoWithHeaders({ 'if-none-match': 'W/"abc"' }));
+      assert.deepStrictEqual(conditions, { etagDoesNotMatch: 'abc' });
+    });
+
+    it('should ignore If-None-Match with multiple entity tags', () => {
+      const conditions = getReadConditions(requestInfoWithHeaders({ 'if-none-match': '"a", "b"' }));
+      assert.strictEqual(conditions, undefined);
+    });
+
+    it('should map If-Modified-Since to uploadedAfter, rounded up to the second', () => {
+      const conditions = getReadConditions(requestInfoWithHeaders({ 'if-modified-since': 'Thu, 01 Jan 2026 00:00:00 GMT' }));
+      assert.deepStrictEqual(conditions, { uploadedAfter: new Date('2026-01-01T00:00:00.999Z') });
+    });
+
+    it('should ignore If-Modified-Since when If-None-Match is present', () => {
+      const conditions = getReadConditions(requestInfoWithHeaders({
+        'if-none-match': '"abc"',
+        'if-modified-since': 'Thu, 01 Jan 2026 00:00:00 GMT',
+      }));
+      assert.deepStrictEqual(conditions, { etagDoesNotMatch: 'abc' });
+    });
+
+    it('should ignore invalid dates', () => {
+      const conditions = getReadConditions(requestInfoWithHeaders({ 'if-modified-since': 'yesterday' }));
+      assert.strictEqual(conditions, undefined);
+    });
+  });
+});
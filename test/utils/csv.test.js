@@ -0,0 +1,134 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+// @ts-nocheck
+
+import assert from 'node:assert';
+import { parseCsv, csvToProducts } from '../../src/utils/csv.js';
+
+describe('CSV Utils', () => {
+  describe('parseCsv', () => {
+    it('should parse rows with the line they start at', () => {
+      const rows = parseCsv('a,b\r\n1,2\n\n3,4');
+
+      assert.deepStrictEqual(rows, [
+        { line: 1, cells: ['a', 'b'] },
+        { line: 2, cells: ['1', '2'] },
+        { line: 4, cells: ['3', '4'] },
+      ]);
+    });
+
+    it('should parse quoted fields', () => {
+      const rows = parseCsv('a,b\n"x, ""y""","multi\nline"\nnext,row\n');
+
+      assert.deepStrictEqual(rows, [
+        { line: 1, cells: ['a', 'b'] },
+        { line: 2, cells: ['x, "y"', 'multi\nline'] },
+        { line: 4, cells: ['next', 'row'] },
+      ]);
+    });
+
+    it('should strip a byte order mark', () => {
+      assert.deepStrictEqual(parseCsv('\uFEFFsku\n1'), [
+        { line: 1, cells: ['sku'] },
+        { line: 2, cells: ['1'] },
+      ]);
+    });
+
+    it('should keep empty cells', () => {
+      assert.deepStrictEqual(parseCsv('a,,c\n,,'), [
+        { line: 1, cells: ['a', '', 'c'] },
+        { line: 2, cells: ['', '', ''] },
+      ]);
+    });
+
+    it('should reject unterminated quoted fields', () => {
+      assert.throws(
+        () => parseCsv('a,b\n1,"open\n2,3'),
+        (e) => e.response.status === 400
+          && e.response.headers.get('x-error') === 'invalid CSV: unterminated quoted field in line 2',
+      );
+    });
+  });
+
+  describe('csvToProducts', () => {
+    it('should map columns to product fields', () => {
+      const csv = [
+        'sku,name,path,price.currency,price.final,images,metadata.color,custom.tags.0,custom.tags.1',
+        'abc,"Product, ABC",/products/abc,USD,9.99,https://example.com/a.jpg | https://example.com/b.jpg,red,new,sale',
+      ].join('\n');
+
+      assert.deepStrictEqual(csvToProducts(csv), [{
+        line: 2,
+        value: {
+          sku: 'abc',
+          name: 'Product, ABC',
+          path: '/products/abc',
+          price: { currency: 'USD', final: '9.99' },
+          images: [{ url: 'https://example.com/a.jpg' }, { url: 'https://example.com/b.jpg' }],
+          metadata: { color: 'red' },
+          custom: { tags: ['new', 'sale'] },
+        },
+      }]);
+    });
+
+    it('should support indexed image columns', () => {
+      const csv = 'sku,images.0.url,images.0.label\nabc,https://example.com/a.jpg,Front';
+
+      assert.deepStrictEqual(csvToProducts(csv)[0].value, {
+        sku: 'abc',
+        images: [{ url: 'https://example.com/a.jpg', label: 'Front' }],
+      });
+    });
+
+    it('should leave out empty cells', () => {
+      const csv = 'sku,name,price.final\nabc,,';
+
+      assert.deepStrictEqual(csvToProducts(csv)[0].value, { sku: 'abc' });
+    });
+
+    it('should report rows with more cells than the header', () => {
+      const csv = 'sku,name\nabc,ABC,extra';
+
+      assert.deepStrictEqual(csvToProducts(csv), [
+        { line: 2, error: 'row has more columns than the header' },
+      ]);
+    });
+
+    it('should return no products without rows', () => {
+      assert.deepStrictEqual(csvToProducts(''), []);
+      assert.deepStrictEqual(csvToProducts('sku,name\n'), []);
+    });
+
+    it('should reject invalid column names', () => {
+      assert.throws(
+        () => csvToProducts('sku,custom.__proto__.x\nabc,1'),
+        (e) => e.response.headers.get('x-error') === 'invalid CSV: invalid column name: custom.__proto__.x',
+      );
+      assert.throws(
+        () => csvToProducts('sku,price.\nabc,1'),
+        (e) => e.response.status === 400,
+      );
+    });
+
+    it('should reject conflicting columns', () => {
+      assert.throws(
+        () => csvToProducts('sku,price,price.final\nabc,1,2'),
+        (e) => e.response.headers.get('x-error') === 'invalid CSV: conflicting columns: price, price.final',
+      );
+      assert.throws(
+        () => csvToProducts('sku,sku\nabc,def'),
+        (e) => e.response.headers.get('x-error') === 'invalid CSV: conflicting columns: sku, sku',
+      );
+    });
+  });
+});
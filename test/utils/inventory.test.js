@@ -0,0 +1,174 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+// @ts-nocheck
+
+import assert from 'node:assert';
+import sinon from 'sinon';
+import { DEFAULT_CONTEXT } from '../fixtures/context.js';
+import { applyInventory, deriveAvailability } from '../../src/utils/inventory.js';
+
+describe('inventory', () => {
+  describe('deriveAvailability', () => {
+    it('should derive the availability from the available quantity', () => {
+      assert.equal(deriveAvailability({ quantity: 10, reserved: 0 }), 'InStock');
+      assert.equal(deriveAvailability({ quantity: 10, reserved: 5 }), 'LimitedAvailability');
+      assert.equal(deriveAvailability({ quantity: 1 }), 'LimitedAvailability');
+      assert.equal(deriveAvailability({ quantity: 3, reserved: 3 }), 'OutOfStock');
+      assert.equal(deriveAvailability({ quantity: -2, reserved: 0 }), 'OutOfStock');
+      assert.equal(deriveAvailability({ quantity: 3, reserved: 0 }, 2), 'InStock');
+      assert.equal(deriveAvailability({ quantity: 1, reserved: 0 }, 0), 'InStock');
+    });
+  });
+
+  describe('applyInventory', () => {
+    let records;
+
+    beforeEach(() => {
+      records = {};
+    });
+
+    it('should set the availability of the product and its variants', async () => {
+      records = {
+        p: { quantity: 0, reserved: 0 },
+        v1: { quantity: 100, reserved: 10 },
+      };
+      const product = {
+        sku: 'p',
+        availability: 'InStock',
+        variants: [{ sku: 'v1' }, { sku: 'v2', availability: 'OutOfStock' }],
+      };
+
+      const ctx = DEFAULT_CONTEXT({
+        attributes: {
+          storageClient: {
+            getInventoryRecords: sinon.stub().callsFake(async (skus) => new Map(
+              skus.filter((sku) => records[sku]).map((sku) => [sku, { sku, ...records[sku] }]),
+            )),
+          },
+          configs: { 'org/site/config.json': { inventoryEnabled: true } },
+        },
+      });
+      const digest = await applyInventory(ctx, product);
+
+      assert.equal(product.availability, 'OutOfStock');
+      assert.equal(product.variants[0].availability, 'InStock');
+      assert.equal(product.variants[1].availability, 'OutOfStock');
+      assert.match(digest, /^[0-9a-f]{8}$/);
+
+      records.p.quantity = 100;
+      assert.notEqual(await applyInventory(ctx, product), digest);
+    });
+
+    it('should use the low stock threshold of the site', async () => {
+      records = { p: { quantity: 8, reserved: 0 } };
+      const product = { sku: 'p' };
+
+      const ctx = DEFAULT_CONTEXT({
+        attributes: {
+          storageClient: {
+            getInventoryRecords: sinon.stub().callsFake(async (skus) => new Map(
+              skus.filter((sku) => records[sku]).map((sku) => [sku, { sku, ...records[sku] }]),
+            )),
+          },
+          configs: {
+            'org/site/config.json': { inventoryEnabled: true, inventoryLowStockThreshold: 10 },
+          },
+        },
+      });
+      await applyInventory(ctx, product);
+
+      assert.equal(product.availability, 'LimitedAvailability');
+    });
+
+    it('should keep availabilities that are not about stock', async () => {
+      records = { p: { quantity: 0, reserved: 0 } };
+      const product = { sku: 'p', availability: 'PreOrder' };
+
+      const ctx = DEFAULT_CONTEXT({
+        attributes: {
+          storageClient: {
+            getInventoryRecords: sinon.stub().callsFake(async (skus) => new Map(
+              skus.filter((sku) => records[sku]).map((sku) => [sku, { sku, ...records[sku] }]),
+            )),
+          },
+          configs: { 'org/site/config.json': { inventoryEnabled: true } },
+        },
+      });
+      await applyInventory(ctx, product);
+
+      assert.equal(product.availability, 'PreOrder');
+    });
+
+    it('should derive the availability of a product from its variants', async () => {
+      records = {
+        v1: { quantity: 0, reserved: 0 },
+        v2: { quantity: 2, reserved: 0 },
+      };
+      const product = {
+        sku: 'p',
+        availability: 'OutOfStock',
+        variants: [{ sku: 'v1' }, { sku: 'v2' }],
+      };
+
+      const ctx = DEFAULT_CONTEXT({
+        attributes: {
+          storageClient: {
+            getInventoryRecords: sinon.stub().callsFake(async (skus) => new Map(
+              skus.filter((sku) => records[sku]).map((sku) => [sku, { sku, ...records[sku] }]),
+            )),
+          },
+          configs: { 'org/site/config.json': { inventoryEnabled: true } },
+        },
+      });
+      await applyInventory(ctx, product);
+
+      assert.equal(product.availability, 'LimitedAvailability');
+    });
+
+    it('should leave products without inventory unchanged', async () => {
+      const product = { sku: 'p', availability: 'InStock', variants: [{ sku: 'v1' }] };
+
+      const ctx = DEFAULT_CONTEXT({
+        attributes: {
+          storageClient: {
+            getInventoryRecords: sinon.stub().callsFake(async (skus) => new Map(
+              skus.filter((sku) => records[sku]).map((sku) => [sku, { sku, ...records[sku] }]),
+            )),
+          },
+          configs: { 'org/site/config.json': { inventoryEnabled: true } },
+        },
+      });
+      assert.strictEqual(await applyInventory(ctx, product), undefined);
+
+      assert.deepStrictEqual(product, { sku: 'p', availability: 'InStock', variants: [{ sku: 'v1' }] });
+    });
+
+    it('should not look up records on sites without inventory', async () => {
+      records = { p: { quantity: 0, reserved: 0 } };
+      const product = { sku: 'p', availability: 'InStock' };
+
+      const ctx = DEFAULT_CONTEXT({
+        attributes: {
+          storageClient: {
+            getInventoryRecords: sinon.stub().rejects(new Error('not expected')),
+          },
+          configs: { 'org/site/config.json': {} },
+        },
+      });
+      assert.strictEqual(await applyInventory(ctx, product), undefined);
+
+      assert.equal(product.availability, 'InStock');
+      assert(ctx.attributes.storageClient.getInventoryRecords.notCalled);
+    });
+  });
+});
@@ -0,0 +1,234 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+// @ts-nocheck
+
+import assert from 'node:assert';
+import sinon from 'sinon';
+import {
+  MAX_JOB_ERRORS,
+  continueListingJob,
+  endListingJob,
+  getCatalogJobStatus,
+  publishCatalogJobs,
+  runCatalogJobChunk,
+  tallyChunkResults,
+} from '../../src/utils/jobs.js';
+
+describe('Catalog Jobs Utils', () => {
+  const job = {
+    id: 'job-1', type: 'import', createdAt: '2026-01-01T00:00:00.000Z', total: 100, chunks: 2,
+  };
+  let storageStub;
+  let ctx;
+
+  beforeEach(() => {
+    storageStub = {
+      listCatalogJobChunkResults: sinon.stub().resolves([]),
+      getCatalogJobChunkResult: sinon.stub(),
+      saveCatalogJobChunkResult: sinon.stub().resolves(),
+      updateCatalogJob: sinon.stub().callsFake(async (id, update) => update({ ...job })),
+    };
+    ctx = {
+      log: { info: sinon.stub(), error: sinon.stub() },
+      attributes: { storageClient: storageStub },
+      env: {
+        CATALOG_JOBS_QUEUE: { sendBatch: sinon.stub().resolves() },
+      },
+    };
+  });
+
+  describe('publishCatalogJobs', () => {
+    it('should send messages in batches of 100', async () => {
+      const messages = Array.from({ length: 250 }, (_, i) => ({ type: 'import', chunk: i }));
+
+      await publishCatalogJobs(ctx, messages);
+
+      const { sendBatch } = ctx.env.CATALOG_JOBS_QUEUE;
+      assert.deepStrictEqual(sendBatch.getCalls().map((c) => c.args[0].length), [100, 100, 50]);
+      assert.deepStrictEqual(sendBatch.firstCall.args[0][0], { body: { type: 'import', chunk: 0 } });
+    });
+  });
+
+  describe('runCatalogJobChunk', () => {
+    const message = { jobId: 'job-1', chunk: 3 };
+    const result = {
+      chunk: 3, saved: 1, unchanged: 0, failed: 0, errors: [],
+    };
+
+    it('should store the result of the chunk', async () => {
+      const giveUp = sinon.stub();
+
+      await runCatalogJobChunk(ctx, message, 1, async () => result, giveUp);
+
+      assert(storageStub.saveCatalogJobChunkResult.calledOnceWithExactly('job-1', result));
+      assert(giveUp.notCalled);
+    });
+
+    it('should skip chunks that were already processed', async () => {
+      storageStub.getCatalogJobChunkResult.resolves(result);
+      const process = sinon.stub();
+
+      await runCatalogJobChunk(ctx, message, 1, process, sinon.stub());
+
+      assert(process.notCalled);
+      assert(storageStub.saveCatalogJobChunkResult.notCalled);
+    });
+
+    it('should throw errors until the last attempt, then give up', async () => {
+      const process = sinon.stub().rejects(new Error('boom'));
+      const giveUp = sinon.stub().resolves({ ...result, saved: 0, failed: 1 });
+
+      await assert.rejects(runCatalogJobChunk(ctx, message, 3, process, giveUp), /boom/);
+      assert(storageStub.saveCatalogJobChunkResult.notCalled);
+
+      await runCatalogJobChunk(ctx, message, 4, process, giveUp);
+
+      assert.equal(giveUp.firstCall.args[0].message, 'boom');
+      assert.equal(storageStub.saveCatalogJobChunkResult.firstCall.args[1].failed, 1);
+      assert(ctx.log.error.calledOnce);
+    });
+  });
+
+  describe('continueListingJob', () => {
+    const message = {
+      type: 'reindex', org: 'org', site: 'site', jobId: 'job-1', chunk: 1, cursor: 'c1', listed: 50,
+    };
+
+    it('should queue the chunk for the next page and record it on the job', async () => {
+      await continueListingJob(ctx, job, message, 'c2', 50);
+
+      assert.deepStrictEqual(ctx.env.CATALOG_JOBS_QUEUE.sendBatch.firstCall.args[0], [{
+        body: {
+          ...message, chunk: 2, cursor: 'c2', listed: 100,
+        },
+      }]);
+      assert.deepStrictEqual(
+        await storageStub.updateCatalogJob.firstCall.returnValue,
+        { ...job, lastQueuedChunk: 2 },
+      );
+    });
+
+    it('should not queue the next chunk twice', async () => {
+      await continueListingJob(ctx, { ...job, lastQueuedChunk: 2 }, message, 'c2', 50);
+
+      assert(ctx.env.CATALOG_JOBS_QUEUE.sendBatch.notCalled);
+      assert(storageStub.updateCatalogJob.notCalled);
+    });
+
+    it('should complete the job with the last page', async () => {
+      await continueListingJob(ctx, job, message, undefined, 20);
+
+      assert(ctx.env.CATALOG_JOBS_QUEUE.sendBatch.notCalled);
+      assert.deepStrictEqual(
+        await storageStub.updateCatalogJob.firstCall.returnValue,
+        { ...job, total: 70, chunks: 2 },
+      );
+    });
+  });
+
+  describe('endListingJob', () => {
+    it('should set the totals of the job', async () => {
+      await endListingJob(ctx, { jobId: 'job-1', chunk: 0, listed: 0 }, 0);
+
+      assert.equal(storageStub.updateCatalogJob.firstCall.args[0], 'job-1');
+      assert.deepStrictEqual(
+        await storageStub.updateCatalogJob.firstCall.returnValue,
+        { ...job, total: 0, chunks: 1 },
+      );
+    });
+  });
+
+  describe('tallyChunkResults', () => {
+    const results = [
+      { sku: 'a', path: '/a', status: 201 },
+      {
+        sku: 'b', path: '/b', status: 200, change: 'unchanged',
+      },
+      {
+        sku: 'c', path: '/c', status: 500, message: 'Error: boom',
+      },
+    ];
+
+    it('should count saved, unchanged and failed products', () => {
+      assert.deepStrictEqual(tallyChunkResults(1, results), {
+        chunk: 1,
+        saved: 1,
+        unchanged: 1,
+        failed: 1,
+        errors: [{
+          sku: 'c', path: '/c', status: 500, message: 'Error: boom',
+        }],
+      });
+    });
+
+    it('should report errors with their line, sorted', () => {
+      const errors = [{ line: 7, status: 400, message: 'Invalid JSON' }];
+      const result = tallyChunkResults(1, results, errors, new Map([['/c', 5]]));
+
+      assert.equal(result.failed, 2);
+      assert.deepStrictEqual(result.errors.map((e) => e.line), [5, 7]);
+      assert.equal(errors.length, 1);
+    });
+  });
+
+  describe('getCatalogJobStatus', () => {
+    it('should report queued jobs', async () => {
+      const status = await getCatalogJobStatus(ctx, job);
+
+      assert.equal(status.status, 'queued');
+      assert.equal(status.processed, 0);
+      assert.deepStrictEqual(status.errors, []);
+      assert.equal(status.errorsTruncated, undefined);
+    });
+
+    it('should sum the chunk results of completed jobs', async () => {
+      storageStub.listCatalogJobChunkResults.resolves([
+        {
+          chunk: 0, saved: 40, unchanged: 10, failed: 0,
+        },
+        {
+          chunk: 1, saved: 30, unchanged: 19, failed: 1,
+        },
+      ]);
+      storageStub.getCatalogJobChunkResult.resolves({
+        errors: [{ line: 77, status: 400, message: 'Invalid JSON' }],
+      });
+
+      const status = await getCatalogJobStatus(ctx, job);
+
+      assert.equal(status.status, 'completed');
+      assert.equal(status.processed, 100);
+      assert.equal(status.saved, 70);
+      assert.equal(status.unchanged, 29);
+      assert.equal(status.failed, 1);
+      assert.deepStrictEqual(status.errors, [{ line: 77, status: 400, message: 'Invalid JSON' }]);
+      assert(storageStub.getCatalogJobChunkResult.calledOnceWithExactly('job-1', 1));
+    });
+
+    it('should limit the reported errors', async () => {
+      const results = Array.from({ length: 5 }, (_, chunk) => ({
+        chunk, saved: 0, unchanged: 0, failed: 50,
+      }));
+      storageStub.listCatalogJobChunkResults.resolves(results);
+      storageStub.getCatalogJobChunkResult.callsFake(async (id, chunk) => ({
+        errors: Array.from({ length: 50 }, (_, i) => ({ line: chunk * 50 + i + 1, status: 400, message: 'Invalid product' })),
+      }));
+
+      const status = await getCatalogJobStatus(ctx, { ...job, total: 250, chunks: 5 });
+
+      assert.equal(status.errors.length, MAX_JOB_ERRORS);
+      assert.equal(status.errorsTruncated, true);
+      assert.equal(storageStub.getCatalogJobChunkResult.callCount, 2);
+    });
+  });
+});
@@ -0,0 +1,180 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+// @ts-nocheck
+
+import assert from 'node:assert';
+import { mergeJsonLd, productJsonLd } from '../../src/utils/jsonld.js';
+
+describe('jsonld', () => {
+  describe('productJsonLd', () => {
+    it('should describe a product with an offer', () => {
+      assert.deepStrictEqual(productJsonLd({
+        sku: 'blender',
+        path: '/products/blender',
+        name: 'Blender',
+        description: '<p>A <b>fast</b> blender</p>',
+        url: 'https://shop.example.com/products/blender',
+        gtin: '0123456789012',
+        brand: 'Acme',
+        availability: 'InStock',
+        itemCondition: 'NewCondition',
+        price: {
+          currency: 'USD',
+          regular: '129.00',
+          final: '99.00',
+          validUntil: '2026-12-01T00:00:00Z',
+          tiers: [{ minQuantity: 10, final: '89.00' }],
+        },
+        images: [{ url: './media_1.jpg' }, { url: 'https://cdn.example.com/2.jpg' }],
+        aggregateRating: { ratingValue: '4.5', reviewCount: '12' },
+      }), {
+        '@context': 'https://schema.org',
+        '@type': 'Product',
+        name: 'Blender',
+        description: 'A fast blender',
+        url: 'https://shop.example.com/products/blender',
+        image: [
+          'https://shop.example.com/products/media_1.jpg',
+          'https://cdn.example.com/2.jpg',
+        ],
+        brand: { '@type': 'Brand', name: 'Acme' },
+        aggregateRating: { '@type': 'AggregateRating', ratingValue: '4.5', reviewCount: 12 },
+        sku: 'blender',
+        gtin: '0123456789012',
+        itemCondition: 'https://schema.org/NewCondition',
+        offers: {
+          '@type': 'Offer',
+          price: '99.00',
+          priceCurrency: 'USD',
+          priceValidUntil: '2026-12-01',
+          availability: 'https://schema.org/InStock',
+          itemCondition: 'https://schema.org/NewCondition',
+          url: 'https://shop.example.com/products/blender',
+          priceSpecification: [{
+            '@type': 'UnitPriceSpecification',
+            priceType: 'https://schema.org/StrikethroughPrice',
+            price: '129.00',
+            priceCurrency: 'USD',
+          }, {
+            '@type': 'UnitPriceSpecification',
+            price: '89.00',
+            priceCurrency: 'USD',
+            eligibleQuantity: { '@type': 'QuantitativeValue', minValue: 10 },
+          }],
+        },
+      });
+    });
+
+    it('should describe a product with variants as a product group', () => {
+      const document = productJsonLd({
+        sku: 'shirt',
+        name: 'Shirt',
+        itemCondition: 'NewCondition',
+        images: [{ url: './shirt.jpg' }],
+        variants: [{
+          sku: 'shirt-red',
+          name: 'Red shirt',
+          url: 'https://shop.example.com/products/shirt?color=red',
+          images: [{ url: './red.jpg' }],
+          availability: 'OutOfStock',
+          price: { currency: 'EUR', final: '20.00' },
+        }, {
+          sku: 'shirt-blue',
+          name: 'Blue shirt',
+          images: [],
+          itemCondition: 'UsedCondition',
+        }],
+      });
+
+      assert.deepStrictEqual(document, {
+        '@context': 'https://schema.org',
+        '@type': 'ProductGroup',
+        name: 'Shirt',
+        image: ['./shirt.jpg'],
+        productGroupID: 'shirt',
+        hasVariant: [{
+          '@type': 'Product',
+          sku: 'shirt-red',
+          name: 'Red shirt',
+          url: 'https://shop.example.com/products/shirt?color=red',
+          image: ['https://shop.example.com/products/red.jpg'],
+          itemCondition: 'https://schema.org/NewCondition',
+          offers: {
+            '@type': 'Offer',
+            price: '20.00',
+            priceCurrency: 'EUR',
+            availability: 'https://schema.org/OutOfStock',
+            itemCondition: 'https://schema.org/NewCondition',
+            url: 'https://shop.example.com/products/shirt?color=red',
+          },
+        }, {
+          '@type': 'Product',
+          sku: 'shirt-blue',
+          name: 'Blue shirt',
+          itemCondition: 'https://schema.org/UsedCondition',
+        }],
+      });
+    });
+  });
+
+  describe('mergeJsonLd', () => {
+    it('should merge the supplied properties over the document', () => {
+      assert.deepStrictEqual(
+        mergeJsonLd({ '@type': 'Product', name: 'A', sku: 'a' }, '{"name":"B","color":"red"}'),
+        {
+          '@type': 'Product', name: 'B', sku: 'a', color: 'red',
+        },
+      );
+    });
+
+    it('should keep the resolved prices of the generated offer', () => {
+      const document = {
+        '@type': 'Product',
+        offers: {
+          '@type': 'Offer', price: '8.00', priceCurrency: 'USD', priceValidUntil: '2026-11-30',
+        },
+      };
+      assert.deepStrictEqual(
+        mergeJsonLd(document, JSON.stringify({
+          offers: {
+            '@type': 'Offer', price: '10.00', priceCurrency: 'EUR', seller: { name: 'Acme' },
+          },
+        })).offers,
+        {
+          '@type': 'Offer', price: '8.00', priceCurrency: 'USD', priceValidUntil: '2026-11-30', seller: { name: 'Acme' },
+        },
+      );
+      assert.deepStrictEqual(
+        mergeJsonLd(
+          { '@type': 'Product', offers: { '@type': 'Offer', price: '8.00', priceCurrency: 'USD' } },
+          '{"offers":{"@type":"Offer","price":"10.00","priceValidUntil":"2026-01-01"}}',
+        ).offers,
+        { '@type': 'Offer', price: '8.00', priceCurrency: 'USD' },
+      );
+      assert.deepStrictEqual(
+        mergeJsonLd(document, '{"offers":[{"@type":"Offer","price":"10.00"}]}').offers,
+        document.offers,
+      );
+      assert.deepStrictEqual(
+        mergeJsonLd({ '@type': 'Product' }, '{"offers":{"@type":"Offer","price":"10.00"}}').offers,
+        { '@type': 'Offer', price: '10.00' },
+      );
+    });
+
+    it('should ignore JSON-LD that is not an object', () => {
+      assert.equal(mergeJsonLd({}, 'not json'), undefined);
+      assert.equal(mergeJsonLd({}, '[{"@type":"Product"}]'), undefined);
+      assert.equal(mergeJsonLd({}, 'null'), undefined);
+    });
+  });
+});
@@ -0,0 +1,183 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+// @ts-nocheck
+
+import assert from 'node:assert';
+import { DEFAULT_CONTEXT } from '../fixtures/context.js';
+import {
+  getRequestedLocales, localeChain, localizeForRequest, localizeProduct, normalizeLocale,
+} from '../../src/utils/locale.js';
+
+describe('locale', () => {
+  const makeProduct = () => ({
+    sku: 'a',
+    name: 'Blender',
+    description: 'A blender',
+    options: [{ label: 'Color', values: [{ value: 'red' }] }, { label: 'Size', values: [] }],
+    images: [{ url: './a.jpg', label: 'Front' }],
+    locales: {
+      de: { name: 'Mixer', description: 'Ein Mixer', options: [{ label: 'Farbe' }] },
+      'de-DE': { name: 'Standmixer', images: [{ label: 'Vorne' }] },
+      fr: { name: 'Mixeur' },
+    },
+  });
+
+  describe('normalizeLocale', () => {
+    it('should normalize the case of locales', () => {
+      assert.equal(normalizeLocale('de-de'), 'de-DE');
+      assert.equal(normalizeLocale('EN_us'), 'en-US');
+      assert.equal(normalizeLocale('zh-hant-tw'), 'zh-Hant-TW');
+      assert.equal(normalizeLocale('es-419'), 'es-419');
+      assert.equal(normalizeLocale('fr'), 'fr');
+    });
+
+    it('should reject unsupported locales', () => {
+      assert.equal(normalizeLocale('*'), undefined);
+      assert.equal(normalizeLocale('german'), undefined);
+      assert.equal(normalizeLocale('de-DE-x-private'), undefined);
+    });
+  });
+
+  describe('getRequestedLocales', () => {
+    it('should prefer the locale parameter', () => {
+      const ctx = DEFAULT_CONTEXT({
+        url: new URL('https://example.com/org/sites/site/catalog/products/a.json?locale=de-de'),
+        requestInfo: {
+          getHeader: (name) => ({ 'accept-language': 'fr' }[name.toLowerCase()]),
+        },
+      });
+      assert.deepStrictEqual(getRequestedLocales(ctx), {
+        locales: ['de-DE'],
+        negotiated: false,
+      });
+    });
+
+    it('should reject an invalid locale parameter', () => {
+      const ctx = DEFAULT_CONTEXT({
+        url: new URL('https://example.com/org/sites/site/catalog/products/a.json?locale=nope!'),
+      });
+      assert.throws(() => getRequestedLocales(ctx), (e) => e.response.status === 400);
+    });
+
+    it('should order the languages of the Accept-Language header by quality', () => {
+      const ctx = DEFAULT_CONTEXT({
+        url: new URL('https://example.com/org/sites/site/catalog/products/a.json'),
+        requestInfo: {
+          getHeader: (name) => ({ 'accept-language': 'fr;q=0.5, de-AT, *;q=0.1, en;q=0, it;q=0.8' }[name.toLowerCase()]),
+        },
+      });
+      assert.deepStrictEqual(
+        getRequestedLocales(ctx),
+        { locales: ['de-AT', 'it', 'fr'], negotiated: true },
+      );
+    });
+
+    it('should return no locales without an Accept-Language header', () => {
+      const ctx = DEFAULT_CONTEXT({
+        url: new URL('https://example.com/org/sites/site/catalog/products/a.json'),
+      });
+      assert.deepStrictEqual(getRequestedLocales(ctx), { locales: [], negotiated: true });
+    });
+  });
+
+  describe('localeChain', () => {
+    it('should fall back to the configured locales, then the language', () => {
+      assert.deepStrictEqual(localeChain('de-AT', { 'de-AT': ['de-DE'] }), ['de-AT', 'de-DE', 'de']);
+      assert.deepStrictEqual(localeChain('de'), ['de']);
+    });
+  });
+
+  describe('localizeProduct', () => {
+    it('should apply the overrides along the chain, most specific first', () => {
+      const product = makeProduct();
+
+      assert.equal(localizeProduct(product, ['de-AT'], { 'de-AT': ['de-DE'] }), 'de-AT');
+
+      assert.equal(product.name, 'Standmixer');
+      assert.equal(product.description, 'Ein Mixer');
+      assert.equal(product.options[0].label, 'Farbe');
+      assert.equal(product.options[1].label, 'Size');
+      assert.equal(product.images[0].label, 'Vorne');
+      assert.equal(product.locales, undefined);
+    });
+
+    it('should use the first requested locale the product has overrides for', () => {
+      const product = makeProduct();
+
+      assert.equal(localizeProduct(product, ['it', 'fr-CA', 'de'], {}), 'fr-CA');
+
+      assert.equal(product.name, 'Mixeur');
+      assert.equal(product.description, 'A blender');
+    });
+
+    it('should keep the product as is if no locale matches', () => {
+      const product = makeProduct();
+
+      assert.equal(localizeProduct(product, ['it']), undefined);
+
+      assert.equal(product.name, 'Blender');
+      assert.equal(product.locales, undefined);
+    });
+  });
+
+  describe('localizeForRequest', () => {
+    it('should describe the localization in the response headers', async () => {
+      const ctx = DEFAULT_CONTEXT({
+        url: new URL('https://example.com/org/sites/site/catalog/products/a.json'),
+        requestInfo: {
+          getHeader: (name) => ({ 'accept-language': 'de-AT' }[name.toLowerCase()]),
+        },
+        attributes: {
+          configs: { 'org/site/config.json': { localeFallbacks: { 'de-AT': ['de-DE'] } } },
+        },
+      });
+      const product = makeProduct();
+
+      assert.deepStrictEqual(await localizeForRequest(ctx, product, getRequestedLocales(ctx)), {
+        Vary: 'Accept-Language',
+        'Content-Language': 'de-AT',
+      });
+      assert.equal(product.name, 'Standmixer');
+    });
+
+    it('should keep the overrides if no locale is requested', async () => {
+      const ctx = DEFAULT_CONTEXT({
+        url: new URL('https://example.com/org/sites/site/catalog/products/a.json'),
+        attributes: {
+          configs: {},
+        },
+      });
+      const product = makeProduct();
+
+      assert.deepStrictEqual(await localizeForRequest(ctx, product, getRequestedLocales(ctx)), {
+        Vary: 'Accept-Language',
+      });
+      assert(product.locales);
+    });
+
+    it('should not vary on Accept-Language for products without overrides', async () => {
+      const ctx = DEFAULT_CONTEXT({
+        url: new URL('https://example.com/org/sites/site/catalog/products/a.json'),
+        requestInfo: {
+          getHeader: (name) => ({ 'accept-language': 'de' }[name.toLowerCase()]),
+        },
+        attributes: {
+          configs: {},
+        },
+      });
+      const product = { sku: 'a', name: 'Blender' };
+
+      assert.deepStrictEqual(await localizeForRequest(ctx, product, getRequestedLocales(ctx)), {});
+    });
+  });
+});
@@ -0,0 +1,42 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+// @ts-nocheck
+
+import assert from 'node:assert';
+import { parseNdjson } from '../../src/utils/ndjson.js';
+
+describe('NDJSON Utils', () => {
+  describe('parseNdjson', () => {
+    it('should parse one value per line, skipping blank lines', () => {
+      const records = parseNdjson('{"sku":"a"}\n\n  \n{"sku":"b"}\r\n');
+
+      assert.deepStrictEqual(records, [
+        { line: 1, value: { sku: 'a' } },
+        { line: 4, value: { sku: 'b' } },
+      ]);
+    });
+
+    it('should report lines that are not JSON', () => {
+      const records = parseNdjson('{"sku":"a"}\n{"sku":', 10);
+
+      assert.deepStrictEqual(records, [
+        { line: 10, value: { sku: 'a' } },
+        { line: 11, error: 'Invalid JSON' },
+      ]);
+    });
+
+    it('should return no records for empty input', () => {
+      assert.deepStrictEqual(parseNdjson(''), []);
+    });
+  });
+});
@@ -11,7 +11,7 @@
  */
 
 import assert from 'node:assert';
-import { deepEqual } from '../../src/utils/object.js';
+import { deepEqual, diff, mergePatch } from '../../src/utils/object.js';
 
 describe('Object Utils', () => {
   describe('deepEqual', () => {
@@ -260,4 +260,88 @@ describe('Object Utils', () => {
       assert.strictEqual(deepEqual({ a: [1] }, { a: { 0: 1 } }), false);
     });
   });
+
+  describe('mergePatch', () => {
+    it('should replace and add members', () => {
+      const target = { a: 'b', c: { d: 'e', f: 'g' } };
+      const result = mergePatch(target, { a: 'z', c: { f: 'h' }, x: 1 });
+      assert.deepStrictEqual(result, { a: 'z', c: { d: 'e', f: 'h' }, x: 1 });
+    });
+
+    it('should remove members set to null', () => {
+      const result = mergePatch({ a: 'b', c: { d: 'e', f: 'g' } }, { a: null, c: { f: null } });
+      assert.deepStrictEqual(result, { c: { d: 'e' } });
+    });
+
+    it('should replace arrays as a whole', () => {
+      const result = mergePatch({ a: [1, 2, 3] }, { a: [4] });
+      assert.deepStrictEqual(result, { a: [4] });
+    });
+
+    it('should replace the target when the patch is not an object', () => {
+      assert.deepStrictEqual(mergePatch({ a: 'b' }, ['c']), ['c']);
+      assert.strictEqual(mergePatch({ a: 'b' }, 'c'), 'c');
+      assert.strictEqual(mergePatch({ a: 'b' }, null), null);
+    });
+
+    it('should start from an empty object when the target is not an object', () => {
+      assert.deepStrictEqual(mergePatch('a', { b: 'c', d: null }), { b: 'c' });
+      assert.deepStrictEqual(mergePatch({ a: 'x' }, { a: { b: 'c' } }), { a: { b: 'c' } });
+    });
+
+    it('should not modify the target', () => {
+      const target = { a: { b: 'c' } };
+      mergePatch(target, { a: { b: 'd' } });
+      assert.deepStrictEqual(target, { a: { b: 'c' } });
+    });
+  });
+
+  describe('diff', () => {
+    it('should return empty lists for equal values', () => {
+      assert.deepStrictEqual(diff({ a: [1, { b: 2 }] }, { a: [1, { b: 2 }] }), {
+        added: [],
+        removed: [],
+        changed: [],
+      });
+    });
+
+    it('should report added, removed and changed members as JSON pointers', () => {
+      const before = { sku: 'a', name: 'Old', price: { final: '10' } };
+      const after = { sku: 'a', name: 'New', price: { final: '10', regular: '12' } };
+      delete after.sku;
+
+      assert.deepStrictEqual(diff(before, after), {
+        added: ['/price/regular'],
+        removed: ['/sku'],
+        changed: ['/name'],
+      });
+    });
+
+    it('should compare arrays by index', () => {
+      const before = { images: [{ url: 'a' }, { url: 'b' }] };
+      const after = { images: [{ url: 'a' }, { url: 'c' }, { url: 'd' }] };
+
+      assert.deepStrictEqual(diff(before, after), {
+        added: ['/images/2'],
+        removed: [],
+        changed: ['/images/1/url'],
+      });
+    });
+
+    it('should report values that change type as changed', () => {
+      assert.deepStrictEqual(diff({ a: [1], b: { c: 1 } }, { a: { 0: 1 }, b: null }), {
+        added: [],
+        removed: [],
+        changed: ['/a', '/b'],
+      });
+      assert.deepStrictEqual(diff('a', 'b').changed, ['']);
+    });
+
+    it('should escape keys of the pointers', () => {
+      assert.deepStrictEqual(diff({ 'a/b': 1, 'c~d': 1 }, { 'a/b': 2, 'c~d': 2 }).changed, [
+        '/a~1b',
+        '/c~0d',
+      ]);
+    });
+  });
 });
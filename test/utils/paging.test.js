@@ -0,0 +1,44 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+// @ts-nocheck
+
+import assert from 'node:assert';
+import { DEFAULT_LIST_LIMIT, getPagingOptions } from '../../src/utils/paging.js';
+
+describe('Paging Utils', () => {
+  describe('getPagingOptions', () => {
+    it('should default the limit and leave out empty cursors', () => {
+      assert.deepStrictEqual(getPagingOptions({ cursor: '' }), {
+        limit: DEFAULT_LIST_LIMIT,
+        cursor: undefined,
+      });
+    });
+
+    it('should parse the limit and pass the cursor', () => {
+      assert.deepStrictEqual(getPagingOptions({ limit: '1000', cursor: 'abc' }), {
+        limit: 1000,
+        cursor: 'abc',
+      });
+    });
+
+    it('should reject limits that are not integers between 1 and 1000', () => {
+      ['0', '1001', '1.5', 'ten'].forEach((limit) => {
+        assert.throws(
+          () => getPagingOptions({ limit }),
+          (e) => e.response.status === 400
+            && e.response.headers.get('x-error') === 'limit must be an integer between 1 and 1000',
+        );
+      });
+    });
+  });
+});
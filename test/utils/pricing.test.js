@@ -0,0 +1,215 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+// @ts-nocheck
+
+import assert from 'node:assert';
+import {
+  findPrice, getPriceOptions, pricePeriod, resolvePrices, validatePriceEntries,
+} from '../../src/utils/pricing.js';
+
+describe('pricing', () => {
+  describe('getPriceOptions', () => {
+    it('should parse the currency and price list', () => {
+      assert.equal(getPriceOptions(new URLSearchParams('')), undefined);
+      assert.deepStrictEqual(getPriceOptions(new URLSearchParams('currency=EUR')), { currency: 'EUR' });
+      assert.deepStrictEqual(
+        getPriceOptions(new URLSearchParams('currency=EUR&priceList=b2b')),
+        { currency: 'EUR', priceList: 'b2b' },
+      );
+      assert.deepStrictEqual(getPriceOptions(new URLSearchParams('quantity=10')), { quantity: 10 });
+    });
+
+    it('should reject invalid options', () => {
+      for (const query of [
+        'currency=eur', 'currency=EURO', 'priceList=b2b', 'currency=EUR&priceList=B2B',
+        'quantity=0', 'quantity=1.5', 'quantity=-1',
+      ]) {
+        assert.throws(
+          () => getPriceOptions(new URLSearchParams(query)),
+          (e) => e.response.status === 400,
+          query,
+        );
+      }
+    });
+  });
+
+  describe('findPrice', () => {
+    const item = {
+      price: { currency: 'USD', regular: '12.00', final: '10.00' },
+      prices: [
+        { currency: 'EUR', regular: '11.00', final: '9.00' },
+        { currency: 'EUR', priceList: 'b2b', final: '8.00' },
+        { currency: 'GBP', priceList: 'b2b', final: '7.00' },
+      ],
+    };
+
+    it('should prefer the entry of the price list', () => {
+      assert.deepStrictEqual(findPrice(item, { currency: 'EUR', priceList: 'b2b' }), {
+        currency: 'EUR',
+        final: '8.00',
+      });
+    });
+
+    it('should fall back to the entry of the currency without price list', () => {
+      const expected = { currency: 'EUR', regular: '11.00', final: '9.00' };
+      assert.deepStrictEqual(findPrice(item, { currency: 'EUR' }), expected);
+      assert.deepStrictEqual(findPrice(item, { currency: 'EUR', priceList: 'vip' }), expected);
+    });
+
+    it('should fall back to the price if it is in the currency', () => {
+      assert.deepStrictEqual(findPrice(item, { currency: 'USD', priceList: 'b2b' }), item.price);
+      assert.equal(findPrice(item, { currency: 'GBP' }), undefined);
+      assert.equal(findPrice({}, { currency: 'USD' }), undefined);
+    });
+
+    it('should use the currency of the price without requested currency', () => {
+      assert.deepStrictEqual(findPrice(item, {}), item.price);
+      assert.equal(findPrice({ prices: item.prices }, {}), undefined);
+    });
+
+    describe('validity windows and tiers', () => {
+      const sale = {
+        price: { currency: 'USD', final: '10.00' },
+        prices: [
+          { currency: 'USD', final: '9.50' },
+          {
+            currency: 'USD',
+            final: '7.00',
+            validFrom: '2026-11-27T00:00:00Z',
+            validUntil: '2026-11-30T00:00:00Z',
+            tiers: [{ minQuantity: 10, final: '6.00' }, { minQuantity: 5, final: '6.50' }],
+          },
+        ],
+      };
+
+      it('should prefer an entry in its validity window', () => {
+        assert.deepStrictEqual(findPrice(sale, {}, Date.parse('2026-11-28T12:00:00Z')), {
+          currency: 'USD',
+          final: '7.00',
+          validUntil: '2026-11-30T00:00:00Z',
+          tiers: [{ minQuantity: 10, final: '6.00' }, { minQuantity: 5, final: '6.50' }],
+        });
+      });
+
+      it('should ignore entries outside their validity window', () => {
+        const expected = { currency: 'USD', final: '9.50' };
+        assert.deepStrictEqual(findPrice(sale, {}, Date.parse('2026-11-26T23:59:59Z')), expected);
+        assert.deepStrictEqual(findPrice(sale, {}, Date.parse('2026-11-30T00:00:00Z')), expected);
+      });
+
+      it('should apply the tier of the requested quantity', () => {
+        const now = Date.parse('2026-11-28T12:00:00Z');
+        const final = (quantity) => findPrice(sale, { currency: 'USD', quantity }, now).final;
+
+        assert.deepStrictEqual([1, 4, 5, 9, 10, 100].map(final), ['7.00', '7.00', '6.50', '6.50', '6.00', '6.00']);
+        assert(!('tiers' in findPrice(sale, { quantity: 5 }, now)));
+      });
+    });
+  });
+
+  describe('resolvePrices', () => {
+    it('should set or remove the price of the product and its variants', () => {
+      const product = {
+        sku: 'p',
+        price: { currency: 'USD', final: '10.00' },
+        prices: [{ currency: 'EUR', final: '9.00' }],
+        variants: [
+          { sku: 'v1', prices: [{ currency: 'EUR', final: '8.00' }] },
+          { sku: 'v2', price: { currency: 'USD', final: '7.00' } },
+        ],
+      };
+
+      resolvePrices(product, { currency: 'EUR' });
+
+      assert.deepStrictEqual(product.price, { currency: 'EUR', final: '9.00' });
+      assert.deepStrictEqual(product.variants[0].price, { currency: 'EUR', final: '8.00' });
+      assert(!('price' in product.variants[1]));
+    });
+  });
+
+  describe('pricePeriod', () => {
+    it('should count the validity window boundaries that have passed', () => {
+      const product = {
+        prices: [{ currency: 'USD', final: '1', validFrom: '2026-11-27T00:00:00Z' }],
+        variants: [{
+          prices: [{
+            currency: 'USD', final: '1', validFrom: '2026-11-01T00:00:00Z', validUntil: '2026-12-01T00:00:00Z',
+          }],
+        }],
+      };
+
+      assert.equal(pricePeriod(product, Date.parse('2026-10-01T00:00:00Z')), 0);
+      assert.equal(pricePeriod(product, Date.parse('2026-11-01T00:00:00Z')), 1);
+      assert.equal(pricePeriod(product, Date.parse('2026-11-28T00:00:00Z')), 2);
+      assert.equal(pricePeriod(product, Date.parse('2027-01-01T00:00:00Z')), 3);
+    });
+
+    it('should return undefined for prices without validity windows', () => {
+      assert.equal(pricePeriod({ prices: [{ currency: 'USD', final: '1' }] }), undefined);
+      assert.equal(pricePeriod({}), undefined);
+    });
+  });
+
+  describe('validatePriceEntries', () => {
+    it('should report entries repeating a currency and price list', () => {
+      assert.deepStrictEqual(validatePriceEntries(undefined, '$.prices'), []);
+      assert.deepStrictEqual(validatePriceEntries([
+        { currency: 'EUR', final: '1' },
+        { currency: 'EUR', priceList: 'b2b', final: '1' },
+        { currency: 'USD', final: '1' },
+        { currency: 'EUR', final: '2' },
+      ], '$.prices'), [{
+        path: '$.prices[3]',
+        message: 'duplicate price',
+        details: 'currency EUR already has a price',
+      }]);
+    });
+
+    it('should report overlapping validity windows', () => {
+      assert.deepStrictEqual(validatePriceEntries([
+        { currency: 'EUR', final: '2' },
+        {
+          currency: 'EUR', final: '1', validFrom: '2026-11-27T00:00:00Z', validUntil: '2026-11-30T00:00:00Z',
+        },
+        { currency: 'EUR', final: '1', validFrom: '2026-11-30T00:00:00Z' },
+        { currency: 'EUR', final: '1', validUntil: '2026-11-28T00:00:00Z' },
+      ], '$.prices'), [{
+        path: '$.prices[3]',
+        message: 'duplicate price',
+        details: 'currency EUR already has a price in this validity window',
+      }]);
+    });
+
+    it('should report invalid validity windows and tiers', () => {
+      assert.deepStrictEqual(validatePriceEntries([
+        {
+          currency: 'EUR', final: '1', validFrom: '2026-11-30T00:00:00Z', validUntil: '2026-11-27T00:00:00Z',
+        },
+        { currency: 'EUR', final: '1', validFrom: '2026-13-01T00:00:00Z' },
+        { currency: 'EUR', final: '1', tiers: [{ minQuantity: 5, final: '1' }, { minQuantity: 5, final: '0.5' }] },
+      ], '$.prices'), [{
+        path: '$.prices[0]',
+        message: 'invalid validity window',
+        details: 'validUntil must be after validFrom',
+      }, {
+        path: '$.prices[1]',
+        message: 'invalid validity window',
+        details: 'validFrom and validUntil must be valid timestamps',
+      }, {
+        path: '$.prices[2].tiers',
+        message: 'duplicate tier',
+        details: 'each tier must have a different minQuantity',
+      }]);
+    });
+  });
+});
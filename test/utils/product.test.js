@@ -13,7 +13,7 @@
 import assert from 'node:assert';
 import sinon from 'sinon';
 import { ResponseError } from '../../src/utils/http.js';
-import { assertValidProduct, pruneUndefined } from '../../src/utils/product.js';
+import { assertValidProduct, pruneUndefined, validateProduct } from '../../src/utils/product.js';
 import { DEFAULT_CONTEXT } from '../fixtures/context.js';
 
 describe('Product Utils', () => {
@@ -39,6 +39,131 @@ describe('Product Utils', () => {
     });
   });
 
+  describe('validateProduct', () => {
+    it('should return undefined for a valid product', () => {
+      assert.strictEqual(validateProduct({
+        sku: 'TEST-SKU-123',
+        name: 'Test Product',
+        path: '/products/test-product',
+      }), undefined);
+    });
+
+    it('should return the validation errors for an invalid product', () => {
+      assert.deepStrictEqual(validateProduct({
+        sku: 'TEST-SKU-123',
+        name: 42,
+        path: '/products/test-product',
+      }), [{
+        message: 'invalid type',
+        details: 'expected string, got number',
+        path: '$.name',
+      }]);
+    });
+
+    it('should validate the currencies and amounts of prices', () => {
+      const product = {
+        sku: 'TEST-SKU-123',
+        name: 'Test Product',
+        path: '/products/test-product',
+        prices: [{ currency: 'USD', final: '10.00' }],
+      };
+      assert.strictEqual(validateProduct(product), undefined);
+
+      product.prices = [{ currency: 'usd', final: '10.00' }];
+      assert.equal(validateProduct(product)[0].path, '$.prices[0].currency');
+
+      product.prices = [{ currency: 'USD', final: '$10' }];
+      assert.equal(validateProduct(product)[0].path, '$.prices[0].final');
+    });
+
+    it('should validate the locales of overrides', () => {
+      const product = {
+        sku: 'TEST-SKU-123',
+        name: 'Test Product',
+        path: '/products/test-product',
+        locales: { de: { name: 'Produkt' }, 'de-DE': { options: [{ label: 'Farbe' }] } },
+      };
+      assert.strictEqual(validateProduct(product), undefined);
+
+      product.locales = { german: { name: 'Produkt' } };
+      assert.deepStrictEqual(validateProduct(product), [{
+        path: '$.locales',
+        message: 'invalid locale',
+        details: "'german' is not a locale like 'de' or 'de-DE'",
+      }]);
+
+      product.locales = { de: { title: 'Produkt' } };
+      assert.equal(validateProduct(product)[0].message, 'additional properties not allowed in object');
+    });
+
+    it('should reject several prices for a currency and price list', () => {
+      assert.deepStrictEqual(validateProduct({
+        sku: 'TEST-SKU-123',
+        name: 'Test Product',
+        path: '/products/test-product',
+        variants: [{
+          sku: 'V1',
+          name: 'Variant',
+          url: 'https://example.com/v1',
+          images: [],
+          prices: [
+            { currency: 'EUR', final: '9.00' },
+            { currency: 'EUR', priceList: 'b2b', final: '8.00' },
+            { currency: 'EUR', priceList: 'b2b', final: '7.00' },
+          ],
+        }],
+      }), [{
+        path: '$.variants[0].prices[2]',
+        message: 'duplicate price',
+        details: 'currency EUR and price list b2b already has a price',
+      }]);
+    });
+
+    it('should validate relationships', () => {
+      const product = {
+        sku: 'TEST-SKU-123',
+        name: 'Test Product',
+        path: '/products/test-product',
+        relationships: [
+          { type: 'related', path: '/products/other' },
+          { type: 'bundle', sku: 'OTHER', quantity: 2 },
+        ],
+      };
+      assert.strictEqual(validateProduct(product), undefined);
+
+      product.relationships = [{ type: 'related', path: '/products/other', sku: 'OTHER' }, { type: 'upSell' }];
+      assert.deepStrictEqual(validateProduct(product).map((e) => [e.path, e.message]), [
+        ['$.relationships[0]', 'invalid relationship'],
+        ['$.relationships[1]', 'invalid relationship'],
+      ]);
+
+      product.relationships = [{ type: 'similar', sku: 'OTHER' }];
+      assert.equal(validateProduct(product)[0].path, '$.relationships[0].type');
+    });
+
+    it('should validate validity windows and tiers of prices', () => {
+      const product = {
+        sku: 'TEST-SKU-123',
+        name: 'Test Product',
+        path: '/products/test-product',
+        prices: [
+          { currency: 'EUR', final: '9.00', tiers: [{ minQuantity: 10, final: '8.00' }] },
+          {
+            currency: 'EUR', final: '7.00', validFrom: '2026-11-27T00:00:00+01:00', validUntil: '2026-11-30T00:00Z',
+          },
+        ],
+      };
+      assert.strictEqual(validateProduct(product), undefined);
+
+      product.prices[1].validUntil = '2026-11-30';
+      assert.equal(validateProduct(product)[0].path, '$.prices[1].validUntil');
+
+      product.prices[1].validUntil = '2026-11-30T00:00Z';
+      product.prices[0].tiers[0].minQuantity = 1;
+      assert.equal(validateProduct(product)[0].path, '$.prices[0].tiers[0].minQuantity');
+    });
+  });
+
   describe('assertValidProduct', () => {
     it('should not throw for a valid product', () => {
       const ctx = DEFAULT_CONTEXT();
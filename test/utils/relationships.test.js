@@ -0,0 +1,183 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+// @ts-nocheck
+
+import assert from 'node:assert';
+import sinon from 'sinon';
+import { DEFAULT_CONTEXT } from '../fixtures/context.js';
+import {
+  expandRelationships, findDanglingRelationships, shouldExpandRelationships,
+} from '../../src/utils/relationships.js';
+
+describe('relationships', () => {
+  let storageStub;
+
+  beforeEach(() => {
+    storageStub = {
+      productExists: sinon.stub().resolves(true),
+      findProductPathsBySku: sinon.stub().resolves([]),
+      getProductEntryByPath: sinon.stub(),
+    };
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('shouldExpandRelationships', () => {
+    it('should accept expand=related', () => {
+      assert.equal(shouldExpandRelationships(new URLSearchParams('')), false);
+      assert.equal(shouldExpandRelationships(new URLSearchParams('expand=related')), true);
+      assert.throws(
+        () => shouldExpandRelationships(new URLSearchParams('expand=variants')),
+        (e) => e.response.status === 400,
+      );
+    });
+  });
+
+  describe('findDanglingRelationships', () => {
+    it('should report relationships to products that do not exist', async () => {
+      storageStub.productExists.withArgs('/products/gone').resolves(false);
+      storageStub.findProductPathsBySku.withArgs('one').resolves([{ path: '/products/one', variant: true }]);
+      storageStub.findProductPathsBySku.withArgs('two').resolves([
+        { path: '/products/two-a', variant: false },
+        { path: '/products/two-b', variant: false },
+      ]);
+
+      const ctx = DEFAULT_CONTEXT({
+        attributes: {
+          storageClient: storageStub,
+        },
+      });
+      const warnings = await findDanglingRelationships(ctx, [
+        {
+          sku: 'a',
+          path: '/products/a',
+          relationships: [
+            { type: 'related', path: '/products/b' },
+            { type: 'related', path: '/products/gone' },
+            { type: 'crossSell', sku: 'one' },
+            { type: 'crossSell', sku: 'two' },
+            { type: 'upSell', sku: 'missing' },
+            { type: 'bundle', sku: 'b-variant' },
+          ],
+        },
+        {
+          sku: 'b',
+          path: '/products/b',
+          variants: [{ sku: 'b-variant' }],
+          relationships: [{ type: 'related', path: '/products/gone' }],
+        },
+        { sku: 'c', path: '/products/c', relationships: [{ type: 'related', path: '/products/a' }] },
+      ]);
+
+      assert.deepStrictEqual([...warnings.keys()], ['/products/a', '/products/b']);
+      assert.deepStrictEqual(warnings.get('/products/a'), [{
+        path: '$.relationships[1]',
+        message: 'dangling relationship',
+        details: 'no product at path /products/gone',
+      }, {
+        path: '$.relationships[3]',
+        message: 'dangling relationship',
+        details: 'sku two is used by multiple products',
+      }, {
+        path: '$.relationships[4]',
+        message: 'dangling relationship',
+        details: 'no product with sku missing',
+      }]);
+      assert.equal(warnings.get('/products/b')[0].path, '$.relationships[0]');
+      // products of the batch are not looked up, and each link only once
+      assert(storageStub.productExists.calledOnceWithExactly('/products/gone'));
+    });
+  });
+
+  describe('expandRelationships', () => {
+    it('should inline a summary of the linked products', async () => {
+      storageStub.findProductPathsBySku.withArgs('b').resolves([{ path: '/products/b', variant: false }]);
+      storageStub.getProductEntryByPath.withArgs('/products/a.json').resolves({
+        product: {
+          sku: 'a',
+          path: '/products/a',
+          name: 'A',
+          description: 'Not in the summary',
+          availability: 'InStock',
+          price: { currency: 'USD', final: '10.00' },
+          prices: [{ currency: 'EUR', final: '9.00' }],
+          images: [{ url: './a.jpg' }, { url: './a2.jpg' }],
+        },
+      });
+      storageStub.getProductEntryByPath.withArgs('/products/b.json').resolves({
+        product: { sku: 'b', path: '/products/b', name: 'B' },
+      });
+      const product = {
+        sku: 'p',
+        relationships: [
+          { type: 'related', path: '/products/a' },
+          { type: 'bundle', sku: 'b', quantity: 2 },
+          { type: 'upSell', sku: 'missing' },
+        ],
+      };
+
+      const ctx = DEFAULT_CONTEXT({
+        attributes: {
+          storageClient: storageStub,
+        },
+      });
+      await expandRelationships(ctx, product, {
+        priceOptions: { currency: 'EUR' },
+        requestedLocales: { locales: [], negotiated: true },
+        now: Date.now(),
+      });
+
+      assert.deepStrictEqual(product.relationships, [{
+        type: 'related',
+        path: '/products/a',
+        product: {
+          sku: 'a',
+          path: '/products/a',
+          name: 'A',
+          price: { currency: 'EUR', final: '9.00' },
+          availability: 'InStock',
+          image: './a.jpg',
+        },
+      }, {
+        type: 'bundle',
+        sku: 'b',
+        quantity: 2,
+        product: { sku: 'b', path: '/products/b', name: 'B' },
+      }, {
+        type: 'upSell',
+        sku: 'missing',
+      }]);
+    });
+
+    it('should keep relationships to removed products without summary', async () => {
+      const error = new Error('Product not found');
+      error.response = { status: 404 };
+      storageStub.getProductEntryByPath.rejects(error);
+      const product = { sku: 'p', relationships: [{ type: 'related', path: '/products/gone' }] };
+
+      const ctx = DEFAULT_CONTEXT({
+        attributes: {
+          storageClient: storageStub,
+        },
+      });
+      await expandRelationships(ctx, product, {
+        requestedLocales: { locales: [], negotiated: true },
+        now: Date.now(),
+      });
+
+      assert.deepStrictEqual(product.relationships, [{ type: 'related', path: '/products/gone' }]);
+    });
+  });
+});
@@ -0,0 +1,252 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+// @ts-nocheck
+
+import assert from 'node:assert';
+import { createHmac } from 'node:crypto';
+import sinon from 'sinon';
+import esmock from 'esmock';
+import { DEFAULT_CONTEXT } from '../fixtures/context.js';
+
+const SECRET = 'a-secret-of-16-chars';
+
+describe('webhooks', () => {
+  let webhooks;
+  let ffetchStub;
+  let fetchProductBusConfigStub;
+  let storageStub;
+
+  beforeEach(async () => {
+    ffetchStub = sinon.stub();
+    fetchProductBusConfigStub = sinon.stub().resolves({
+      webhooks: [
+        { url: 'https://search.example.com/hook', secret: SECRET },
+        { url: 'https://pim.example.com/hook', secret: SECRET, events: ['delete'] },
+      ],
+    });
+    storageStub = {
+      saveWebhookDelivery: sinon.stub().resolves(),
+    };
+
+    webhooks = await esmock('../../src/utils/webhooks.js', {
+      '../../src/utils/http.js': {
+        ffetch: ffetchStub,
+      },
+      '../../src/utils/config.js': {
+        fetchProductBusConfig: fetchProductBusConfigStub,
+      },
+    });
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('signWebhookBody', () => {
+    it('should sign the body with HMAC-SHA256', async () => {
+      const expected = createHmac('sha256', SECRET).update('{"a":1}').digest('hex');
+
+      assert.equal(await webhooks.signWebhookBody(SECRET, '{"a":1}'), `sha256=${expected}`);
+    });
+  });
+
+  describe('webhookRetryDelay', () => {
+    it('should double the delay of each retry, up to an hour', () => {
+      assert.deepStrictEqual(
+        [1, 2, 3, 4, 10].map(webhooks.webhookRetryDelay),
+        [30, 60, 120, 240, 3600],
+      );
+    });
+  });
+
+  describe('publishProductEvents', () => {
+    it('should queue the events each webhook subscribed to', async () => {
+      const ctx = DEFAULT_CONTEXT({
+        log: { info: sinon.stub(), warn: sinon.stub(), error: sinon.stub() },
+        attributes: {
+          storageClient: storageStub,
+        },
+        env: {
+          WEBHOOKS_QUEUE: { send: sinon.stub().resolves() },
+        },
+      });
+
+      await webhooks.publishProductEvents(ctx, [
+        { type: 'update', path: '/products/a', sku: 'a' },
+        { type: 'delete', path: '/products/b.json', sku: 'b' },
+      ]);
+
+      const messages = ctx.env.WEBHOOKS_QUEUE.send.getCalls().map((c) => c.args[0]);
+      assert.equal(messages.length, 2);
+      assert.equal(messages[0].type, 'webhook');
+      assert.equal(messages[0].url, 'https://search.example.com/hook');
+      assert.equal(messages[0].org, 'org');
+      assert.equal(messages[0].site, 'site');
+      assert.deepStrictEqual(messages[0].events, [
+        { type: 'update', path: '/products/a', sku: 'a' },
+        { type: 'delete', path: '/products/b', sku: 'b' },
+      ]);
+      assert.equal(messages[1].url, 'https://pim.example.com/hook');
+      assert.deepStrictEqual(messages[1].events, [{ type: 'delete', path: '/products/b', sku: 'b' }]);
+      assert.notEqual(messages[0].id, messages[1].id);
+      assert(!('secret' in messages[0]));
+    });
+
+    it('should split large changes into several deliveries', async () => {
+      fetchProductBusConfigStub.resolves({ webhooks: [{ url: 'https://search.example.com/hook', secret: SECRET }] });
+      const ctx = DEFAULT_CONTEXT({
+        log: { info: sinon.stub(), warn: sinon.stub(), error: sinon.stub() },
+        attributes: {
+          storageClient: storageStub,
+        },
+        env: {
+          WEBHOOKS_QUEUE: { send: sinon.stub().resolves() },
+        },
+      });
+      const events = Array.from({ length: 150 }, (_, i) => ({ type: 'create', path: `/products/p${i}` }));
+
+      await webhooks.publishProductEvents(ctx, events);
+
+      assert.deepStrictEqual(
+        ctx.env.WEBHOOKS_QUEUE.send.getCalls().map((c) => c.args[0].events.length),
+        [100, 50],
+      );
+    });
+
+    it('should do nothing if the site has no webhooks', async () => {
+      fetchProductBusConfigStub.resolves(null);
+      const ctx = DEFAULT_CONTEXT({
+        log: { info: sinon.stub(), warn: sinon.stub(), error: sinon.stub() },
+        attributes: {
+          storageClient: storageStub,
+        },
+        env: {
+          WEBHOOKS_QUEUE: { send: sinon.stub().resolves() },
+        },
+      });
+
+      await webhooks.publishProductEvents(ctx, [{ type: 'update', path: '/products/a' }]);
+
+      assert(ctx.env.WEBHOOKS_QUEUE.send.notCalled);
+    });
+  });
+
+  describe('deliverWebhook', () => {
+    const message = {
+      type: 'webhook',
+      id: 'delivery-1',
+      org: 'org',
+      site: 'site',
+      url: 'https://search.example.com/hook',
+      events: [{ type: 'update', path: '/products/a', sku: 'a' }],
+      timestamp: '2026-03-01T11:00:00.000Z',
+    };
+
+    it('should POST the signed events and log the delivery', async () => {
+      ffetchStub.resolves(new Response(null, { status: 204 }));
+
+      const ctx = DEFAULT_CONTEXT({
+        log: { info: sinon.stub(), warn: sinon.stub(), error: sinon.stub() },
+        attributes: {
+          storageClient: storageStub,
+        },
+        env: {
+          WEBHOOKS_QUEUE: { send: sinon.stub().resolves() },
+        },
+      });
+      await webhooks.deliverWebhook(ctx, message, 1);
+
+      const [url, init] = ffetchStub.firstCall.args;
+      assert.equal(url, 'https://search.example.com/hook');
+      assert.equal(init.method, 'POST');
+      assert.deepStrictEqual(JSON.parse(init.body), {
+        id: 'delivery-1',
+        org: 'org',
+        site: 'site',
+        timestamp: '2026-03-01T11:00:00.000Z',
+        events: message.events,
+      });
+      assert.equal(init.headers['X-Webhook-Id'], 'delivery-1');
+      const signature = createHmac('sha256', SECRET).update(init.body).digest('hex');
+      assert.equal(init.headers['X-Webhook-Signature'], `sha256=${signature}`);
+
+      const [delivery] = storageStub.saveWebhookDelivery.firstCall.args;
+      assert.equal(delivery.outcome, 'delivered');
+      assert.equal(delivery.status, 204);
+      assert.equal(delivery.attempt, 1);
+      assert.equal(delivery.events, 1);
+    });
+
+    it('should log and throw failed deliveries, so they are retried', async () => {
+      ffetchStub.resolves(new Response('nope', { status: 503 }));
+
+      const ctx = DEFAULT_CONTEXT({
+        log: { info: sinon.stub(), warn: sinon.stub(), error: sinon.stub() },
+        attributes: {
+          storageClient: storageStub,
+        },
+        env: {
+          WEBHOOKS_QUEUE: { send: sinon.stub().resolves() },
+        },
+      });
+      await assert.rejects(
+        webhooks.deliverWebhook(ctx, message, 2),
+        /delivery delivery-1 of webhook https:\/\/search.example.com\/hook failed: unexpected status 503/,
+      );
+
+      const [delivery] = storageStub.saveWebhookDelivery.firstCall.args;
+      assert.equal(delivery.outcome, 'retrying');
+      assert.equal(delivery.status, 503);
+      assert.equal(delivery.attempt, 2);
+    });
+
+    it('should give up after the last attempt', async () => {
+      ffetchStub.rejects(new Error('connection refused'));
+      const ctx = DEFAULT_CONTEXT({
+        log: { info: sinon.stub(), warn: sinon.stub(), error: sinon.stub() },
+        attributes: {
+          storageClient: storageStub,
+        },
+        env: {
+          WEBHOOKS_QUEUE: { send: sinon.stub().resolves() },
+        },
+      });
+
+      await webhooks.deliverWebhook(ctx, message, webhooks.MAX_WEBHOOK_ATTEMPTS);
+
+      const [delivery] = storageStub.saveWebhookDelivery.firstCall.args;
+      assert.equal(delivery.outcome, 'failed');
+      assert.equal(delivery.status, undefined);
+      assert.equal(delivery.message, 'connection refused');
+      assert(ctx.log.error.calledOnce);
+    });
+
+    it('should drop deliveries of removed webhooks', async () => {
+      fetchProductBusConfigStub.resolves({ webhooks: [] });
+
+      const ctx = DEFAULT_CONTEXT({
+        log: { info: sinon.stub(), warn: sinon.stub(), error: sinon.stub() },
+        attributes: {
+          storageClient: storageStub,
+        },
+        env: {
+          WEBHOOKS_QUEUE: { send: sinon.stub().resolves() },
+        },
+      });
+      await webhooks.deliverWebhook(ctx, message, 1);
+
+      assert(ffetchStub.notCalled);
+      assert(storageStub.saveWebhookDelivery.notCalled);
+    });
+  });
+});